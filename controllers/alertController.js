@@ -1,16 +1,15 @@
 const Alert = require('../models/Alert');
-const Device = require('../models/Device');
 const logger = require('../utils/logger');
-const { sendPushNotification, sendEmailNotification } = require('../utils/notifications');
+const { dispatchAlert } = require('../utils/alerts');
 
-// @desc    Get all alerts for parent
+// @desc    Get all alerts for the user's households
 // @route   GET /api/alerts
 // @access  Private
 const getAlerts = async (req, res) => {
   try {
     const { page = 1, limit = 50, type, severity, read, deviceId } = req.query;
     
-    const filter = { parentId: req.user._id };
+    const filter = { parentId: { $in: req.access.viewable } };
     
     // Apply filters
     if (type) filter.type = type;
@@ -49,7 +48,7 @@ const getAlert = async (req, res) => {
   try {
     const alert = await Alert.findOne({
       _id: req.params.id,
-      parentId: req.user._id
+      parentId: { $in: req.access.viewable }
     });
 
     if (!alert) {
@@ -78,15 +77,7 @@ const getAlert = async (req, res) => {
 const createAlert = async (req, res) => {
   try {
     const { deviceId, type, message, severity = 'medium', data } = req.body;
-
-    // Find device to get parent ID
-    const device = await Device.findOne({ deviceId });
-    if (!device) {
-      return res.status(404).json({
-        success: false,
-        message: 'Device not found'
-      });
-    }
+    const device = req.device;
 
     const alert = await Alert.create({
       deviceId,
@@ -97,16 +88,8 @@ const createAlert = async (req, res) => {
       data
     });
 
-    // Emit socket event for real-time updates
-    const io = req.app.get('io');
-    io.to(device.parentId.toString()).emit('new-alert', alert);
-
-    // Send notifications based on severity and user preferences
-    try {
-      await sendAlertNotifications(alert, device.parentId);
-    } catch (notificationError) {
-      logger.error('Alert notification error:', notificationError);
-    }
+    // Emit to every household member and notify them per their preferences
+    await dispatchAlert(req.app.get('io'), alert);
 
     logger.info('Alert created', { 
       alertId: alert._id, 
@@ -137,7 +120,7 @@ const markAsRead = async (req, res) => {
     const alert = await Alert.findOneAndUpdate(
       {
         _id: req.params.id,
-        parentId: req.user._id
+        parentId: { $in: req.access.viewable }
       },
       { isRead: true },
       { new: true }
@@ -181,7 +164,7 @@ const markMultipleAsRead = async (req, res) => {
     const result = await Alert.updateMany(
       {
         _id: { $in: alertIds },
-        parentId: req.user._id
+        parentId: { $in: req.access.viewable }
       },
       { isRead: true }
     );
@@ -208,7 +191,7 @@ const resolveAlert = async (req, res) => {
     const alert = await Alert.findOneAndUpdate(
       {
         _id: req.params.id,
-        parentId: req.user._id
+        parentId: { $in: req.access.manageable }
       },
       { 
         isResolved: true,
@@ -247,11 +230,12 @@ const acknowledgeAlert = async (req, res) => {
     const alert = await Alert.findOneAndUpdate(
       {
         _id: req.params.id,
-        parentId: req.user._id
+        parentId: { $in: req.access.viewable }
       },
       { 
         acknowledged: true,
-        acknowledgedAt: new Date()
+        acknowledgedAt: new Date(),
+        acknowledgedBy: req.user._id
       },
       { new: true }
     );
@@ -284,7 +268,7 @@ const deleteAlert = async (req, res) => {
   try {
     const alert = await Alert.findOneAndDelete({
       _id: req.params.id,
-      parentId: req.user._id
+      parentId: { $in: req.access.manageable }
     });
 
     if (!alert) {
@@ -318,7 +302,7 @@ const getAlertStats = async (req, res) => {
     const stats = await Alert.aggregate([
       {
         $match: {
-          parentId: req.user._id,
+          parentId: { $in: req.access.viewable },
           createdAt: { $gte: startDate }
         }
       },
@@ -395,46 +379,6 @@ const getAlertStats = async (req, res) => {
   }
 };
 
-// Helper function to send alert notifications
-const sendAlertNotifications = async (alert, parentId) => {
-  try {
-    // In a real implementation, you would:
-    // 1. Get user notification preferences
-    // 2. Send push notifications via FCM/APNS
-    // 3. Send email notifications
-    // 4. Send SMS notifications
-    
-    // Example implementation:
-    if (alert.severity === 'critical' || alert.severity === 'high') {
-      // Send immediate push notification
-      await sendPushNotification(parentId, {
-        title: `Alert: ${alert.type.replace('_', ' ')}`,
-        body: alert.message,
-        data: { alertId: alert._id.toString() }
-      });
-
-      // Send email for critical alerts
-      if (alert.severity === 'critical') {
-        await sendEmailNotification(parentId, {
-          subject: `CRITICAL ALERT: ${alert.type.replace('_', ' ')}`,
-          text: alert.message,
-          html: `<h2>Critical Alert</h2><p>${alert.message}</p>`
-        });
-      }
-    }
-
-    // Update alert with notification status
-    alert.pushSent = true;
-    if (alert.severity === 'critical') {
-      alert.emailSent = true;
-    }
-    await alert.save();
-
-  } catch (error) {
-    logger.error('Error sending alert notifications:', error);
-  }
-};
-
 module.exports = {
   getAlerts,
   getAlert,
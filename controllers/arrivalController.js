@@ -0,0 +1,195 @@
+const ArrivalRule = require('../models/ArrivalRule');
+const Geofence = require('../models/Geofence');
+const logger = require('../utils/logger');
+
+// Fields a parent may set on an arrival rule
+const RULE_FIELDS = ['name', 'days', 'arriveBy', 'gracePeriod', 'enabled'];
+
+// Weekdays a rule applies on when neither it nor its fence says otherwise
+const DEFAULT_DAYS = [1, 2, 3, 4, 5];
+
+// @desc    Get arrival rules
+// @route   GET /api/arrivals
+// @access  Private
+const getArrivalRules = async (req, res) => {
+  try {
+    const { deviceId, geofenceId } = req.query;
+
+    const filter = { parentId: { $in: req.access.viewable } };
+    if (deviceId) filter.deviceId = deviceId;
+    if (geofenceId) filter.geofenceId = geofenceId;
+
+    const rules = await ArrivalRule.find(filter)
+      .populate('geofenceId', 'name type isActive')
+      .sort({ arriveBy: 1 });
+
+    res.json({
+      success: true,
+      count: rules.length,
+      rules
+    });
+  } catch (error) {
+    logger.error('Get arrival rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching arrival rules'
+    });
+  }
+};
+
+// @desc    Create an arrival rule
+// @route   POST /api/arrivals
+// @access  Private
+const createArrivalRule = async (req, res) => {
+  try {
+    const geofence = await Geofence.findOne({
+      _id: req.body.geofenceId,
+      parentId: { $in: req.access.manageable }
+    });
+
+    if (!geofence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Geofence not found'
+      });
+    }
+
+    const rule = new ArrivalRule({
+      deviceId: geofence.deviceId,
+      parentId: geofence.parentId,
+      geofenceId: geofence._id,
+      createdBy: req.user._id
+    });
+
+    RULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        rule[field] = req.body[field];
+      }
+    });
+
+    // Default to the fence's working hours: be there when they start
+    const workingHours = geofence.settings.workingHours;
+    if (req.body.days === undefined) {
+      rule.days = workingHours.enabled && workingHours.days.length > 0 ? workingHours.days : DEFAULT_DAYS;
+    }
+    if (req.body.arriveBy === undefined && workingHours.enabled && workingHours.startTime) {
+      rule.arriveBy = workingHours.startTime;
+    }
+
+    await rule.save();
+
+    logger.info('Arrival rule created', {
+      ruleId: rule._id,
+      geofenceId: geofence._id,
+      deviceId: rule.deviceId,
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Arrival rule created successfully',
+      rule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Create arrival rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating arrival rule'
+    });
+  }
+};
+
+// @desc    Update an arrival rule
+// @route   PUT /api/arrivals/:id
+// @access  Private
+const updateArrivalRule = async (req, res) => {
+  try {
+    const rule = await ArrivalRule.findOne({
+      _id: req.params.id,
+      parentId: { $in: req.access.manageable }
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Arrival rule not found'
+      });
+    }
+
+    RULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        rule[field] = req.body[field];
+      }
+    });
+
+    // A new schedule gets checked again today
+    if (rule.isModified('days') || rule.isModified('arriveBy') || rule.isModified('gracePeriod')) {
+      rule.lastCheckedDate = undefined;
+    }
+
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Arrival rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Update arrival rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating arrival rule'
+    });
+  }
+};
+
+// @desc    Delete an arrival rule
+// @route   DELETE /api/arrivals/:id
+// @access  Private
+const deleteArrivalRule = async (req, res) => {
+  try {
+    const result = await ArrivalRule.deleteOne({
+      _id: req.params.id,
+      parentId: { $in: req.access.manageable }
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Arrival rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Arrival rule deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete arrival rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting arrival rule'
+    });
+  }
+};
+
+module.exports = {
+  getArrivalRules,
+  createArrivalRule,
+  updateArrivalRule,
+  deleteArrivalRule
+};
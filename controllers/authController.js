@@ -1,20 +1,153 @@
 const jwt = require('jsonwebtoken');
-const crypto = require('crypto');
 const User = require('../models/User');
-const Device = require('../models/Device');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const Household = require('../models/Household');
+const ChildProfile = require('../models/ChildProfile');
 const logger = require('../utils/logger');
-const { sendWelcomeEmail, sendVerificationEmail, sendPasswordResetEmail } = require('../utils/notifications');
+const {
+  sendWelcomeEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail,
+  sendPushNotification
+} = require('../utils/notifications');
+const { createSession, rotateRefreshToken } = require('../utils/sessions');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+const { linkChildAccount, attachChildDevice } = require('../utils/children');
+const { resolveIpLocation, assessLogin, describeLocation } = require('../utils/loginSecurity');
+
+// Generate short-lived token for the second step of a two-factor login
+const generateChallengeToken = (userId) => {
+  return jwt.sign({ userId, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
+  });
+};
+
+// Respond to a login attempt on a locked account
+const sendLockedResponse = (res, lockUntil) => {
+  const retryAfter = Math.max(Math.ceil((lockUntil.getTime() - Date.now()) / 1000), 1);
+
+  res.set('Retry-After', retryAfter.toString());
+  return res.status(423).json({
+    success: false,
+    message: 'Account temporarily locked due to too many failed login attempts. Check your email for an unlock link or try again later.',
+    lockUntil,
+    retryAfter
+  });
+};
+
+// Record a failed authentication step, locking the account when needed.
+// Resolves to the lock expiry if the account is now locked.
+const registerFailedLogin = async (user, req) => {
+  const lockUntil = await user.incrementLoginAttempts();
+  if (!lockUntil) {
+    return null;
+  }
+
+  const unlockToken = user.generateUnlockToken();
+  await user.save();
+
+  try {
+    await sendAccountLockedEmail(user.email, user.name, unlockToken, lockUntil);
+  } catch (emailError) {
+    logger.error('Failed to send account locked email:', emailError);
+  }
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+  await recordSecurityEvent(req, user._id, {
+    type: 'account_locked',
+    severity: 'high',
+    message: `Your account was locked until ${lockUntil.toUTCString()} after ${user.security.loginAttempts} failed sign-in attempts.`,
+    data: { lockUntil, attempts: user.security.loginAttempts }
   });
+
+  return lockUntil;
 };
 
-// Generate refresh token
-const generateRefreshToken = () => {
-  return crypto.randomBytes(40).toString('hex');
+// Issue tokens and record the login once all authentication steps passed
+const completeLogin = async (user, req, res) => {
+  const { deviceId } = req.body;
+
+  // Clear failed attempts now that the user fully authenticated
+  if (user.security.loginAttempts > 0 || user.security.lockUntil) {
+    await user.resetLoginAttempts();
+  }
+
+  // Resolve where the login comes from and compare it with recent history
+  const now = new Date();
+  const location = resolveIpLocation(req.ip);
+  const assessment = assessLogin(user.loginHistory, location, now);
+
+  // Start a session and issue its tokens
+  const { session, token, refreshToken } = await createSession(user, req, { location });
+
+  // Update last login
+  user.lastLogin = now;
+  user.loginHistory.push({
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    timestamp: now,
+    location,
+    sessionId: session._id,
+    suspicious: assessment.suspicious,
+    reasons: assessment.reasons
+  });
+
+  // Keep only last 10 login history entries
+  if (user.loginHistory.length > 10) {
+    user.loginHistory = user.loginHistory.slice(-10);
+  }
+
+  await user.save();
+
+  if (assessment.suspicious) {
+    const reasonText = assessment.reasons.includes('impossible_travel')
+      ? `only ${assessment.travel.hours}h after a sign-in ${assessment.travel.distanceKm} km away`
+      : 'a country you have not signed in from recently';
+
+    try {
+      await recordSecurityEvent(req, user._id, {
+        type: 'suspicious_login',
+        severity: 'high',
+        message: `New sign-in from ${describeLocation(location)}, ${reasonText}. If this wasn't you, revoke the session and change your password.`,
+        sessionId: session._id,
+        data: { location, reasons: assessment.reasons, travel: assessment.travel }
+      });
+    } catch (eventError) {
+      logger.error('Failed to record suspicious login:', eventError);
+    }
+  }
+
+  // Attach the device a child signs in on to their account
+  if (user.role === 'child' && deviceId) {
+    try {
+      await attachChildDevice(user, deviceId);
+    } catch (deviceError) {
+      logger.error('Device registration error during login:', deviceError);
+    }
+  }
+
+  logger.info('User logged in successfully', {
+    userId: user._id,
+    email: user.email,
+    sessionId: session._id
+  });
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    token,
+    refreshToken,
+    expiresIn: process.env.JWT_EXPIRE || '7d',
+    user: {
+      id: user._id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      emailVerified: user.emailVerified,
+      isActive: user.isActive
+    }
+  });
 };
 
 // @desc    Register user
@@ -22,7 +155,7 @@ const generateRefreshToken = () => {
 // @access  Public
 const register = async (req, res) => {
   try {
-    const { email, password, name, role, parentEmail, deviceId, deviceName } = req.body;
+    const { email, password, name, role, parentEmail, linkCode, deviceId } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -33,47 +166,62 @@ const register = async (req, res) => {
       });
     }
 
+    // A child can link to the profile a parent created while registering
+    let childProfile = null;
+    if (role === 'child' && linkCode) {
+      childProfile = await ChildProfile.findByLinkCode(linkCode);
+
+      if (!childProfile || childProfile.userId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired link code'
+        });
+      }
+    }
+
     // Create user
-    const user = await User.create({
+    const user = new User({
       email,
       password,
       name,
       role,
-      ...(role === 'child' && parentEmail && { parentEmail }),
-      verificationToken: crypto.randomBytes(20).toString('hex')
+      ...(role === 'child' && parentEmail && { parentEmail })
     });
-
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken();
-
-    // Save refresh token (you might want to store this in a separate collection)
-    user.refreshToken = refreshToken;
+    const verificationToken = user.generateVerificationToken();
     await user.save();
 
-    // Handle device registration if deviceId is provided
-    if (deviceId && role === 'child') {
+    // Start a session and issue its tokens
+    const { token, refreshToken } = await createSession(user, req);
+
+    if (childProfile && await linkChildAccount(childProfile, user)) {
+      // Attach the device the child registered on, if the household paired it
+      if (deviceId) {
+        try {
+          await attachChildDevice(user, deviceId);
+        } catch (deviceError) {
+          logger.error('Device registration error during registration:', deviceError);
+        }
+      }
+    } else if (role === 'child' && parentEmail) {
+      // Let the named parent know so they can send the child a link code
       try {
-        const existingDevice = await Device.findOne({ deviceId });
-        if (!existingDevice) {
-          await Device.create({
-            deviceId,
-            deviceName: deviceName || `Child Device - ${deviceId.slice(-4)}`,
-            childId: user._id,
-            parentId: user.parentId || null,
-            androidVersion: req.body.androidVersion,
-            appVersion: req.body.appVersion || '1.0.0'
+        const parent = await User.findOne({ email: parentEmail.toLowerCase(), role: 'parent', isActive: true });
+        if (parent) {
+          await sendPushNotification(parent._id, {
+            title: 'Child account created',
+            body: `${user.name} created a child account and named you as their parent. Create a link code from their child profile to connect it.`,
+            data: { childUserId: user._id.toString() }
           });
         }
-      } catch (deviceError) {
-        logger.error('Device registration error during registration:', deviceError);
+      } catch (notificationError) {
+        logger.error('Failed to notify parent of child registration:', notificationError);
       }
     }
 
     // Send verification email
     if (process.env.NODE_ENV === 'production') {
       try {
-        await sendVerificationEmail(user.email, user.name, user.verificationToken);
+        await sendVerificationEmail(user.email, user.name, verificationToken);
       } catch (emailError) {
         logger.error('Failed to send verification email:', emailError);
       }
@@ -91,6 +239,8 @@ const register = async (req, res) => {
         email: user.email,
         name: user.name,
         role: user.role,
+        parentId: user.parentId,
+        childProfileId: user.childProfileId,
         emailVerified: user.emailVerified
       }
     });
@@ -109,7 +259,7 @@ const register = async (req, res) => {
 // @access  Public
 const login = async (req, res) => {
   try {
-    const { email, password, deviceId, deviceName } = req.body;
+    const { email, password } = req.body;
 
     // Check if user exists with password
     const user = await User.findOne({ email }).select('+password');
@@ -128,81 +278,113 @@ const login = async (req, res) => {
       });
     }
 
+    // Check if account is locked
+    if (user.isLocked()) {
+      return sendLockedResponse(res, user.security.lockUntil);
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      const lockUntil = await registerFailedLogin(user, req);
+      if (lockUntil) {
+        return sendLockedResponse(res, lockUntil);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken();
+    // Second step required when two-factor authentication is enabled
+    if (user.security.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        requiresTwoFactor: true,
+        challengeToken: generateChallengeToken(user._id),
+        expiresIn: '5m'
+      });
+    }
 
-    // Update user with refresh token and last login
-    user.refreshToken = refreshToken;
-    user.lastLogin = new Date();
-    user.loginHistory.push({
-      ip: req.ip,
-      userAgent: req.get('User-Agent'),
-      timestamp: new Date()
+    await completeLogin(user, req, res);
+  } catch (error) {
+    logger.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  }
+};
+
+// @desc    Complete login with a two-factor code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
 
-    // Keep only last 10 login history entries
-    if (user.loginHistory.length > 10) {
-      user.loginHistory = user.loginHistory.slice(-10);
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (tokenError) {
+      decoded = null;
     }
 
-    await user.save();
+    if (!decoded || decoded.purpose !== '2fa') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
 
-    // Handle device registration for child users
-    if (user.role === 'child' && deviceId) {
-      try {
-        const existingDevice = await Device.findOne({ deviceId });
-        if (!existingDevice) {
-          await Device.create({
-            deviceId,
-            deviceName: deviceName || `Child Device - ${deviceId.slice(-4)}`,
-            childId: user._id,
-            parentId: user.parentId || null,
-            androidVersion: req.body.androidVersion,
-            appVersion: req.body.appVersion || '1.0.0'
-          });
-        } else if (existingDevice.childId.toString() !== user._id.toString()) {
-          // Update device if it belongs to this user
-          existingDevice.childId = user._id;
-          await existingDevice.save();
-        }
-      } catch (deviceError) {
-        logger.error('Device registration error during login:', deviceError);
-      }
+    const user = await User.findById(decoded.userId)
+      .select('+security.twoFactorSecret +security.twoFactorLastStep +security.backupCodes');
+
+    if (!user || !user.isActive || !user.security.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
     }
 
-    logger.info('User logged in successfully', { userId: user._id, email: user.email });
+    if (user.isLocked()) {
+      return sendLockedResponse(res, user.security.lockUntil);
+    }
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      token,
-      refreshToken,
-      expiresIn: process.env.JWT_EXPIRE || '7d',
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-        role: user.role,
-        emailVerified: user.emailVerified,
-        isActive: user.isActive
+    const isCodeValid = code
+      ? user.verifyTwoFactorToken(code)
+      : user.verifyBackupCode(backupCode);
+
+    if (!isCodeValid) {
+      logger.warn('Invalid two-factor code', { userId: user._id, ip: req.ip });
+
+      const lockUntil = await registerFailedLogin(user, req);
+      if (lockUntil) {
+        return sendLockedResponse(res, lockUntil);
       }
-    });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    if (backupCode) {
+      logger.info('Backup code used for login', {
+        userId: user._id,
+        remaining: user.security.backupCodes.length
+      });
+    }
+
+    await completeLogin(user, req, res);
   } catch (error) {
-    logger.error('Login error:', error);
+    logger.error('Two-factor login error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during login',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      message: 'Server error during two-factor login'
     });
   }
 };
@@ -221,22 +403,42 @@ const refreshToken = async (req, res) => {
       });
     }
 
-    // Find user by refresh token
-    const user = await User.findOne({ refreshToken });
-    if (!user) {
+    // Exchange the refresh token for a new pair within the same session
+    const result = await rotateRefreshToken(refreshToken, req);
+
+    if (result.status === 'reused') {
+      // A consumed token came back: treat the whole session as compromised
+      await recordSecurityEvent(req, result.record.userId, {
+        type: 'refresh_token_reuse',
+        severity: 'high',
+        message: 'A previously used sign-in token was presented again. The affected session has been signed out as a precaution.',
+        sessionId: result.record.sessionId
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used. Please log in again.'
+      });
+    }
+
+    if (result.status !== 'ok') {
       return res.status(401).json({
         success: false,
         message: 'Invalid refresh token'
       });
     }
 
-    // Generate new tokens
-    const newToken = generateToken(user._id);
-    const newRefreshToken = generateRefreshToken();
+    const user = await User.findById(result.session.userId);
+    if (!user || !user.isActive) {
+      await RefreshToken.revokeFamily(result.session._id, 'security');
+      await result.session.logout('security');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
 
-    // Update refresh token
-    user.refreshToken = newRefreshToken;
-    await user.save();
+    const { token: newToken, refreshToken: newRefreshToken } = result;
 
     res.json({
       success: true,
@@ -258,7 +460,9 @@ const refreshToken = async (req, res) => {
 // @access  Private
 const getMe = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).populate('parentId', 'name email');
+    const user = await User.findById(req.user._id)
+      .populate('parentId', 'name email')
+      .populate('childProfileId', 'name avatar birthYear');
     
     res.json({
       success: true,
@@ -270,6 +474,8 @@ const getMe = async (req, res) => {
         emailVerified: user.emailVerified,
         isActive: user.isActive,
         parentId: user.parentId,
+        childProfile: user.childProfileId,
+        twoFactorEnabled: user.security.twoFactorEnabled,
         preferences: user.preferences,
         createdAt: user.createdAt,
         lastLogin: user.lastLogin
@@ -334,20 +540,6 @@ const changePassword = async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({
-        success: false,
-        message: 'Current password and new password are required'
-      });
-    }
-
-    if (newPassword.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'New password must be at least 6 characters long'
-      });
-    }
-
     // Get user with password
     const user = await User.findById(req.user._id).select('+password');
 
@@ -366,9 +558,8 @@ const changePassword = async (req, res) => {
 
     logger.info('Password changed successfully', { userId: user._id });
 
-    // Invalidate all refresh tokens (optional security measure)
-    user.refreshToken = generateRefreshToken();
-    await user.save();
+    // Sign out every other session
+    await Session.logoutAllSessions(user._id, 'security', req.userSession._id);
 
     res.json({
       success: true,
@@ -422,6 +613,42 @@ const verifyEmail = async (req, res) => {
   }
 };
 
+// @desc    Resend verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const verificationToken = user.generateVerificationToken();
+    await user.save();
+
+    try {
+      await sendVerificationEmail(user.email, user.name, verificationToken);
+    } catch (emailError) {
+      logger.error('Failed to send verification email:', emailError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resending verification email'
+    });
+  }
+};
+
 // @desc    Forgot password
 // @route   POST /api/auth/forgot-password
 // @access  Public
@@ -439,9 +666,7 @@ const forgotPassword = async (req, res) => {
     }
 
     // Generate reset token
-    const resetToken = crypto.randomBytes(20).toString('hex');
-    user.resetPasswordToken = resetToken;
-    user.resetPasswordExpires = Date.now() + 3600000; // 1 hour
+    const resetToken = user.generatePasswordResetToken();
     await user.save();
 
     // Send reset email
@@ -484,20 +709,18 @@ const resetPassword = async (req, res) => {
       });
     }
 
-    if (password.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'Password must be at least 6 characters long'
-      });
-    }
-
     // Update password
     user.password = password;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpires = undefined;
-    user.refreshToken = generateRefreshToken(); // Invalidate old sessions
     await user.save();
 
+    // A successful reset proves ownership, so lift any lockout
+    await user.resetLoginAttempts();
+
+    // Invalidate old sessions
+    await Session.logoutAllSessions(user._id, 'security');
+
     logger.info('Password reset successfully', { userId: user._id });
 
     res.json({
@@ -513,17 +736,49 @@ const resetPassword = async (req, res) => {
   }
 };
 
+// @desc    Unlock account
+// @route   GET /api/auth/unlock/:token
+// @access  Public
+const unlockAccount = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const user = await User.findOne({
+      unlockToken: token,
+      unlockTokenExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired unlock token'
+      });
+    }
+
+    await user.resetLoginAttempts();
+
+    logger.info('Account unlocked by email link', { userId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully. You can now log in.'
+    });
+  } catch (error) {
+    logger.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unlocking account'
+    });
+  }
+};
+
 // @desc    Logout user
 // @route   POST /api/auth/logout
 // @access  Private
 const logout = async (req, res) => {
   try {
-    // Invalidate refresh token
-    const user = await User.findById(req.user._id);
-    if (user) {
-      user.refreshToken = generateRefreshToken(); // Generate new token to invalidate old one
-      await user.save();
-    }
+    // End the current session
+    await req.userSession.logout('user');
 
     logger.info('User logged out', { userId: req.user._id, email: req.user.email });
 
@@ -563,6 +818,14 @@ const deleteAccount = async (req, res) => {
     user.email = `deleted-${Date.now()}@${user.email.split('@')[1]}`;
     await user.save();
 
+    await Session.logoutAllSessions(user._id, 'user');
+
+    // Leave any households shared with the account
+    await Household.updateMany(
+      { 'members.userId': user._id, ownerId: { $ne: user._id } },
+      { $pull: { members: { userId: user._id } } }
+    );
+
     logger.info('Account deleted', { userId: req.user._id, email: req.user.email });
 
     res.json({
@@ -581,13 +844,16 @@ const deleteAccount = async (req, res) => {
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
   refreshToken,
   getMe,
   updateProfile,
   changePassword,
   verifyEmail,
+  resendVerification,
   forgotPassword,
   resetPassword,
+  unlockAccount,
   logout,
   deleteAccount
 };
\ No newline at end of file
@@ -0,0 +1,225 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../utils/notifications', () => ({ sendAccountLockedEmail: jest.fn().mockResolvedValue(null) }));
+jest.mock('../utils/securityEvents', () => ({ recordSecurityEvent: jest.fn().mockResolvedValue(null) }));
+jest.mock('../utils/loginSecurity', () => ({}));
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const { hashToken } = require('../utils/sessions');
+const { sendAccountLockedEmail } = require('../utils/notifications');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+const authRoutes = require('../routes/auth');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+describe('POST /api/auth/refresh', () => {
+  const user = new User({ email: 'parent@example.com', name: 'Parent', password: 'secret1', role: 'parent' });
+  let session;
+  let tokens;
+
+  // Seed a refresh token of the session's family
+  const addToken = (plaintext, fields = {}) => {
+    const record = new RefreshToken({
+      userId: user._id,
+      sessionId: session._id,
+      tokenHash: hashToken(plaintext),
+      expiresAt: session.expiresAt,
+      ...fields
+    });
+    tokens.push(record);
+    return record;
+  };
+
+  beforeEach(() => {
+    tokens = [];
+    session = new Session({
+      userId: user._id,
+      ipAddress: '203.0.113.7',
+      token: 'hash',
+      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+    });
+
+    jest.spyOn(Session.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(RefreshToken.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Session, 'findById').mockImplementation(async () => session);
+    jest.spyOn(Session, 'findOne').mockImplementation(async () => (session.isActive ? session : null));
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    jest.spyOn(RefreshToken, 'findOne').mockImplementation(async ({ tokenHash }) =>
+      tokens.find(record => record.tokenHash === tokenHash) || null
+    );
+    jest.spyOn(RefreshToken, 'consume').mockImplementation(async (id) => {
+      const record = tokens.find(candidate => candidate._id.equals(id));
+      if (!record || record.usedAt || record.revokedAt) return null;
+      record.usedAt = new Date();
+      return record;
+    });
+    jest.spyOn(RefreshToken, 'create').mockImplementation(async (fields) => {
+      const record = new RefreshToken(fields);
+      tokens.push(record);
+      return record;
+    });
+    jest.spyOn(RefreshToken, 'revokeFamily').mockImplementation(async (sessionId, reason) => {
+      tokens
+        .filter(record => record.sessionId.equals(sessionId) && !record.revokedAt)
+        .forEach(record => {
+          record.revokedAt = new Date();
+          record.revokedReason = reason;
+        });
+      return { modifiedCount: tokens.length };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    recordSecurityEvent.mockClear();
+  });
+
+  it('exchanges an unused refresh token for a new pair', async () => {
+    const original = addToken('first-token');
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken: 'first-token' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.refreshToken).not.toBe('first-token');
+    expect(original.usedAt).toBeInstanceOf(Date);
+    expect(original.replacedBy).toBeDefined();
+    expect(session.isActive).toBe(true);
+  });
+
+  it('revokes the family and signs the session out when a used token comes back', async () => {
+    addToken('first-token');
+
+    const first = await request(app).post('/api/auth/refresh').send({ refreshToken: 'first-token' });
+    expect(first.status).toBe(200);
+
+    const replay = await request(app).post('/api/auth/refresh').send({ refreshToken: 'first-token' });
+
+    expect(replay.status).toBe(401);
+    expect(replay.body.message).toBe('Refresh token has already been used. Please log in again.');
+    expect(RefreshToken.revokeFamily).toHaveBeenCalledWith(session._id, 'reuse');
+    expect(tokens.every(record => record.revokedAt)).toBe(true);
+    expect(session.isActive).toBe(false);
+    expect(session.logoutReason).toBe('security');
+    expect(recordSecurityEvent).toHaveBeenCalledWith(
+      expect.anything(),
+      user._id,
+      expect.objectContaining({ type: 'refresh_token_reuse', sessionId: session._id })
+    );
+
+    // The successor issued before the replay is dead too
+    const successor = await request(app).post('/api/auth/refresh').send({ refreshToken: first.body.refreshToken });
+    expect(successor.status).toBe(401);
+    expect(successor.body.message).toBe('Invalid refresh token');
+  });
+
+  it('treats a token consumed by a concurrent refresh as reused', async () => {
+    addToken('first-token');
+    RefreshToken.consume.mockResolvedValueOnce(null);
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken: 'first-token' });
+
+    expect(res.status).toBe(401);
+    expect(RefreshToken.revokeFamily).toHaveBeenCalledWith(session._id, 'reuse');
+    expect(session.isActive).toBe(false);
+  });
+
+  it('rejects unknown refresh tokens without touching the family', async () => {
+    addToken('first-token');
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken: 'unknown-token' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid refresh token');
+    expect(RefreshToken.revokeFamily).not.toHaveBeenCalled();
+    expect(session.isActive).toBe(true);
+  });
+});
+
+describe('POST /api/auth/login with lockout', () => {
+  let user;
+
+  beforeEach(() => {
+    user = new User({ email: 'parent@example.com', name: 'Parent', password: 'secret1', role: 'parent' });
+    jest.spyOn(User, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+    jest.spyOn(User.prototype, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sendAccountLockedEmail.mockClear();
+    recordSecurityEvent.mockClear();
+  });
+
+  it('refuses a locked account without checking the password', async () => {
+    user.security.lockUntil = new Date(Date.now() + 10 * 60 * 1000);
+    const comparePassword = jest.spyOn(user, 'comparePassword');
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'parent@example.com', password: 'secret1' });
+
+    expect(res.status).toBe(423);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(Number(res.headers['retry-after'])).toBeLessThanOrEqual(600);
+    expect(res.body.success).toBe(false);
+    expect(res.body.retryAfter).toBe(Number(res.headers['retry-after']));
+    expect(res.body.token).toBeUndefined();
+    expect(comparePassword).not.toHaveBeenCalled();
+  });
+
+  it('locks the account on the fifth consecutive failure', async () => {
+    user.security.loginAttempts = 4;
+    jest.spyOn(user, 'comparePassword').mockResolvedValue(false);
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'parent@example.com', password: 'wrong-password' });
+
+    expect(res.status).toBe(423);
+    expect(res.headers['retry-after']).toBe('900');
+    expect(user.isLocked()).toBe(true);
+    expect(user.security.lockCount).toBe(1);
+    expect(sendAccountLockedEmail).toHaveBeenCalledWith(
+      'parent@example.com',
+      'Parent',
+      user.unlockToken,
+      user.security.lockUntil
+    );
+    expect(recordSecurityEvent).toHaveBeenCalledWith(
+      expect.anything(),
+      user._id,
+      expect.objectContaining({ type: 'account_locked' })
+    );
+  });
+
+  it('only counts failures below the threshold', async () => {
+    user.security.loginAttempts = 2;
+    jest.spyOn(user, 'comparePassword').mockResolvedValue(false);
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'parent@example.com', password: 'wrong-password' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid credentials');
+    expect(user.security.loginAttempts).toBe(3);
+    expect(user.isLocked()).toBe(false);
+    expect(sendAccountLockedEmail).not.toHaveBeenCalled();
+  });
+});
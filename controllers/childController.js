@@ -0,0 +1,420 @@
+const ChildProfile = require('../models/ChildProfile');
+const Device = require('../models/Device');
+const logger = require('../utils/logger');
+const { sendChildLinkCodeEmail } = require('../utils/notifications');
+const { linkChildAccount, unlinkChildAccount } = require('../utils/children');
+const { emitToHousehold } = require('../utils/households');
+
+// Fields a parent may change on a child profile
+const PROFILE_FIELDS = ['name', 'birthYear', 'relationship', 'avatar'];
+
+// @desc    Get child profiles in the user's households
+// @route   GET /api/children
+// @access  Private
+const getChildProfiles = async (req, res) => {
+  try {
+    const children = await ChildProfile.find({
+      parentId: { $in: req.access.viewable },
+      isActive: true
+    })
+      .populate('userId', 'name email lastLogin')
+      .sort({ createdAt: 1 });
+
+    const deviceCounts = await Device.aggregate([
+      {
+        $match: {
+          childProfileId: { $in: children.map(child => child._id) },
+          status: 'active'
+        }
+      },
+      { $group: { _id: '$childProfileId', count: { $sum: 1 } } }
+    ]);
+    const counts = new Map(deviceCounts.map(entry => [entry._id.toString(), entry.count]));
+
+    res.json({
+      success: true,
+      count: children.length,
+      children: children.map(child => ({
+        ...child.toJSON(),
+        deviceCount: counts.get(child._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    logger.error('Get child profiles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching child profiles'
+    });
+  }
+};
+
+// @desc    Get a child profile with its devices
+// @route   GET /api/children/:childId
+// @access  Private
+const getChildProfile = async (req, res) => {
+  try {
+    const child = await ChildProfile.findOne({
+      _id: req.params.childId,
+      parentId: { $in: req.access.viewable },
+      isActive: true
+    }).populate('userId', 'name email lastLogin');
+
+    if (!child) {
+      return res.status(404).json({
+        success: false,
+        message: 'Child profile not found'
+      });
+    }
+
+    const devices = await Device.find({
+      childProfileId: child._id,
+      status: 'active'
+    });
+
+    res.json({
+      success: true,
+      child,
+      devices
+    });
+  } catch (error) {
+    logger.error('Get child profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching child profile'
+    });
+  }
+};
+
+// @desc    Get the devices that belong to a child
+// @route   GET /api/children/:childId/devices
+// @access  Private
+const getChildDevices = async (req, res) => {
+  try {
+    const child = await ChildProfile.findOne({
+      _id: req.params.childId,
+      parentId: { $in: req.access.viewable },
+      isActive: true
+    });
+
+    if (!child) {
+      return res.status(404).json({
+        success: false,
+        message: 'Child profile not found'
+      });
+    }
+
+    const devices = await Device.find({
+      childProfileId: child._id,
+      status: 'active'
+    });
+
+    res.json({
+      success: true,
+      count: devices.length,
+      devices
+    });
+  } catch (error) {
+    logger.error('Get child devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching child devices'
+    });
+  }
+};
+
+// @desc    Create a child profile
+// @route   POST /api/children
+// @access  Private
+const createChildProfile = async (req, res) => {
+  try {
+    const parentId = req.access.resolveParentId(req.body.householdId);
+    if (!parentId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot add children to this household'
+      });
+    }
+
+    const data = {};
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        data[field] = req.body[field];
+      }
+    });
+
+    const child = await ChildProfile.create({
+      ...data,
+      parentId,
+      createdBy: req.user._id
+    });
+
+    const io = req.app.get('io');
+    await emitToHousehold(io, parentId, 'child-profile-created', child);
+
+    logger.info('Child profile created', {
+      childProfileId: child._id,
+      parentId,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Child profile created successfully',
+      child
+    });
+  } catch (error) {
+    logger.error('Create child profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating child profile'
+    });
+  }
+};
+
+// @desc    Update a child profile
+// @route   PUT /api/children/:childId
+// @access  Private
+const updateChildProfile = async (req, res) => {
+  try {
+    const updates = {};
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const child = await ChildProfile.findOneAndUpdate(
+      {
+        _id: req.params.childId,
+        parentId: { $in: req.access.manageable },
+        isActive: true
+      },
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    if (!child) {
+      return res.status(404).json({
+        success: false,
+        message: 'Child profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Child profile updated successfully',
+      child
+    });
+  } catch (error) {
+    logger.error('Update child profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating child profile'
+    });
+  }
+};
+
+// @desc    Delete a child profile
+// @route   DELETE /api/children/:childId
+// @access  Private
+const deleteChildProfile = async (req, res) => {
+  try {
+    const child = await ChildProfile.findOne({
+      _id: req.params.childId,
+      parentId: { $in: req.access.manageable },
+      isActive: true
+    });
+
+    if (!child) {
+      return res.status(404).json({
+        success: false,
+        message: 'Child profile not found'
+      });
+    }
+
+    await unlinkChildAccount(child);
+
+    child.isActive = false;
+    await child.save();
+
+    // Devices stay in the household, unassigned
+    await Device.updateMany(
+      { childProfileId: child._id },
+      { childProfileId: null, childId: null }
+    );
+
+    res.json({
+      success: true,
+      message: 'Child profile deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete child profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting child profile'
+    });
+  }
+};
+
+// @desc    Create a code a child account can use to link to the profile
+// @route   POST /api/children/:childId/link-code
+// @access  Private
+const createLinkCode = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const child = await ChildProfile.findOne({
+      _id: req.params.childId,
+      parentId: { $in: req.access.manageable },
+      isActive: true
+    });
+
+    if (!child) {
+      return res.status(404).json({
+        success: false,
+        message: 'Child profile not found'
+      });
+    }
+
+    if (child.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'A child account is already linked to this profile'
+      });
+    }
+
+    const code = child.generateLinkCode();
+    await child.save();
+
+    // Optionally send the code to the child's email address
+    if (email) {
+      try {
+        await sendChildLinkCodeEmail(email, child.name, req.user.name, code);
+      } catch (emailError) {
+        logger.error('Failed to send child link code email:', emailError);
+      }
+    }
+
+    logger.info('Child link code created', {
+      childProfileId: child._id,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Link code created successfully',
+      code,
+      expiresAt: child.linkCodeExpiresAt
+    });
+  } catch (error) {
+    logger.error('Create child link code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating link code'
+    });
+  }
+};
+
+// @desc    Unlink the child account from a profile
+// @route   DELETE /api/children/:childId/account
+// @access  Private
+const unlinkChildProfileAccount = async (req, res) => {
+  try {
+    const child = await ChildProfile.findOne({
+      _id: req.params.childId,
+      parentId: { $in: req.access.manageable },
+      isActive: true
+    });
+
+    if (!child || !child.userId) {
+      return res.status(404).json({
+        success: false,
+        message: 'No child account is linked to this profile'
+      });
+    }
+
+    await unlinkChildAccount(child);
+
+    res.json({
+      success: true,
+      message: 'Child account unlinked successfully'
+    });
+  } catch (error) {
+    logger.error('Unlink child account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unlinking child account'
+    });
+  }
+};
+
+// @desc    Link the signed-in child account to a profile
+// @route   POST /api/children/link
+// @access  Private (child)
+const linkChildProfile = async (req, res) => {
+  try {
+    if (req.user.childProfileId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your account is already linked to a parent'
+      });
+    }
+
+    const child = await ChildProfile.findByLinkCode(req.body.code);
+
+    if (!child || child.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired link code'
+      });
+    }
+
+    const linked = await linkChildAccount(child, req.user);
+    if (!linked) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired link code'
+      });
+    }
+
+    const io = req.app.get('io');
+    await emitToHousehold(io, child.parentId, 'child-account-linked', {
+      childProfileId: child._id,
+      userId: req.user._id,
+      name: req.user.name
+    });
+
+    logger.info('Child account linked', {
+      childProfileId: child._id,
+      userId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Account linked successfully',
+      child: {
+        id: child._id,
+        name: child.name,
+        parentId: child.parentId
+      }
+    });
+  } catch (error) {
+    logger.error('Link child account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error linking account'
+    });
+  }
+};
+
+module.exports = {
+  getChildProfiles,
+  getChildProfile,
+  getChildDevices,
+  createChildProfile,
+  updateChildProfile,
+  deleteChildProfile,
+  createLinkCode,
+  unlinkChildProfileAccount,
+  linkChildProfile
+};
@@ -1,38 +1,29 @@
 const Command = require('../models/Command');
 const Device = require('../models/Device');
 const logger = require('../utils/logger');
+const { emitToHousehold } = require('../utils/households');
+const {
+  commandPayload,
+  confirmDelivery,
+  deliverPendingCommands,
+  claimForPolling,
+  failCommand
+} = require('../utils/commandDelivery');
 
 // @desc    Get pending commands for device
 // @route   GET /api/commands/device/:deviceId/pending
 // @access  Public (authenticated by device token)
 const getPendingCommands = async (req, res) => {
   try {
-    const { deviceId } = req.params;
+    const { deviceId } = req.device;
 
-    const commands = await Command.find({
-      deviceId,
-      status: { $in: ['pending', 'sent'] },
-      expiresAt: { $gt: new Date() }
-    }).sort({ priority: -1, createdAt: 1 });
-
-    // Mark commands as sent
-    if (commands.length > 0) {
-      const commandIds = commands.map(cmd => cmd._id);
-      await Command.updateMany(
-        { _id: { $in: commandIds } },
-        { status: 'sent' }
-      );
-    }
+    // Claimed for this poll: commands waiting on a socket acknowledgement
+    // aren't returned, and these won't go out over a socket until released
+    const commands = await claimForPolling(deviceId);
 
     res.json({
       success: true,
-      commands: commands.map(cmd => ({
-        id: cmd._id,
-        type: cmd.type,
-        command: cmd.command,
-        priority: cmd.priority,
-        createdAt: cmd.createdAt
-      }))
+      commands: commands.map(commandPayload)
     });
   } catch (error) {
     logger.error('Get pending commands error:', error);
@@ -50,11 +41,10 @@ const acknowledgeCommand = async (req, res) => {
   try {
     const { commandId } = req.params;
 
-    const command = await Command.findByIdAndUpdate(
-      commandId,
-      { status: 'delivered' },
-      { new: true }
-    );
+    const command = await Command.findOne({
+      _id: commandId,
+      deviceId: req.device.deviceId
+    });
 
     if (!command) {
       return res.status(404).json({
@@ -63,6 +53,8 @@ const acknowledgeCommand = async (req, res) => {
       });
     }
 
+    await confirmDelivery(req.app.get('io'), command, command.deliveryChannel || 'polling');
+
     res.json({
       success: true,
       message: 'Command acknowledged'
@@ -84,7 +76,12 @@ const reportCommandResult = async (req, res) => {
     const { commandId } = req.params;
     const { success, message, errorCode, data } = req.body;
 
-    const command = await Command.findById(commandId);
+    const io = req.app.get('io');
+
+    const command = await Command.findOne({
+      _id: commandId,
+      deviceId: req.device.deviceId
+    });
     if (!command) {
       return res.status(404).json({
         success: false,
@@ -92,20 +89,39 @@ const reportCommandResult = async (req, res) => {
       });
     }
 
-    if (success) {
-      await command.markAsCompleted({
-        success: true,
-        message: message || 'Command executed successfully',
-        data,
-        timestamp: new Date()
+    // A result means the command arrived, even if its acknowledgement is
+    // still being recorded (socket acks) or was never sent (polling clients)
+    let current = command;
+    if (current.status === 'sent') {
+      current = await current.markAsDelivered(current.deliveryChannel || 'polling') ||
+        await Command.findById(current._id);
+    }
+
+    // Only a command the device has received and not finished takes a
+    // result; a cancelled, expired or already reported one stays as it is
+    let updated = null;
+    if (current && ['delivered', 'executing'].includes(current.status)) {
+      if (success) {
+        updated = await current.markAsCompleted({
+          success: true,
+          message: message || 'Command executed successfully',
+          data,
+          timestamp: new Date()
+        });
+      } else {
+        updated = await failCommand(io, current, message || 'Command execution failed');
+      }
+    }
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Command is not awaiting a result'
       });
-    } else {
-      await command.markAsFailed(message || 'Command execution failed');
     }
 
-    // Emit socket event for real-time updates
-    const io = req.app.get('io');
-    io.to(command.parentId.toString()).emit('command-result', {
+    // Emit socket event to every household member
+    await emitToHousehold(io, command.parentId, 'command-result', {
       commandId: command._id,
       success,
       message,
@@ -130,12 +146,12 @@ const reportCommandResult = async (req, res) => {
 // @access  Private
 const sendCommand = async (req, res) => {
   try {
-    const { deviceId, type, data = {}, priority = 'normal' } = req.body;
+    const { deviceId, type, data = {}, priority = 'normal', scheduledAt } = req.body;
 
-    // Verify device belongs to user
+    // Verify device belongs to a household the user manages
     const device = await Device.findOne({
       deviceId,
-      parentId: req.user._id,
+      parentId: { $in: req.access.manageable },
       status: 'active'
     });
 
@@ -148,27 +164,27 @@ const sendCommand = async (req, res) => {
 
     const command = await Command.create({
       deviceId,
-      parentId: req.user._id,
+      parentId: device.parentId,
+      issuedBy: req.user._id,
       type,
       command: data,
-      priority
+      priority,
+      scheduledAt: scheduledAt ? new Date(scheduledAt) : undefined
     });
 
-    // Emit socket event for real-time updates
-    const io = req.app.get('io');
-    io.to(deviceId).emit('new-command', {
-      id: command._id,
-      type: command.type,
-      command: command.command,
-      priority: command.priority
-    });
+    // Deliver right away if the device is connected (and the command isn't
+    // scheduled for later); otherwise it waits for the device to connect or
+    // poll, or for the command to become due
+    await deliverPendingCommands(req.app.get('io'), deviceId);
+    const { status } = await Command.findById(command._id).select('status');
 
     logger.info('Command sent to device', {
       commandId: command._id,
       deviceId,
       type,
       priority,
-      parentId: req.user._id
+      parentId: device.parentId,
+      issuedBy: req.user._id
     });
 
     res.status(201).json({
@@ -178,7 +194,8 @@ const sendCommand = async (req, res) => {
         id: command._id,
         type: command.type,
         priority: command.priority,
-        status: command.status,
+        status,
+        scheduledAt: command.scheduledAt,
         createdAt: command.createdAt
       }
     });
@@ -201,7 +218,7 @@ const getCommandHistory = async (req, res) => {
 
     const filter = { 
       deviceId,
-      parentId: req.user._id 
+      parentId: { $in: req.access.viewable }
     };
 
     if (status) {
@@ -242,10 +259,10 @@ const cancelCommand = async (req, res) => {
     const command = await Command.findOneAndUpdate(
       {
         _id: commandId,
-        parentId: req.user._id,
+        parentId: { $in: req.access.manageable },
         status: { $in: ['pending', 'sent'] }
       },
-      { status: 'expired' },
+      { status: 'expired', purgeAt: Command.purgeDate() },
       { new: true }
     );
 
@@ -278,7 +295,7 @@ const retryCommand = async (req, res) => {
 
     const command = await Command.findOne({
       _id: commandId,
-      parentId: req.user._id,
+      parentId: { $in: req.access.manageable },
       status: 'failed'
     });
 
@@ -293,11 +310,14 @@ const retryCommand = async (req, res) => {
     const newCommand = await Command.create({
       deviceId: command.deviceId,
       parentId: command.parentId,
+      issuedBy: req.user._id,
       type: command.type,
       command: command.command,
       priority: command.priority
     });
 
+    await deliverPendingCommands(req.app.get('io'), newCommand.deviceId);
+
     res.json({
       success: true,
       message: 'Command retried successfully',
@@ -0,0 +1,142 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../utils/households', () => ({ emitToHousehold: jest.fn().mockResolvedValue() }));
+jest.mock('../utils/alerts', () => ({ dispatchAlert: jest.fn().mockResolvedValue() }));
+
+const mongoose = require('mongoose');
+const Command = require('../models/Command');
+const { emitToHousehold } = require('../utils/households');
+const { reportCommandResult } = require('./commandController');
+
+const makeCommand = (fields = {}) => new Command({
+  deviceId: 'device-1',
+  parentId: new mongoose.Types.ObjectId(),
+  type: 'lock_device',
+  command: {},
+  ...fields
+});
+
+const makeRequest = (command, body) => ({
+  params: { commandId: command._id.toString() },
+  body,
+  device: { deviceId: 'device-1' },
+  app: { get: () => null }
+});
+
+const makeResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('reportCommandResult', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('completes a delivered command', async () => {
+    const command = makeCommand({ status: 'delivered' });
+    jest.spyOn(Command, 'findOne').mockResolvedValue(command);
+    jest.spyOn(Command, 'findOneAndUpdate').mockImplementation(async (filter, update) =>
+      makeCommand({ ...command.toObject(), ...update })
+    );
+    const res = makeResponse();
+
+    await reportCommandResult(makeRequest(command, { success: true }), res);
+
+    expect(Command.findOneAndUpdate.mock.calls[0][1]).toMatchObject({ status: 'completed' });
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Command result reported' });
+    expect(emitToHousehold).toHaveBeenCalledWith(null, command.parentId, 'command-result',
+      expect.objectContaining({ commandId: command._id, success: true }));
+  });
+
+  it('counts a reported failure as a failed attempt', async () => {
+    const command = makeCommand({ status: 'executing', retryCount: 0 });
+    jest.spyOn(Command, 'findOne').mockResolvedValue(command);
+    jest.spyOn(Command, 'findOneAndUpdate').mockImplementation(async (filter, update) =>
+      makeCommand({ ...command.toObject(), ...update })
+    );
+    const res = makeResponse();
+
+    await reportCommandResult(makeRequest(command, { success: false, message: 'App not installed' }), res);
+
+    expect(Command.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ status: 'executing', retryCount: 0 });
+    expect(Command.findOneAndUpdate.mock.calls[0][1]).toMatchObject({
+      status: 'pending',
+      failureReason: 'App not installed'
+    });
+    expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Command result reported' });
+  });
+
+  it('takes a result for a command whose delivery was not recorded yet', async () => {
+    const command = makeCommand({ status: 'sent', deliveryChannel: 'socket', sentAt: new Date() });
+    jest.spyOn(Command, 'findOne').mockResolvedValue(command);
+    jest.spyOn(Command, 'findOneAndUpdate').mockImplementation(async (filter, update) =>
+      makeCommand({ ...command.toObject(), ...update })
+    );
+    const res = makeResponse();
+
+    await reportCommandResult(makeRequest(command, { success: true }), res);
+
+    const [[deliveredFilter, delivered], [completedFilter, completed]] = Command.findOneAndUpdate.mock.calls;
+    expect(deliveredFilter).toMatchObject({ status: { $in: ['pending', 'sent'] } });
+    expect(delivered).toMatchObject({ status: 'delivered', deliveryChannel: 'socket' });
+    expect(completedFilter).toMatchObject({ status: { $in: ['delivered', 'executing'] } });
+    expect(completed).toMatchObject({ status: 'completed' });
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('takes a result for a command acknowledged while the result was reported', async () => {
+    const command = makeCommand({ status: 'sent', sentAt: new Date() });
+    const acknowledged = makeCommand({ ...command.toObject(), status: 'delivered', deliveredAt: new Date() });
+    jest.spyOn(Command, 'findOne').mockResolvedValue(command);
+    jest.spyOn(Command, 'findById').mockResolvedValue(acknowledged);
+    jest.spyOn(Command, 'findOneAndUpdate')
+      .mockResolvedValueOnce(null)
+      .mockImplementation(async (filter, update) => makeCommand({ ...acknowledged.toObject(), ...update }));
+    const res = makeResponse();
+
+    await reportCommandResult(makeRequest(command, { success: false, message: 'Screen lock failed' }), res);
+
+    expect(Command.findOneAndUpdate.mock.calls[1][0]).toMatchObject({ status: 'delivered' });
+    expect(Command.findOneAndUpdate.mock.calls[1][1]).toMatchObject({ status: 'pending', failureReason: 'Screen lock failed' });
+    expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Command result reported' });
+  });
+
+  it.each(['pending', 'completed', 'failed', 'expired'])('rejects a result for a %s command', async (status) => {
+    const command = makeCommand({ status });
+    jest.spyOn(Command, 'findOne').mockResolvedValue(command);
+    const findOneAndUpdate = jest.spyOn(Command, 'findOneAndUpdate');
+    const res = makeResponse();
+
+    await reportCommandResult(makeRequest(command, { success: false }), res);
+
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(emitToHousehold).not.toHaveBeenCalled();
+  });
+
+  it('rejects a result when the command moved on while it was reported', async () => {
+    const command = makeCommand({ status: 'delivered' });
+    jest.spyOn(Command, 'findOne').mockResolvedValue(command);
+    jest.spyOn(Command, 'findOneAndUpdate').mockResolvedValue(null);
+    const res = makeResponse();
+
+    await reportCommandResult(makeRequest(command, { success: true }), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it('returns 404 for another device\'s command', async () => {
+    const command = makeCommand({ status: 'delivered' });
+    jest.spyOn(Command, 'findOne').mockResolvedValue(null);
+    const res = makeResponse();
+
+    await reportCommandResult(makeRequest(command, { success: true }), res);
+
+    expect(Command.findOne).toHaveBeenCalledWith({ _id: command._id.toString(), deviceId: 'device-1' });
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
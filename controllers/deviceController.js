@@ -1,17 +1,39 @@
 const Device = require('../models/Device');
 const Alert = require('../models/Alert');
 const Command = require('../models/Command');
+const ChildProfile = require('../models/ChildProfile');
 const logger = require('../utils/logger');
+const { emitToHousehold } = require('../utils/households');
+const { commandPayload, claimForPolling, deliverPendingCommands } = require('../utils/commandDelivery');
 
-// @desc    Get all devices for parent
+// Device fields that a heartbeat is allowed to update
+const HEARTBEAT_FIELDS = [
+  'androidVersion',
+  'appVersion',
+  'deviceModel',
+  'networkType',
+  'signalStrength',
+  'storageInfo',
+  'usageStats'
+];
+
+// @desc    Get all devices in the user's households
 // @route   GET /api/devices
 // @access  Private
 const getDevices = async (req, res) => {
   try {
-    const devices = await Device.find({ 
-      parentId: req.user._id,
+    const filter = {
+      parentId: { $in: req.access.viewable },
       status: 'active'
-    }).populate('childId', 'name email');
+    };
+
+    if (req.query.childProfileId) {
+      filter.childProfileId = req.query.childProfileId;
+    }
+
+    const devices = await Device.find(filter)
+      .populate('childProfileId', 'name avatar')
+      .populate('childId', 'name email');
 
     res.json({
       success: true,
@@ -34,9 +56,11 @@ const getDevice = async (req, res) => {
   try {
     const device = await Device.findOne({
       deviceId: req.params.deviceId,
-      parentId: req.user._id,
+      parentId: { $in: req.access.viewable },
       status: 'active'
-    }).populate('childId', 'name email');
+    })
+      .populate('childProfileId', 'name avatar')
+      .populate('childId', 'name email');
 
     if (!device) {
       return res.status(404).json({
@@ -63,7 +87,31 @@ const getDevice = async (req, res) => {
 // @access  Private
 const linkDevice = async (req, res) => {
   try {
-    const { deviceId, childEmail } = req.body;
+    const { deviceId, childProfileId, householdId } = req.body;
+
+    const parentId = req.access.resolveParentId(householdId);
+    if (!parentId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot add devices to this household'
+      });
+    }
+
+    let childProfile = null;
+    if (childProfileId) {
+      childProfile = await ChildProfile.findOne({
+        _id: childProfileId,
+        parentId,
+        isActive: true
+      });
+
+      if (!childProfile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Child profile not found'
+        });
+      }
+    }
 
     // Check if device is already linked
     const existingDevice = await Device.findOne({ deviceId });
@@ -75,28 +123,35 @@ const linkDevice = async (req, res) => {
     }
 
     // Create new device entry
-    const device = await Device.create({
+    const device = new Device({
       deviceId,
       deviceName: req.body.deviceName || `Child Device - ${deviceId.slice(-4)}`,
-      parentId: req.user._id,
-      childId: req.user._id, // For now, will be updated when child registers
+      parentId,
+      childProfileId: childProfile ? childProfile._id : null,
+      childId: childProfile ? childProfile.userId : null,
       androidVersion: req.body.androidVersion,
       appVersion: req.body.appVersion
     });
 
-    // Emit socket event for real-time updates
+    // Issue the device credential; the plaintext is only returned here
+    const deviceToken = device.issueCredential();
+    await device.save();
+
+    // Emit socket event to every household member
     const io = req.app.get('io');
-    io.to(req.user._id.toString()).emit('device-linked', device);
+    await emitToHousehold(io, parentId, 'device-linked', device);
 
     logger.info('Device linked successfully', { 
       deviceId, 
-      parentId: req.user._id 
+      parentId,
+      linkedBy: req.user._id
     });
 
     res.status(201).json({
       success: true,
       message: 'Device linked successfully',
-      device
+      device,
+      deviceToken
     });
   } catch (error) {
     logger.error('Link device error:', error);
@@ -115,7 +170,7 @@ const updateDeviceSettings = async (req, res) => {
     const device = await Device.findOneAndUpdate(
       {
         deviceId: req.params.deviceId,
-        parentId: req.user._id,
+        parentId: { $in: req.access.manageable },
         status: 'active'
       },
       { 
@@ -136,11 +191,13 @@ const updateDeviceSettings = async (req, res) => {
     // Create command to update settings on device
     await Command.create({
       deviceId: device.deviceId,
-      parentId: req.user._id,
+      parentId: device.parentId,
+      issuedBy: req.user._id,
       type: 'update_settings',
       command: req.body,
       priority: 'high'
     });
+    await deliverPendingCommands(req.app.get('io'), device.deviceId);
 
     res.json({
       success: true,
@@ -156,25 +213,80 @@ const updateDeviceSettings = async (req, res) => {
   }
 };
 
-// @desc    Receive heartbeat from device
-// @route   POST /api/devices/heartbeat
-// @access  Public (authenticated by device token)
-const receiveHeartbeat = async (req, res) => {
+// @desc    Assign device to a child profile
+// @route   PUT /api/devices/:deviceId/child
+// @access  Private
+const assignDeviceChild = async (req, res) => {
   try {
-    const { deviceId, batteryLevel, isCharging, ...otherData } = req.body;
+    const { childProfileId } = req.body;
+
+    const device = await Device.findOne({
+      deviceId: req.params.deviceId,
+      parentId: { $in: req.access.manageable },
+      status: { $ne: 'deleted' }
+    });
 
-    const device = await Device.findOne({ deviceId });
     if (!device) {
       return res.status(404).json({
         success: false,
-        message: 'Device not registered'
+        message: 'Device not found'
       });
     }
 
+    let childProfile = null;
+    if (childProfileId) {
+      // The child must belong to the same household as the device
+      childProfile = await ChildProfile.findOne({
+        _id: childProfileId,
+        parentId: device.parentId,
+        isActive: true
+      });
+
+      if (!childProfile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Child profile not found'
+        });
+      }
+    }
+
+    device.childProfileId = childProfile ? childProfile._id : null;
+    device.childId = childProfile ? childProfile.userId : null;
+    await device.save();
+
+    res.json({
+      success: true,
+      message: childProfile ? `Device assigned to ${childProfile.name}` : 'Device unassigned',
+      device
+    });
+  } catch (error) {
+    logger.error('Assign device child error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error assigning device'
+    });
+  }
+};
+
+// @desc    Receive heartbeat from device
+// @route   POST /api/devices/heartbeat
+// @access  Public (authenticated by device token)
+const receiveHeartbeat = async (req, res) => {
+  try {
+    const { deviceId, batteryLevel, isCharging } = req.body;
+    const device = req.device;
+
     // Update device status
     await device.updateHeartbeat(batteryLevel, isCharging);
 
-    // Update additional data if provided
+    // Update additional data if provided (only fields a device may report)
+    const otherData = {};
+    HEARTBEAT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        otherData[field] = req.body[field];
+      }
+    });
+
     if (Object.keys(otherData).length > 0) {
       await Device.findByIdAndUpdate(device._id, {
         ...otherData,
@@ -194,32 +306,25 @@ const receiveHeartbeat = async (req, res) => {
       });
     }
 
-    // Check for pending commands
-    const pendingCommands = await Command.find({
-      deviceId,
-      status: { $in: ['pending', 'sent'] },
-      expiresAt: { $gt: new Date() }
-    });
+    // Hand over deliverable commands, claimed like a poll so they aren't
+    // also delivered over a socket
+    const pendingCommands = await claimForPolling(device.deviceId);
 
-    // Emit socket event for real-time updates
+    // Emit socket event to every household member, without holding up the
+    // device's response
     const io = req.app.get('io');
-    io.to(device.parentId.toString()).emit('heartbeat-received', {
+    emitToHousehold(io, device.parentId, 'heartbeat-received', {
       deviceId,
       batteryLevel,
       isOnline: true,
       lastHeartbeat: new Date()
-    });
+    }).catch(emitError => logger.error('Heartbeat fan-out error:', emitError));
 
     res.json({
       success: true,
       message: 'Heartbeat received',
       requiresAction: pendingCommands.length > 0,
-      pendingCommands: pendingCommands.map(cmd => ({
-        id: cmd._id,
-        type: cmd.type,
-        command: cmd.command,
-        priority: cmd.priority
-      }))
+      pendingCommands: pendingCommands.map(commandPayload)
     });
   } catch (error) {
     logger.error('Heartbeat error:', error);
@@ -239,7 +344,7 @@ const toggleDeviceBlock = async (req, res) => {
     const device = await Device.findOneAndUpdate(
       {
         deviceId: req.params.deviceId,
-        parentId: req.user._id
+        parentId: { $in: req.access.manageable }
       },
       { isBlocked: blocked },
       { new: true }
@@ -255,11 +360,13 @@ const toggleDeviceBlock = async (req, res) => {
     // Create block/unblock command
     await Command.create({
       deviceId: device.deviceId,
-      parentId: req.user._id,
+      parentId: device.parentId,
+      issuedBy: req.user._id,
       type: blocked ? 'lock_device' : 'unlock_device',
       command: { reason: 'Parent remote control' },
       priority: 'high'
     });
+    await deliverPendingCommands(req.app.get('io'), device.deviceId);
 
     res.json({
       success: true,
@@ -283,7 +390,7 @@ const deleteDevice = async (req, res) => {
     const device = await Device.findOneAndUpdate(
       {
         deviceId: req.params.deviceId,
-        parentId: req.user._id
+        parentId: { $in: req.access.manageable }
       },
       { status: 'deleted' },
       { new: true }
@@ -309,12 +416,95 @@ const deleteDevice = async (req, res) => {
   }
 };
 
+// @desc    Rotate device credential
+// @route   POST /api/devices/:deviceId/credentials/rotate
+// @access  Private
+const rotateDeviceCredential = async (req, res) => {
+  try {
+    const device = await Device.findOne({
+      deviceId: req.params.deviceId,
+      parentId: { $in: req.access.manageable },
+      status: { $ne: 'deleted' }
+    });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const deviceToken = device.issueCredential();
+    await device.save();
+
+    logger.info('Device credential rotated', {
+      deviceId: device.deviceId,
+      parentId: device.parentId,
+      userId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Device credential rotated successfully',
+      deviceToken
+    });
+  } catch (error) {
+    logger.error('Rotate device credential error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error rotating device credential'
+    });
+  }
+};
+
+// @desc    Revoke device credential
+// @route   DELETE /api/devices/:deviceId/credentials
+// @access  Private
+const revokeDeviceCredential = async (req, res) => {
+  try {
+    const device = await Device.findOne({
+      deviceId: req.params.deviceId,
+      parentId: { $in: req.access.manageable },
+      status: { $ne: 'deleted' }
+    });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    await device.revokeCredential();
+
+    logger.info('Device credential revoked', {
+      deviceId: device.deviceId,
+      parentId: device.parentId,
+      userId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Device credential revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Revoke device credential error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking device credential'
+    });
+  }
+};
+
 module.exports = {
   getDevices,
   getDevice,
   linkDevice,
   updateDeviceSettings,
+  assignDeviceChild,
   receiveHeartbeat,
   toggleDeviceBlock,
-  deleteDevice
+  deleteDevice,
+  rotateDeviceCredential,
+  revokeDeviceCredential
 };
\ No newline at end of file
@@ -0,0 +1,229 @@
+const DrivingPolicy = require('../models/DrivingPolicy');
+const DrivingEvent = require('../models/DrivingEvent');
+const Device = require('../models/Device');
+const logger = require('../utils/logger');
+const { summarizeDriving } = require('../utils/drivingSafety');
+const { isValidTimeZone, getLocalDate, getLocalWeekRange } = require('../utils/timezone');
+
+// Policy sections a parent may set, merged key by key
+const POLICY_SECTIONS = ['speeding', 'harshDriving', 'lateNight'];
+const POLICY_FIELDS = ['enabled', 'minDrivingSpeed', 'alertCooldown'];
+
+// @desc    Get a device's driving policy (defaults if none is set)
+// @route   GET /api/driving/devices/:deviceId/policy
+// @access  Private
+const getDrivingPolicy = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+
+    const device = await Device.findOne({
+      deviceId,
+      parentId: { $in: req.access.viewable }
+    });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const policy = await DrivingPolicy.findOne({ deviceId });
+
+    res.json({
+      success: true,
+      configured: Boolean(policy),
+      policy: policy || new DrivingPolicy({ deviceId, parentId: device.parentId, enabled: false })
+    });
+  } catch (error) {
+    logger.error('Get driving policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching driving policy'
+    });
+  }
+};
+
+// @desc    Create or update a device's driving policy
+// @route   PUT /api/driving/devices/:deviceId/policy
+// @access  Private
+const updateDrivingPolicy = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+
+    const device = await Device.findOne({
+      deviceId,
+      parentId: { $in: req.access.manageable }
+    });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const policy = await DrivingPolicy.findOne({ deviceId }) ||
+      new DrivingPolicy({ deviceId, parentId: device.parentId });
+
+    POLICY_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        policy[field] = req.body[field];
+      }
+    });
+
+    POLICY_SECTIONS.forEach(section => {
+      if (req.body[section]) {
+        Object.keys(req.body[section]).forEach(key => {
+          policy[section][key] = req.body[section][key];
+        });
+      }
+    });
+
+    policy.updatedBy = req.user._id;
+    await policy.save();
+
+    logger.info('Driving policy updated', { deviceId, userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Driving policy saved successfully',
+      policy
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Update driving policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving driving policy'
+    });
+  }
+};
+
+// @desc    Remove a device's driving policy
+// @route   DELETE /api/driving/devices/:deviceId/policy
+// @access  Private
+const deleteDrivingPolicy = async (req, res) => {
+  try {
+    const result = await DrivingPolicy.deleteOne({
+      deviceId: req.params.deviceId,
+      parentId: { $in: req.access.manageable }
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driving policy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Driving policy removed successfully'
+    });
+  } catch (error) {
+    logger.error('Delete driving policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing driving policy'
+    });
+  }
+};
+
+// @desc    Get unsafe-driving events
+// @route   GET /api/driving/events
+// @access  Private
+const getDrivingEvents = async (req, res) => {
+  try {
+    const { deviceId, type, from, to, limit = 50 } = req.query;
+
+    const filter = { parentId: { $in: req.access.viewable } };
+    if (deviceId) filter.deviceId = deviceId;
+    if (type) filter.type = type;
+    if (from || to) {
+      filter.startedAt = {};
+      if (from) filter.startedAt.$gte = new Date(from);
+      if (to) filter.startedAt.$lte = new Date(to);
+    }
+
+    const events = await DrivingEvent.find(filter)
+      .sort({ startedAt: -1 })
+      .limit(parseInt(limit));
+
+    res.json({
+      success: true,
+      count: events.length,
+      events
+    });
+  } catch (error) {
+    logger.error('Get driving events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching driving events'
+    });
+  }
+};
+
+// @desc    Get the weekly driving-safety summary for each driver
+// @route   GET /api/driving/summary
+// @access  Private
+const getDrivingSummary = async (req, res) => {
+  try {
+    const { deviceId } = req.query;
+
+    // Weeks run Monday to Sunday in the viewer's time zone
+    const preferredTimeZone = req.user.preferences && req.user.preferences.timezone;
+    const timeZone = isValidTimeZone(preferredTimeZone) ? preferredTimeZone : 'UTC';
+    const { start, end, startDate } = getLocalWeekRange(
+      req.query.weekOf || getLocalDate(new Date(), timeZone),
+      timeZone
+    );
+
+    const policyFilter = { parentId: { $in: req.access.viewable } };
+    if (deviceId) policyFilter.deviceId = deviceId;
+    const policies = await DrivingPolicy.find(policyFilter);
+
+    const devices = await Device.find({
+      deviceId: { $in: policies.map(policy => policy.deviceId) },
+      parentId: { $in: req.access.viewable }
+    }).populate('childProfileId', 'name avatar');
+
+    const drivers = [];
+    for (const device of devices) {
+      const policy = policies.find(entry => entry.deviceId === device.deviceId);
+      drivers.push({
+        deviceId: device.deviceId,
+        deviceName: device.deviceName,
+        childProfile: device.childProfileId,
+        ...await summarizeDriving(device, policy, start, end)
+      });
+    }
+
+    res.json({
+      success: true,
+      week: { startDate, start, end, timeZone },
+      count: drivers.length,
+      drivers
+    });
+  } catch (error) {
+    logger.error('Get driving summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching driving summary'
+    });
+  }
+};
+
+module.exports = {
+  getDrivingPolicy,
+  updateDrivingPolicy,
+  deleteDrivingPolicy,
+  getDrivingEvents,
+  getDrivingSummary
+};
@@ -0,0 +1,415 @@
+const Geofence = require('../models/Geofence');
+const Device = require('../models/Device');
+const GeofenceState = require('../models/GeofenceState');
+const ArrivalRule = require('../models/ArrivalRule');
+const logger = require('../utils/logger');
+const { forwardGeocode, calculateDistance } = require('../utils/geocoding');
+const { polygonCentroid, findPolygonProblem } = require('../utils/geometry');
+
+const MAX_GEOFENCES_PER_DEVICE = 50;
+const DEFAULT_ADDRESS_RADIUS = 100; // in meters
+const MAX_POLYGON_POINTS = 100;
+
+// Fields a parent may set on a geofence
+const GEOFENCE_FIELDS = ['name', 'description', 'type', 'center', 'radius', 'coordinates'];
+const METADATA_FIELDS = ['color', 'icon'];
+const SHAPE_FIELDS = ['type', 'center', 'radius', 'coordinates', 'address'];
+
+// Copy allowed fields from the request onto a geofence document
+const applyGeofenceFields = (geofence, body) => {
+  GEOFENCE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      geofence[field] = body[field];
+    }
+  });
+
+  // Merge settings so partial updates keep the other values
+  if (body.settings) {
+    Object.keys(body.settings).forEach(key => {
+      geofence.settings[key] = body.settings[key];
+    });
+  }
+
+  if (body.metadata) {
+    METADATA_FIELDS.forEach(field => {
+      if (body.metadata[field] !== undefined) {
+        geofence.metadata[field] = body.metadata[field];
+      }
+    });
+  }
+};
+
+// Reduce a geocoded outline to at most MAX_POLYGON_POINTS evenly spaced
+// points. Returns null if the result isn't a usable polygon.
+const sampleOutline = (boundary) => {
+  if (!boundary || boundary.length < 3) return null;
+
+  let points = boundary;
+  if (points.length > MAX_POLYGON_POINTS) {
+    const step = points.length / MAX_POLYGON_POINTS;
+    points = Array.from({ length: MAX_POLYGON_POINTS }, (value, index) => boundary[Math.floor(index * step)]);
+  }
+
+  return findPolygonProblem(points) ? null : points;
+};
+
+// Geocode the address of an address fence. The fence becomes the place's
+// outline when one is known and no radius was asked for, otherwise a circle
+// around the geocoded point. Returns false if the address could not be found.
+const resolveAddressFence = async (geofence, address, radius) => {
+  const parts = typeof address === 'string'
+    ? { formattedAddress: address.trim() }
+    : address;
+
+  const query = parts.formattedAddress ||
+    [parts.street, parts.city, parts.state, parts.postalCode, parts.country]
+      .filter(Boolean)
+      .join(', ');
+
+  const result = query ? await forwardGeocode(query, { outline: !radius }) : null;
+  if (!result) return false;
+
+  geofence.address = {
+    ...parts,
+    formattedAddress: result.address
+  };
+
+  const outline = radius ? null : sampleOutline(result.boundary);
+  if (outline) {
+    geofence.coordinates = outline;
+    geofence.center = polygonCentroid(outline);
+    geofence.radius = undefined;
+  } else {
+    geofence.coordinates = [];
+    geofence.center = {
+      latitude: result.latitude,
+      longitude: result.longitude
+    };
+    geofence.radius = radius || geofence.radius || DEFAULT_ADDRESS_RADIUS;
+  }
+
+  return true;
+};
+
+// @desc    Get geofences
+// @route   GET /api/geofences
+// @access  Private
+const getGeofences = async (req, res) => {
+  try {
+    const { deviceId, active } = req.query;
+
+    const filter = { parentId: { $in: req.access.viewable } };
+    if (deviceId) filter.deviceId = deviceId;
+    if (active !== undefined) filter.isActive = active === 'true';
+
+    const geofences = await Geofence.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: geofences.length,
+      geofences
+    });
+  } catch (error) {
+    logger.error('Get geofences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching geofences'
+    });
+  }
+};
+
+// @desc    Get geofence by ID
+// @route   GET /api/geofences/:id
+// @access  Private
+const getGeofence = async (req, res) => {
+  try {
+    const geofence = await Geofence.findOne({
+      _id: req.params.id,
+      parentId: { $in: req.access.viewable }
+    });
+
+    if (!geofence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Geofence not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      geofence
+    });
+  } catch (error) {
+    logger.error('Get geofence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching geofence'
+    });
+  }
+};
+
+// @desc    Create geofence
+// @route   POST /api/geofences
+// @access  Private
+const createGeofence = async (req, res) => {
+  try {
+    const { deviceId } = req.body;
+
+    const device = await Device.findOne({
+      deviceId,
+      parentId: { $in: req.access.manageable },
+      status: 'active'
+    });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found or access denied'
+      });
+    }
+
+    const existingCount = await Geofence.countDocuments({ deviceId });
+    if (existingCount >= MAX_GEOFENCES_PER_DEVICE) {
+      return res.status(400).json({
+        success: false,
+        message: `A device can have at most ${MAX_GEOFENCES_PER_DEVICE} geofences`
+      });
+    }
+
+    const geofence = new Geofence({
+      deviceId,
+      parentId: device.parentId
+    });
+    applyGeofenceFields(geofence, req.body);
+
+    if (geofence.type === 'address' && !(await resolveAddressFence(geofence, req.body.address, req.body.radius))) {
+      return res.status(422).json({
+        success: false,
+        message: 'Address could not be found'
+      });
+    }
+
+    await geofence.save();
+
+    logger.info('Geofence created', {
+      geofenceId: geofence._id,
+      deviceId,
+      type: geofence.type,
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Geofence created successfully',
+      geofence
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Create geofence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating geofence'
+    });
+  }
+};
+
+// @desc    Update geofence
+// @route   PUT /api/geofences/:id
+// @access  Private
+const updateGeofence = async (req, res) => {
+  try {
+    const geofence = await Geofence.findOne({
+      _id: req.params.id,
+      parentId: { $in: req.access.manageable }
+    });
+
+    if (!geofence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Geofence not found'
+      });
+    }
+
+    applyGeofenceFields(geofence, req.body);
+
+    // Re-geocode when the address or radius changes (or the fence becomes an address fence)
+    if (geofence.type === 'address' &&
+      (req.body.address || req.body.radius !== undefined || req.body.type === 'address')) {
+      const address = req.body.address || geofence.address.toObject();
+      if (!(await resolveAddressFence(geofence, address, req.body.radius))) {
+        return res.status(422).json({
+          success: false,
+          message: 'Address could not be found'
+        });
+      }
+    }
+
+    await geofence.save();
+
+    // A new shape invalidates where devices were relative to the old one
+    if (SHAPE_FIELDS.some(field => req.body[field] !== undefined)) {
+      await GeofenceState.deleteMany({ geofenceId: geofence._id });
+    }
+
+    res.json({
+      success: true,
+      message: 'Geofence updated successfully',
+      geofence
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Update geofence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating geofence'
+    });
+  }
+};
+
+// @desc    Pause/resume geofence
+// @route   PUT /api/geofences/:id/pause
+// @access  Private
+const toggleGeofencePause = async (req, res) => {
+  try {
+    const { paused } = req.body;
+
+    const geofence = await Geofence.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        parentId: { $in: req.access.manageable }
+      },
+      { isActive: !paused },
+      { new: true }
+    );
+
+    if (!geofence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Geofence not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Geofence ${paused ? 'paused' : 'resumed'} successfully`,
+      geofence
+    });
+  } catch (error) {
+    logger.error('Toggle geofence pause error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error pausing geofence'
+    });
+  }
+};
+
+// @desc    Delete geofence
+// @route   DELETE /api/geofences/:id
+// @access  Private
+const deleteGeofence = async (req, res) => {
+  try {
+    const geofence = await Geofence.findOneAndDelete({
+      _id: req.params.id,
+      parentId: { $in: req.access.manageable }
+    });
+
+    if (!geofence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Geofence not found'
+      });
+    }
+
+    await GeofenceState.deleteMany({ geofenceId: geofence._id });
+    await ArrivalRule.deleteMany({ geofenceId: geofence._id });
+
+    logger.info('Geofence deleted', {
+      geofenceId: geofence._id,
+      deviceId: geofence.deviceId,
+      userId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Geofence deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete geofence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting geofence'
+    });
+  }
+};
+
+// @desc    Report which geofences contain a point
+// @route   POST /api/geofences/test-point
+// @access  Private
+const testPoint = async (req, res) => {
+  try {
+    const { deviceId } = req.body;
+    const latitude = parseFloat(req.body.latitude);
+    const longitude = parseFloat(req.body.longitude);
+
+    const filter = { parentId: { $in: req.access.viewable } };
+    if (deviceId) filter.deviceId = deviceId;
+
+    const geofences = await Geofence.findIntersecting(latitude, longitude, filter);
+
+    const matches = geofences
+      .filter(geofence => geofence.containsPoint(latitude, longitude))
+      .map(geofence => {
+        const match = {
+          geofenceId: geofence._id,
+          name: geofence.name,
+          type: geofence.type,
+          deviceId: geofence.deviceId
+        };
+
+        // Distance to the center for fences that have one
+        if (geofence.center && geofence.center.latitude !== undefined) {
+          match.distanceFromCenter = Math.round(
+            calculateDistance(latitude, longitude, geofence.center.latitude, geofence.center.longitude) * 1000
+          );
+        }
+
+        return match;
+      });
+
+    res.json({
+      success: true,
+      point: { latitude, longitude },
+      checked: geofences.length,
+      count: matches.length,
+      geofences: matches
+    });
+  } catch (error) {
+    logger.error('Test geofence point error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error testing point'
+    });
+  }
+};
+
+module.exports = {
+  getGeofences,
+  getGeofence,
+  createGeofence,
+  updateGeofence,
+  toggleGeofencePause,
+  deleteGeofence,
+  testPoint
+};
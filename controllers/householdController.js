@@ -0,0 +1,454 @@
+const Household = require('../models/Household');
+const HouseholdInvitation = require('../models/HouseholdInvitation');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { sendHouseholdInvitationEmail } = require('../utils/notifications');
+const { emitToHousehold } = require('../utils/households');
+
+// Shape a household for API responses
+const formatHousehold = (household, userId) => {
+  const member = household.getMember(userId);
+
+  return {
+    id: household._id,
+    name: household.name,
+    ownerId: household.ownerId,
+    role: member ? member.role : null,
+    members: household.members.map(entry => ({
+      user: entry.userId,
+      role: entry.role,
+      joinedAt: entry.joinedAt
+    })),
+    createdAt: household.createdAt
+  };
+};
+
+// Find a household owned by the authenticated user
+const findOwnedHousehold = (req) => {
+  return Household.findOne({
+    _id: req.params.householdId,
+    ownerId: req.user._id
+  });
+};
+
+// @desc    Get the households the user belongs to
+// @route   GET /api/households
+// @access  Private
+const getHouseholds = async (req, res) => {
+  try {
+    // Every parent owns a household of their own
+    await Household.findOrCreateForOwner(req.user);
+
+    const households = await Household.findForMember(req.user._id)
+      .populate('members.userId', 'name email');
+
+    res.json({
+      success: true,
+      count: households.length,
+      households: households.map(household => formatHousehold(household, req.user._id))
+    });
+  } catch (error) {
+    logger.error('Get households error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching households'
+    });
+  }
+};
+
+// @desc    Rename a household
+// @route   PUT /api/households/:householdId
+// @access  Private (owner)
+const updateHousehold = async (req, res) => {
+  try {
+    const household = await findOwnedHousehold(req);
+
+    if (!household) {
+      return res.status(404).json({
+        success: false,
+        message: 'Household not found'
+      });
+    }
+
+    household.name = req.body.name;
+    await household.save();
+
+    res.json({
+      success: true,
+      message: 'Household updated successfully',
+      household: formatHousehold(household, req.user._id)
+    });
+  } catch (error) {
+    logger.error('Update household error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating household'
+    });
+  }
+};
+
+// @desc    Get pending invitations for a household
+// @route   GET /api/households/:householdId/invitations
+// @access  Private (owner)
+const getInvitations = async (req, res) => {
+  try {
+    const household = await findOwnedHousehold(req);
+
+    if (!household) {
+      return res.status(404).json({
+        success: false,
+        message: 'Household not found'
+      });
+    }
+
+    const invitations = await HouseholdInvitation.find({
+      householdId: household._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: invitations.length,
+      invitations
+    });
+  } catch (error) {
+    logger.error('Get household invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching invitations'
+    });
+  }
+};
+
+// @desc    Invite someone to a household by email
+// @route   POST /api/households/:householdId/invitations
+// @access  Private (owner)
+const inviteMember = async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    const household = await findOwnedHousehold(req);
+
+    if (!household) {
+      return res.status(404).json({
+        success: false,
+        message: 'Household not found'
+      });
+    }
+
+    const invitee = await User.findOne({ email });
+    if (invitee) {
+      if (invitee.role === 'child') {
+        return res.status(400).json({
+          success: false,
+          message: 'Child accounts cannot join a household as a guardian'
+        });
+      }
+
+      if (household.getMember(invitee._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This person is already a member of the household'
+        });
+      }
+    }
+
+    // A new invitation replaces any earlier one to the same address
+    await HouseholdInvitation.updateMany(
+      { householdId: household._id, email, status: 'pending' },
+      { status: 'revoked', respondedAt: new Date() }
+    );
+
+    const { invitation, token } = await HouseholdInvitation.createInvitation({
+      householdId: household._id,
+      email,
+      role,
+      invitedBy: req.user._id
+    });
+
+    try {
+      await sendHouseholdInvitationEmail(email, req.user.name, household.name, role, token);
+    } catch (emailError) {
+      logger.error('Failed to send household invitation email:', emailError);
+    }
+
+    logger.info('Household invitation created', {
+      householdId: household._id,
+      invitationId: invitation._id,
+      role
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      invitation: {
+        id: invitation._id,
+        email: invitation.email,
+        role: invitation.role,
+        status: invitation.status,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    logger.error('Invite household member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending invitation'
+    });
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/households/:householdId/invitations/:invitationId
+// @access  Private (owner)
+const revokeInvitation = async (req, res) => {
+  try {
+    const household = await findOwnedHousehold(req);
+
+    if (!household) {
+      return res.status(404).json({
+        success: false,
+        message: 'Household not found'
+      });
+    }
+
+    const invitation = await HouseholdInvitation.findOneAndUpdate(
+      {
+        _id: req.params.invitationId,
+        householdId: household._id,
+        status: 'pending'
+      },
+      { status: 'revoked', respondedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found or already answered'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Revoke household invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking invitation'
+    });
+  }
+};
+
+// @desc    Accept a household invitation
+// @route   POST /api/households/invitations/:token/accept
+// @access  Private
+const acceptInvitation = async (req, res) => {
+  try {
+    const invitation = await HouseholdInvitation.findPendingByToken(req.params.token);
+
+    // Invitations are bound to the address they were sent to
+    if (!invitation || invitation.email !== req.user.email.toLowerCase()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found or expired'
+      });
+    }
+
+    const household = await Household.findById(invitation.householdId);
+    if (!household) {
+      return res.status(404).json({
+        success: false,
+        message: 'Household no longer exists'
+      });
+    }
+
+    if (household.ownerId.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already own this household'
+      });
+    }
+
+    await household.addMember(req.user._id, invitation.role, invitation.invitedBy);
+    await invitation.respond('accepted', req.user._id);
+
+    const io = req.app.get('io');
+    await emitToHousehold(io, household.ownerId, 'household-member-joined', {
+      householdId: household._id,
+      userId: req.user._id,
+      name: req.user.name,
+      role: invitation.role
+    });
+
+    logger.info('Household invitation accepted', {
+      householdId: household._id,
+      userId: req.user._id,
+      role: invitation.role
+    });
+
+    res.json({
+      success: true,
+      message: 'You have joined the household',
+      household: formatHousehold(household, req.user._id)
+    });
+  } catch (error) {
+    logger.error('Accept household invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error accepting invitation'
+    });
+  }
+};
+
+// @desc    Decline a household invitation
+// @route   POST /api/households/invitations/:token/decline
+// @access  Private
+const declineInvitation = async (req, res) => {
+  try {
+    const invitation = await HouseholdInvitation.findPendingByToken(req.params.token);
+
+    if (!invitation || invitation.email !== req.user.email.toLowerCase()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found or expired'
+      });
+    }
+
+    await invitation.respond('declined', req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Invitation declined'
+    });
+  } catch (error) {
+    logger.error('Decline household invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error declining invitation'
+    });
+  }
+};
+
+// @desc    Change a member's role
+// @route   PUT /api/households/:householdId/members/:userId
+// @access  Private (owner)
+const updateMemberRole = async (req, res) => {
+  try {
+    const household = await findOwnedHousehold(req);
+
+    if (!household) {
+      return res.status(404).json({
+        success: false,
+        message: 'Household not found'
+      });
+    }
+
+    const member = household.getMember(req.params.userId);
+    if (!member || member.role === 'owner') {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    member.role = req.body.role;
+    await household.save();
+
+    logger.info('Household member role changed', {
+      householdId: household._id,
+      userId: req.params.userId,
+      role: member.role
+    });
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully',
+      household: formatHousehold(household, req.user._id)
+    });
+  } catch (error) {
+    logger.error('Update household member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating member'
+    });
+  }
+};
+
+// @desc    Remove a member (or leave a household)
+// @route   DELETE /api/households/:householdId/members/:userId
+// @access  Private (owner, or the member themselves)
+const removeMember = async (req, res) => {
+  try {
+    const household = await Household.findOne({
+      _id: req.params.householdId,
+      'members.userId': req.user._id
+    });
+
+    if (!household) {
+      return res.status(404).json({
+        success: false,
+        message: 'Household not found'
+      });
+    }
+
+    const isOwner = household.ownerId.equals(req.user._id);
+    const isSelf = req.params.userId === req.user._id.toString();
+
+    if (!isOwner && !isSelf) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the household owner can remove other members'
+      });
+    }
+
+    const member = household.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'The household owner cannot be removed'
+      });
+    }
+
+    await household.removeMember(req.params.userId);
+
+    logger.info('Household member removed', {
+      householdId: household._id,
+      userId: req.params.userId,
+      removedBy: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: isSelf ? 'You have left the household' : 'Member removed successfully'
+    });
+  } catch (error) {
+    logger.error('Remove household member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing member'
+    });
+  }
+};
+
+module.exports = {
+  getHouseholds,
+  updateHousehold,
+  getInvitations,
+  inviteMember,
+  revokeInvitation,
+  acceptInvitation,
+  declineInvitation,
+  updateMemberRole,
+  removeMember
+};
@@ -1,99 +1,153 @@
 const Location = require('../models/Location');
 const Device = require('../models/Device');
+const Geofence = require('../models/Geofence');
 const logger = require('../utils/logger');
-const { reverseGeocode } = require('../utils/geocoding');
+const { ingestLocations } = require('../utils/locationIngest');
+const { buildTimeline, nameStays } = require('../utils/timeline');
+const { isValidTimeZone, getLocalDate, getLocalDayRange } = require('../utils/timezone');
+const { FORMATS, streamLocations } = require('../utils/locationExport');
+const { simplifyTrack, removeOutliers, encodePolyline } = require('../utils/track');
+const { estimateArrival } = require('../utils/arrivals');
 
 // @desc    Report device location
 // @route   POST /api/locations/report
 // @access  Public (authenticated by device token)
 const reportLocation = async (req, res) => {
   try {
-    const { deviceId, latitude, longitude, accuracy, ...otherData } = req.body;
+    const { deviceId, bootId, ...point } = req.body;
 
-    // Verify device exists
-    const device = await Device.findOne({ deviceId });
-    if (!device) {
-      return res.status(404).json({
+    const result = await ingestLocations({
+      io: req.app.get('io'),
+      device: req.device,
+      points: [{ ...point, timestamp: point.timestamp || new Date() }],
+      bootId
+    });
+
+    if (result.rejected.length > 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Device not found'
+        message: result.rejected[0].reason === 'invalid_timestamp'
+          ? 'Location timestamp is invalid'
+          : 'Location data is invalid'
       });
     }
 
-    // Get address from coordinates
-    let address = null;
-    try {
-      address = await reverseGeocode(latitude, longitude);
-    } catch (geocodeError) {
-      logger.warn('Geocoding failed:', geocodeError);
-    }
+    res.json({
+      success: true,
+      message: 'Location reported successfully'
+    });
+  } catch (error) {
+    logger.error('Report location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error reporting location'
+    });
+  }
+};
 
-    const location = await Location.create({
-      deviceId,
-      parentId: device.parentId,
-      latitude,
-      longitude,
-      accuracy,
-      address,
-      ...otherData,
-      timestamp: new Date()
-    });
-
-    // Update device's last known location
-    device.location = {
-      latitude,
-      longitude,
-      accuracy,
-      timestamp: new Date(),
-      address: address?.formattedAddress
-    };
-    await device.save();
+// @desc    Report a batch of device locations (e.g. recorded while offline)
+// @route   POST /api/locations/batch
+// @access  Public (authenticated by device token)
+const reportLocationBatch = async (req, res) => {
+  try {
+    const result = await ingestLocations({
+      io: req.app.get('io'),
+      device: req.device,
+      points: req.body.locations,
+      bootId: req.body.bootId
+    });
 
-    // Emit socket event for real-time updates
-    const io = req.app.get('io');
-    io.to(device.parentId.toString()).emit('location-update', {
-      deviceId,
-      latitude,
-      longitude,
-      accuracy,
-      address,
-      timestamp: new Date()
+    logger.info('Location batch received', {
+      deviceId: req.device.deviceId,
+      received: req.body.locations.length,
+      accepted: result.accepted,
+      duplicates: result.duplicates,
+      rejected: result.rejected.length
     });
 
     res.json({
       success: true,
-      message: 'Location reported successfully'
+      accepted: result.accepted,
+      duplicates: result.duplicates,
+      rejected: result.rejected,
+      acknowledged: result.acknowledged,
+      latestTimestamp: result.latest ? result.latest.timestamp : null
     });
   } catch (error) {
-    logger.error('Report location error:', error);
+    logger.error('Report location batch error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error reporting location'
+      message: 'Server error reporting locations'
     });
   }
 };
 
-// @desc    Get device location history
+// @desc    Get device location history. Options for map rendering:
+//          bucket (one point per N minutes), removeOutliers, simplify
+//          (tolerance in meters) and format=polyline.
 // @route   GET /api/locations/device/:deviceId/history
 // @access  Private
 const getLocationHistory = async (req, res) => {
   try {
     const { deviceId } = req.params;
-    const { hours = 24, limit = 100 } = req.query;
+    const { hours = 24, limit = 100, bucket, simplify, removeOutliers: dropOutliers, format } = req.query;
 
     const startTime = new Date(Date.now() - hours * 60 * 60 * 1000);
-
-    const locations = await Location.find({
+    const match = {
       deviceId,
-      parentId: req.user._id,
+      parentId: { $in: req.access.viewable },
       timestamp: { $gte: startTime }
-    })
-    .sort({ timestamp: -1 })
-    .limit(parseInt(limit));
+    };
+
+    let locations;
+    if (bucket) {
+      // Keep the most accurate fix in each bucket
+      locations = await Location.aggregate([
+        { $match: match },
+        { $sort: { accuracy: 1, timestamp: 1 } },
+        {
+          $group: {
+            _id: { $dateTrunc: { date: '$timestamp', unit: 'minute', binSize: parseInt(bucket) } },
+            location: { $first: '$$ROOT' }
+          }
+        },
+        { $replaceRoot: { newRoot: '$location' } },
+        { $sort: { timestamp: -1 } },
+        { $limit: parseInt(limit) }
+      ]);
+    } else {
+      locations = await Location.find(match)
+        .sort({ timestamp: -1 })
+        .limit(parseInt(limit))
+        .lean();
+    }
+
+    const rawCount = locations.length;
+
+    // Outliers and simplification work on the track in time order
+    let track = [...locations].reverse();
+    if (dropOutliers === 'true') {
+      track = removeOutliers(track);
+    }
+    if (simplify) {
+      track = simplifyTrack(track, parseFloat(simplify));
+    }
+
+    if (format === 'polyline') {
+      return res.json({
+        success: true,
+        count: track.length,
+        rawCount,
+        polyline: encodePolyline(track),
+        timestamps: track.map(location => Math.floor(new Date(location.timestamp).getTime() / 1000))
+      });
+    }
 
     res.json({
       success: true,
-      count: locations.length,
-      locations
+      count: track.length,
+      rawCount,
+      locations: track.reverse()
     });
   } catch (error) {
     logger.error('Get location history error:', error);
@@ -113,7 +167,7 @@ const getCurrentLocation = async (req, res) => {
 
     const location = await Location.findOne({
       deviceId,
-      parentId: req.user._id
+      parentId: { $in: req.access.viewable }
     })
     .sort({ timestamp: -1 })
     .limit(1);
@@ -152,7 +206,7 @@ const getLocationStats = async (req, res) => {
       {
         $match: {
           deviceId,
-          parentId: req.user._id,
+          parentId: { $in: req.access.viewable },
           timestamp: { $gte: startDate }
         }
       },
@@ -184,6 +238,249 @@ const getLocationStats = async (req, res) => {
   }
 };
 
+// @desc    Get a device's day as stays and the trips between them
+// @route   GET /api/locations/device/:deviceId/timeline
+// @access  Private
+const getLocationTimeline = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+
+    const device = await Device.findOne({
+      deviceId,
+      parentId: { $in: req.access.viewable }
+    });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    // Days run midnight to midnight in the viewer's time zone
+    const preferredTimeZone = req.user.preferences && req.user.preferences.timezone;
+    const timeZone = req.query.timezone || (isValidTimeZone(preferredTimeZone) ? preferredTimeZone : 'UTC');
+    const date = req.query.date || getLocalDate(new Date(), timeZone);
+    const { start, end } = getLocalDayRange(date, timeZone);
+
+    const points = await Location.find({
+      deviceId,
+      parentId: device.parentId,
+      timestamp: { $gte: start, $lt: end }
+    })
+    .select('latitude longitude accuracy speed timestamp address.formattedAddress')
+    .sort({ timestamp: 1 })
+    .lean();
+
+    const timeline = await nameStays(buildTimeline(points), device);
+    const trips = timeline.filter(entry => entry.type === 'trip');
+
+    res.json({
+      success: true,
+      date,
+      timeZone,
+      summary: {
+        stays: timeline.length - trips.length,
+        trips: trips.length,
+        distance: trips.reduce((total, trip) => total + trip.distance, 0),
+        travelTime: trips.reduce((total, trip) => total + trip.duration, 0),
+        pointCount: points.length
+      },
+      timeline
+    });
+  } catch (error) {
+    logger.error('Get location timeline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching location timeline'
+    });
+  }
+};
+
+// @desc    Estimate when a device will reach one of its geofences
+// @route   GET /api/locations/device/:deviceId/eta
+// @access  Private
+const getLocationEta = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+
+    const device = await Device.findOne({
+      deviceId,
+      parentId: { $in: req.access.viewable }
+    });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const geofence = await Geofence.findOne({
+      _id: req.query.geofenceId,
+      deviceId,
+      parentId: device.parentId
+    });
+
+    if (!geofence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Geofence not found'
+      });
+    }
+
+    const eta = await estimateArrival(device, geofence);
+
+    res.json({
+      success: true,
+      geofence: {
+        id: geofence._id,
+        name: geofence.name
+      },
+      eta
+    });
+  } catch (error) {
+    logger.error('Get location ETA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error estimating arrival'
+    });
+  }
+};
+
+// @desc    Export device location history as GPX, KML, GeoJSON or CSV
+// @route   GET /api/locations/device/:deviceId/export
+// @access  Private
+const exportLocationHistory = async (req, res) => {
+  let cursor = null;
+
+  try {
+    const { deviceId } = req.params;
+    const { format } = req.query;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start of the range must be before its end'
+      });
+    }
+
+    const device = await Device.findOne({
+      deviceId,
+      parentId: { $in: req.access.viewable }
+    });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    // Names for geofence events; fences are few compared to locations
+    const geofences = await Geofence.find({ deviceId, parentId: device.parentId }).select('name').lean();
+    const geofenceNames = new Map(geofences.map(geofence => [geofence._id.toString(), geofence.name]));
+
+    const writer = FORMATS[format];
+    const filename = `${deviceId}-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}.${writer.extension}`
+      .replace(/[^\w.-]/g, '_');
+
+    res.status(200);
+    res.set({
+      'Content-Type': writer.contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    cursor = Location.find({
+      deviceId,
+      parentId: device.parentId,
+      timestamp: { $gte: from, $lte: to }
+    })
+    .select('latitude longitude accuracy altitude speed heading source timestamp address.formattedAddress geofenceId geofenceEvent')
+    .sort({ timestamp: 1 })
+    .lean()
+    .cursor();
+
+    const count = await streamLocations({
+      cursor,
+      output: res,
+      format,
+      meta: {
+        title: `${device.deviceName} location history`,
+        from,
+        to,
+        generatedAt: new Date()
+      },
+      geofenceNames
+    });
+
+    res.end();
+
+    logger.info('Location history exported', {
+      userId: req.user._id,
+      deviceId,
+      format,
+      from,
+      to,
+      count
+    });
+  } catch (error) {
+    logger.error('Export location history error:', error);
+
+    // Once streaming has started the status can't change; cut the download
+    // short so the client sees an incomplete file rather than a valid one
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({
+        success: false,
+        message: 'Server error exporting location history'
+      });
+    }
+  } finally {
+    if (cursor) {
+      await cursor.close().catch(() => {});
+    }
+  }
+};
+
+// @desc    Get location history near a point
+// @route   GET /api/locations/near
+// @access  Private
+const getNearbyLocations = async (req, res) => {
+  try {
+    const { deviceId, days = 30, limit = 100 } = req.query;
+    const latitude = parseFloat(req.query.latitude);
+    const longitude = parseFloat(req.query.longitude);
+    const radius = parseFloat(req.query.radius || 200);
+
+    const filter = {
+      parentId: { $in: req.access.viewable },
+      timestamp: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+    };
+    if (deviceId) filter.deviceId = deviceId;
+
+    const locations = await Location.findNear(latitude, longitude, radius, filter, parseInt(limit));
+
+    res.json({
+      success: true,
+      point: { latitude, longitude },
+      radius,
+      count: locations.length,
+      locations
+    });
+  } catch (error) {
+    logger.error('Get nearby locations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching nearby locations'
+    });
+  }
+};
+
 // @desc    Delete location history
 // @route   DELETE /api/locations/device/:deviceId/history
 // @access  Private
@@ -194,7 +491,7 @@ const deleteLocationHistory = async (req, res) => {
 
     const filter = {
       deviceId,
-      parentId: req.user._id
+      parentId: { $in: req.access.manageable }
     };
 
     if (olderThan) {
@@ -220,8 +517,13 @@ const deleteLocationHistory = async (req, res) => {
 
 module.exports = {
   reportLocation,
+  reportLocationBatch,
   getLocationHistory,
   getCurrentLocation,
   getLocationStats,
+  getLocationTimeline,
+  getLocationEta,
+  exportLocationHistory,
+  getNearbyLocations,
   deleteLocationHistory
 };
\ No newline at end of file
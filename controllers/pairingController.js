@@ -0,0 +1,252 @@
+const PairingCode = require('../models/PairingCode');
+const Device = require('../models/Device');
+const ChildProfile = require('../models/ChildProfile');
+const logger = require('../utils/logger');
+const { generateDeviceId } = require('../utils/helpers');
+const { emitToHousehold } = require('../utils/households');
+
+const PAIRING_CODE_TTL_MINUTES = 10;
+const MAX_ACTIVE_PAIRING_CODES = 5;
+
+// @desc    Create a pairing code for linking a child device
+// @route   POST /api/devices/pairing-codes
+// @access  Private
+const createPairingCode = async (req, res) => {
+  try {
+    const { childProfileId, deviceName, householdId } = req.body;
+
+    const parentId = req.access.resolveParentId(householdId);
+    if (!parentId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot add devices to this household'
+      });
+    }
+
+    if (childProfileId) {
+      const childProfile = await ChildProfile.findOne({
+        _id: childProfileId,
+        parentId,
+        isActive: true
+      });
+
+      if (!childProfile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Child profile not found'
+        });
+      }
+    }
+
+    const activeCodes = await PairingCode.countDocuments({
+      parentId,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (activeCodes >= MAX_ACTIVE_PAIRING_CODES) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many active pairing codes. Cancel an existing code or wait for it to expire.'
+      });
+    }
+
+    const { pairingCode, code } = await PairingCode.generate(parentId, {
+      childProfileId,
+      deviceName,
+      ttlMinutes: PAIRING_CODE_TTL_MINUTES
+    });
+
+    logger.info('Pairing code created', {
+      pairingCodeId: pairingCode._id,
+      parentId,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Pairing code created successfully',
+      pairingCode: {
+        id: pairingCode._id,
+        code,
+        qrPayload: `watcher://pair?code=${code}`,
+        childProfileId: pairingCode.childProfileId,
+        deviceName: pairingCode.deviceName,
+        expiresAt: pairingCode.expiresAt
+      }
+    });
+  } catch (error) {
+    logger.error('Create pairing code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating pairing code'
+    });
+  }
+};
+
+// @desc    Get active pairing codes
+// @route   GET /api/devices/pairing-codes
+// @access  Private
+const getPairingCodes = async (req, res) => {
+  try {
+    const pairingCodes = await PairingCode.find({
+      parentId: { $in: req.access.manageable },
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: pairingCodes.length,
+      pairingCodes: pairingCodes.map(pairingCode => ({
+        id: pairingCode._id,
+        childProfileId: pairingCode.childProfileId,
+        deviceName: pairingCode.deviceName,
+        expiresAt: pairingCode.expiresAt,
+        createdAt: pairingCode.createdAt
+      }))
+    });
+  } catch (error) {
+    logger.error('Get pairing codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching pairing codes'
+    });
+  }
+};
+
+// @desc    Cancel a pairing code
+// @route   DELETE /api/devices/pairing-codes/:codeId
+// @access  Private
+const cancelPairingCode = async (req, res) => {
+  try {
+    const pairingCode = await PairingCode.findOneAndUpdate(
+      {
+        _id: req.params.codeId,
+        parentId: { $in: req.access.manageable },
+        usedAt: null
+      },
+      { expiresAt: new Date() },
+      { new: true }
+    );
+
+    if (!pairingCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pairing code not found or already used'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Pairing code cancelled successfully'
+    });
+  } catch (error) {
+    logger.error('Cancel pairing code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling pairing code'
+    });
+  }
+};
+
+// @desc    Redeem a pairing code from the child device
+// @route   POST /api/devices/pair
+// @access  Public (authenticated by pairing code)
+const redeemPairingCode = async (req, res) => {
+  try {
+    const { code, hardwareId, deviceName, androidVersion, appVersion, deviceModel } = req.body;
+
+    const pendingCode = await PairingCode.findRedeemable(code);
+    if (!pendingCode) {
+      logger.warn('Invalid pairing code attempt', { ip: req.ip, hardwareId });
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired pairing code'
+      });
+    }
+
+    const existingDevice = await Device.findOne({
+      hardwareId,
+      status: { $ne: 'deleted' }
+    });
+    if (existingDevice) {
+      return res.status(400).json({
+        success: false,
+        message: 'Device is already linked to an account'
+      });
+    }
+
+    // Consume the code atomically so it can only ever be used once
+    const pairingCode = await PairingCode.consume(code, hardwareId);
+    if (!pairingCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired pairing code'
+      });
+    }
+
+    // Attach the device to the child's linked account, if there is one
+    const childProfile = pairingCode.childProfileId
+      ? await ChildProfile.findOne({ _id: pairingCode.childProfileId, isActive: true })
+      : null;
+
+    const deviceId = generateDeviceId();
+    const device = new Device({
+      deviceId,
+      hardwareId,
+      deviceName: deviceName || pairingCode.deviceName || `Child Device - ${deviceId.slice(-4)}`,
+      parentId: pairingCode.parentId,
+      childProfileId: childProfile ? childProfile._id : null,
+      childId: childProfile ? childProfile.userId : null,
+      androidVersion,
+      appVersion,
+      deviceModel
+    });
+    const deviceToken = device.issueCredential();
+
+    try {
+      await device.save();
+    } catch (saveError) {
+      await pairingCode.release();
+      throw saveError;
+    }
+
+    pairingCode.deviceId = deviceId;
+    await pairingCode.save();
+
+    // Emit socket event for real-time updates
+    const io = req.app.get('io');
+    await emitToHousehold(io, pairingCode.parentId, 'device-linked', device);
+
+    logger.info('Device paired successfully', {
+      deviceId,
+      parentId: pairingCode.parentId,
+      pairingCodeId: pairingCode._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Device paired successfully',
+      device: {
+        deviceId: device.deviceId,
+        deviceName: device.deviceName,
+        settings: device.settings
+      },
+      deviceToken
+    });
+  } catch (error) {
+    logger.error('Redeem pairing code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error pairing device'
+    });
+  }
+};
+
+module.exports = {
+  createPairingCode,
+  getPairingCodes,
+  cancelPairingCode,
+  redeemPairingCode
+};
\ No newline at end of file
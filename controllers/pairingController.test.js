@@ -0,0 +1,85 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../utils/households', () => ({ emitToHousehold: jest.fn().mockResolvedValue() }));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const PairingCode = require('../models/PairingCode');
+const Device = require('../models/Device');
+const deviceRoutes = require('../routes/devices');
+
+const app = express();
+app.use(express.json());
+app.use('/api/devices', deviceRoutes);
+
+const CODE = '12345678';
+
+const redeem = (hardwareId) => request(app)
+  .post('/api/devices/pair')
+  .send({ code: CODE, hardwareId, deviceName: 'Tablet' });
+
+describe('POST /api/devices/pair', () => {
+  let pairingCode;
+
+  beforeEach(() => {
+    pairingCode = new PairingCode({
+      parentId: new mongoose.Types.ObjectId(),
+      expiresAt: new Date(Date.now() + 10 * 60 * 1000)
+    });
+    jest.spyOn(pairingCode, 'save').mockResolvedValue(pairingCode);
+
+    // A single stored code that can be consumed once
+    const matches = (code) => code === CODE && !pairingCode.usedAt;
+    jest.spyOn(PairingCode, 'findRedeemable').mockImplementation(async code => (matches(code) ? pairingCode : null));
+    jest.spyOn(PairingCode, 'consume').mockImplementation(async (code, hardwareId) => {
+      if (!matches(code)) return null;
+      pairingCode.usedAt = new Date();
+      pairingCode.hardwareId = hardwareId;
+      return pairingCode;
+    });
+
+    jest.spyOn(Device, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Device.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('pairs a device and hands out its credential', async () => {
+    const res = await redeem('hardware-1');
+
+    expect(res.status).toBe(201);
+    expect(res.body.deviceToken).toMatch(/^[0-9a-f]{64}$/);
+    expect(pairingCode.deviceId).toBe(res.body.device.deviceId);
+  });
+
+  it('rejects a pairing code that was already used', async () => {
+    await redeem('hardware-1');
+    Device.prototype.save.mockClear();
+
+    const res = await redeem('hardware-2');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid or expired pairing code');
+    expect(Device.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('rejects a code another device consumed while this one was pairing', async () => {
+    PairingCode.consume.mockResolvedValue(null);
+
+    const res = await redeem('hardware-1');
+
+    expect(res.status).toBe(400);
+    expect(Device.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('rejects malformed codes before looking them up', async () => {
+    const res = await request(app).post('/api/devices/pair').send({ code: '1234', hardwareId: 'hardware-1' });
+
+    expect(res.status).toBe(400);
+    expect(PairingCode.findRedeemable).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,302 @@
+const CommandSchedule = require('../models/CommandSchedule');
+const Device = require('../models/Device');
+const logger = require('../utils/logger');
+const { getOwnerTimeZone, nextOccurrence, refreshNextRun } = require('../utils/commandSchedules');
+
+// Fields a parent may set on a schedule
+const SCHEDULE_FIELDS = ['name', 'commandType', 'priority', 'rule', 'exceptions', 'enabled'];
+
+// Check that every device exists, is manageable by the user and belongs to
+// one household. Resolves to { parentId } or { status, message } on failure.
+const resolveScheduleDevices = async (req, deviceIds) => {
+  const uniqueIds = [...new Set(deviceIds)];
+
+  const devices = await Device.find({
+    deviceId: { $in: uniqueIds },
+    parentId: { $in: req.access.manageable },
+    status: 'active'
+  }).select('deviceId parentId');
+
+  if (devices.length !== uniqueIds.length) {
+    return { status: 404, message: 'Device not found or access denied' };
+  }
+
+  const parentIds = new Set(devices.map(device => device.parentId.toString()));
+  if (parentIds.size > 1) {
+    return { status: 400, message: 'All devices in a schedule must belong to the same household' };
+  }
+
+  return { parentId: devices[0].parentId, deviceIds: uniqueIds };
+};
+
+// Copy allowed fields from the request onto a schedule
+const applyScheduleFields = (schedule, body) => {
+  SCHEDULE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      schedule[field] = body[field];
+    }
+  });
+
+  if (body.data !== undefined) {
+    schedule.command = body.data;
+  }
+};
+
+// @desc    Get command schedules
+// @route   GET /api/schedules
+// @access  Private
+const getSchedules = async (req, res) => {
+  try {
+    const { deviceId } = req.query;
+
+    const filter = { parentId: { $in: req.access.viewable } };
+    if (deviceId) filter.deviceIds = deviceId;
+
+    const schedules = await CommandSchedule.find(filter).sort({ nextRunAt: 1 });
+
+    res.json({
+      success: true,
+      count: schedules.length,
+      schedules
+    });
+  } catch (error) {
+    logger.error('Get schedules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching schedules'
+    });
+  }
+};
+
+// @desc    Create a command schedule
+// @route   POST /api/schedules
+// @access  Private
+const createSchedule = async (req, res) => {
+  try {
+    const resolved = await resolveScheduleDevices(req, req.body.deviceIds);
+    if (resolved.message) {
+      return res.status(resolved.status).json({
+        success: false,
+        message: resolved.message
+      });
+    }
+
+    const schedule = new CommandSchedule({
+      parentId: resolved.parentId,
+      createdBy: req.user._id,
+      deviceIds: resolved.deviceIds
+    });
+    applyScheduleFields(schedule, req.body);
+
+    // The rule has to be valid before its next run can be worked out
+    await schedule.validate();
+    refreshNextRun(schedule, await getOwnerTimeZone(schedule.parentId));
+    await schedule.save();
+
+    logger.info('Command schedule created', {
+      scheduleId: schedule._id,
+      commandType: schedule.commandType,
+      deviceIds: schedule.deviceIds,
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Schedule created successfully',
+      schedule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Create schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating schedule'
+    });
+  }
+};
+
+// @desc    Update a command schedule
+// @route   PUT /api/schedules/:id
+// @access  Private
+const updateSchedule = async (req, res) => {
+  try {
+    const schedule = await CommandSchedule.findOne({
+      _id: req.params.id,
+      parentId: { $in: req.access.manageable }
+    });
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    if (req.body.deviceIds !== undefined) {
+      const resolved = await resolveScheduleDevices(req, req.body.deviceIds);
+      if (!resolved.message && !resolved.parentId.equals(schedule.parentId)) {
+        resolved.status = 400;
+        resolved.message = 'All devices in a schedule must belong to the same household';
+      }
+      if (resolved.message) {
+        return res.status(resolved.status).json({
+          success: false,
+          message: resolved.message
+        });
+      }
+      schedule.deviceIds = resolved.deviceIds;
+    }
+
+    applyScheduleFields(schedule, req.body);
+
+    await schedule.validate();
+    refreshNextRun(schedule, await getOwnerTimeZone(schedule.parentId));
+    await schedule.save();
+
+    res.json({
+      success: true,
+      message: 'Schedule updated successfully',
+      schedule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Update schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating schedule'
+    });
+  }
+};
+
+// @desc    Delete a command schedule
+// @route   DELETE /api/schedules/:id
+// @access  Private
+const deleteSchedule = async (req, res) => {
+  try {
+    const result = await CommandSchedule.deleteOne({
+      _id: req.params.id,
+      parentId: { $in: req.access.manageable }
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Schedule deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting schedule'
+    });
+  }
+};
+
+// @desc    Skip the next run of a command schedule
+// @route   POST /api/schedules/:id/skip
+// @access  Private
+const skipNextRun = async (req, res) => {
+  try {
+    const schedule = await CommandSchedule.findOne({
+      _id: req.params.id,
+      parentId: { $in: req.access.manageable }
+    });
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    if (!schedule.enabled || !schedule.nextRunAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Schedule has no upcoming run to skip'
+      });
+    }
+
+    // Only one run can be skipped at a time
+    schedule.skippedRunAt = schedule.nextRunAt;
+    schedule.nextRunAt = nextOccurrence(
+      schedule,
+      schedule.skippedRunAt,
+      await getOwnerTimeZone(schedule.parentId)
+    );
+    await schedule.save();
+
+    res.json({
+      success: true,
+      message: 'Next run skipped',
+      schedule
+    });
+  } catch (error) {
+    logger.error('Skip schedule run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error skipping schedule run'
+    });
+  }
+};
+
+// @desc    Undo skipping the next run of a command schedule
+// @route   DELETE /api/schedules/:id/skip
+// @access  Private
+const unskipNextRun = async (req, res) => {
+  try {
+    const schedule = await CommandSchedule.findOne({
+      _id: req.params.id,
+      parentId: { $in: req.access.manageable }
+    });
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    schedule.skippedRunAt = undefined;
+    refreshNextRun(schedule, await getOwnerTimeZone(schedule.parentId));
+    await schedule.save();
+
+    res.json({
+      success: true,
+      message: 'Skipped run restored',
+      schedule
+    });
+  } catch (error) {
+    logger.error('Unskip schedule run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error restoring schedule run'
+    });
+  }
+};
+
+module.exports = {
+  getSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  skipNextRun,
+  unskipNextRun
+};
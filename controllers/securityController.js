@@ -0,0 +1,69 @@
+const SecurityEvent = require('../models/SecurityEvent');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+// @desc    Get recent security events
+// @route   GET /api/auth/security-events
+// @access  Private
+const getSecurityEvents = async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+
+    const events = await SecurityEvent.getRecentEvents(
+      req.user._id,
+      Math.min(parseInt(limit) || 50, 200)
+    );
+
+    res.json({
+      success: true,
+      count: events.length,
+      events
+    });
+  } catch (error) {
+    logger.error('Get security events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching security events'
+    });
+  }
+};
+
+// @desc    Get recent logins with their resolved locations
+// @route   GET /api/auth/login-history
+// @access  Private
+const getLoginHistory = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('loginHistory');
+
+    // Newest first
+    const logins = user.loginHistory
+      .slice()
+      .reverse()
+      .map(entry => ({
+        ip: entry.ip,
+        userAgent: entry.userAgent,
+        timestamp: entry.timestamp,
+        location: entry.location,
+        suspicious: entry.suspicious,
+        reasons: entry.reasons,
+        current: !!entry.sessionId && entry.sessionId.toString() === req.userSession._id.toString()
+      }));
+
+    res.json({
+      success: true,
+      count: logins.length,
+      logins
+    });
+  } catch (error) {
+    logger.error('Get login history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching login history'
+    });
+  }
+};
+
+module.exports = {
+  getSecurityEvents,
+  getLoginHistory
+};
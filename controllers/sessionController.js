@@ -0,0 +1,112 @@
+const Session = require('../models/Session');
+const logger = require('../utils/logger');
+
+// Shape a session for API responses (never exposes token hashes)
+const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  deviceId: session.deviceId,
+  deviceName: session.deviceName,
+  deviceType: session.deviceType,
+  ipAddress: session.ipAddress,
+  userAgent: session.userAgent,
+  location: session.location,
+  createdAt: session.createdAt,
+  lastActivity: session.lastActivity,
+  expiresAt: session.expiresAt,
+  current: session._id.toString() === currentSessionId.toString()
+});
+
+// @desc    Get active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.getActiveSessions(req.user._id);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(session => formatSession(session, req.userSession._id))
+    });
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching sessions'
+    });
+  }
+};
+
+// @desc    Revoke a session
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+const revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      userId: req.user._id,
+      isActive: true
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.logout('user');
+
+    logger.info('Session revoked', { userId: req.user._id, sessionId: session._id });
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking session'
+    });
+  }
+};
+
+// @desc    Revoke all sessions (optionally keeping the current one)
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeAllSessions = async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+
+    const result = await Session.logoutAllSessions(
+      req.user._id,
+      'user',
+      keepCurrent ? req.userSession._id : null
+    );
+
+    logger.info('Sessions revoked', {
+      userId: req.user._id,
+      count: result.modifiedCount,
+      keepCurrent
+    });
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} sessions revoked`,
+      revokedCount: result.modifiedCount
+    });
+  } catch (error) {
+    logger.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking sessions'
+    });
+  }
+};
+
+module.exports = {
+  getSessions,
+  revokeSession,
+  revokeAllSessions
+};
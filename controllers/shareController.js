@@ -0,0 +1,208 @@
+const LocationShare = require('../models/LocationShare');
+const LocationShareAccess = require('../models/LocationShareAccess');
+const Device = require('../models/Device');
+const logger = require('../utils/logger');
+const { recordShareAccess, describeShare, closeShareRoom } = require('../utils/locationShares');
+
+// @desc    Create a share link for a device's location
+// @route   POST /api/shares
+// @access  Private
+const createShare = async (req, res) => {
+  try {
+    const { deviceId, expiresIn, mode, label } = req.body;
+
+    const device = await Device.findOne({
+      deviceId,
+      parentId: { $in: req.access.manageable },
+      status: 'active'
+    });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const { share, token } = await LocationShare.createShare({
+      deviceId,
+      parentId: device.parentId,
+      createdBy: req.user._id,
+      label,
+      mode,
+      expiresAt: new Date(Date.now() + expiresIn * 60 * 1000)
+    });
+
+    logger.info('Location share created', {
+      shareId: share._id,
+      deviceId,
+      mode: share.mode,
+      expiresAt: share.expiresAt,
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created successfully',
+      share,
+      token,
+      url: `${process.env.CLIENT_URL || 'http://localhost:3000'}/share/${token}`
+    });
+  } catch (error) {
+    logger.error('Create share error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating share link'
+    });
+  }
+};
+
+// @desc    Get share links
+// @route   GET /api/shares
+// @access  Private
+const getShares = async (req, res) => {
+  try {
+    const { deviceId, active } = req.query;
+
+    const filter = { parentId: { $in: req.access.viewable } };
+    if (deviceId) filter.deviceId = deviceId;
+    if (active === 'true') {
+      filter.revokedAt = null;
+      filter.expiresAt = { $gt: new Date() };
+    }
+
+    const shares = await LocationShare.find(filter)
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      count: shares.length,
+      shares
+    });
+  } catch (error) {
+    logger.error('Get shares error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching share links'
+    });
+  }
+};
+
+// @desc    Revoke a share link
+// @route   DELETE /api/shares/:shareId
+// @access  Private
+const revokeShare = async (req, res) => {
+  try {
+    const share = await LocationShare.findOne({
+      _id: req.params.shareId,
+      parentId: { $in: req.access.manageable }
+    });
+
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    if (!share.revokedAt) {
+      await share.revoke(req.user._id);
+      closeShareRoom(req.app.get('io'), share._id, 'revoked');
+      logger.info('Location share revoked', { shareId: share._id, userId: req.user._id });
+    }
+
+    res.json({
+      success: true,
+      message: 'Share link revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Revoke share error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking share link'
+    });
+  }
+};
+
+// @desc    Get the access log of a share link
+// @route   GET /api/shares/:shareId/accesses
+// @access  Private
+const getShareAccesses = async (req, res) => {
+  try {
+    const share = await LocationShare.findOne({
+      _id: req.params.shareId,
+      parentId: { $in: req.access.viewable }
+    });
+
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    const accesses = await LocationShareAccess.find({ shareId: share._id })
+      .sort({ createdAt: -1 })
+      .limit(500);
+
+    res.json({
+      success: true,
+      count: accesses.length,
+      accesses
+    });
+  } catch (error) {
+    logger.error('Get share accesses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching share access log'
+    });
+  }
+};
+
+// @desc    View a shared location
+// @route   GET /api/shares/view/:token
+// @access  Public (authenticated by share token)
+const viewShare = async (req, res) => {
+  try {
+    const share = await LocationShare.findActiveByToken(req.params.token);
+
+    const device = share && await Device.findOne({
+      deviceId: share.deviceId,
+      parentId: share.parentId,
+      status: 'active'
+    });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'This share link is invalid or has expired'
+      });
+    }
+
+    await recordShareAccess(share, 'view', {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      share: await describeShare(share, device)
+    });
+  } catch (error) {
+    logger.error('View share error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching shared location'
+    });
+  }
+};
+
+module.exports = {
+  createShare,
+  getShares,
+  revokeShare,
+  getShareAccesses,
+  viewShare
+};
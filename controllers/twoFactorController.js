@@ -0,0 +1,188 @@
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { generateSecret, buildOtpauthUri } = require('../utils/totp');
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+security.twoFactorSecret');
+
+    if (user.security.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // The secret stays pending until confirmed with a valid code
+    const secret = generateSecret();
+    user.security.twoFactorSecret = secret;
+    user.security.twoFactorLastStep = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl: buildOtpauthUri(secret, user.email)
+    });
+  } catch (error) {
+    logger.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor setup'
+    });
+  }
+};
+
+// @desc    Confirm two-factor enrollment
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+security.twoFactorSecret +security.twoFactorLastStep');
+
+    if (user.security.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.security.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor setup has not been started'
+      });
+    }
+
+    if (!user.verifyTwoFactorToken(code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    user.security.twoFactorEnabled = true;
+    const backupCodes = user.generateBackupCodes();
+    await user.save();
+
+    logger.info('Two-factor authentication enabled', { userId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      backupCodes
+    });
+  } catch (error) {
+    logger.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error enabling two-factor authentication'
+    });
+  }
+};
+
+// Load the user and check password plus a current code or backup code
+const verifyTwoFactorChallenge = async (userId, { password, code, backupCode }) => {
+  const user = await User.findById(userId)
+    .select('+password +security.twoFactorSecret +security.twoFactorLastStep +security.backupCodes');
+
+  if (!user.security.twoFactorEnabled) {
+    return { user, error: 'Two-factor authentication is not enabled' };
+  }
+
+  const isPasswordValid = await user.comparePassword(password);
+  if (!isPasswordValid) {
+    return { user, error: 'Password is incorrect' };
+  }
+
+  const isCodeValid = code
+    ? user.verifyTwoFactorToken(code)
+    : user.verifyBackupCode(backupCode);
+  if (!isCodeValid) {
+    return { user, error: 'Invalid two-factor code' };
+  }
+
+  return { user };
+};
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { user, error } = await verifyTwoFactorChallenge(req.user._id, req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    user.security.twoFactorEnabled = false;
+    user.security.twoFactorSecret = undefined;
+    user.security.twoFactorLastStep = undefined;
+    user.security.backupCodes = [];
+    await user.save();
+
+    logger.info('Two-factor authentication disabled', { userId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    logger.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error disabling two-factor authentication'
+    });
+  }
+};
+
+// @desc    Regenerate two-factor backup codes
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { user, error } = await verifyTwoFactorChallenge(req.user._id, req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const backupCodes = user.generateBackupCodes();
+    await user.save();
+
+    logger.info('Two-factor backup codes regenerated', { userId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Backup codes regenerated. Previous codes no longer work.',
+      backupCodes
+    });
+  } catch (error) {
+    logger.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error regenerating backup codes'
+    });
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes
+};
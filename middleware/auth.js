@@ -1,7 +1,31 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const logger = require('../utils/logger');
 
+// Only record session activity once per interval to avoid a write on every request
+const ACTIVITY_UPDATE_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+// Resolve the active session for a decoded access token
+const findActiveSession = async (decoded) => {
+  if (!decoded.sessionId) {
+    return null;
+  }
+
+  const session = await Session.findOne({
+    _id: decoded.sessionId,
+    userId: decoded.userId,
+    isActive: true,
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (session && Date.now() - session.lastActivity.getTime() > ACTIVITY_UPDATE_INTERVAL) {
+    await Session.updateOne({ _id: session._id }, { lastActivity: new Date() });
+  }
+
+  return session;
+};
+
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -14,6 +38,23 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Purpose-scoped tokens (e.g. two-factor challenges) are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token'
+      });
+    }
+
+    const session = await findActiveSession(decoded);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired or revoked. Please log in again.'
+      });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user) {
@@ -31,6 +72,7 @@ const auth = async (req, res, next) => {
     }
 
     req.user = user;
+    req.userSession = session;
     next();
   } catch (error) {
     logger.error('Auth middleware error:', error);
@@ -62,10 +104,12 @@ const optionalAuth = async (req, res, next) => {
     
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
+      const session = decoded.purpose ? null : await findActiveSession(decoded);
+      const user = session ? await User.findById(decoded.userId).select('-password') : null;
       
       if (user && user.isActive) {
         req.user = user;
+        req.userSession = session;
       }
     }
     
@@ -96,4 +140,4 @@ const requireRole = (roles) => {
   };
 };
 
-module.exports = { auth, optionalAuth, requireRole };
\ No newline at end of file
+module.exports = { auth, optionalAuth, requireRole, findActiveSession };
\ No newline at end of file
@@ -0,0 +1,107 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../utils/loginSecurity', () => ({}));
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { generateAccessToken } = require('../utils/sessions');
+const authRoutes = require('../routes/auth');
+const { auth } = require('./auth');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.get('/api/private', auth, (req, res) => res.json({ sessionId: req.userSession._id }));
+
+// Stand-in for the sessions collection
+let sessions;
+
+const matchesFilter = (session, filter) =>
+  (!filter._id || session._id.equals(filter._id)) &&
+  (!filter.userId || session.userId.equals(filter.userId)) &&
+  (filter.isActive === undefined || session.isActive === filter.isActive) &&
+  (!filter.expiresAt || session.expiresAt > filter.expiresAt.$gt);
+
+const startSession = (user) => {
+  const session = new Session({
+    userId: user._id,
+    ipAddress: '203.0.113.7',
+    token: 'hash',
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+  });
+  sessions.push(session);
+  return { session, token: generateAccessToken(user._id, session._id) };
+};
+
+describe('auth with revoked sessions', () => {
+  const user = new User({ email: 'parent@example.com', name: 'Parent', password: 'secret1', role: 'parent' });
+
+  beforeEach(() => {
+    sessions = [];
+    jest.spyOn(Session, 'findOne').mockImplementation(async filter =>
+      sessions.find(session => matchesFilter(session, filter)) || null
+    );
+    jest.spyOn(Session.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts an access token of an active session', async () => {
+    const { session, token } = startSession(user);
+
+    const res = await request(app).get('/api/private').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.sessionId).toBe(session._id.toString());
+  });
+
+  it('rejects an access token whose session was revoked', async () => {
+    const current = startSession(user);
+    const other = startSession(user);
+
+    const revoked = await request(app)
+      .delete(`/api/auth/sessions/${other.session._id}`)
+      .set('Authorization', `Bearer ${current.token}`);
+    expect(revoked.status).toBe(200);
+
+    const res = await request(app).get('/api/private').set('Authorization', `Bearer ${other.token}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Session expired or revoked. Please log in again.');
+  });
+
+  it('rejects an access token without a session', async () => {
+    const token = generateAccessToken(user._id);
+
+    const res = await request(app).get('/api/private').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects a two-factor challenge token', async () => {
+    const { session } = startSession(user);
+    const token = jwt.sign({ userId: user._id, sessionId: session._id, purpose: '2fa' }, process.env.JWT_SECRET);
+
+    const res = await request(app).get('/api/private').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects malformed session IDs when revoking', async () => {
+    const { token } = startSession(user);
+
+    const res = await request(app).delete('/api/auth/sessions/not-an-id').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('Invalid session ID');
+  });
+});
@@ -0,0 +1,60 @@
+const Device = require('../models/Device');
+const logger = require('../utils/logger');
+
+// Only touch lastUsedAt once per interval to avoid a write on every request
+const LAST_USED_UPDATE_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+const deviceAuth = async (req, res, next) => {
+  try {
+    const deviceId = req.header('X-Device-Id') || req.params.deviceId || req.body.deviceId;
+    const token = req.header('X-Device-Token');
+
+    if (!deviceId || !token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. No device credentials provided.'
+      });
+    }
+
+    const device = await Device.findOne({
+      deviceId,
+      status: { $ne: 'deleted' }
+    }).select('+credentials.secretHash');
+
+    if (!device || !device.verifyCredential(token)) {
+      logger.warn('Device authentication failed', { deviceId, ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid device credentials'
+      });
+    }
+
+    // A device may only act on its own behalf
+    const requestedIds = [req.params.deviceId, req.body.deviceId].filter(Boolean);
+    if (requestedIds.some(id => id !== device.deviceId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Device credentials do not match the requested device'
+      });
+    }
+
+    const lastUsedAt = device.credentials.lastUsedAt;
+    if (!lastUsedAt || Date.now() - lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL) {
+      await Device.updateOne(
+        { _id: device._id },
+        { 'credentials.lastUsedAt': new Date() }
+      );
+    }
+
+    req.device = device;
+    next();
+  } catch (error) {
+    logger.error('Device auth middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during device authentication'
+    });
+  }
+};
+
+module.exports = { deviceAuth };
\ No newline at end of file
@@ -0,0 +1,86 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Device = require('../models/Device');
+const { deviceAuth } = require('./deviceAuth');
+
+const app = express();
+app.use(express.json());
+app.post('/devices/heartbeat', deviceAuth, (req, res) => res.json({ deviceId: req.device.deviceId }));
+app.get('/devices/:deviceId/commands', deviceAuth, (req, res) => res.json({ deviceId: req.device.deviceId }));
+
+// A device with a freshly issued credential; resolves Device.findOne to it
+const pairedDevice = () => {
+  const device = new Device({
+    deviceId: 'device-1',
+    hardwareId: 'hardware-1',
+    parentId: new mongoose.Types.ObjectId()
+  });
+  const secret = device.issueCredential();
+
+  jest.spyOn(Device, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(device) });
+  jest.spyOn(Device, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+  return { device, secret };
+};
+
+describe('deviceAuth', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets a device in with its secret', async () => {
+    const { secret } = pairedDevice();
+
+    const res = await request(app)
+      .post('/devices/heartbeat')
+      .set('X-Device-Id', 'device-1')
+      .set('X-Device-Token', secret);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ deviceId: 'device-1' });
+  });
+
+  it('rejects a wrong device secret', async () => {
+    const { secret } = pairedDevice();
+
+    const res = await request(app)
+      .post('/devices/heartbeat')
+      .set('X-Device-Id', 'device-1')
+      .set('X-Device-Token', `${secret.slice(0, -1)}${secret.endsWith('0') ? '1' : '0'}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid device credentials');
+  });
+
+  it('rejects requests without credentials', async () => {
+    const res = await request(app).post('/devices/heartbeat').send({ deviceId: 'device-1' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects a revoked credential', async () => {
+    const { device, secret } = pairedDevice();
+    device.credentials.revokedAt = new Date();
+
+    const res = await request(app)
+      .post('/devices/heartbeat')
+      .set('X-Device-Id', 'device-1')
+      .set('X-Device-Token', secret);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('does not let a device act for another device', async () => {
+    const { secret } = pairedDevice();
+
+    const res = await request(app)
+      .get('/devices/device-2/commands')
+      .set('X-Device-Id', 'device-1')
+      .set('X-Device-Token', secret);
+
+    expect(res.status).toBe(403);
+  });
+});
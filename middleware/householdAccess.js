@@ -0,0 +1,18 @@
+const { getHouseholdAccess } = require('../utils/households');
+const logger = require('../utils/logger');
+
+// Attach the households the authenticated user belongs to as req.access
+const householdAccess = async (req, res, next) => {
+  try {
+    req.access = await getHouseholdAccess(req.user);
+    next();
+  } catch (error) {
+    logger.error('Household access middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error loading household access'
+    });
+  }
+};
+
+module.exports = { householdAccess };
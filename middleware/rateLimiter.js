@@ -37,6 +37,14 @@ const authLimiter = createRateLimiter(
   'Too many login attempts, please try again later.'
 );
 
+// Token refresh and email verification. Every signed-in device refreshes
+// its token, so this is far looser than authLimiter.
+const tokenLimiter = createRateLimiter(
+  15 * 60 * 1000, // 15 minutes
+  60, // 60 requests per window
+  'Too many token requests, please try again later.'
+);
+
 // Lenient rate limiting for reports
 const reportLimiter = createRateLimiter(
   60 * 1000, // 1 minute
@@ -58,10 +66,27 @@ const commandLimiter = createRateLimiter(
   'Too many commands, please slow down.'
 );
 
+// Pairing code redemption rate limiting (guards against brute-forcing codes)
+const pairingLimiter = createRateLimiter(
+  15 * 60 * 1000, // 15 minutes
+  10, // 10 attempts per window
+  'Too many pairing attempts, please try again later.'
+);
+
+// Public location share views (guards against guessing share tokens)
+const shareLimiter = createRateLimiter(
+  60 * 1000, // 1 minute
+  30, // 30 views per minute
+  'Too many requests for this share link, please slow down.'
+);
+
 module.exports = {
   generalLimiter,
   authLimiter,
+  tokenLimiter,
   reportLimiter,
   heartbeatLimiter,
-  commandLimiter
+  commandLimiter,
+  pairingLimiter,
+  shareLimiter
 };
\ No newline at end of file
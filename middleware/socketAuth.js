@@ -0,0 +1,61 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const logger = require('../utils/logger');
+const { findActiveSession } = require('./auth');
+
+// Socket.io middleware identifying who is connecting from the handshake's
+// auth payload:
+// - devices send { deviceId, deviceToken } and get socket.data.device
+// - household members send { token } (an access token) and get socket.data.user
+// - anyone else connects as a guest, which only allows following share links
+const socketAuth = async (socket, next) => {
+  try {
+    const { token, deviceId, deviceToken } = socket.handshake.auth || {};
+
+    if (deviceId || deviceToken) {
+      const device = deviceId && deviceToken
+        ? await Device.findOne({ deviceId, status: { $ne: 'deleted' } }).select('+credentials.secretHash')
+        : null;
+
+      if (!device || !device.verifyCredential(deviceToken)) {
+        logger.warn('Device socket authentication failed', { deviceId, ip: socket.handshake.address });
+        return next(new Error('Invalid device credentials'));
+      }
+
+      socket.data.device = {
+        deviceId: device.deviceId,
+        parentId: device.parentId.toString()
+      };
+      return next();
+    }
+
+    if (token) {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const session = decoded.purpose ? null : await findActiveSession(decoded);
+      const user = session ? await User.findById(decoded.userId).select('role isActive') : null;
+
+      if (!user || !user.isActive) {
+        return next(new Error('Session expired or revoked'));
+      }
+
+      socket.data.user = {
+        id: user._id.toString(),
+        role: user.role,
+        sessionId: session._id.toString()
+      };
+      return next();
+    }
+
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      return next(new Error('Invalid token'));
+    }
+
+    logger.error('Socket auth error:', error);
+    next(new Error('Server error during authentication'));
+  }
+};
+
+module.exports = { socketAuth };
@@ -0,0 +1,118 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Device = require('../models/Device');
+const { socketAuth } = require('./socketAuth');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Minimal stand-in for a socket.io socket during the handshake
+const handshake = (auth) => ({
+  handshake: { auth, address: '203.0.113.7' },
+  data: {}
+});
+
+// Run the middleware and resolve to whatever it passed to next()
+const authenticate = (socket) => new Promise(resolve => {
+  socketAuth(socket, resolve);
+});
+
+// A device with a freshly issued credential; resolves Device.findOne to it
+const pairedDevice = () => {
+  const device = new Device({
+    deviceId: 'device-1',
+    hardwareId: 'hardware-1',
+    parentId: new mongoose.Types.ObjectId()
+  });
+  const secret = device.issueCredential();
+
+  jest.spyOn(Device, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(device) });
+
+  return { device, secret };
+};
+
+describe('socketAuth', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('identifies a device by its secret', async () => {
+    const { device, secret } = pairedDevice();
+    const socket = handshake({ deviceId: 'device-1', deviceToken: secret });
+
+    const error = await authenticate(socket);
+
+    expect(error).toBeUndefined();
+    expect(socket.data.device).toEqual({
+      deviceId: 'device-1',
+      parentId: device.parentId.toString()
+    });
+    expect(Device.findOne).toHaveBeenCalledWith({ deviceId: 'device-1', status: { $ne: 'deleted' } });
+  });
+
+  it('rejects a device with the wrong secret', async () => {
+    pairedDevice();
+    const socket = handshake({ deviceId: 'device-1', deviceToken: 'not-the-secret' });
+
+    const error = await authenticate(socket);
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error.message).toBe('Invalid device credentials');
+    expect(socket.data.device).toBeUndefined();
+  });
+
+  it('rejects a device whose credential was revoked', async () => {
+    const { device, secret } = pairedDevice();
+    device.credentials.revokedAt = new Date();
+    const socket = handshake({ deviceId: 'device-1', deviceToken: secret });
+
+    const error = await authenticate(socket);
+
+    expect(error.message).toBe('Invalid device credentials');
+    expect(socket.data.device).toBeUndefined();
+  });
+
+  it('does not let a guest claim a device without its secret', async () => {
+    jest.spyOn(Device, 'findOne');
+    const socket = handshake({ deviceId: 'device-1' });
+
+    const error = await authenticate(socket);
+
+    expect(error.message).toBe('Invalid device credentials');
+    expect(Device.findOne).not.toHaveBeenCalled();
+    expect(socket.data.device).toBeUndefined();
+  });
+
+  it('connects a guest without a device or user identity', async () => {
+    jest.spyOn(Device, 'findOne');
+    const socket = handshake({});
+
+    const error = await authenticate(socket);
+
+    // With neither identity set the connection handler joins no device room
+    expect(error).toBeUndefined();
+    expect(socket.data.device).toBeUndefined();
+    expect(socket.data.user).toBeUndefined();
+    expect(Device.findOne).not.toHaveBeenCalled();
+  });
+
+  it('rejects a two-factor challenge token', async () => {
+    const token = jwt.sign({ userId: new mongoose.Types.ObjectId(), purpose: '2fa' }, process.env.JWT_SECRET);
+    const socket = handshake({ token });
+
+    const error = await authenticate(socket);
+
+    expect(error.message).toBe('Session expired or revoked');
+    expect(socket.data.user).toBeUndefined();
+  });
+
+  it('rejects a malformed access token', async () => {
+    const socket = handshake({ token: 'not-a-jwt' });
+
+    const error = await authenticate(socket);
+
+    expect(error.message).toBe('Invalid token');
+    expect(socket.data.user).toBeUndefined();
+  });
+});
@@ -1,4 +1,7 @@
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const { isValidTimeZone } = require('../utils/timezone');
+const { EXPORT_FORMATS } = require('../utils/locationExport');
+const { MAX_BATCH_SIZE } = require('../utils/locationIngest');
 
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -28,6 +31,12 @@ const validateRegister = [
   body('role')
     .isIn(['parent', 'child'])
     .withMessage('Role must be either parent or child'),
+  body('linkCode')
+    .optional()
+    .trim()
+    .isAlphanumeric()
+    .isLength({ min: 6, max: 6 })
+    .withMessage('Link code must be 6 characters'),
   handleValidationErrors
 ];
 
@@ -42,6 +51,94 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+const validateRefreshToken = [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  handleValidationErrors
+];
+
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  handleValidationErrors
+];
+
+const validateResetPassword = [
+  param('token')
+    .isHexadecimal()
+    .withMessage('Invalid reset token'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long'),
+  handleValidationErrors
+];
+
+const validateChangePassword = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long'),
+  handleValidationErrors
+];
+
+const validateDeleteAccount = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required to delete your account'),
+  handleValidationErrors
+];
+
+// Two-factor validation rules
+const twoFactorCodeRules = [
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Two-factor code must be 6 digits'),
+  body('backupCode')
+    .optional()
+    .isHexadecimal()
+    .isLength({ min: 8, max: 8 })
+    .withMessage('Invalid backup code'),
+  body()
+    .custom(value => Boolean(value.code || value.backupCode))
+    .withMessage('A two-factor code or backup code is required')
+];
+
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  ...twoFactorCodeRules,
+  handleValidationErrors
+];
+
+const validateTwoFactorEnable = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Two-factor code must be 6 digits'),
+  handleValidationErrors
+];
+
+const validateTwoFactorChange = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...twoFactorCodeRules,
+  handleValidationErrors
+];
+
+const validateSessionId = [
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid session ID'),
+  handleValidationErrors
+];
+
 // Device validation rules
 const validateDeviceLink = [
   body('deviceId')
@@ -50,9 +147,130 @@ const validateDeviceLink = [
     .isLength({ min: 5, max: 100 })
     .withMessage('Device ID must be between 5 and 100 characters'),
   body('childEmail')
+    .optional()
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid child email'),
+  body('childProfileId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid child profile ID'),
+  body('householdId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid household ID'),
+  handleValidationErrors
+];
+
+const validatePairingCode = [
+  body('childProfileId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid child profile ID'),
+  body('deviceName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Device name must be between 1 and 100 characters'),
+  body('householdId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid household ID'),
+  handleValidationErrors
+];
+
+// Child profile validation rules
+const validateChildProfile = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  body('birthYear')
+    .optional()
+    .isInt({ min: 1900, max: 2100 })
+    .withMessage('Invalid birth year'),
+  body('relationship')
+    .optional()
+    .isIn(['son', 'daughter', 'ward', 'other'])
+    .withMessage('Invalid relationship'),
+  body('householdId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid household ID'),
+  handleValidationErrors
+];
+
+const validateChildProfileUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  body('birthYear')
+    .optional()
+    .isInt({ min: 1900, max: 2100 })
+    .withMessage('Invalid birth year'),
+  body('relationship')
+    .optional()
+    .isIn(['son', 'daughter', 'ward', 'other'])
+    .withMessage('Invalid relationship'),
+  body('avatar')
+    .optional()
+    .isURL()
+    .withMessage('Avatar must be a URL'),
+  handleValidationErrors
+];
+
+const validateChildLinkCode = [
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  handleValidationErrors
+];
+
+const validateChildLink = [
+  body('code')
+    .trim()
+    .isAlphanumeric()
+    .isLength({ min: 6, max: 6 })
+    .withMessage('Link code must be 6 characters'),
+  handleValidationErrors
+];
+
+const validateChildId = [
+  param('childId')
+    .isMongoId()
+    .withMessage('Invalid child profile ID'),
+  handleValidationErrors
+];
+
+const validateDeviceChild = [
+  body('childProfileId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid child profile ID'),
+  handleValidationErrors
+];
+
+const validatePairingRedeem = [
+  body('code')
+    .trim()
+    .matches(/^\d{8}$/)
+    .withMessage('Pairing code must be 8 digits'),
+  body('hardwareId')
+    .notEmpty()
+    .withMessage('Hardware ID is required')
+    .isLength({ min: 5, max: 100 })
+    .withMessage('Hardware ID must be between 5 and 100 characters'),
+  handleValidationErrors
+];
+
+const validatePairingCodeId = [
+  param('codeId')
+    .isMongoId()
+    .withMessage('Invalid pairing code ID'),
   handleValidationErrors
 ];
 
@@ -124,15 +342,615 @@ const validateCommand = [
     .optional()
     .isObject()
     .withMessage('Command data must be an object'),
+  body('scheduledAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Scheduled time must be a valid date')
+    .custom(value => {
+      const delay = new Date(value).getTime() - Date.now();
+      return delay > 0 && delay <= 30 * 24 * 60 * 60 * 1000;
+    })
+    .withMessage('Scheduled time must be in the next 30 days'),
+  handleValidationErrors
+];
+
+const validateCommandId = [
+  param('commandId')
+    .isMongoId()
+    .withMessage('Invalid command ID'),
+  handleValidationErrors
+];
+
+// Command schedule validation rules
+const commandScheduleRules = (isUpdate) => {
+  // Everything but the rule's details is required when creating
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('name'))
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    required(body('deviceIds'))
+      .isArray({ min: 1, max: 20 })
+      .withMessage('Device IDs must be an array of one to twenty devices'),
+    body('deviceIds.*')
+      .isString()
+      .notEmpty()
+      .withMessage('Invalid device ID'),
+    required(body('commandType'))
+      .isIn([
+        'lock_device',
+        'unlock_device',
+        'show_message',
+        'play_sound',
+        'vibrate',
+        'take_screenshot',
+        'get_location',
+        'enable_app',
+        'disable_app',
+        'set_time_limit',
+        'update_settings'
+      ])
+      .withMessage('Invalid command type for a schedule'),
+    body('data')
+      .optional()
+      .isObject()
+      .withMessage('Command data must be an object'),
+    body('priority')
+      .optional()
+      .isIn(['low', 'normal', 'high', 'critical'])
+      .withMessage('Invalid priority'),
+    required(body('rule.type'))
+      .isIn(['weekly', 'cron'])
+      .withMessage('Rule type must be weekly or cron'),
+    body('rule.time')
+      .optional()
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Rule time must use HH:mm format'),
+    body('rule.days')
+      .optional()
+      .isArray({ min: 1, max: 7 })
+      .withMessage('Rule days must be an array of one to seven weekdays'),
+    body('rule.days.*')
+      .isInt({ min: 0, max: 6 })
+      .withMessage('Rule days must be between 0 (Sunday) and 6 (Saturday)'),
+    body('rule.cron')
+      .optional()
+      .isString()
+      .withMessage('Cron expression must be a string'),
+    body('exceptions')
+      .optional()
+      .isArray({ max: 100 })
+      .withMessage('Exceptions must be an array'),
+    body(['exceptions.*.startDate', 'exceptions.*.endDate'])
+      .optional()
+      .isISO8601({ strict: true })
+      .withMessage('Exception dates must be valid dates')
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Exception dates must be in YYYY-MM-DD format'),
+    body('enabled')
+      .optional()
+      .isBoolean()
+      .withMessage('Enabled must be a boolean'),
+    handleValidationErrors
+  ];
+};
+
+const validateCommandSchedule = commandScheduleRules(false);
+const validateCommandScheduleUpdate = commandScheduleRules(true);
+
+const validateScheduleId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid schedule ID'),
+  handleValidationErrors
+];
+
+// Geofence validation rules
+const geofenceRules = (isUpdate) => [
+  // Name and type are only required when creating
+  ...(isUpdate ? [] : [
+    body('name')
+      .exists()
+      .withMessage('Geofence name is required'),
+    body('type')
+      .exists()
+      .withMessage('Geofence type is required')
+  ]),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+  body('type')
+    .optional()
+    .isIn(['circle', 'polygon', 'address'])
+    .withMessage('Type must be circle, polygon or address'),
+  body('center.latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('center.longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body('radius')
+    .optional()
+    .isFloat({ min: 10, max: 100000 })
+    .withMessage('Radius must be between 10 and 100000 meters'),
+  body('coordinates')
+    .optional()
+    .isArray({ min: 3, max: 100 })
+    .withMessage('Polygon must have between 3 and 100 points'),
+  body('coordinates.*.latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Polygon latitudes must be between -90 and 90'),
+  body('coordinates.*.longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Polygon longitudes must be between -180 and 180'),
+  body('address')
+    .optional()
+    .custom(value => {
+      if (typeof value === 'string') return value.trim().length > 0;
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    })
+    .withMessage('Address must be a string or an address object'),
+  body('settings.dwellTime')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .withMessage('Dwell time must be between 1 and 60 minutes'),
+  body('settings.priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'critical'])
+    .withMessage('Invalid priority'),
+  body(['settings.workingHours.startTime', 'settings.workingHours.endTime'])
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Working hours must use HH:mm format'),
+  body('settings.workingHours.days')
+    .optional()
+    .isArray({ max: 7 })
+    .withMessage('Working days must be an array'),
+  body('settings.workingHours.days.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Working days must be between 0 (Sunday) and 6 (Saturday)'),
+  // Each fence type needs its own shape
+  body().custom(value => {
+    if (isUpdate && !value.type) return true;
+
+    if (value.type === 'circle' && (!value.center || value.center.latitude === undefined ||
+      value.center.longitude === undefined || value.radius === undefined)) {
+      throw new Error('Circle geofences require a center and radius');
+    }
+    if (value.type === 'polygon' && !value.coordinates) {
+      throw new Error('Polygon geofences require coordinates');
+    }
+    if (value.type === 'address' && !value.address) {
+      throw new Error('Address geofences require an address');
+    }
+    return true;
+  }),
+  handleValidationErrors
+];
+
+const validateGeofence = [
+  body('deviceId')
+    .notEmpty()
+    .withMessage('Device ID is required'),
+  ...geofenceRules(false)
+];
+
+const validateGeofenceUpdate = geofenceRules(true);
+
+const validateGeofencePause = [
+  body('paused')
+    .isBoolean()
+    .withMessage('Paused must be true or false'),
+  handleValidationErrors
+];
+
+const validateGeofencePoint = [
+  body('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body('deviceId')
+    .optional()
+    .notEmpty()
+    .withMessage('Device ID cannot be empty'),
+  handleValidationErrors
+];
+
+const validateGeofenceId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid geofence ID'),
+  handleValidationErrors
+];
+
+// Location validation rules
+const validateNearbyLocations = [
+  query('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  query('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  query('radius')
+    .optional()
+    .isFloat({ min: 1, max: 50000 })
+    .withMessage('Radius must be between 1 and 50000 meters'),
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Days must be between 1 and 365'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Limit must be between 1 and 1000'),
+  query('deviceId')
+    .optional()
+    .notEmpty()
+    .withMessage('Device ID cannot be empty'),
+  handleValidationErrors
+];
+
+// Individual points are checked during ingestion so one bad point doesn't
+// make the device retry the whole batch forever
+const validateLocationBatch = [
+  body('locations')
+    .isArray({ min: 1, max: MAX_BATCH_SIZE })
+    .withMessage(`Locations must be an array of 1 to ${MAX_BATCH_SIZE} points`),
+  body('locations.*')
+    .isObject()
+    .withMessage('Each location must be an object'),
+  body('locations.*.sequence')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Sequence must be a non-negative integer')
+    .toInt(),
+  body('bootId')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Boot ID must be 1 to 64 characters'),
+  body('bootId')
+    .custom((bootId, { req }) => bootId != null || !Array.isArray(req.body.locations) ||
+      !req.body.locations.some(location => location && location.sequence != null))
+    .withMessage('Boot ID is required with sequence numbers'),
+  handleValidationErrors
+];
+
+const validateLocationHistory = [
+  query('hours')
+    .optional()
+    .isFloat({ min: 0, max: 24 * 31 })
+    .withMessage('Hours must be between 0 and 744'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('Limit must be between 1 and 10000'),
+  query('bucket')
+    .optional()
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('Bucket must be between 1 and 1440 minutes'),
+  query('simplify')
+    .optional()
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage('Simplify tolerance must be between 0 and 1000 meters'),
+  query('removeOutliers')
+    .optional()
+    .isBoolean()
+    .withMessage('Remove outliers must be true or false'),
+  query('format')
+    .optional()
+    .isIn(['json', 'polyline'])
+    .withMessage('Format must be json or polyline'),
+  handleValidationErrors
+];
+
+const validateLocationEta = [
+  query('geofenceId')
+    .isMongoId()
+    .withMessage('Invalid geofence ID'),
+  handleValidationErrors
+];
+
+const validateLocationTimeline = [
+  query('date')
+    .optional()
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+  query('timezone')
+    .optional()
+    .custom(value => isValidTimeZone(value))
+    .withMessage('Timezone must be a valid IANA time zone'),
+  handleValidationErrors
+];
+
+const validateLocationExport = [
+  query('format')
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date'),
+  handleValidationErrors
+];
+
+// Driving validation rules
+const DRIVING_EVENT_TYPES = ['speeding', 'harsh_acceleration', 'harsh_braking', 'late_night_driving'];
+
+const validateDrivingPolicy = [
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Enabled must be a boolean'),
+  body('speeding.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Speeding enabled must be a boolean'),
+  body('speeding.threshold')
+    .optional()
+    .isFloat({ min: 20, max: 250 })
+    .withMessage('Speed threshold must be between 20 and 250 km/h'),
+  body('speeding.minDuration')
+    .optional()
+    .isInt({ min: 0, max: 600 })
+    .withMessage('Speeding duration must be between 0 and 600 seconds'),
+  body('harshDriving.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Harsh driving enabled must be a boolean'),
+  body(['harshDriving.accelerationThreshold', 'harshDriving.brakingThreshold'])
+    .optional()
+    .isFloat({ min: 1, max: 15 })
+    .withMessage('Harsh driving thresholds must be between 1 and 15 m/s²'),
+  body('lateNight.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Late-night enabled must be a boolean'),
+  body(['lateNight.startTime', 'lateNight.endTime'])
+    .optional()
+    .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+    .withMessage('Late-night times must be in HH:mm format'),
+  body('minDrivingSpeed')
+    .optional()
+    .isFloat({ min: 5, max: 60 })
+    .withMessage('Minimum driving speed must be between 5 and 60 km/h'),
+  body('alertCooldown')
+    .optional()
+    .isInt({ min: 0, max: 1440 })
+    .withMessage('Alert cooldown must be between 0 and 1440 minutes'),
+  handleValidationErrors
+];
+
+const validateDrivingEvents = [
+  query('type')
+    .optional()
+    .isIn(DRIVING_EVENT_TYPES)
+    .withMessage('Invalid driving event type'),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be in ISO 8601 format'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  handleValidationErrors
+];
+
+const validateDrivingSummary = [
+  query('weekOf')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Week must be given as a YYYY-MM-DD date'),
+  handleValidationErrors
+];
+
+// Location share validation rules
+const validateLocationShare = [
+  body('deviceId')
+    .trim()
+    .notEmpty()
+    .withMessage('Device ID is required'),
+  body('expiresIn')
+    .isInt({ min: 5, max: 7 * 24 * 60 })
+    .withMessage('Expiry must be between 5 minutes and 7 days, given in minutes')
+    .toInt(),
+  body('mode')
+    .optional()
+    .isIn(['live', 'coarse', 'geofence'])
+    .withMessage('Mode must be live, coarse or geofence'),
+  body('label')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Label cannot exceed 100 characters'),
+  handleValidationErrors
+];
+
+const validateShareId = [
+  param('shareId')
+    .isMongoId()
+    .withMessage('Invalid share ID'),
+  handleValidationErrors
+];
+
+// Arrival rule validation rules
+const arrivalRuleRules = (isUpdate) => [
+  ...(isUpdate ? [] : [
+    body('geofenceId')
+      .isMongoId()
+      .withMessage('Invalid geofence ID')
+  ]),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  body('arriveBy')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Arrival time must use HH:mm format'),
+  body('days')
+    .optional()
+    .isArray({ min: 1, max: 7 })
+    .withMessage('Days must be an array of one to seven weekdays'),
+  body('days.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Days must be between 0 (Sunday) and 6 (Saturday)'),
+  body('gracePeriod')
+    .optional()
+    .isInt({ min: 0, max: 120 })
+    .withMessage('Grace period must be between 0 and 120 minutes'),
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Enabled must be a boolean'),
+  handleValidationErrors
+];
+
+const validateArrivalRule = arrivalRuleRules(false);
+const validateArrivalRuleUpdate = arrivalRuleRules(true);
+
+const validateArrivalRuleId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid arrival rule ID'),
+  handleValidationErrors
+];
+
+// Household validation rules
+const validateHouseholdUpdate = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Household name must be between 1 and 100 characters'),
+  handleValidationErrors
+];
+
+const validateHouseholdInvitation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('role')
+    .isIn(['co_parent', 'caregiver'])
+    .withMessage('Role must be co_parent or caregiver'),
+  handleValidationErrors
+];
+
+const validateHouseholdMemberRole = [
+  body('role')
+    .isIn(['co_parent', 'caregiver'])
+    .withMessage('Role must be co_parent or caregiver'),
+  handleValidationErrors
+];
+
+const validateHouseholdInvitationToken = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid invitation token'),
+  handleValidationErrors
+];
+
+const validateHouseholdId = [
+  param('householdId')
+    .isMongoId()
+    .withMessage('Invalid household ID'),
+  handleValidationErrors
+];
+
+const validateHouseholdInvitationId = [
+  param('householdId')
+    .isMongoId()
+    .withMessage('Invalid household ID'),
+  param('invitationId')
+    .isMongoId()
+    .withMessage('Invalid invitation ID'),
+  handleValidationErrors
+];
+
+const validateHouseholdMemberId = [
+  param('householdId')
+    .isMongoId()
+    .withMessage('Invalid household ID'),
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
   handleValidationErrors
 ];
 
 module.exports = {
   validateRegister,
   validateLogin,
+  validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateChangePassword,
+  validateDeleteAccount,
+  validateTwoFactorLogin,
+  validateTwoFactorEnable,
+  validateTwoFactorChange,
+  validateSessionId,
   validateDeviceLink,
+  validatePairingCode,
+  validatePairingRedeem,
+  validatePairingCodeId,
+  validateChildProfile,
+  validateChildProfileUpdate,
+  validateChildLinkCode,
+  validateChildLink,
+  validateChildId,
+  validateDeviceChild,
   validateHeartbeat,
   validateAlert,
   validateCommand,
+  validateCommandId,
+  validateGeofence,
+  validateGeofenceUpdate,
+  validateGeofencePause,
+  validateGeofencePoint,
+  validateGeofenceId,
+  validateNearbyLocations,
+  validateLocationBatch,
+  validateLocationHistory,
+  validateLocationTimeline,
+  validateLocationEta,
+  validateLocationExport,
+  validateDrivingPolicy,
+  validateDrivingEvents,
+  validateDrivingSummary,
+  validateLocationShare,
+  validateShareId,
+  validateArrivalRule,
+  validateArrivalRuleUpdate,
+  validateArrivalRuleId,
+  validateCommandSchedule,
+  validateCommandScheduleUpdate,
+  validateScheduleId,
+  validateHouseholdUpdate,
+  validateHouseholdInvitation,
+  validateHouseholdMemberRole,
+  validateHouseholdInvitationToken,
+  validateHouseholdId,
+  validateHouseholdInvitationId,
+  validateHouseholdMemberId,
   handleValidationErrors
 };
\ No newline at end of file
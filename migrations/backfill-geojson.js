@@ -0,0 +1,72 @@
+// Backfill the GeoJSON fields used by the geospatial indexes on Location
+// (location) and Geofence (location, geometry) for documents saved before
+// they were stored.
+//
+// Usage: npm run migrate:geojson
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Location = require('../models/Location');
+const Geofence = require('../models/Geofence');
+const logger = require('../utils/logger');
+
+const backfillLocations = async () => {
+  // Done server-side in one pass; history can be large
+  const result = await Location.updateMany(
+    {
+      'location.coordinates': { $exists: false },
+      latitude: { $type: 'number' },
+      longitude: { $type: 'number' }
+    },
+    [
+      {
+        $set: {
+          location: {
+            type: 'Point',
+            coordinates: ['$longitude', '$latitude']
+          }
+        }
+      }
+    ]
+  );
+
+  return result.modifiedCount;
+};
+
+const backfillGeofences = async () => {
+  const cursor = Geofence.find({ geometry: { $exists: false } }).cursor();
+  let updated = 0;
+  let failed = 0;
+
+  for (let geofence = await cursor.next(); geofence; geofence = await cursor.next()) {
+    try {
+      geofence.syncGeometry();
+      await geofence.save();
+      updated++;
+    } catch (error) {
+      failed++;
+      logger.warn('Geofence GeoJSON backfill failed', { geofenceId: geofence._id, error: error.message });
+    }
+  }
+
+  return { updated, failed };
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/watcher');
+
+  try {
+    const locations = await backfillLocations();
+    const geofences = await backfillGeofences();
+
+    await Promise.all([Location.createIndexes(), Geofence.createIndexes()]);
+
+    logger.info('GeoJSON backfill complete', { locations, geofences });
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run().catch((error) => {
+  logger.error('GeoJSON backfill error:', error);
+  process.exit(1);
+});
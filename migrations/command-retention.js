@@ -0,0 +1,62 @@
+// Stop deleting commands when they expire: drop the old TTL index on
+// Command.expiresAt (which removed commands that alerts still pointed at) and
+// give commands that already finished a purgeAt date instead.
+//
+// Usage: npm run migrate:command-retention
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Command = require('../models/Command');
+const logger = require('../utils/logger');
+
+const dropExpiryTtl = async () => {
+  const indexes = await Command.collection.indexes();
+  const ttl = indexes.find(index =>
+    index.key.expiresAt !== undefined && index.expireAfterSeconds !== undefined
+  );
+
+  if (!ttl) return false;
+
+  await Command.collection.dropIndex(ttl.name);
+  return true;
+};
+
+const backfillPurgeAt = async () => {
+  // Counted from the command's last change, done server-side in one pass
+  const result = await Command.updateMany(
+    {
+      status: { $in: ['completed', 'failed', 'expired'] },
+      purgeAt: { $exists: false }
+    },
+    [
+      {
+        $set: {
+          purgeAt: {
+            $add: ['$updatedAt', Command.RETENTION_DAYS * 24 * 60 * 60 * 1000]
+          }
+        }
+      }
+    ]
+  );
+
+  return result.modifiedCount;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/watcher');
+
+  try {
+    const droppedTtl = await dropExpiryTtl();
+    const commands = await backfillPurgeAt();
+
+    await Command.createIndexes();
+
+    logger.info('Command retention migration complete', { droppedTtl, commands });
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run().catch((error) => {
+  logger.error('Command retention migration error:', error);
+  process.exit(1);
+});
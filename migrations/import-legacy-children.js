@@ -0,0 +1,41 @@
+// Create child profiles for the children parents listed on their own profile
+// (profile.children) before child profiles existed. Safe to run again: a
+// child that already has a profile is left alone.
+//
+// Usage: npm run migrate:children
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ChildProfile = require('../models/ChildProfile');
+const logger = require('../utils/logger');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/watcher');
+
+  try {
+    const cursor = User.find({ 'profile.children.0': { $exists: true } })
+      .select('profile.children')
+      .cursor();
+    let parents = 0;
+    let failed = 0;
+
+    for (let parent = await cursor.next(); parent; parent = await cursor.next()) {
+      try {
+        await ChildProfile.importLegacyChildren(parent);
+        parents++;
+      } catch (error) {
+        failed++;
+        logger.warn('Legacy child import failed', { userId: parent._id, error: error.message });
+      }
+    }
+
+    logger.info('Legacy child import complete', { parents, failed });
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run().catch((error) => {
+  logger.error('Legacy child import error:', error);
+  process.exit(1);
+});
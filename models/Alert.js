@@ -27,7 +27,10 @@ const alertSchema = new mongoose.Schema({
       'call',
       'sms',
       'website_visit',
-      'screenshot'
+      'screenshot',
+      'unsafe_driving',
+      'late_arrival',
+      'command_failed'
     ],
     index: true
   },
@@ -56,7 +59,47 @@ const alertSchema = new mongoose.Schema({
     screenshot: String,
     batteryLevel: Number,
     appName: String,
-    notificationText: String
+    notificationText: String,
+    geofenceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Geofence'
+    },
+    geofenceName: String,
+    geofenceEvent: {
+      type: String,
+      enum: ['enter', 'exit', 'dwell']
+    },
+    dwellTime: Number, // in minutes
+    arrivalRuleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ArrivalRule'
+    },
+    expectedBy: String, // HH:mm format
+    etaMinutes: Number,
+    commandId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Command'
+    },
+    commandType: String,
+    failureReason: String,
+    retryCount: Number,
+    drivingEventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DrivingEvent'
+    },
+    drivingEvent: {
+      type: String,
+      enum: ['speeding', 'harsh_acceleration', 'harsh_braking', 'late_night_driving']
+    },
+    speed: Number, // in km/h
+    speedLimit: Number, // in km/h
+    segment: [{
+      _id: false,
+      latitude: Number,
+      longitude: Number,
+      speed: Number,
+      timestamp: Date
+    }]
   },
   isRead: {
     type: Boolean,
@@ -77,6 +120,10 @@ const alertSchema = new mongoose.Schema({
     default: false
   },
   acknowledgedAt: Date,
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   pushSent: {
     type: Boolean,
     default: false
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// An expected arrival: on the given weekdays the device has to be in the
+// geofence by arriveBy (in the household owner's time zone), or the
+// household is alerted
+const arrivalRuleSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  geofenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Geofence',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  days: {
+    type: [{
+      type: Number, // 0-6 (Sunday-Saturday)
+      min: 0,
+      max: 6
+    }],
+    validate: {
+      validator: days => days.length > 0,
+      message: 'At least one day is required'
+    }
+  },
+  arriveBy: {
+    type: String, // HH:mm format
+    required: true,
+    match: /^([01]\d|2[0-3]):([0-5]\d)$/
+  },
+  // Extra minutes allowed before the household is alerted
+  gracePeriod: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 120
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Local date (YYYY-MM-DD) of the last day the rule was checked, and how
+  // that check went
+  lastCheckedDate: String,
+  lastResult: {
+    status: {
+      type: String,
+      enum: ['arrived', 'late']
+    },
+    arrivedAt: Date,
+    alertId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Alert'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+arrivalRuleSchema.index({ enabled: 1, lastCheckedDate: 1 });
+
+// Method to check whether the rule applies on a weekday
+arrivalRuleSchema.methods.appliesOn = function(day) {
+  return this.days.includes(day);
+};
+
+module.exports = mongoose.model('ArrivalRule', arrivalRuleSchema);
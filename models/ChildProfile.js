@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const LINK_CODE_LENGTH = 6;
+const LINK_CODE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const childProfileSchema = new mongoose.Schema({
+  // Household the child belongs to (keyed by the owner's id, like devices)
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Child name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  birthYear: {
+    type: Number,
+    min: 1900,
+    max: 2100
+  },
+  relationship: {
+    type: String,
+    enum: ['son', 'daughter', 'ward', 'other']
+  },
+  avatar: String,
+  // Child user account linked to this profile, if any
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  linkedAt: Date,
+  // Single outstanding code a child account can use to link itself
+  linkCodeHash: {
+    type: String,
+    select: false
+  },
+  linkCodeExpiresAt: {
+    type: Date,
+    select: false
+  },
+  // Entry in the parent's profile.children this profile was imported from
+  legacyChildId: mongoose.Schema.Types.ObjectId,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.linkCodeHash;
+      delete ret.linkCodeExpiresAt;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+childProfileSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { userId: { $type: 'objectId' } } });
+childProfileSchema.index({ linkCodeHash: 1 }, { sparse: true });
+childProfileSchema.index({ legacyChildId: 1 }, { unique: true, sparse: true });
+
+const hashCode = (code) => {
+  return crypto.createHash('sha256').update(String(code).toUpperCase()).digest('hex');
+};
+
+// Method to generate a code a child account can use to link to this profile.
+// Replaces any earlier code; returns the plaintext, which is never stored.
+childProfileSchema.methods.generateLinkCode = function() {
+  // Unambiguous characters only, so the code is easy to type on a phone
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  let code = '';
+  for (let i = 0; i < LINK_CODE_LENGTH; i++) {
+    code += alphabet[crypto.randomInt(alphabet.length)];
+  }
+
+  this.linkCodeHash = hashCode(code);
+  this.linkCodeExpiresAt = new Date(Date.now() + LINK_CODE_TTL);
+  return code;
+};
+
+// Method to link a child user account to the profile. Claims the profile
+// atomically so two accounts can't link with the same code; resolves to
+// false if another account got there first.
+childProfileSchema.methods.linkUser = async function(userId) {
+  const linkedAt = new Date();
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, userId: null },
+    {
+      $set: { userId, linkedAt },
+      $unset: { linkCodeHash: 1, linkCodeExpiresAt: 1 }
+    }
+  );
+
+  if (result.modifiedCount === 0) return false;
+
+  this.userId = userId;
+  this.linkedAt = linkedAt;
+  return true;
+};
+
+// Static method to find the profile a link code belongs to
+childProfileSchema.statics.findByLinkCode = function(code) {
+  return this.findOne({
+    linkCodeHash: hashCode(code),
+    linkCodeExpiresAt: { $gt: new Date() },
+    isActive: true
+  });
+};
+
+// Static method to create profiles for children listed in a parent's
+// profile.children that don't have one yet (run by
+// migrations/import-legacy-children.js)
+childProfileSchema.statics.importLegacyChildren = async function(parent) {
+  const children = (parent.profile && parent.profile.children) || [];
+
+  for (const child of children) {
+    if (!child.name) continue;
+
+    await this.updateOne(
+      { legacyChildId: child._id },
+      {
+        $setOnInsert: {
+          parentId: parent._id,
+          name: child.name,
+          birthYear: child.birthYear,
+          relationship: child.relationship,
+          createdBy: parent._id
+        }
+      },
+      { upsert: true }
+    );
+  }
+};
+
+childProfileSchema.statics.LINK_CODE_LENGTH = LINK_CODE_LENGTH;
+
+module.exports = mongoose.model('ChildProfile', childProfileSchema);
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 
+// Finished commands (completed, failed or expired) are kept this long, for
+// the command history and the alerts pointing at them, before being removed
+const RETENTION_DAYS = 90;
+
 const commandSchema = new mongoose.Schema({
   deviceId: {
     type: String,
@@ -12,6 +16,16 @@ const commandSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Household member who issued the command
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when the command was sent by a recurring schedule
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CommandSchedule'
+  },
   type: {
     type: String,
     required: true,
@@ -57,9 +71,10 @@ const commandSchema = new mongoose.Schema({
   },
   expiresAt: {
     type: Date,
-    index: true,
-    expires: 0 // TTL index for auto-deletion
+    index: true
   },
+  // Set once the command is finished; the TTL index removes it then
+  purgeAt: Date,
   retryCount: {
     type: Number,
     default: 0,
@@ -67,7 +82,19 @@ const commandSchema = new mongoose.Schema({
   },
   nextRetryAt: Date,
   scheduledAt: Date,
+  // Delivery: a command is 'sent' while one channel holds it waiting for the
+  // device's acknowledgement, and goes back to 'pending' if none arrives
+  sentAt: Date,
+  deliveryChannel: {
+    type: String,
+    enum: ['socket', 'polling']
+  },
+  deliveryAttempts: {
+    type: Number,
+    default: 0
+  },
   deliveredAt: Date,
+  executionStartedAt: Date,
   executedAt: Date,
   failureReason: String
 }, {
@@ -77,54 +104,100 @@ const commandSchema = new mongoose.Schema({
 // Compound indexes
 commandSchema.index({ deviceId: 1, status: 1 });
 commandSchema.index({ parentId: 1, createdAt: -1 });
-commandSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+commandSchema.index({ status: 1, sentAt: 1 });
+commandSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
 
 // Pre-save middleware to set expiration
 commandSchema.pre('save', function(next) {
   if (!this.expiresAt) {
-    // Default expiration: 24 hours for normal, 7 days for critical
+    // Default expiration: 24 hours for normal, 7 days for critical,
+    // counted from when a scheduled command becomes due
     const expirationHours = this.priority === 'critical' ? 168 : 24;
-    this.expiresAt = new Date(Date.now() + expirationHours * 60 * 60 * 1000);
+    const from = this.scheduledAt ? this.scheduledAt.getTime() : Date.now();
+    this.expiresAt = new Date(from + expirationHours * 60 * 60 * 1000);
   }
   next();
 });
 
-// Method to mark as delivered
-commandSchema.methods.markAsDelivered = function() {
-  this.status = 'delivered';
-  this.deliveredAt = new Date();
-  return this.save();
+// Method to mark as delivered. Acknowledgements can arrive late or twice,
+// so only a command still on its way moves forward. Resolves to the updated
+// command, or null if it had already moved on.
+commandSchema.methods.markAsDelivered = function(channel) {
+  const update = {
+    status: 'delivered',
+    deliveredAt: new Date()
+  };
+  if (channel) {
+    update.deliveryChannel = channel;
+  }
+
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: ['pending', 'sent'] } },
+    update,
+    { new: true }
+  );
 };
 
 // Method to mark as executing
 commandSchema.methods.markAsExecuting = function() {
   this.status = 'executing';
+  this.executionStartedAt = new Date();
   return this.save();
 };
 
-// Method to mark as completed
+// Method to mark as completed. Only a command waiting for its result can
+// complete; resolves to the updated command, or null otherwise.
 commandSchema.methods.markAsCompleted = function(result) {
-  this.status = 'completed';
-  this.executedAt = new Date();
-  this.executionResult = result;
-  return this.save();
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: ['delivered', 'executing'] } },
+    {
+      status: 'completed',
+      executedAt: new Date(),
+      executionResult: result,
+      purgeAt: this.constructor.purgeDate()
+    },
+    { new: true }
+  );
 };
 
-// Method to mark as failed
+// Method to mark as failed. Only applies to the command as it was loaded, so
+// an acknowledgement or result that landed in the meantime (or another worker
+// failing it first) wins. Resolves to the updated command, or null if it had
+// moved on.
 commandSchema.methods.markAsFailed = function(reason) {
-  this.retryCount += 1;
-  this.failureReason = reason;
+  const retryCount = this.retryCount + 1;
+  const update = {
+    retryCount,
+    failureReason: reason
+  };
   
-  if (this.retryCount >= 5) {
-    this.status = 'failed';
+  if (retryCount >= 5) {
+    update.status = 'failed';
+    update.purgeAt = this.constructor.purgeDate();
   } else {
-    this.status = 'pending';
+    update.status = 'pending';
     // Exponential backoff for retries
-    const backoff = Math.pow(2, this.retryCount) * 1000;
-    this.nextRetryAt = new Date(Date.now() + backoff);
+    const backoff = Math.pow(2, retryCount) * 1000;
+    update.nextRetryAt = new Date(Date.now() + backoff);
   }
   
-  return this.save();
+  return this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      status: this.status,
+      retryCount: this.retryCount,
+      sentAt: this.sentAt || null
+    },
+    update,
+    { new: true }
+  );
+};
+
+// Static method to get when a command finishing now will be removed
+commandSchema.statics.purgeDate = function() {
+  return new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
 };
 
+commandSchema.statics.RETENTION_DAYS = RETENTION_DAYS;
+
 module.exports = mongoose.model('Command', commandSchema);
\ No newline at end of file
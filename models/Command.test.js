@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const Command = require('./Command');
+
+const makeCommand = (fields = {}) => new Command({
+  deviceId: 'device-1',
+  parentId: new mongoose.Types.ObjectId(),
+  type: 'lock_device',
+  command: {},
+  ...fields
+});
+
+describe('Command state changes', () => {
+  beforeEach(() => {
+    jest.spyOn(Command, 'findOneAndUpdate').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('delivers only commands still on their way', async () => {
+    const command = makeCommand({ status: 'sent' });
+
+    await command.markAsDelivered('polling');
+
+    const [filter, update] = Command.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: command._id, status: { $in: ['pending', 'sent'] } });
+    expect(update).toMatchObject({ status: 'delivered', deliveryChannel: 'polling' });
+  });
+
+  it('completes only commands waiting for their result', async () => {
+    const command = makeCommand({ status: 'delivered' });
+
+    await command.markAsCompleted({ success: true });
+
+    const [filter, update] = Command.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: command._id, status: { $in: ['delivered', 'executing'] } });
+    expect(update).toMatchObject({ status: 'completed', executionResult: { success: true } });
+    expect(update.purgeAt.getTime()).toBeGreaterThan(Date.now() + 89 * 24 * 60 * 60 * 1000);
+  });
+
+  it('puts a failed attempt back in the queue after a backoff', async () => {
+    const sentAt = new Date();
+    const command = makeCommand({ status: 'sent', retryCount: 1, sentAt });
+
+    const before = Date.now();
+    await command.markAsFailed('Delivery was not acknowledged');
+
+    const [filter, update] = Command.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: command._id, status: 'sent', retryCount: 1, sentAt });
+    expect(update).toMatchObject({ status: 'pending', retryCount: 2, failureReason: 'Delivery was not acknowledged' });
+    expect(update.nextRetryAt.getTime()).toBeGreaterThanOrEqual(before + 4000);
+    expect(update.purgeAt).toBeUndefined();
+  });
+
+  it('fails a command for good once out of retries', async () => {
+    const command = makeCommand({ status: 'delivered', retryCount: 4 });
+
+    await command.markAsFailed('Device did not report a result in time');
+
+    const [filter, update] = Command.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ status: 'delivered', retryCount: 4, sentAt: null });
+    expect(update).toMatchObject({ status: 'failed', retryCount: 5 });
+    expect(update.purgeAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const { parseCronExpression, timesOfDay } = require('../utils/cronExpression');
+
+const timeOfDay = {
+  type: String,
+  match: /^([01]\d|2[0-3]):([0-5]\d)$/
+};
+
+const localDate = {
+  type: String,
+  match: /^\d{4}-\d{2}-\d{2}$/
+};
+
+// Schedules send a command per device each time they run, so they may not
+// run more often than this
+const MAX_RUNS_PER_DAY = 48;
+
+// Commands a schedule may send
+const SCHEDULABLE_COMMANDS = [
+  'lock_device',
+  'unlock_device',
+  'show_message',
+  'play_sound',
+  'vibrate',
+  'take_screenshot',
+  'get_location',
+  'enable_app',
+  'disable_app',
+  'set_time_limit',
+  'update_settings'
+];
+
+// A recurring command, e.g. "lock the tablet at 21:00 on school nights".
+// Times are wall-clock times in the household owner's time zone.
+const commandScheduleSchema = new mongoose.Schema({
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  deviceIds: {
+    type: [String],
+    validate: {
+      validator: deviceIds => deviceIds.length > 0,
+      message: 'At least one device is required'
+    },
+    index: true
+  },
+  commandType: {
+    type: String,
+    enum: SCHEDULABLE_COMMANDS,
+    required: true
+  },
+  command: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'normal', 'high', 'critical'],
+    default: 'high'
+  },
+  // weekly: at time on the given weekdays; cron: a five-field cron expression
+  rule: {
+    type: {
+      type: String,
+      enum: ['weekly', 'cron'],
+      required: true
+    },
+    days: [{
+      type: Number, // 0-6 (Sunday-Saturday)
+      min: 0,
+      max: 6
+    }],
+    time: timeOfDay,
+    cron: {
+      type: String,
+      trim: true
+    }
+  },
+  // Date ranges (inclusive, local dates) when the schedule doesn't run,
+  // e.g. school holidays
+  exceptions: [{
+    startDate: { ...localDate, required: true },
+    endDate: localDate,
+    label: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    }
+  }],
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Next occurrence that will run, and one the parent chose to skip
+  nextRunAt: {
+    type: Date,
+    index: true
+  },
+  skippedRunAt: Date,
+  lastRunAt: Date,
+  lastRunCommands: Number
+}, {
+  timestamps: true
+});
+
+// Indexes
+commandScheduleSchema.index({ enabled: 1, nextRunAt: 1 });
+
+// Each rule type needs its own fields
+commandScheduleSchema.pre('validate', function(next) {
+  if (this.rule.type === 'weekly') {
+    if (!this.rule.time || !this.rule.days || this.rule.days.length === 0) {
+      this.invalidate('rule', 'Weekly schedules require days and a time');
+    }
+  } else if (this.rule.type === 'cron') {
+    try {
+      if (timesOfDay(parseCronExpression(this.rule.cron)).length > MAX_RUNS_PER_DAY) {
+        this.invalidate('rule.cron', `Schedules can run at most ${MAX_RUNS_PER_DAY} times a day`);
+      }
+    } catch (error) {
+      this.invalidate('rule.cron', error.message);
+    }
+  }
+
+  this.exceptions.forEach((exception, index) => {
+    if (exception.endDate && exception.endDate < exception.startDate) {
+      this.invalidate(`exceptions.${index}.endDate`, 'Exception end date cannot be before its start date');
+    }
+  });
+
+  next();
+});
+
+// Method to get the cron expression the schedule runs on
+commandScheduleSchema.methods.cronExpression = function() {
+  if (this.rule.type === 'cron') {
+    return this.rule.cron;
+  }
+
+  const [hours, minutes] = this.rule.time.split(':').map(Number);
+  return `${minutes} ${hours} * * ${[...this.rule.days].sort().join(',')}`;
+};
+
+// Method to check if a local date falls in one of the exceptions
+commandScheduleSchema.methods.isExceptionDate = function(date) {
+  return this.exceptions.some(exception =>
+    date >= exception.startDate && date <= (exception.endDate || exception.startDate)
+  );
+};
+
+module.exports = mongoose.model('CommandSchedule', commandScheduleSchema);
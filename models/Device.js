@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 
 const deviceSchema = new mongoose.Schema({
   deviceId: {
@@ -19,10 +20,18 @@ const deviceSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Child the device belongs to
+  childProfileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChildProfile',
+    default: null,
+    index: true
+  },
+  // Child user account signed in on the device, once one is linked
   childId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    default: null,
     index: true
   },
   isOnline: {
@@ -44,6 +53,10 @@ const deviceSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  hardwareId: {
+    type: String,
+    index: true
+  },
   androidVersion: String,
   appVersion: String,
   deviceModel: String,
@@ -120,9 +133,27 @@ const deviceSchema = new mongoose.Schema({
     type: String,
     enum: ['active', 'suspended', 'deleted'],
     default: 'active'
+  },
+  credentials: {
+    secretHash: {
+      type: String,
+      select: false
+    },
+    issuedAt: Date,
+    rotatedAt: Date,
+    revokedAt: Date,
+    lastUsedAt: Date
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      if (ret.credentials) {
+        delete ret.credentials.secretHash;
+      }
+      return ret;
+    }
+  }
 });
 
 // Compound indexes
@@ -146,4 +177,43 @@ deviceSchema.methods.updateHeartbeat = function(batteryLevel, isCharging) {
   return this.save();
 };
 
+// Device secrets are random 256-bit values, so a fast hash is sufficient
+const hashSecret = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+// Method to issue a new device credential, replacing any previous one.
+// Returns the plaintext secret, which is only ever shown once.
+deviceSchema.methods.issueCredential = function() {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+
+  if (this.credentials && this.credentials.issuedAt) {
+    this.credentials.rotatedAt = now;
+  }
+  this.credentials.secretHash = hashSecret(secret);
+  this.credentials.issuedAt = now;
+  this.credentials.revokedAt = undefined;
+
+  return secret;
+};
+
+// Method to verify a device credential (requires +credentials.secretHash)
+deviceSchema.methods.verifyCredential = function(secret) {
+  if (!secret || !this.credentials || !this.credentials.secretHash || this.credentials.revokedAt) {
+    return false;
+  }
+
+  const expected = Buffer.from(this.credentials.secretHash, 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Method to revoke the current device credential
+deviceSchema.methods.revokeCredential = function() {
+  this.credentials.secretHash = undefined;
+  this.credentials.revokedAt = new Date();
+  return this.save();
+};
+
 module.exports = mongoose.model('Device', deviceSchema);
\ No newline at end of file
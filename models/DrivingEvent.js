@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const segmentPointSchema = new mongoose.Schema({
+  latitude: Number,
+  longitude: Number,
+  speed: Number, // in km/h
+  timestamp: Date
+}, { _id: false });
+
+// An unsafe-driving incident detected from a device's location reports
+const drivingEventSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: true
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  childProfileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChildProfile'
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['speeding', 'harsh_acceleration', 'harsh_braking', 'late_night_driving']
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    required: true
+  },
+  maxSpeed: Number, // in km/h
+  speedLimit: Number, // in km/h
+  acceleration: Number, // in m/s², negative when braking
+  // The stretch of track the event was detected on
+  segment: [segmentPointSchema],
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  }
+}, {
+  timestamps: true
+});
+
+drivingEventSchema.index({ deviceId: 1, startedAt: -1 });
+drivingEventSchema.index({ parentId: 1, startedAt: -1 });
+drivingEventSchema.index({ deviceId: 1, type: 1, endedAt: -1 });
+
+module.exports = mongoose.model('DrivingEvent', drivingEventSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const timeOfDay = {
+  type: String,
+  match: /^([01]\d|2[0-3]):([0-5]\d)$/
+};
+
+// Driving-safety rules for one device. Speeds are in km/h, accelerations in
+// m/s² (Location.speed itself is in m/s).
+const drivingPolicySchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  speeding: {
+    enabled: { type: Boolean, default: true },
+    threshold: { type: Number, default: 110, min: 20, max: 250 },
+    // How long the device has to stay over the threshold
+    minDuration: { type: Number, default: 15, min: 0, max: 600 } // in seconds
+  },
+  harshDriving: {
+    enabled: { type: Boolean, default: true },
+    accelerationThreshold: { type: Number, default: 3.5, min: 1, max: 15 },
+    brakingThreshold: { type: Number, default: 4, min: 1, max: 15 }
+  },
+  lateNight: {
+    enabled: { type: Boolean, default: true },
+    startTime: { ...timeOfDay, default: '23:00' },
+    endTime: { ...timeOfDay, default: '05:00' }
+  },
+  // Moving faster than this counts as driving
+  minDrivingSpeed: {
+    type: Number,
+    default: 20,
+    min: 5,
+    max: 60
+  },
+  // Minimum time between alerts of the same kind; events are still recorded
+  alertCooldown: {
+    type: Number,
+    default: 15,
+    min: 0,
+    max: 24 * 60
+  }, // in minutes
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('DrivingPolicy', drivingPolicySchema);
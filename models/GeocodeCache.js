@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const geocodeCacheSchema = new mongoose.Schema({
+  // Provider, lookup type and rounded coordinates or normalized query
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // null when the provider found nothing
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB remove entries once they expire
+geocodeCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to get a cached result. Resolves to undefined on a miss, so
+// cached "not found" results (null) can be told apart.
+geocodeCacheSchema.statics.lookup = async function(key) {
+  const entry = await this.findOneAndUpdate(
+    { key, expiresAt: { $gt: new Date() } },
+    { $inc: { hits: 1 } },
+    { new: true }
+  ).lean();
+
+  return entry ? entry.result : undefined;
+};
+
+// Static method to cache a result for ttl milliseconds
+geocodeCacheSchema.statics.store = function(key, provider, result, ttl) {
+  return this.updateOne(
+    { key },
+    {
+      $set: {
+        provider,
+        result,
+        expiresAt: new Date(Date.now() + ttl)
+      },
+      $setOnInsert: { hits: 0 }
+    },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model('GeocodeCache', geocodeCacheSchema);
@@ -0,0 +1,52 @@
+const GeocodeCache = require('./GeocodeCache');
+
+// GeocodeCache.findOneAndUpdate(...).lean() resolving to the given entry
+const found = (entry) => ({ lean: jest.fn().mockResolvedValue(entry) });
+
+describe('GeocodeCache', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns cached results and counts the hit', async () => {
+    const result = { formattedAddress: 'Damrak 1, Amsterdam' };
+    const findOneAndUpdate = jest.spyOn(GeocodeCache, 'findOneAndUpdate').mockReturnValue(found({ result }));
+
+    await expect(GeocodeCache.lookup('nominatim|reverse|52.37,4.89')).resolves.toEqual(result);
+    expect(findOneAndUpdate.mock.calls[0][1]).toEqual({ $inc: { hits: 1 } });
+  });
+
+  it('tells a cached "not found" apart from a miss', async () => {
+    jest.spyOn(GeocodeCache, 'findOneAndUpdate')
+      .mockReturnValueOnce(found({ result: null }))
+      .mockReturnValueOnce(found(null));
+
+    await expect(GeocodeCache.lookup('a')).resolves.toBeNull();
+    await expect(GeocodeCache.lookup('b')).resolves.toBeUndefined();
+  });
+
+  it('ignores entries that expired but were not removed yet', async () => {
+    const findOneAndUpdate = jest.spyOn(GeocodeCache, 'findOneAndUpdate').mockReturnValue(found(null));
+    const before = Date.now();
+
+    await GeocodeCache.lookup('a');
+
+    const { key, expiresAt } = findOneAndUpdate.mock.calls[0][0];
+    expect(key).toBe('a');
+    expect(expiresAt.$gt.getTime()).toBeGreaterThanOrEqual(before);
+  });
+
+  it('stores results until their time to live runs out', async () => {
+    const updateOne = jest.spyOn(GeocodeCache, 'updateOne').mockResolvedValue({ upsertedCount: 1 });
+    const before = Date.now();
+
+    await GeocodeCache.store('a', 'nominatim', null, 60 * 1000);
+
+    const [filter, update, options] = updateOne.mock.calls[0];
+    expect(filter).toEqual({ key: 'a' });
+    expect(update.$set).toMatchObject({ provider: 'nominatim', result: null });
+    expect(update.$set.expiresAt.getTime() - before).toBeGreaterThanOrEqual(60 * 1000);
+    expect(update.$set.expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(60 * 1000);
+    expect(options).toEqual({ upsert: true });
+  });
+});
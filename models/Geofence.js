@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const {
+  haversineDistance,
+  distanceToPolygonEdge,
+  pointInPolygon,
+  polygonArea,
+  polygonPerimeter,
+  findPolygonProblem,
+  polygonCentroid,
+  circleToPolygon,
+  toGeoJSONPolygon
+} = require('../utils/geometry');
 
 const geofenceSchema = new mongoose.Schema({
   name: {
@@ -50,7 +61,7 @@ const geofenceSchema = new mongoose.Schema({
     min: 10,
     max: 100000
   },
-  // For polygon geofences
+  // For polygon geofences (and address fences geocoded to an outline)
   coordinates: [{
     latitude: Number,
     longitude: Number
@@ -103,6 +114,25 @@ const geofenceSchema = new mongoose.Schema({
       default: 'medium'
     }
   },
+  // GeoJSON copies of the shape for geospatial queries, kept in sync on save.
+  // Circles are stored as a polygon that contains them; exact containment is
+  // always checked with containsPoint.
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: [Number] // [longitude, latitude]
+  },
+  geometry: {
+    type: {
+      type: String,
+      enum: ['Polygon']
+    },
+    coordinates: [[[Number]]]
+  },
+  // When the shape last changed (devices re-establish inside/outside then)
+  boundaryUpdatedAt: Date,
   // Geofence status
   isActive: {
     type: Boolean,
@@ -147,7 +177,8 @@ const geofenceSchema = new mongoose.Schema({
     }
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true }
 });
 
 // Indexes
@@ -160,51 +191,88 @@ geofenceSchema.index({ createdAt: 1 });
 geofenceSchema.index({ 
   location: "2dsphere" 
 });
+geofenceSchema.index({ deviceId: 1, geometry: '2dsphere' });
 
-// Virtual for location (for geospatial queries)
-geofenceSchema.virtual('location').get(function() {
-  if (this.type === 'circle' && this.center) {
-    return {
-      type: "Point",
-      coordinates: [this.center.longitude, this.center.latitude]
-    };
+// Virtual for geofence area in square meters
+geofenceSchema.virtual('area').get(function() {
+  if (this.isPolygonShape()) {
+    return polygonArea(this.coordinates);
+  }
+  if (this.radius) {
+    return Math.PI * Math.pow(this.radius, 2);
   }
   return null;
 });
 
-// Virtual for geofence area (approximate)
-geofenceSchema.virtual('area').get(function() {
-  if (this.type === 'circle') {
-    return Math.PI * Math.pow(this.radius, 2);
+// Virtual for geofence perimeter in meters
+geofenceSchema.virtual('perimeter').get(function() {
+  if (this.isPolygonShape()) {
+    return polygonPerimeter(this.coordinates);
+  }
+  if (this.radius) {
+    return 2 * Math.PI * this.radius;
   }
-  // For polygons, this would require complex calculation
   return null;
 });
 
+// Method to check if the fence is an outline rather than a circle. Address
+// fences are an outline when geocoding found one, otherwise a circle.
+geofenceSchema.methods.isPolygonShape = function() {
+  if (this.type === 'circle') return false;
+  return !!this.coordinates && this.coordinates.length >= 3;
+};
+
 // Method to check if point is inside geofence
 geofenceSchema.methods.containsPoint = function(latitude, longitude) {
-  if (this.type === 'circle') {
-    const R = 6371000; // Earth's radius in meters
-    const dLat = this.deg2rad(latitude - this.center.latitude);
-    const dLon = this.deg2rad(longitude - this.center.longitude);
-    
-    const a = 
-      Math.sin(dLat/2) * Math.sin(dLat/2) +
-      Math.cos(this.deg2rad(this.center.latitude)) * 
-      Math.cos(this.deg2rad(latitude)) * 
-      Math.sin(dLon/2) * Math.sin(dLon/2);
-    
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    const distance = R * c;
-    
+  if (this.isPolygonShape()) {
+    return pointInPolygon(latitude, longitude, this.coordinates);
+  }
+
+  if (this.type !== 'polygon' && this.center && this.center.latitude != null && this.radius) {
+    const distance = haversineDistance(latitude, longitude, this.center.latitude, this.center.longitude);
     return distance <= this.radius;
   }
-  
-  // For polygons, implement point-in-polygon algorithm
-  // This is a simplified implementation
+
   return false;
 };
 
+// Method to get the signed distance in meters from a point to the fence
+// boundary: negative inside, positive outside. Returns null if the fence
+// has no usable shape.
+geofenceSchema.methods.distanceToBoundary = function(latitude, longitude) {
+  if (this.isPolygonShape()) {
+    const distance = distanceToPolygonEdge(latitude, longitude, this.coordinates);
+    return this.containsPoint(latitude, longitude) ? -distance : distance;
+  }
+
+  // Circles, and address fences geocoded to a center and radius
+  if (this.type !== 'polygon' && this.center && this.center.latitude != null && this.radius) {
+    return haversineDistance(latitude, longitude, this.center.latitude, this.center.longitude) - this.radius;
+  }
+
+  return null;
+};
+
+// Method to rebuild the GeoJSON fields from the shape
+geofenceSchema.methods.syncGeometry = function() {
+  let outline = null;
+  let center = null;
+
+  if (this.isPolygonShape()) {
+    outline = this.coordinates.map(point => ({ latitude: point.latitude, longitude: point.longitude }));
+    center = polygonCentroid(outline);
+  } else if (this.type !== 'polygon' && this.center && this.center.latitude != null && this.radius) {
+    center = this.center;
+    outline = circleToPolygon(this.center.latitude, this.center.longitude, this.radius);
+  }
+
+  this.location = center
+    ? { type: 'Point', coordinates: [center.longitude, center.latitude] }
+    : undefined;
+  this.geometry = outline ? toGeoJSONPolygon(outline) : undefined;
+  this.boundaryUpdatedAt = new Date();
+};
+
 // Helper method to convert degrees to radians
 geofenceSchema.methods.deg2rad = function(deg) {
   return deg * (Math.PI/180);
@@ -240,9 +308,24 @@ geofenceSchema.statics.findActiveForDevice = function(deviceId, parentId) {
   });
 };
 
+// Static method to find active fences whose indexed shape contains a point.
+// Circles are indexed by a slightly larger polygon, so callers confirm with
+// containsPoint.
+geofenceSchema.statics.findIntersecting = function(latitude, longitude, filter = {}) {
+  return this.find({
+    ...filter,
+    isActive: true,
+    geometry: {
+      $geoIntersects: {
+        $geometry: { type: 'Point', coordinates: [longitude, latitude] }
+      }
+    }
+  });
+};
+
 // Static method to check point against all geofences
 geofenceSchema.statics.checkPoint = async function(latitude, longitude, deviceId, parentId) {
-  const geofences = await this.findActiveForDevice(deviceId, parentId);
+  const geofences = await this.findIntersecting(latitude, longitude, { deviceId, parentId });
   const results = [];
   
   for (const geofence of geofences) {
@@ -259,24 +342,35 @@ geofenceSchema.statics.checkPoint = async function(latitude, longitude, deviceId
   return results;
 };
 
-// Pre-save middleware to validate coordinates
-geofenceSchema.pre('save', function(next) {
+// Pre-validate middleware to validate coordinates (reported as validation errors)
+geofenceSchema.pre('validate', function(next) {
   if (this.type === 'circle') {
-    if (!this.center || !this.center.latitude || !this.center.longitude) {
-      return next(new Error('Center coordinates are required for circle geofences'));
-    }
-    
-    if (this.center.latitude < -90 || this.center.latitude > 90) {
-      return next(new Error('Latitude must be between -90 and 90'));
-    }
-    
-    if (this.center.longitude < -180 || this.center.longitude > 180) {
-      return next(new Error('Longitude must be between -180 and 180'));
+    if (!this.center || this.center.latitude == null || this.center.longitude == null) {
+      this.invalidate('center', 'Center coordinates are required for circle geofences');
+    } else if (this.center.latitude < -90 || this.center.latitude > 90) {
+      this.invalidate('center.latitude', 'Latitude must be between -90 and 90');
+    } else if (this.center.longitude < -180 || this.center.longitude > 180) {
+      this.invalidate('center.longitude', 'Longitude must be between -180 and 180');
     }
   }
   
   if (this.type === 'polygon' && (!this.coordinates || this.coordinates.length < 3)) {
-    return next(new Error('Polygon requires at least 3 coordinates'));
+    this.invalidate('coordinates', 'Polygon requires at least 3 coordinates');
+  } else if (this.isPolygonShape() && this.isModified('coordinates')) {
+    const problem = findPolygonProblem(this.coordinates);
+    if (problem) {
+      this.invalidate('coordinates', problem);
+    }
+  }
+
+  if (this.type === 'address' && !this.isPolygonShape() &&
+    (!this.center || this.center.latitude == null || !this.radius)) {
+    this.invalidate('address', 'Address geofences must be geocoded to a location');
+  }
+
+  const shapeFields = ['type', 'center', 'radius', 'coordinates'];
+  if (this.isNew || !this.geometry || shapeFields.some(field => this.isModified(field))) {
+    this.syncGeometry();
   }
   
   next();
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Last known position of a device relative to one geofence
+const geofenceStateSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: true
+  },
+  geofenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Geofence',
+    required: true,
+    index: true
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['inside', 'outside'],
+    required: true
+  },
+  enteredAt: Date,
+  exitedAt: Date,
+  // Set once a dwell event fired for the current stay
+  dwellNotifiedAt: Date,
+  // Timestamp of the last location fix that was evaluated
+  lastLocationAt: {
+    type: Date,
+    required: true
+  },
+  // Signed distance to the boundary at the last fix (negative inside)
+  lastDistance: Number
+}, {
+  timestamps: true
+});
+
+// Indexes
+geofenceStateSchema.index({ deviceId: 1, geofenceId: 1 }, { unique: true });
+
+module.exports = mongoose.model('GeofenceState', geofenceStateSchema);
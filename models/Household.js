@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Roles a household member can hold. Owners and co-parents manage the
+// household's children and devices; caregivers can only view them.
+const ROLES = ['owner', 'co_parent', 'caregiver'];
+const MANAGER_ROLES = ['owner', 'co_parent'];
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const householdSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  // Devices, alerts, commands, locations and geofences of the household are
+  // stored with the owner's id as their parentId
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  members: [memberSchema]
+}, {
+  timestamps: true
+});
+
+// Indexes
+householdSchema.index({ 'members.userId': 1 });
+
+// Method to get a member entry
+householdSchema.methods.getMember = function(userId) {
+  return this.members.find(member => member.userId.toString() === userId.toString());
+};
+
+// Method to check if a user can manage the household's children and devices
+householdSchema.methods.canManage = function(userId) {
+  const member = this.getMember(userId);
+  return !!member && MANAGER_ROLES.includes(member.role);
+};
+
+// Method to add a member (or change the role of an existing one)
+householdSchema.methods.addMember = function(userId, role, addedBy) {
+  const member = this.getMember(userId);
+  if (member) {
+    member.role = role;
+  } else {
+    this.members.push({ userId, role, addedBy });
+  }
+  return this.save();
+};
+
+// Method to remove a member
+householdSchema.methods.removeMember = function(userId) {
+  this.members = this.members.filter(member => member.userId.toString() !== userId.toString());
+  return this.save();
+};
+
+// Static method to get (or lazily create) the household owned by a parent
+householdSchema.statics.findOrCreateForOwner = async function(owner) {
+  const household = await this.findOne({ ownerId: owner._id });
+  if (household) return household;
+
+  try {
+    return await this.create({
+      name: `${owner.name}'s family`,
+      ownerId: owner._id,
+      members: [{ userId: owner._id, role: 'owner', addedBy: owner._id }]
+    });
+  } catch (error) {
+    // Created concurrently by another request
+    if (error.code === 11000) {
+      return this.findOne({ ownerId: owner._id });
+    }
+    throw error;
+  }
+};
+
+// Static method to find every household a user belongs to
+householdSchema.statics.findForMember = function(userId) {
+  return this.find({ 'members.userId': userId });
+};
+
+householdSchema.statics.ROLES = ROLES;
+householdSchema.statics.MANAGER_ROLES = MANAGER_ROLES;
+
+module.exports = mongoose.model('Household', householdSchema);
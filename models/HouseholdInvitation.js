@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const householdInvitationSchema = new mongoose.Schema({
+  householdId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+  role: {
+    type: String,
+    enum: ['co_parent', 'caregiver'],
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+householdInvitationSchema.index({ householdId: 1, email: 1, status: 1 });
+// Drop invitations a month after they expire
+householdInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Virtual for whether the invitation can still be accepted
+householdInvitationSchema.virtual('isPending').get(function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+});
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to create an invitation. Returns the document and the
+// plaintext token, which is only sent by email.
+householdInvitationSchema.statics.createInvitation = async function(data, ttlDays = 7) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const invitation = await this.create({
+    ...data,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000)
+  });
+
+  return { invitation, token };
+};
+
+// Static method to find a pending invitation by its token
+householdInvitationSchema.statics.findPendingByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Method to record the invitee's response
+householdInvitationSchema.methods.respond = function(status, userId) {
+  this.status = status;
+  this.respondedAt = new Date();
+  if (status === 'accepted') {
+    this.acceptedBy = userId;
+  }
+  return this.save();
+};
+
+module.exports = mongoose.model('HouseholdInvitation', householdInvitationSchema);
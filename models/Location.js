@@ -61,6 +61,34 @@ const locationSchema = new mongoose.Schema({
   geofenceEvent: {
     type: String,
     enum: ['enter', 'exit', 'dwell']
+  },
+  // Client sequence number, unique per device boot, for deduplicating retried
+  // uploads. The boot ID changes whenever the device's counter starts over
+  // (reinstall, cleared data), so a reset counter doesn't look like retries.
+  bootId: String,
+  sequence: {
+    type: Number,
+    min: 0
+  },
+  // When the server received the point (timestamp is when the device took it)
+  receivedAt: Date,
+  // Reverse geocoding happens in the background (see utils/geocodeQueue)
+  geocodeStatus: {
+    type: String,
+    enum: ['pending', 'processing', 'done', 'failed']
+  },
+  geocodeAttempts: {
+    type: Number,
+    default: 0
+  },
+  geocodeClaimedAt: Date,
+  // GeoJSON copy of latitude/longitude for geospatial queries
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: [Number] // [longitude, latitude]
   }
 }, {
   timestamps: true
@@ -70,6 +98,11 @@ const locationSchema = new mongoose.Schema({
 locationSchema.index({ deviceId: 1, timestamp: -1 });
 locationSchema.index({ parentId: 1, timestamp: -1 });
 locationSchema.index({ geofenceId: 1, timestamp: -1 });
+locationSchema.index(
+  { deviceId: 1, bootId: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+locationSchema.index({ geocodeStatus: 1, timestamp: -1 });
 locationSchema.index({ 
   latitude: 1, 
   longitude: 1,
@@ -81,12 +114,16 @@ locationSchema.index({
   location: "2dsphere" 
 });
 
-// Virtual for GeoJSON format
-locationSchema.virtual('location').get(function() {
-  return {
-    type: "Point",
-    coordinates: [this.longitude, this.latitude]
-  };
+// Pre-validate middleware to keep the GeoJSON point in sync
+locationSchema.pre('validate', function(next) {
+  if (this.latitude != null && this.longitude != null &&
+    (this.isNew || this.isModified('latitude') || this.isModified('longitude'))) {
+    this.location = {
+      type: 'Point',
+      coordinates: [this.longitude, this.latitude]
+    };
+  }
+  next();
 });
 
 // Method to get formatted location
@@ -117,4 +154,21 @@ locationSchema.statics.getLocationHistory = function(deviceId, startTime, endTim
     .limit(limit);
 };
 
+// Static method to find locations near a point, nearest first. Each result
+// carries its distance in meters.
+locationSchema.statics.findNear = function(latitude, longitude, maxDistance, filter = {}, limit = 100) {
+  return this.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [longitude, latitude] },
+        distanceField: 'distance',
+        maxDistance,
+        spherical: true,
+        query: filter
+      }
+    },
+    { $limit: limit }
+  ]);
+};
+
 module.exports = mongoose.model('Location', locationSchema);
\ No newline at end of file
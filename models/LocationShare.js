@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A time-boxed link that lets someone without an account follow a device
+const locationShareSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Who the link is for, e.g. "Grandma" or "Carpool"
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // live: exact position; coarse: rounded to about a kilometer;
+  // geofence: only which of the device's geofences it is in
+  mode: {
+    type: String,
+    enum: ['live', 'coarse', 'geofence'],
+    default: 'live'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  accessCount: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: Date
+}, {
+  timestamps: true
+});
+
+locationShareSchema.index({ deviceId: 1, expiresAt: -1 });
+
+// Virtual for whether the link still works
+locationShareSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+locationShareSchema.set('toJSON', { virtuals: true });
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to create a share. Returns the document and the plaintext
+// token, which only the creator ever sees.
+locationShareSchema.statics.createShare = async function(data) {
+  const token = crypto.randomBytes(24).toString('base64url');
+
+  const share = await this.create({
+    ...data,
+    tokenHash: hashToken(token)
+  });
+
+  return { share, token };
+};
+
+// Static method to find a working share by its token
+locationShareSchema.statics.findActiveByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(String(token)),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to find the working shares for a device
+locationShareSchema.statics.findActiveForDevice = function(deviceId) {
+  return this.find({
+    deviceId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Method to revoke the share
+locationShareSchema.methods.revoke = function(userId) {
+  this.revokedAt = new Date();
+  this.revokedBy = userId;
+  return this.save();
+};
+
+module.exports = mongoose.model('LocationShare', locationShareSchema);
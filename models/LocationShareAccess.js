@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Audit record of one use of a location share link
+const locationShareAccessSchema = new mongoose.Schema({
+  shareId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LocationShare',
+    required: true
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['view', 'live_subscribe'],
+    required: true
+  },
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+locationShareAccessSchema.index({ shareId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LocationShareAccess', locationShareAccessSchema);
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const CODE_LENGTH = 8;
+
+const pairingCodeSchema = new mongoose.Schema({
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  childProfileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChildProfile',
+    default: null
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  // Filled in when the code is redeemed
+  deviceId: String,
+  hardwareId: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+pairingCodeSchema.index({ parentId: 1, usedAt: 1, expiresAt: 1 });
+// Keep spent and expired codes for a day for auditing, then drop them
+pairingCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Virtual for whether the code can still be redeemed
+pairingCodeSchema.virtual('isRedeemable').get(function() {
+  return !this.usedAt && this.expiresAt > new Date();
+});
+
+const hashCode = (code) => {
+  return crypto.createHash('sha256').update(String(code)).digest('hex');
+};
+
+// Static method to create a pairing code. Returns the document and the
+// plaintext code, which is never stored.
+pairingCodeSchema.statics.generate = async function(parentId, options = {}) {
+  const { childProfileId = null, deviceName, ttlMinutes = 10 } = options;
+
+  // Retry on the (unlikely) event of a hash collision with an existing code
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const code = crypto.randomInt(0, Math.pow(10, CODE_LENGTH))
+      .toString()
+      .padStart(CODE_LENGTH, '0');
+
+    try {
+      const pairingCode = await this.create({
+        parentId,
+        childProfileId,
+        deviceName,
+        codeHash: hashCode(code),
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+      });
+      return { pairingCode, code };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error('Unable to generate a unique pairing code');
+};
+
+// Static method to find a redeemable code without consuming it
+pairingCodeSchema.statics.findRedeemable = function(code) {
+  return this.findOne({
+    codeHash: hashCode(code),
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to atomically consume a code (single use)
+pairingCodeSchema.statics.consume = function(code, hardwareId) {
+  return this.findOneAndUpdate(
+    {
+      codeHash: hashCode(code),
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      usedAt: new Date(),
+      hardwareId
+    },
+    { new: true }
+  );
+};
+
+// Method to release a consumed code if pairing could not be completed
+pairingCodeSchema.methods.release = function() {
+  this.usedAt = undefined;
+  this.hardwareId = undefined;
+  return this.save();
+};
+
+pairingCodeSchema.statics.CODE_LENGTH = CODE_LENGTH;
+
+module.exports = mongoose.model('PairingCode', pairingCodeSchema);
\ No newline at end of file
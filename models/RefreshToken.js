@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Each session owns a family of refresh tokens. Every refresh consumes the
+// presented token and issues its successor, so a token seen twice means the
+// family has leaked.
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  usedAt: Date,
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse', 'security']
+  },
+  ipAddress: String,
+  userAgent: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the token can still be exchanged
+refreshTokenSchema.virtual('isUsable').get(function() {
+  return !this.usedAt && !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to atomically consume a token (returns null if already used)
+refreshTokenSchema.statics.consume = function(tokenId) {
+  return this.findOneAndUpdate(
+    {
+      _id: tokenId,
+      usedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Static method to revoke every token in a session's family
+refreshTokenSchema.statics.revokeFamily = function(sessionId, reason = 'security') {
+  return this.updateMany(
+    {
+      sessionId,
+      revokedAt: null
+    },
+    {
+      revokedAt: new Date(),
+      revokedReason: reason
+    }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
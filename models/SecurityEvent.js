@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const securityEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'refresh_token_reuse',
+      'account_locked',
+      'suspicious_login'
+    ],
+    index: true
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'high'
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  ipAddress: String,
+  userAgent: String,
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  data: mongoose.Schema.Types.Mixed,
+  isRead: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+// Keep security events for a year
+securityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+// Static method to get recent events for user
+securityEventSchema.statics.getRecentEvents = function(userId, limit = 50) {
+  return this.find({ userId })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
@@ -27,7 +27,8 @@ const sessionSchema = new mongoose.Schema({
     city: String,
     region: String,
     latitude: Number,
-    longitude: Number
+    longitude: Number,
+    accuracyRadius: Number // in kilometers
   },
   token: {
     type: String,
@@ -116,12 +117,13 @@ sessionSchema.statics.getActiveSessions = function(userId) {
   }).sort({ lastActivity: -1 });
 };
 
-// Static method to logout all sessions for user
-sessionSchema.statics.logoutAllSessions = function(userId, reason = 'security') {
+// Static method to logout all sessions for user (optionally keeping one)
+sessionSchema.statics.logoutAllSessions = function(userId, reason = 'security', exceptSessionId = null) {
   return this.updateMany(
     {
       userId,
-      isActive: true
+      isActive: true,
+      ...(exceptSessionId && { _id: { $ne: exceptSessionId } })
     },
     {
       isActive: false,
@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const totp = require('../utils/totp');
+
+// Progressive lockout: every MAX_LOGIN_ATTEMPTS consecutive failures lock the
+// account, doubling the lock time each time up to MAX_LOCK_TIME
+const MAX_LOGIN_ATTEMPTS = 5;
+const BASE_LOCK_TIME = 15 * 60 * 1000; // 15 minutes
+const MAX_LOCK_TIME = 2 * 60 * 60 * 1000; // 2 hours
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -32,6 +39,12 @@ const userSchema = new mongoose.Schema({
     ref: 'User',
     default: null
   },
+  // Child profile a child account is linked to
+  childProfileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChildProfile',
+    default: null
+  },
   parentEmail: {
     type: String,
     lowercase: true,
@@ -62,10 +75,14 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false
   },
-  refreshToken: {
+  unlockToken: {
     type: String,
     select: false
   },
+  unlockTokenExpires: {
+    type: Date,
+    select: false
+  },
   lastLogin: {
     type: Date
   },
@@ -79,8 +96,20 @@ const userSchema = new mongoose.Schema({
     location: {
       country: String,
       city: String,
-      region: String
-    }
+      region: String,
+      latitude: Number,
+      longitude: Number,
+      accuracyRadius: Number // in kilometers
+    },
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session'
+    },
+    suspicious: {
+      type: Boolean,
+      default: false
+    },
+    reasons: [String]
   }],
   preferences: {
     notifications: {
@@ -220,11 +249,20 @@ const userSchema = new mongoose.Schema({
       type: String,
       select: false
     }],
+    // Last accepted TOTP time step, so a code can't be replayed
+    twoFactorLastStep: {
+      type: Number,
+      select: false
+    },
     lastPasswordChange: Date,
     loginAttempts: {
       type: Number,
       default: 0
     },
+    lockCount: {
+      type: Number,
+      default: 0
+    },
     lockUntil: Date
   },
   metadata: {
@@ -246,9 +284,14 @@ const userSchema = new mongoose.Schema({
       delete ret.password;
       delete ret.verificationToken;
       delete ret.resetPasswordToken;
-      delete ret.refreshToken;
+      delete ret.unlockToken;
       delete ret.twoFactorSecret;
       delete ret.backupCodes;
+      if (ret.security) {
+        delete ret.security.twoFactorSecret;
+        delete ret.security.twoFactorLastStep;
+        delete ret.security.backupCodes;
+      }
       return ret;
     }
   },
@@ -258,9 +301,14 @@ const userSchema = new mongoose.Schema({
       delete ret.password;
       delete ret.verificationToken;
       delete ret.resetPasswordToken;
-      delete ret.refreshToken;
+      delete ret.unlockToken;
       delete ret.twoFactorSecret;
       delete ret.backupCodes;
+      if (ret.security) {
+        delete ret.security.twoFactorSecret;
+        delete ret.security.twoFactorLastStep;
+        delete ret.security.backupCodes;
+      }
       return ret;
     }
   }
@@ -339,25 +387,59 @@ userSchema.methods.isLocked = function() {
   return !!(this.security.lockUntil && this.security.lockUntil > Date.now());
 };
 
-// Method to increment login attempts
-userSchema.methods.incrementLoginAttempts = function() {
+// Method to increment login attempts. Resolves to the lock expiry if this
+// attempt locked the account, otherwise null.
+userSchema.methods.incrementLoginAttempts = async function() {
   // If we have a previous lock that has expired, restart at 1
   if (this.security.lockUntil && this.security.lockUntil < Date.now()) {
-    return this.update({
-      'security.loginAttempts': 1,
-      'security.lockUntil': null
+    this.security.loginAttempts = 1;
+    this.security.lockUntil = undefined;
+    await this.updateOne({
+      $set: { 'security.loginAttempts': 1 },
+      $unset: { 'security.lockUntil': 1 }
     });
+    return null;
   }
   
   // Otherwise increment
   const updates = { $inc: { 'security.loginAttempts': 1 } };
+  let lockUntil = null;
   
   // Lock the account if we've reached max attempts and it's not already locked
-  if (this.security.loginAttempts + 1 >= 5 && !this.isLocked()) {
-    updates.$set = { 'security.lockUntil': Date.now() + 2 * 60 * 60 * 1000 }; // 2 hours
+  if (this.security.loginAttempts + 1 >= MAX_LOGIN_ATTEMPTS && !this.isLocked()) {
+    const lockTime = Math.min(BASE_LOCK_TIME * Math.pow(2, this.security.lockCount || 0), MAX_LOCK_TIME);
+    lockUntil = new Date(Date.now() + lockTime);
+    updates.$set = { 'security.lockUntil': lockUntil };
+    updates.$inc['security.lockCount'] = 1;
   }
   
-  return this.update(updates);
+  await this.updateOne(updates);
+
+  this.security.loginAttempts += 1;
+  if (lockUntil) {
+    this.security.lockUntil = lockUntil;
+    this.security.lockCount = (this.security.lockCount || 0) + 1;
+  }
+
+  return lockUntil;
+};
+
+// Method to reset login attempts after a successful login or unlock
+userSchema.methods.resetLoginAttempts = function() {
+  this.security.loginAttempts = 0;
+  this.security.lockCount = 0;
+  this.security.lockUntil = undefined;
+  return this.updateOne({
+    $set: {
+      'security.loginAttempts': 0,
+      'security.lockCount': 0
+    },
+    $unset: {
+      'security.lockUntil': 1,
+      unlockToken: 1,
+      unlockTokenExpires: 1
+    }
+  });
 };
 
 // Method to generate verification token
@@ -374,6 +456,13 @@ userSchema.methods.generatePasswordResetToken = function() {
   return this.resetPasswordToken;
 };
 
+// Method to generate account unlock token
+userSchema.methods.generateUnlockToken = function() {
+  this.unlockToken = require('crypto').randomBytes(20).toString('hex');
+  this.unlockTokenExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  return this.unlockToken;
+};
+
 // Method to generate two-factor backup codes
 userSchema.methods.generateBackupCodes = function() {
   const codes = [];
@@ -394,6 +483,17 @@ userSchema.methods.verifyBackupCode = function(code) {
   return true;
 };
 
+// Method to verify a TOTP code (requires +security.twoFactorSecret +security.twoFactorLastStep)
+userSchema.methods.verifyTwoFactorToken = function(token) {
+  const step = totp.verifyToken(this.security.twoFactorSecret, token);
+  if (step === null || step <= (this.security.twoFactorLastStep || 0)) {
+    return false;
+  }
+
+  this.security.twoFactorLastStep = step;
+  return true;
+};
+
 // Static method to find by email case-insensitively
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: new RegExp('^' + email + '$', 'i') });
@@ -431,7 +531,8 @@ userSchema.statics.cleanupExpiredTokens = function() {
     {
       $or: [
         { verificationTokenExpires: { $lt: new Date() } },
-        { resetPasswordExpires: { $lt: new Date() } }
+        { resetPasswordExpires: { $lt: new Date() } },
+        { unlockTokenExpires: { $lt: new Date() } }
       ]
     },
     {
@@ -439,7 +540,9 @@ userSchema.statics.cleanupExpiredTokens = function() {
         verificationToken: 1,
         verificationTokenExpires: 1,
         resetPasswordToken: 1,
-        resetPasswordExpires: 1
+        resetPasswordExpires: 1,
+        unlockToken: 1,
+        unlockTokenExpires: 1
       }
     }
   );
@@ -13,14 +13,17 @@ const {
 } = require('../controllers/alertController');
 const { auth } = require('../middleware/auth');
 const { requireRole } = require('../middleware/auth');
+const { deviceAuth } = require('../middleware/deviceAuth');
+const { householdAccess } = require('../middleware/householdAccess');
 const { validateAlert } = require('../middleware/validation');
 
-// Public route (called by child devices)
-router.post('/', validateAlert, createAlert);
+// Device route (called by child devices)
+router.post('/', deviceAuth, validateAlert, createAlert);
 
 // Protected routes
 router.use(auth);
 router.use(requireRole(['parent']));
+router.use(householdAccess);
 
 router.get('/', getAlerts);
 router.get('/stats/overview', getAlertStats);
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getArrivalRules,
+  createArrivalRule,
+  updateArrivalRule,
+  deleteArrivalRule
+} = require('../controllers/arrivalController');
+const { auth } = require('../middleware/auth');
+const { requireRole } = require('../middleware/auth');
+const { householdAccess } = require('../middleware/householdAccess');
+const {
+  validateArrivalRule,
+  validateArrivalRuleUpdate,
+  validateArrivalRuleId
+} = require('../middleware/validation');
+
+// All arrival rule routes require authentication
+router.use(auth);
+router.use(requireRole(['parent']));
+router.use(householdAccess);
+
+router.get('/', getArrivalRules);
+router.post('/', validateArrivalRule, createArrivalRule);
+router.put('/:id', validateArrivalRuleId, validateArrivalRuleUpdate, updateArrivalRule);
+router.delete('/:id', validateArrivalRuleId, deleteArrivalRule);
+
+module.exports = router;
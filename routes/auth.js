@@ -3,25 +3,76 @@ const router = express.Router();
 const {
   register,
   login,
+  verifyTwoFactorLogin,
+  refreshToken,
   getMe,
   updateProfile,
   changePassword,
-  logout
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  unlockAccount,
+  logout,
+  deleteAccount
 } = require('../controllers/authController');
-const { auth } = require('../middleware/auth');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes
+} = require('../controllers/twoFactorController');
+const {
+  getSessions,
+  revokeSession,
+  revokeAllSessions
+} = require('../controllers/sessionController');
+const { getSecurityEvents, getLoginHistory } = require('../controllers/securityController');
+const { auth, requireRole } = require('../middleware/auth');
+const { authLimiter, tokenLimiter } = require('../middleware/rateLimiter');
 const {
   validateRegister,
-  validateLogin
+  validateLogin,
+  validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateChangePassword,
+  validateDeleteAccount,
+  validateTwoFactorLogin,
+  validateTwoFactorEnable,
+  validateTwoFactorChange,
+  validateSessionId
 } = require('../middleware/validation');
 
 // Public routes
-router.post('/register', validateRegister, register);
-router.post('/login', validateLogin, login);
+router.post('/register', authLimiter, validateRegister, register);
+router.post('/login', authLimiter, validateLogin, login);
+router.post('/login/2fa', authLimiter, validateTwoFactorLogin, verifyTwoFactorLogin);
+router.post('/refresh', tokenLimiter, validateRefreshToken, refreshToken);
+router.get('/verify-email/:token', tokenLimiter, verifyEmail);
+router.post('/forgot-password', authLimiter, validateForgotPassword, forgotPassword);
+router.post('/reset-password/:token', authLimiter, validateResetPassword, resetPassword);
+router.get('/unlock/:token', authLimiter, unlockAccount);
 
 // Protected routes
 router.get('/me', auth, getMe);
 router.put('/profile', auth, updateProfile);
-router.put('/change-password', auth, changePassword);
+router.put('/change-password', auth, authLimiter, validateChangePassword, changePassword);
+router.post('/resend-verification', auth, authLimiter, resendVerification);
 router.post('/logout', auth, logout);
+router.delete('/account', auth, authLimiter, validateDeleteAccount, deleteAccount);
+
+// Session management
+router.get('/sessions', auth, getSessions);
+router.delete('/sessions', auth, revokeAllSessions);
+router.delete('/sessions/:sessionId', auth, validateSessionId, revokeSession);
+router.get('/security-events', auth, getSecurityEvents);
+router.get('/login-history', auth, getLoginHistory);
+
+// Two-factor authentication (parent accounts)
+router.post('/2fa/setup', auth, requireRole(['parent']), setupTwoFactor);
+router.post('/2fa/enable', auth, requireRole(['parent']), validateTwoFactorEnable, enableTwoFactor);
+router.post('/2fa/disable', auth, requireRole(['parent']), authLimiter, validateTwoFactorChange, disableTwoFactor);
+router.post('/2fa/backup-codes', auth, requireRole(['parent']), authLimiter, validateTwoFactorChange, regenerateBackupCodes);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
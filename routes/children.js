@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getChildProfiles,
+  getChildProfile,
+  getChildDevices,
+  createChildProfile,
+  updateChildProfile,
+  deleteChildProfile,
+  createLinkCode,
+  unlinkChildProfileAccount,
+  linkChildProfile
+} = require('../controllers/childController');
+const { auth } = require('../middleware/auth');
+const { requireRole } = require('../middleware/auth');
+const { householdAccess } = require('../middleware/householdAccess');
+const { authLimiter } = require('../middleware/rateLimiter');
+const {
+  validateChildProfile,
+  validateChildProfileUpdate,
+  validateChildLinkCode,
+  validateChildLink,
+  validateChildId
+} = require('../middleware/validation');
+
+router.use(auth);
+
+// Child account route (links the signed-in child to a profile)
+router.post('/link', requireRole(['child']), authLimiter, validateChildLink, linkChildProfile);
+
+// Parent routes
+router.use(requireRole(['parent']));
+router.use(householdAccess);
+
+router.get('/', getChildProfiles);
+router.post('/', validateChildProfile, createChildProfile);
+router.get('/:childId', validateChildId, getChildProfile);
+router.put('/:childId', validateChildId, validateChildProfileUpdate, updateChildProfile);
+router.delete('/:childId', validateChildId, deleteChildProfile);
+router.get('/:childId/devices', validateChildId, getChildDevices);
+router.post('/:childId/link-code', validateChildId, validateChildLinkCode, createLinkCode);
+router.delete('/:childId/account', validateChildId, unlinkChildProfileAccount);
+
+module.exports = router;
@@ -11,20 +11,23 @@ const {
 } = require('../controllers/commandController');
 const { auth } = require('../middleware/auth');
 const { requireRole } = require('../middleware/auth');
-const { validateCommand } = require('../middleware/validation');
+const { deviceAuth } = require('../middleware/deviceAuth');
+const { householdAccess } = require('../middleware/householdAccess');
+const { validateCommand, validateCommandId } = require('../middleware/validation');
 
-// Public routes (called by child devices)
-router.get('/device/:deviceId/pending', getPendingCommands);
-router.post('/:commandId/acknowledge', acknowledgeCommand);
-router.post('/:commandId/result', reportCommandResult);
+// Device routes (called by child devices)
+router.get('/device/:deviceId/pending', deviceAuth, getPendingCommands);
+router.post('/:commandId/acknowledge', deviceAuth, validateCommandId, acknowledgeCommand);
+router.post('/:commandId/result', deviceAuth, validateCommandId, reportCommandResult);
 
 // Protected routes
 router.use(auth);
 router.use(requireRole(['parent']));
+router.use(householdAccess);
 
 router.post('/', validateCommand, sendCommand);
 router.get('/device/:deviceId/history', getCommandHistory);
-router.delete('/:commandId', cancelCommand);
-router.post('/:commandId/retry', retryCommand);
+router.delete('/:commandId', validateCommandId, cancelCommand);
+router.post('/:commandId/retry', validateCommandId, retryCommand);
 
 module.exports = router;
\ No newline at end of file
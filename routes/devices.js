@@ -5,29 +5,55 @@ const {
   getDevice,
   linkDevice,
   updateDeviceSettings,
+  assignDeviceChild,
   receiveHeartbeat,
   toggleDeviceBlock,
-  deleteDevice
+  deleteDevice,
+  rotateDeviceCredential,
+  revokeDeviceCredential
 } = require('../controllers/deviceController');
+const {
+  createPairingCode,
+  getPairingCodes,
+  cancelPairingCode,
+  redeemPairingCode
+} = require('../controllers/pairingController');
 const { auth } = require('../middleware/auth');
 const { requireRole } = require('../middleware/auth');
+const { deviceAuth } = require('../middleware/deviceAuth');
+const { householdAccess } = require('../middleware/householdAccess');
+const { pairingLimiter } = require('../middleware/rateLimiter');
 const {
   validateDeviceLink,
-  validateHeartbeat
+  validatePairingCode,
+  validatePairingRedeem,
+  validateDeviceChild,
+  validateHeartbeat,
+  validatePairingCodeId
 } = require('../middleware/validation');
 
-// All device routes require authentication
+// Heartbeat endpoint (called by child device)
+router.post('/heartbeat', deviceAuth, validateHeartbeat, receiveHeartbeat);
+
+// Pairing endpoint (called by child device with a pairing code)
+router.post('/pair', pairingLimiter, validatePairingRedeem, redeemPairingCode);
+
+// All other device routes require authentication
 router.use(auth);
 router.use(requireRole(['parent']));
+router.use(householdAccess);
 
 router.get('/', getDevices);
+router.get('/pairing-codes', getPairingCodes);
+router.post('/pairing-codes', validatePairingCode, createPairingCode);
+router.delete('/pairing-codes/:codeId', validatePairingCodeId, cancelPairingCode);
 router.get('/:deviceId', getDevice);
 router.post('/link', validateDeviceLink, linkDevice);
 router.put('/:deviceId/settings', updateDeviceSettings);
+router.put('/:deviceId/child', validateDeviceChild, assignDeviceChild);
 router.put('/:deviceId/block', toggleDeviceBlock);
+router.post('/:deviceId/credentials/rotate', rotateDeviceCredential);
+router.delete('/:deviceId/credentials', revokeDeviceCredential);
 router.delete('/:deviceId', deleteDevice);
 
-// Heartbeat endpoint (called by child device)
-router.post('/heartbeat', validateHeartbeat, receiveHeartbeat);
-
 module.exports = router;
\ No newline at end of file
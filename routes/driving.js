@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getDrivingPolicy,
+  updateDrivingPolicy,
+  deleteDrivingPolicy,
+  getDrivingEvents,
+  getDrivingSummary
+} = require('../controllers/drivingController');
+const { auth } = require('../middleware/auth');
+const { requireRole } = require('../middleware/auth');
+const { householdAccess } = require('../middleware/householdAccess');
+const {
+  validateDrivingPolicy,
+  validateDrivingEvents,
+  validateDrivingSummary
+} = require('../middleware/validation');
+
+// All driving routes require authentication
+router.use(auth);
+router.use(requireRole(['parent']));
+router.use(householdAccess);
+
+router.get('/summary', validateDrivingSummary, getDrivingSummary);
+router.get('/events', validateDrivingEvents, getDrivingEvents);
+router.get('/devices/:deviceId/policy', getDrivingPolicy);
+router.put('/devices/:deviceId/policy', validateDrivingPolicy, updateDrivingPolicy);
+router.delete('/devices/:deviceId/policy', deleteDrivingPolicy);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getGeofences,
+  getGeofence,
+  createGeofence,
+  updateGeofence,
+  toggleGeofencePause,
+  deleteGeofence,
+  testPoint
+} = require('../controllers/geofenceController');
+const { auth } = require('../middleware/auth');
+const { requireRole } = require('../middleware/auth');
+const { householdAccess } = require('../middleware/householdAccess');
+const {
+  validateGeofence,
+  validateGeofenceUpdate,
+  validateGeofencePause,
+  validateGeofencePoint,
+  validateGeofenceId
+} = require('../middleware/validation');
+
+// All geofence routes require authentication
+router.use(auth);
+router.use(requireRole(['parent']));
+router.use(householdAccess);
+
+router.get('/', getGeofences);
+router.post('/', validateGeofence, createGeofence);
+router.post('/test-point', validateGeofencePoint, testPoint);
+router.get('/:id', validateGeofenceId, getGeofence);
+router.put('/:id', validateGeofenceId, validateGeofenceUpdate, updateGeofence);
+router.put('/:id/pause', validateGeofenceId, validateGeofencePause, toggleGeofencePause);
+router.delete('/:id', validateGeofenceId, deleteGeofence);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getHouseholds,
+  updateHousehold,
+  getInvitations,
+  inviteMember,
+  revokeInvitation,
+  acceptInvitation,
+  declineInvitation,
+  updateMemberRole,
+  removeMember
+} = require('../controllers/householdController');
+const { auth } = require('../middleware/auth');
+const { requireRole } = require('../middleware/auth');
+const {
+  validateHouseholdUpdate,
+  validateHouseholdInvitation,
+  validateHouseholdMemberRole,
+  validateHouseholdInvitationToken,
+  validateHouseholdId,
+  validateHouseholdInvitationId,
+  validateHouseholdMemberId
+} = require('../middleware/validation');
+
+// All household routes require a guardian account
+router.use(auth);
+router.use(requireRole(['parent']));
+
+router.get('/', getHouseholds);
+router.post('/invitations/:token/accept', validateHouseholdInvitationToken, acceptInvitation);
+router.post('/invitations/:token/decline', validateHouseholdInvitationToken, declineInvitation);
+router.put('/:householdId', validateHouseholdId, validateHouseholdUpdate, updateHousehold);
+router.get('/:householdId/invitations', validateHouseholdId, getInvitations);
+router.post('/:householdId/invitations', validateHouseholdId, validateHouseholdInvitation, inviteMember);
+router.delete('/:householdId/invitations/:invitationId', validateHouseholdInvitationId, revokeInvitation);
+router.put('/:householdId/members/:userId', validateHouseholdMemberId, validateHouseholdMemberRole, updateMemberRole);
+router.delete('/:householdId/members/:userId', validateHouseholdMemberId, removeMember);
+
+module.exports = router;
@@ -7,6 +7,13 @@ const deviceRoutes = require('./devices');
 const alertRoutes = require('./alerts');
 const commandRoutes = require('./commands');
 const locationRoutes = require('./locations');
+const householdRoutes = require('./households');
+const childRoutes = require('./children');
+const geofenceRoutes = require('./geofences');
+const drivingRoutes = require('./driving');
+const shareRoutes = require('./shares');
+const arrivalRoutes = require('./arrivals');
+const scheduleRoutes = require('./schedules');
 
 // Use routes
 router.use('/auth', authRoutes);
@@ -14,6 +21,13 @@ router.use('/devices', deviceRoutes);
 router.use('/alerts', alertRoutes);
 router.use('/commands', commandRoutes);
 router.use('/locations', locationRoutes);
+router.use('/households', householdRoutes);
+router.use('/children', childRoutes);
+router.use('/geofences', geofenceRoutes);
+router.use('/driving', drivingRoutes);
+router.use('/shares', shareRoutes);
+router.use('/arrivals', arrivalRoutes);
+router.use('/schedules', scheduleRoutes);
 
 // Health check endpoint
 router.get('/health', (req, res) => {
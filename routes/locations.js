@@ -2,24 +2,45 @@ const express = require('express');
 const router = express.Router();
 const {
   reportLocation,
+  reportLocationBatch,
   getLocationHistory,
   getCurrentLocation,
   getLocationStats,
+  getLocationTimeline,
+  getLocationEta,
+  exportLocationHistory,
+  getNearbyLocations,
   deleteLocationHistory
 } = require('../controllers/locationController');
 const { auth } = require('../middleware/auth');
 const { requireRole } = require('../middleware/auth');
+const { deviceAuth } = require('../middleware/deviceAuth');
+const { householdAccess } = require('../middleware/householdAccess');
+const {
+  validateNearbyLocations,
+  validateLocationTimeline,
+  validateLocationEta,
+  validateLocationExport,
+  validateLocationBatch,
+  validateLocationHistory
+} = require('../middleware/validation');
 
-// Public route (called by child devices)
-router.post('/report', reportLocation);
+// Device route (called by child devices)
+router.post('/report', deviceAuth, reportLocation);
+router.post('/batch', deviceAuth, validateLocationBatch, reportLocationBatch);
 
 // Protected routes
 router.use(auth);
 router.use(requireRole(['parent']));
+router.use(householdAccess);
 
-router.get('/device/:deviceId/history', getLocationHistory);
+router.get('/near', validateNearbyLocations, getNearbyLocations);
+router.get('/device/:deviceId/history', validateLocationHistory, getLocationHistory);
 router.get('/device/:deviceId/current', getCurrentLocation);
 router.get('/device/:deviceId/stats', getLocationStats);
+router.get('/device/:deviceId/timeline', validateLocationTimeline, getLocationTimeline);
+router.get('/device/:deviceId/eta', validateLocationEta, getLocationEta);
+router.get('/device/:deviceId/export', validateLocationExport, exportLocationHistory);
 router.delete('/device/:deviceId/history', deleteLocationHistory);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  skipNextRun,
+  unskipNextRun
+} = require('../controllers/scheduleController');
+const { auth } = require('../middleware/auth');
+const { requireRole } = require('../middleware/auth');
+const { householdAccess } = require('../middleware/householdAccess');
+const {
+  validateCommandSchedule,
+  validateCommandScheduleUpdate,
+  validateScheduleId
+} = require('../middleware/validation');
+
+// All schedule routes require authentication
+router.use(auth);
+router.use(requireRole(['parent']));
+router.use(householdAccess);
+
+router.get('/', getSchedules);
+router.post('/', validateCommandSchedule, createSchedule);
+router.put('/:id', validateScheduleId, validateCommandScheduleUpdate, updateSchedule);
+router.delete('/:id', validateScheduleId, deleteSchedule);
+router.post('/:id/skip', validateScheduleId, skipNextRun);
+router.delete('/:id/skip', validateScheduleId, unskipNextRun);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createShare,
+  getShares,
+  revokeShare,
+  getShareAccesses,
+  viewShare
+} = require('../controllers/shareController');
+const { auth } = require('../middleware/auth');
+const { requireRole } = require('../middleware/auth');
+const { householdAccess } = require('../middleware/householdAccess');
+const { shareLimiter } = require('../middleware/rateLimiter');
+const { validateLocationShare, validateShareId } = require('../middleware/validation');
+
+// Public route (called by whoever holds the link)
+router.get('/view/:token', shareLimiter, viewShare);
+
+// Protected routes
+router.use(auth);
+router.use(requireRole(['parent']));
+router.use(householdAccess);
+
+router.get('/', getShares);
+router.post('/', validateLocationShare, createShare);
+router.delete('/:shareId', validateShareId, revokeShare);
+router.get('/:shareId/accesses', validateShareId, getShareAccesses);
+
+module.exports = router;
@@ -13,9 +13,20 @@ const deviceRoutes = require('./routes/devices');
 const alertRoutes = require('./routes/alerts');
 const commandRoutes = require('./routes/commands');
 const locationRoutes = require('./routes/locations');
+const householdRoutes = require('./routes/households');
+const childRoutes = require('./routes/children');
+const geofenceRoutes = require('./routes/geofences');
+const drivingRoutes = require('./routes/driving');
+const shareRoutes = require('./routes/shares');
+const arrivalRoutes = require('./routes/arrivals');
+const scheduleRoutes = require('./routes/schedules');
 
 const { errorHandler } = require('./middleware/errorHandler');
 const logger = require('./utils/logger');
+const cronJobs = require('./utils/cronJobs');
+const { joinShare, describeShare } = require('./utils/locationShares');
+const { deviceRoom, handleDeviceConnected } = require('./utils/commandDelivery');
+const { socketAuth } = require('./middleware/socketAuth');
 
 const app = express();
 const server = http.createServer(app);
@@ -52,6 +63,13 @@ app.use('/api/devices', deviceRoutes);
 app.use('/api/alerts', alertRoutes);
 app.use('/api/commands', commandRoutes);
 app.use('/api/locations', locationRoutes);
+app.use('/api/households', householdRoutes);
+app.use('/api/children', childRoutes);
+app.use('/api/geofences', geofenceRoutes);
+app.use('/api/driving', drivingRoutes);
+app.use('/api/shares', shareRoutes);
+app.use('/api/arrivals', arrivalRoutes);
+app.use('/api/schedules', scheduleRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -66,12 +84,38 @@ app.get('/api/health', (req, res) => {
 app.use(errorHandler);
 
 // Socket.io connection handling
+io.use(socketAuth);
+
 io.on('connection', (socket) => {
   logger.info('Client connected:', socket.id);
 
-  socket.on('join-device', (deviceId) => {
-    socket.join(deviceId);
-    logger.info(`Socket ${socket.id} joined device room: ${deviceId}`);
+  // Devices get their commands in their own room; household members get
+  // household events in a room named after their user id
+  const { device, user } = socket.data;
+  if (device) {
+    socket.join(deviceRoom(device.deviceId));
+    handleDeviceConnected(io, device.deviceId).catch(error => {
+      logger.error('Command redelivery error:', error);
+    });
+  } else if (user) {
+    socket.join(user.id);
+  }
+
+  // Public viewers of a share link follow the shared device by token
+  socket.on('join-share', async (token, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      const joined = typeof token === 'string' ? await joinShare(socket, token) : null;
+      if (!joined) {
+        return respond({ success: false, message: 'This share link is invalid or has expired' });
+      }
+
+      respond({ success: true, share: await describeShare(joined.share, joined.device) });
+    } catch (error) {
+      logger.error('Join share error:', error);
+      respond({ success: false, message: 'Server error joining share' });
+    }
   });
 
   socket.on('disconnect', () => {
@@ -89,6 +133,7 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/watcher',
 })
 .then(() => {
   logger.info('MongoDB connected successfully');
+  cronJobs.startAllJobs(io);
 })
 .catch((err) => {
   logger.error('MongoDB connection error:', err);
@@ -104,6 +149,7 @@ server.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  cronJobs.stopAllJobs();
   server.close(() => {
     mongoose.connection.close();
     process.exit(0);
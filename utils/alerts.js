@@ -0,0 +1,68 @@
+const logger = require('./logger');
+const { sendPushNotification, sendEmailNotification, sendSMSNotification } = require('./notifications');
+const { getHouseholdMembers, emitToHousehold } = require('./households');
+
+// Send alert notifications to every household member
+// according to their own notification preferences
+const sendAlertNotifications = async (alert, parentId) => {
+  try {
+    const members = await getHouseholdMembers(parentId);
+    const title = alert.type.replace(/_/g, ' ');
+
+    for (const { user } of members) {
+      const notifications = user.preferences && user.preferences.notifications;
+      if (!notifications || !notifications.alertLevels || !notifications.alertLevels[alert.severity]) {
+        continue;
+      }
+
+      if (notifications.push) {
+        await sendPushNotification(user._id, {
+          title: `Alert: ${title}`,
+          body: alert.message,
+          data: { alertId: alert._id.toString() }
+        });
+        alert.pushSent = true;
+      }
+
+      // Email and SMS are reserved for critical alerts
+      if (alert.severity === 'critical') {
+        if (notifications.email) {
+          await sendEmailNotification(user._id, {
+            subject: `CRITICAL ALERT: ${title}`,
+            text: alert.message,
+            html: `<h2>Critical Alert</h2><p>${alert.message}</p>`
+          });
+          alert.emailSent = true;
+        }
+
+        if (notifications.sms) {
+          await sendSMSNotification(user._id, `Watcher critical alert: ${alert.message}`);
+          alert.smsSent = true;
+        }
+      }
+    }
+
+    // Update alert with notification status
+    await alert.save();
+
+  } catch (error) {
+    logger.error('Error sending alert notifications:', error);
+  }
+};
+
+// Deliver a newly created alert: emit it to every household member and
+// notify them according to their preferences
+const dispatchAlert = async (io, alert) => {
+  await emitToHousehold(io, alert.parentId, 'new-alert', alert);
+
+  try {
+    await sendAlertNotifications(alert, alert.parentId);
+  } catch (notificationError) {
+    logger.error('Alert notification error:', notificationError);
+  }
+};
+
+module.exports = {
+  sendAlertNotifications,
+  dispatchAlert
+};
@@ -0,0 +1,279 @@
+const ArrivalRule = require('../models/ArrivalRule');
+const Geofence = require('../models/Geofence');
+const GeofenceState = require('../models/GeofenceState');
+const Location = require('../models/Location');
+const Device = require('../models/Device');
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const ChildProfile = require('../models/ChildProfile');
+const logger = require('./logger');
+const { dispatchAlert } = require('./alerts');
+const { haversineDistance, initialBearing } = require('./geometry');
+const { getLocalDate, getLocalTime, getLocalDayRange, parseTimeOfDay } = require('./timezone');
+
+// Fixes from this far back are used for speed and heading
+const RECENT_WINDOW = 10 * 60 * 1000; // 10 minutes
+const MAX_FIX_ACCURACY = 200; // in meters
+
+// Slower than this the device is treated as standing still
+const MIN_MOVING_SPEED = 0.5; // in m/s
+
+// Movement needs at least this much displacement to give a heading
+const MIN_HEADING_DISPLACEMENT = 20; // in meters
+
+// Heading more than this far off the direction of the fence is not approaching
+const MAX_APPROACH_ANGLE = 75; // in degrees
+
+// A late alert is skipped if the check runs this long after the deadline
+// (e.g. the server was down), since it would no longer be useful
+const MAX_ALERT_DELAY = 60; // in minutes
+
+// Point the device is heading for: the fence's center or centroid
+const targetPoint = (geofence) => {
+  if (geofence.location && geofence.location.coordinates && geofence.location.coordinates.length === 2) {
+    const [longitude, latitude] = geofence.location.coordinates;
+    return { latitude, longitude };
+  }
+  return geofence.center;
+};
+
+// Speed (m/s) from the newest reported speeds, or else from the distance
+// covered across the recent fixes (newest first)
+const estimateSpeed = (fixes) => {
+  const reported = fixes.filter(fix => fix.speed != null && fix.speed >= 0).slice(0, 5);
+  if (reported.length > 0) {
+    return reported.reduce((sum, fix) => sum + fix.speed, 0) / reported.length;
+  }
+
+  const latest = fixes[0];
+  const oldest = fixes[fixes.length - 1];
+  const seconds = (latest.timestamp - oldest.timestamp) / 1000;
+  if (seconds < 30) return null;
+
+  return haversineDistance(oldest.latitude, oldest.longitude, latest.latitude, latest.longitude) / seconds;
+};
+
+// Heading (degrees) from the newest reported heading, or else from the
+// direction of movement across the recent fixes (newest first)
+const estimateHeading = (fixes) => {
+  const latest = fixes[0];
+  if (latest.heading != null && latest.heading >= 0) return latest.heading;
+
+  const oldest = fixes[fixes.length - 1];
+  const displacement = haversineDistance(oldest.latitude, oldest.longitude, latest.latitude, latest.longitude);
+  const uncertainty = (oldest.accuracy || 0) + (latest.accuracy || 0);
+  if (displacement < Math.max(uncertainty, MIN_HEADING_DISPLACEMENT)) return null;
+
+  return initialBearing(oldest.latitude, oldest.longitude, latest.latitude, latest.longitude);
+};
+
+// Estimate when a device will reach a geofence from its recent speed and
+// heading, assuming it keeps both and travels in a straight line. Resolves to
+// { status, distance, speed, heading, etaMinutes, estimatedArrival, lastFixAt }
+// where status is arrived, approaching, stationary, not_approaching or
+// unknown (no recent fix).
+const estimateArrival = async (device, geofence, now = new Date()) => {
+  const fixes = await Location.find({
+    deviceId: device.deviceId,
+    parentId: device.parentId,
+    timestamp: { $gte: new Date(now.getTime() - RECENT_WINDOW), $lte: now },
+    accuracy: { $lte: MAX_FIX_ACCURACY }
+  })
+    .sort({ timestamp: -1 })
+    .limit(20)
+    .select('latitude longitude accuracy speed heading timestamp')
+    .lean();
+
+  if (fixes.length === 0) {
+    return { status: 'unknown' };
+  }
+
+  const latest = fixes[0];
+  const distance = geofence.distanceToBoundary(latest.latitude, latest.longitude);
+  const estimate = {
+    distance: distance === null ? null : Math.max(Math.round(distance), 0),
+    lastFixAt: latest.timestamp
+  };
+
+  if (distance === null) {
+    return { status: 'unknown', ...estimate };
+  }
+  if (distance <= 0) {
+    return { status: 'arrived', ...estimate, etaMinutes: 0 };
+  }
+
+  const speed = estimateSpeed(fixes);
+  if (speed === null) {
+    return { status: 'unknown', ...estimate };
+  }
+
+  estimate.speed = Math.round(speed * 10) / 10;
+  if (speed < MIN_MOVING_SPEED) {
+    return { status: 'stationary', ...estimate };
+  }
+
+  // Only the part of the speed that points at the fence brings it closer
+  let closingSpeed = speed;
+  const heading = estimateHeading(fixes);
+  if (heading !== null) {
+    estimate.heading = Math.round(heading);
+
+    const target = targetPoint(geofence);
+    const bearing = initialBearing(latest.latitude, latest.longitude, target.latitude, target.longitude);
+    const offCourse = Math.abs(((heading - bearing + 540) % 360) - 180);
+    if (offCourse > MAX_APPROACH_ANGLE) {
+      return { status: 'not_approaching', ...estimate };
+    }
+    closingSpeed = speed * Math.cos(offCourse * (Math.PI / 180));
+  }
+
+  const arrival = new Date(latest.timestamp.getTime() + (distance / closingSpeed) * 1000);
+
+  return {
+    status: 'approaching',
+    ...estimate,
+    etaMinutes: Math.max(Math.round((arrival - now) / 60000), 0),
+    estimatedArrival: arrival
+  };
+};
+
+// Whether the device has been in the fence since a given instant
+const hasArrivedSince = async (rule, since) => {
+  const state = await GeofenceState.findOne({
+    deviceId: rule.deviceId,
+    geofenceId: rule.geofenceId
+  });
+  if (!state) return { arrived: false };
+
+  if (state.status === 'inside') {
+    return { arrived: true, arrivedAt: state.enteredAt };
+  }
+  return {
+    arrived: Boolean(state.exitedAt && state.exitedAt >= since),
+    arrivedAt: state.enteredAt
+  };
+};
+
+// Alert the household that a device missed its expected arrival
+const alertLateArrival = async ({ io, rule, device, geofence }) => {
+  const childProfile = device.childProfileId
+    ? await ChildProfile.findById(device.childProfileId).select('name')
+    : null;
+  const childName = childProfile ? childProfile.name : device.deviceName;
+
+  const eta = await estimateArrival(device, geofence);
+  let message = `${childName} hasn't arrived at ${geofence.name} by ${rule.arriveBy}`;
+  if (eta.status === 'approaching') {
+    message += ` (about ${eta.etaMinutes} minutes away)`;
+  }
+
+  const alert = await Alert.create({
+    deviceId: device.deviceId,
+    parentId: device.parentId,
+    type: 'late_arrival',
+    message,
+    severity: 'high',
+    data: {
+      geofenceId: geofence._id,
+      geofenceName: geofence.name,
+      arrivalRuleId: rule._id,
+      expectedBy: rule.arriveBy,
+      etaMinutes: eta.status === 'approaching' ? eta.etaMinutes : undefined,
+      location: device.location && device.location.latitude != null
+        ? {
+          latitude: device.location.latitude,
+          longitude: device.location.longitude,
+          accuracy: device.location.accuracy
+        }
+        : undefined
+    }
+  });
+
+  await dispatchAlert(io, alert);
+  return alert;
+};
+
+// Check one rule whose deadline may have passed. Each rule is checked at
+// most once per local day, claimed atomically so concurrent runs don't both
+// alert.
+const checkRule = async ({ io, rule, timeZone, now }) => {
+  const localDate = getLocalDate(now, timeZone);
+  const { day, minutes } = getLocalTime(now, timeZone);
+  if (!rule.appliesOn(day) || rule.lastCheckedDate === localDate) return null;
+
+  // The grace period never carries a deadline into the next day
+  const deadline = Math.min(parseTimeOfDay(rule.arriveBy) + rule.gracePeriod, 24 * 60 - 1);
+  if (minutes < deadline) return null;
+
+  const claimed = await ArrivalRule.findOneAndUpdate(
+    { _id: rule._id, lastCheckedDate: rule.lastCheckedDate || null },
+    { lastCheckedDate: localDate },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  // Rules set up or changed after today's deadline start counting tomorrow
+  const deadlineAt = new Date(now.getTime() - (minutes - deadline) * 60 * 1000);
+  if (rule.updatedAt > deadlineAt) return null;
+
+  const { start } = getLocalDayRange(localDate, timeZone);
+  const { arrived, arrivedAt } = await hasArrivedSince(rule, start);
+
+  if (arrived) {
+    claimed.lastResult = { status: 'arrived', arrivedAt };
+    await claimed.save();
+    return 'arrived';
+  }
+
+  const [device, geofence] = await Promise.all([
+    Device.findOne({ deviceId: rule.deviceId, parentId: rule.parentId, status: 'active' }),
+    Geofence.findOne({ _id: rule.geofenceId, parentId: rule.parentId, isActive: true })
+  ]);
+  if (!device || !geofence) return null;
+
+  claimed.lastResult = { status: 'late' };
+  if (minutes - deadline <= MAX_ALERT_DELAY) {
+    const alert = await alertLateArrival({ io, rule, device, geofence });
+    claimed.lastResult.alertId = alert._id;
+  }
+  await claimed.save();
+
+  return 'late';
+};
+
+// Check every enabled arrival rule against the current time and alert the
+// household for devices that haven't reached their fence by the deadline.
+// Resolves to { arrived, late }.
+const checkArrivalRules = async ({ io, now = new Date() } = {}) => {
+  const stats = { arrived: 0, late: 0 };
+
+  const rules = await ArrivalRule.find({ enabled: true });
+
+  // Deadlines are in the household owner's time zone
+  const timeZones = new Map();
+  for (const rule of rules) {
+    const ownerId = rule.parentId.toString();
+    if (!timeZones.has(ownerId)) {
+      const owner = await User.findById(rule.parentId).select('preferences.timezone');
+      timeZones.set(ownerId, owner && owner.preferences ? owner.preferences.timezone : undefined);
+    }
+
+    try {
+      const result = await checkRule({ io, rule, timeZone: timeZones.get(ownerId), now });
+      if (result) stats[result]++;
+    } catch (error) {
+      logger.error('Arrival rule check error:', error);
+    }
+  }
+
+  if (stats.arrived + stats.late > 0) {
+    logger.info('Arrival rules checked', stats);
+  }
+
+  return stats;
+};
+
+module.exports = {
+  estimateArrival,
+  checkArrivalRules
+};
@@ -0,0 +1,71 @@
+const Device = require('../models/Device');
+const User = require('../models/User');
+
+// Link a child user account to a child profile, and point the devices
+// already assigned to the profile at the account. Resolves to false if the
+// profile was linked to another account in the meantime.
+const linkChildAccount = async (profile, user) => {
+  const linked = await profile.linkUser(user._id);
+  if (!linked) return false;
+
+  await User.updateOne(
+    { _id: user._id },
+    { parentId: profile.parentId, childProfileId: profile._id }
+  );
+  user.parentId = profile.parentId;
+  user.childProfileId = profile._id;
+
+  await Device.updateMany(
+    { childProfileId: profile._id, status: { $ne: 'deleted' } },
+    { childId: user._id }
+  );
+
+  return true;
+};
+
+// Unlink the child account from a child profile
+const unlinkChildAccount = async (profile) => {
+  const userId = profile.userId;
+  if (!userId) return;
+
+  profile.userId = null;
+  profile.linkedAt = undefined;
+  await profile.save();
+
+  await User.updateOne(
+    { _id: userId },
+    { parentId: null, childProfileId: null }
+  );
+
+  await Device.updateMany(
+    { childProfileId: profile._id, childId: userId },
+    { childId: null }
+  );
+};
+
+// Attach a device a child signs in on to their account. Only devices already
+// in the child's household that aren't assigned to another child qualify.
+const attachChildDevice = async (user, deviceId) => {
+  if (!user.childProfileId || !deviceId) return null;
+
+  const device = await Device.findOne({
+    deviceId,
+    parentId: user.parentId,
+    status: { $ne: 'deleted' }
+  });
+
+  if (!device) return null;
+  if (device.childProfileId && !device.childProfileId.equals(user.childProfileId)) return null;
+
+  device.childProfileId = user.childProfileId;
+  device.childId = user._id;
+  await device.save();
+
+  return device;
+};
+
+module.exports = {
+  linkChildAccount,
+  unlinkChildAccount,
+  attachChildDevice
+};
@@ -0,0 +1,275 @@
+const Command = require('../models/Command');
+const Device = require('../models/Device');
+const Alert = require('../models/Alert');
+const logger = require('./logger');
+const { emitToHousehold } = require('./households');
+const { dispatchAlert } = require('./alerts');
+
+// How long a device has to acknowledge a command before it is offered again
+const SOCKET_ACK_TIMEOUT = 30 * 1000; // 30 seconds
+const POLLING_ACK_TIMEOUT = 2 * 60 * 1000; // 2 minutes
+
+// A command delivered (or executing) without a result after this long is
+// treated as failed
+const EXECUTION_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+
+// Most commands handed out by one poll
+const MAX_POLL_BATCH = 20;
+
+// Socket.io room holding a device's authenticated sockets
+const deviceRoom = (deviceId) => `device:${deviceId}`;
+
+// Pending commands that may be handed out now: not expired, due if
+// scheduled, and past their backoff if retrying. Pass a deviceId to limit it
+// to one device.
+const deliverableFilter = (deviceId, now = new Date()) => ({
+  ...(deviceId ? { deviceId } : {}),
+  status: 'pending',
+  expiresAt: { $gt: now },
+  $and: [
+    { $or: [{ scheduledAt: null }, { scheduledAt: { $lte: now } }] },
+    { $or: [{ nextRetryAt: null }, { nextRetryAt: { $lte: now } }] }
+  ]
+});
+
+// What a device receives for a command
+const commandPayload = (command) => ({
+  id: command._id,
+  type: command.type,
+  command: command.command,
+  priority: command.priority,
+  createdAt: command.createdAt
+});
+
+// Claim the next deliverable command of a device for one channel. The claim's
+// sentAt identifies it, so a late timeout can't undo a newer claim.
+const claimNext = (deviceId, channel) => {
+  const now = new Date();
+
+  return Command.findOneAndUpdate(
+    deliverableFilter(deviceId, now),
+    {
+      status: 'sent',
+      sentAt: now,
+      deliveryChannel: channel,
+      $inc: { deliveryAttempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+// Record that the device has a command and tell the household. Resolves to
+// false if it was already delivered (or cancelled) in the meantime.
+const confirmDelivery = async (io, command, channel) => {
+  const delivered = await command.markAsDelivered(channel);
+  if (!delivered) return false;
+
+  await emitToHousehold(io, delivered.parentId, 'command-status', {
+    commandId: delivered._id,
+    deviceId: delivered.deviceId,
+    status: delivered.status,
+    deliveredAt: delivered.deliveredAt,
+    channel
+  });
+
+  return true;
+};
+
+// Alert the household that a command gave up for good
+const alertCommandFailed = async (io, command) => {
+  const device = await Device.findOne({ deviceId: command.deviceId }).select('deviceName');
+  const deviceName = device ? device.deviceName : command.deviceId;
+  const commandName = command.type.replace(/_/g, ' ');
+
+  const alert = await Alert.create({
+    deviceId: command.deviceId,
+    parentId: command.parentId,
+    type: 'command_failed',
+    message: `Command "${commandName}" could not be completed on ${deviceName}: ${command.failureReason}`,
+    severity: command.priority === 'critical' ? 'critical' : 'high',
+    data: {
+      commandId: command._id,
+      commandType: command.type,
+      failureReason: command.failureReason,
+      retryCount: command.retryCount
+    }
+  });
+
+  await dispatchAlert(io, alert);
+};
+
+// Record a failed attempt through Command.markAsFailed: the command goes back
+// to pending after a backoff, or fails for good once out of retries, which
+// the household is alerted about. Resolves to the updated command, or null if
+// it moved on after it was loaded (e.g. it was acknowledged meanwhile).
+const failCommand = async (io, command, reason) => {
+  const failed = await command.markAsFailed(reason);
+  if (!failed) return null;
+
+  await emitToHousehold(io, failed.parentId, 'command-status', {
+    commandId: failed._id,
+    deviceId: failed.deviceId,
+    status: failed.status,
+    retryCount: failed.retryCount,
+    nextRetryAt: failed.status === 'pending' ? failed.nextRetryAt : undefined,
+    failureReason: reason
+  });
+
+  if (failed.status === 'failed') {
+    try {
+      await alertCommandFailed(io, failed);
+    } catch (alertError) {
+      logger.error('Command failure alert error:', alertError);
+    }
+  }
+
+  return failed;
+};
+
+// Emit a claimed command to the device's sockets and wait for the socket.io
+// acknowledgement. Without one it counts as a failed attempt.
+const emitCommand = (io, command) => {
+  io.to(deviceRoom(command.deviceId))
+    .timeout(SOCKET_ACK_TIMEOUT)
+    .emit('new-command', commandPayload(command), async (error, responses) => {
+      try {
+        if (responses && responses.length > 0) {
+          const current = await Command.findOne({ _id: command._id, sentAt: command.sentAt });
+          if (current) {
+            await confirmDelivery(io, current, 'socket');
+          }
+          return;
+        }
+
+        // Only if the claim is still current (the device may have polled it)
+        const unacknowledged = await Command.findOne({ _id: command._id, status: 'sent', sentAt: command.sentAt });
+        if (unacknowledged && await failCommand(io, unacknowledged, 'Delivery was not acknowledged')) {
+          logger.warn('Command not acknowledged', { commandId: command._id, deviceId: command.deviceId });
+        }
+      } catch (ackError) {
+        logger.error('Command acknowledgement error:', ackError);
+      }
+    });
+};
+
+// Deliver a device's deliverable commands over its socket, if it has one
+// connected. Resolves to the number of commands emitted.
+const deliverPendingCommands = async (io, deviceId) => {
+  if (!io) return 0;
+
+  const sockets = await io.in(deviceRoom(deviceId)).fetchSockets();
+  if (sockets.length === 0) return 0;
+
+  let emitted = 0;
+  let command;
+  while ((command = await claimNext(deviceId, 'socket'))) {
+    emitCommand(io, command);
+    emitted++;
+  }
+
+  return emitted;
+};
+
+// Hand a polling device its deliverable commands, claimed so a socket
+// delivery can't send them again
+const claimForPolling = async (deviceId, limit = MAX_POLL_BATCH) => {
+  const commands = [];
+
+  let command;
+  while (commands.length < limit && (command = await claimNext(deviceId, 'polling'))) {
+    commands.push(command);
+  }
+
+  return commands;
+};
+
+// A device (re)connected: release socket claims whose acknowledgement has
+// timed out (without counting a failed attempt) and deliver everything
+// waiting. Younger claims are left to their own ack or timeout, since an
+// older socket of the device may still be about to acknowledge them.
+const handleDeviceConnected = async (io, deviceId) => {
+  await Command.updateMany(
+    {
+      deviceId,
+      status: 'sent',
+      deliveryChannel: 'socket',
+      sentAt: { $lt: new Date(Date.now() - SOCKET_ACK_TIMEOUT) }
+    },
+    { status: 'pending', $unset: { sentAt: 1, deliveryChannel: 1 } }
+  );
+
+  return deliverPendingCommands(io, deviceId);
+};
+
+// Keep the queue moving:
+// - commands past their expiry before delivery are marked expired
+// - claims nobody acknowledged (e.g. the process holding them stopped, or a
+//   polling device never confirmed) and delivered commands whose result never
+//   came count as a failed attempt, to be retried after a backoff or failed
+//   for good
+// - connected devices get whatever has become deliverable, including
+//   scheduled commands that are now due and retries whose backoff is over
+// Resolves to { expired, failed, emitted }.
+const sweepCommands = async (io) => {
+  const now = Date.now();
+  const stats = { expired: 0, failed: 0, emitted: 0 };
+
+  const expired = await Command.updateMany(
+    { status: { $in: ['pending', 'sent'] }, expiresAt: { $lte: new Date(now) } },
+    {
+      status: 'expired',
+      failureReason: 'Expired before it could be delivered',
+      purgeAt: Command.purgeDate()
+    }
+  );
+  stats.expired = expired.modifiedCount;
+
+  const stale = await Command.find({
+    $or: [
+      { status: 'sent', deliveryChannel: 'socket', sentAt: { $lt: new Date(now - 2 * SOCKET_ACK_TIMEOUT) } },
+      { status: 'sent', deliveryChannel: 'polling', sentAt: { $lt: new Date(now - POLLING_ACK_TIMEOUT) } },
+      { status: 'sent', sentAt: null },
+      { status: 'delivered', deliveredAt: { $lt: new Date(now - EXECUTION_TIMEOUT) } },
+      { status: 'delivered', deliveredAt: null },
+      { status: 'executing', executionStartedAt: { $lt: new Date(now - EXECUTION_TIMEOUT) } },
+      { status: 'executing', executionStartedAt: null }
+    ]
+  });
+
+  for (const command of stale) {
+    try {
+      const reason = command.status === 'sent'
+        ? 'Delivery was not acknowledged'
+        : 'Device did not report a result in time';
+      if (await failCommand(io, command, reason)) {
+        stats.failed++;
+      }
+    } catch (error) {
+      logger.error('Command sweep error:', error);
+    }
+  }
+
+  if (io) {
+    const deviceIds = await Command.distinct('deviceId', deliverableFilter());
+    for (const deviceId of deviceIds) {
+      stats.emitted += await deliverPendingCommands(io, deviceId);
+    }
+  }
+
+  if (stats.expired + stats.failed + stats.emitted > 0) {
+    logger.info('Command queue swept', stats);
+  }
+
+  return stats;
+};
+
+module.exports = {
+  deviceRoom,
+  commandPayload,
+  confirmDelivery,
+  deliverPendingCommands,
+  claimForPolling,
+  failCommand,
+  handleDeviceConnected,
+  sweepCommands
+};
@@ -0,0 +1,164 @@
+jest.mock('./logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('./households', () => ({ emitToHousehold: jest.fn().mockResolvedValue() }));
+jest.mock('./alerts', () => ({ dispatchAlert: jest.fn().mockResolvedValue() }));
+
+const mongoose = require('mongoose');
+const Command = require('../models/Command');
+const Device = require('../models/Device');
+const Alert = require('../models/Alert');
+const { emitToHousehold } = require('./households');
+const { dispatchAlert } = require('./alerts');
+const { confirmDelivery, failCommand, sweepCommands, handleDeviceConnected } = require('./commandDelivery');
+
+const io = {};
+
+const makeCommand = (fields = {}) => new Command({
+  deviceId: 'device-1',
+  parentId: new mongoose.Types.ObjectId(),
+  type: 'lock_device',
+  command: {},
+  ...fields
+});
+
+// What Command.findOneAndUpdate would return for an update it applied
+const applied = (command, update) => makeCommand({ ...command.toObject(), ...update });
+
+describe('confirmDelivery', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('tells the household when a command is delivered', async () => {
+    const command = makeCommand({ status: 'sent' });
+    jest.spyOn(Command, 'findOneAndUpdate').mockImplementation(async (filter, update) => applied(command, update));
+
+    await expect(confirmDelivery(io, command, 'socket')).resolves.toBe(true);
+    expect(emitToHousehold).toHaveBeenCalledWith(io, command.parentId, 'command-status',
+      expect.objectContaining({ commandId: command._id, status: 'delivered', channel: 'socket' }));
+  });
+
+  it('ignores acknowledgements for commands that moved on', async () => {
+    jest.spyOn(Command, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(confirmDelivery(io, makeCommand({ status: 'completed' }), 'polling')).resolves.toBe(false);
+    expect(emitToHousehold).not.toHaveBeenCalled();
+  });
+});
+
+describe('failCommand', () => {
+  beforeEach(() => {
+    jest.spyOn(Device, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue({ deviceName: 'Tablet' }) });
+    jest.spyOn(Alert, 'create').mockImplementation(async data => data);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('reports a retry without alerting', async () => {
+    const command = makeCommand({ status: 'sent', retryCount: 0, sentAt: new Date() });
+    jest.spyOn(Command, 'findOneAndUpdate').mockImplementation(async (filter, update) => applied(command, update));
+
+    const failed = await failCommand(io, command, 'Delivery was not acknowledged');
+
+    expect(failed.status).toBe('pending');
+    expect(emitToHousehold).toHaveBeenCalledWith(io, command.parentId, 'command-status',
+      expect.objectContaining({ status: 'pending', retryCount: 1, nextRetryAt: failed.nextRetryAt }));
+    expect(Alert.create).not.toHaveBeenCalled();
+  });
+
+  it('alerts the household when a command fails for good', async () => {
+    const command = makeCommand({ status: 'executing', retryCount: 4, priority: 'critical' });
+    jest.spyOn(Command, 'findOneAndUpdate').mockImplementation(async (filter, update) => applied(command, update));
+
+    const failed = await failCommand(io, command, 'Device did not report a result in time');
+
+    expect(failed.status).toBe('failed');
+    expect(Alert.create).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'command_failed',
+      severity: 'critical',
+      message: 'Command "lock device" could not be completed on Tablet: Device did not report a result in time'
+    }));
+    expect(dispatchAlert).toHaveBeenCalled();
+  });
+
+  it('leaves a command that moved on after it was loaded alone', async () => {
+    jest.spyOn(Command, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(failCommand(io, makeCommand({ status: 'sent' }), 'Delivery was not acknowledged')).resolves.toBeNull();
+    expect(emitToHousehold).not.toHaveBeenCalled();
+    expect(Alert.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('sweepCommands', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('expires undelivered commands and fails stale claims and missing results', async () => {
+    const unacknowledged = makeCommand({ status: 'sent', sentAt: new Date(Date.now() - 5 * 60 * 1000) });
+    const noResult = makeCommand({ status: 'delivered', deliveredAt: new Date(Date.now() - 60 * 60 * 1000) });
+    const acknowledgedMeanwhile = makeCommand({ status: 'sent', sentAt: new Date(Date.now() - 5 * 60 * 1000) });
+
+    const updateMany = jest.spyOn(Command, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    const find = jest.spyOn(Command, 'find').mockResolvedValue([unacknowledged, noResult, acknowledgedMeanwhile]);
+    jest.spyOn(Command, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (filter._id.equals(acknowledgedMeanwhile._id)) return null;
+      return applied(filter._id.equals(noResult._id) ? noResult : unacknowledged, update);
+    });
+
+    const stats = await sweepCommands(null);
+
+    expect(stats).toEqual({ expired: 2, failed: 2, emitted: 0 });
+    expect(updateMany.mock.calls[0][0]).toMatchObject({ status: { $in: ['pending', 'sent'] } });
+    expect(updateMany.mock.calls[0][1]).toMatchObject({ status: 'expired' });
+    expect(find.mock.calls[0][0].$or).toEqual(expect.arrayContaining([
+      expect.objectContaining({ status: 'delivered', deliveredAt: expect.any(Object) })
+    ]));
+
+    const reasons = Command.findOneAndUpdate.mock.calls.map(([, update]) => update.failureReason);
+    expect(reasons).toEqual([
+      'Delivery was not acknowledged',
+      'Device did not report a result in time',
+      'Delivery was not acknowledged'
+    ]);
+  });
+});
+
+describe('handleDeviceConnected', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('releases only socket claims whose acknowledgement timed out', async () => {
+    const updateMany = jest.spyOn(Command, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    const before = Date.now();
+
+    await handleDeviceConnected(null, 'device-1');
+
+    const [filter, update] = updateMany.mock.calls[0];
+    expect(filter).toMatchObject({ deviceId: 'device-1', status: 'sent', deliveryChannel: 'socket' });
+    expect(before - filter.sentAt.$lt.getTime()).toBeGreaterThanOrEqual(30 * 1000);
+    // A released claim no longer matches an old socket's late acknowledgement
+    expect(update).toEqual({ status: 'pending', $unset: { sentAt: 1, deliveryChannel: 1 } });
+  });
+
+  it('delivers waiting commands to the new socket', async () => {
+    jest.spyOn(Command, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    const command = makeCommand({ status: 'sent', sentAt: new Date(), deliveryChannel: 'socket' });
+    jest.spyOn(Command, 'findOneAndUpdate').mockResolvedValueOnce(command).mockResolvedValueOnce(null);
+    const emit = jest.fn();
+    const socketIo = {
+      in: () => ({ fetchSockets: async () => [{ id: 'socket-1' }] }),
+      to: () => ({ timeout: () => ({ emit }) })
+    };
+
+    await expect(handleDeviceConnected(socketIo, 'device-1')).resolves.toBe(1);
+    expect(emit).toHaveBeenCalledWith('new-command', expect.objectContaining({ id: command._id }), expect.any(Function));
+  });
+});
@@ -0,0 +1,141 @@
+const CommandSchedule = require('../models/CommandSchedule');
+const Command = require('../models/Command');
+const Device = require('../models/Device');
+const User = require('../models/User');
+const logger = require('./logger');
+const { parseCronExpression, matchesDate, timesOfDay } = require('./cronExpression');
+const { getLocalDate, getLocalInstant, addDays } = require('./timezone');
+const { deliverPendingCommands } = require('./commandDelivery');
+
+// How far ahead to look for the next run (covers Feb 29 and long exceptions)
+const MAX_LOOKAHEAD_DAYS = 4 * 366;
+
+// A run missed by more than this (e.g. the server was down) is skipped
+// rather than sent late
+const MAX_LATENESS = 60 * 60 * 1000; // 1 hour
+
+// Schedules run in the household owner's time zone
+const getOwnerTimeZone = async (parentId) => {
+  const owner = await User.findById(parentId).select('preferences.timezone');
+  return owner && owner.preferences ? owner.preferences.timezone : undefined;
+};
+
+// First run of a schedule after an instant, leaving out exception dates and
+// the run the parent skipped. Resolves to null if it never runs again.
+const nextOccurrence = (schedule, after, timeZone) => {
+  const parsed = parseCronExpression(schedule.cronExpression());
+  const times = timesOfDay(parsed);
+  const skipped = schedule.skippedRunAt ? schedule.skippedRunAt.getTime() : null;
+
+  let date = getLocalDate(after, timeZone);
+  for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+    if (matchesDate(parsed, date) && !schedule.isExceptionDate(date)) {
+      for (const minutes of times) {
+        const run = getLocalInstant(date, minutes, timeZone);
+        if (run > after && run.getTime() !== skipped) {
+          return run;
+        }
+      }
+    }
+    date = addDays(date, 1);
+  }
+
+  return null;
+};
+
+// Work out when an enabled schedule runs next
+const refreshNextRun = (schedule, timeZone, after = new Date()) => {
+  schedule.nextRunAt = schedule.enabled ? nextOccurrence(schedule, after, timeZone) : null;
+  return schedule.nextRunAt;
+};
+
+// Create the schedule's command for each of its devices that is still active
+// in the household, and deliver them to connected devices
+const materializeCommands = async (io, schedule, runAt) => {
+  const devices = await Device.find({
+    deviceId: { $in: schedule.deviceIds },
+    parentId: schedule.parentId,
+    status: 'active'
+  }).select('deviceId');
+
+  for (const device of devices) {
+    await Command.create({
+      deviceId: device.deviceId,
+      parentId: schedule.parentId,
+      issuedBy: schedule.createdBy,
+      scheduleId: schedule._id,
+      type: schedule.commandType,
+      command: Object.fromEntries(schedule.command),
+      priority: schedule.priority,
+      scheduledAt: runAt
+    });
+
+    await deliverPendingCommands(io, device.deviceId);
+  }
+
+  return devices.length;
+};
+
+// Run every enabled schedule that is due. Each run is claimed by moving the
+// schedule's nextRunAt forward, so concurrent workers don't both send it.
+// Resolves to { run, missed, commands }.
+const runDueSchedules = async ({ io, now = new Date() } = {}) => {
+  const stats = { run: 0, missed: 0, commands: 0 };
+
+  const schedules = await CommandSchedule.find({
+    enabled: true,
+    nextRunAt: { $lte: now }
+  });
+
+  const timeZones = new Map();
+  for (const schedule of schedules) {
+    try {
+      const ownerId = schedule.parentId.toString();
+      if (!timeZones.has(ownerId)) {
+        timeZones.set(ownerId, await getOwnerTimeZone(schedule.parentId));
+      }
+
+      const runAt = schedule.nextRunAt;
+      const update = {
+        lastRunAt: runAt,
+        nextRunAt: nextOccurrence(schedule, now, timeZones.get(ownerId))
+      };
+      if (schedule.skippedRunAt && schedule.skippedRunAt <= now) {
+        update.$unset = { skippedRunAt: 1 };
+      }
+
+      const claimed = await CommandSchedule.findOneAndUpdate(
+        { _id: schedule._id, nextRunAt: runAt },
+        update
+      );
+      if (!claimed) continue;
+
+      if (now - runAt > MAX_LATENESS) {
+        logger.warn('Command schedule run missed', { scheduleId: schedule._id, runAt });
+        stats.missed++;
+        continue;
+      }
+
+      const count = await materializeCommands(io, schedule, runAt);
+      await CommandSchedule.updateOne({ _id: schedule._id }, { lastRunCommands: count });
+
+      stats.run++;
+      stats.commands += count;
+    } catch (error) {
+      logger.error('Command schedule run error:', error);
+    }
+  }
+
+  if (stats.run + stats.missed > 0) {
+    logger.info('Command schedules run', stats);
+  }
+
+  return stats;
+};
+
+module.exports = {
+  getOwnerTimeZone,
+  nextOccurrence,
+  refreshNextRun,
+  runDueSchedules
+};
@@ -0,0 +1,93 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week),
+// supporting *, lists, ranges and steps. Day of week 0 and 7 are Sunday.
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Values one field matches, e.g. "1-5", "*/15" or "0,30"
+const parseField = (text, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${name} field "${text}"`);
+    }
+
+    const [, range, first, last, step] = match;
+    const start = range === '*' ? min : parseInt(first);
+    const end = range === '*' ? max : (last !== undefined ? parseInt(last) : (step ? max : start));
+    const increment = step ? parseInt(step) : 1;
+
+    if (start < min || end > max || start > end || increment < 1) {
+      throw new Error(`Invalid ${name} field "${text}"`);
+    }
+
+    for (let value = start; value <= end; value += increment) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+// Parse an expression into the values each field matches. Throws an Error
+// describing the problem if the expression is invalid.
+const parseCronExpression = (expression) => {
+  const parts = typeof expression === 'string' ? expression.trim().split(/\s+/) : [];
+  if (parts.length !== 5) {
+    throw new Error('Cron expressions need five fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // 7 is another name for Sunday
+  if (daysOfWeek.delete(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // As in cron, when both day fields are restricted either one matching is enough
+    dayOfMonthRestricted: !parts[2].startsWith('*'),
+    dayOfWeekRestricted: !parts[4].startsWith('*')
+  };
+};
+
+// Whether a parsed expression runs on a YYYY-MM-DD date
+const matchesDate = (parsed, localDate) => {
+  const [year, month, day] = localDate.split('-').map(Number);
+  if (!parsed.months.has(month)) return false;
+
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const dayOfMonthMatches = parsed.daysOfMonth.has(day);
+  const dayOfWeekMatches = parsed.daysOfWeek.has(weekday);
+
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+    return dayOfMonthMatches || dayOfWeekMatches;
+  }
+  return dayOfMonthMatches && dayOfWeekMatches;
+};
+
+// Times of day (minutes since midnight) a parsed expression runs at, in order
+const timesOfDay = (parsed) => {
+  const times = [];
+  parsed.hours.forEach(hour => {
+    parsed.minutes.forEach(minute => times.push(hour * 60 + minute));
+  });
+  return times;
+};
+
+module.exports = {
+  parseCronExpression,
+  matchesDate,
+  timesOfDay
+};
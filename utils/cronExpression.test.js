@@ -0,0 +1,81 @@
+const { parseCronExpression, matchesDate, timesOfDay } = require('./cronExpression');
+
+describe('parseCronExpression', () => {
+  it('expands lists, ranges and steps', () => {
+    const parsed = parseCronExpression('0,30 9-17/4 * * 1-5');
+
+    expect(parsed.minutes).toEqual([0, 30]);
+    expect(parsed.hours).toEqual([9, 13, 17]);
+    expect([...parsed.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('steps from a single value to the end of the field', () => {
+    expect(parseCronExpression('10/20 * * * *').minutes).toEqual([10, 30, 50]);
+  });
+
+  it('treats 7 as Sunday', () => {
+    expect([...parseCronExpression('0 8 * * 6,7').daysOfWeek].sort()).toEqual([0, 6]);
+  });
+
+  it.each([
+    ['too few fields', '0 8 * *', 'five fields'],
+    ['a value out of range', '60 8 * * *', 'Invalid minute field "60"'],
+    ['a backwards range', '0 8 * * 5-1', 'Invalid day of week field "5-1"'],
+    ['a zero step', '*/0 * * * *', 'Invalid minute field "*/0"'],
+    ['names', '0 8 * * MON', 'Invalid day of week field "MON"']
+  ])('rejects %s', (description, expression, message) => {
+    expect(() => parseCronExpression(expression)).toThrow(message);
+  });
+
+  it('rejects anything but a string', () => {
+    expect(() => parseCronExpression(undefined)).toThrow('five fields');
+  });
+});
+
+describe('matchesDate', () => {
+  // 2024-07-01 is a Monday
+  it('matches the day of the week when only it is restricted', () => {
+    const parsed = parseCronExpression('0 8 * * 1');
+
+    expect(matchesDate(parsed, '2024-07-01')).toBe(true);
+    expect(matchesDate(parsed, '2024-07-02')).toBe(false);
+  });
+
+  it('matches the day of the month when only it is restricted', () => {
+    const parsed = parseCronExpression('0 8 15 * *');
+
+    expect(matchesDate(parsed, '2024-07-15')).toBe(true);
+    expect(matchesDate(parsed, '2024-07-01')).toBe(false);
+  });
+
+  it('matches either day field when both are restricted', () => {
+    // The 15th, and every Saturday
+    const parsed = parseCronExpression('0 8 15 * 6');
+
+    expect(matchesDate(parsed, '2024-07-15')).toBe(true);
+    expect(matchesDate(parsed, '2024-07-06')).toBe(true);
+    expect(matchesDate(parsed, '2024-07-16')).toBe(false);
+  });
+
+  it('counts a stepped wildcard as unrestricted', () => {
+    // Every other day of the month, but only on weekdays
+    const parsed = parseCronExpression('0 8 */2 * 1-5');
+
+    expect(matchesDate(parsed, '2024-07-01')).toBe(true);
+    expect(matchesDate(parsed, '2024-07-02')).toBe(false);
+    expect(matchesDate(parsed, '2024-07-07')).toBe(false);
+  });
+
+  it('requires the month to match', () => {
+    const parsed = parseCronExpression('0 8 15 1 6');
+
+    expect(matchesDate(parsed, '2024-07-15')).toBe(false);
+    expect(matchesDate(parsed, '2024-01-15')).toBe(true);
+  });
+});
+
+describe('timesOfDay', () => {
+  it('lists every hour and minute combination in order', () => {
+    expect(timesOfDay(parseCronExpression('45,15 20,7 * * *'))).toEqual([435, 465, 1215, 1245]);
+  });
+});
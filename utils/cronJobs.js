@@ -4,9 +4,23 @@ const Session = require('../models/Session');
 const Alert = require('../models/Alert');
 const Device = require('../models/Device');
 const logger = require('./logger');
+const { processGeocodeQueue } = require('./geocodeQueue');
+const { checkArrivalRules } = require('./arrivals');
+const { sweepCommands } = require('./commandDelivery');
+const { runDueSchedules } = require('./commandSchedules');
+
+// Socket.io server, set when the jobs are started, for jobs that alert
+let io = null;
+
+// Jobs are only created here; startAllJobs starts them once the database is
+// connected and the socket.io server exists
+const jobs = [];
+const scheduleJob = (expression, task) => {
+  jobs.push(cron.schedule(expression, task, { scheduled: false }));
+};
 
 // Cleanup expired sessions every hour
-cron.schedule('0 * * * *', async () => {
+scheduleJob('0 * * * *', async () => {
   try {
     const result = await Session.cleanupExpiredSessions();
     logger.info(`Cleaned up ${result.deletedCount} expired sessions`);
@@ -16,7 +30,7 @@ cron.schedule('0 * * * *', async () => {
 });
 
 // Cleanup expired tokens daily at midnight
-cron.schedule('0 0 * * *', async () => {
+scheduleJob('0 0 * * *', async () => {
   try {
     const result = await User.cleanupExpiredTokens();
     logger.info('Cleaned up expired verification and reset tokens');
@@ -26,7 +40,7 @@ cron.schedule('0 0 * * *', async () => {
 });
 
 // Check for offline devices every 5 minutes
-cron.schedule('*/5 * * * *', async () => {
+scheduleJob('*/5 * * * *', async () => {
   try {
     const offlineThreshold = 15 * 60 * 1000; // 15 minutes
     const cutoffTime = new Date(Date.now() - offlineThreshold);
@@ -60,8 +74,44 @@ cron.schedule('*/5 * * * *', async () => {
   }
 });
 
+// Fill in addresses for reported locations every minute
+scheduleJob('* * * * *', async () => {
+  try {
+    await processGeocodeQueue();
+  } catch (error) {
+    logger.error('Error processing geocode queue:', error);
+  }
+});
+
+// Alert households about expected arrivals that didn't happen every minute
+scheduleJob('* * * * *', async () => {
+  try {
+    await checkArrivalRules({ io });
+  } catch (error) {
+    logger.error('Error checking arrival rules:', error);
+  }
+});
+
+// Send the commands of parents' recurring schedules as they come due
+scheduleJob('* * * * *', async () => {
+  try {
+    await runDueSchedules({ io });
+  } catch (error) {
+    logger.error('Error running command schedules:', error);
+  }
+});
+
+// Expire, retry and (re)deliver queued commands every minute
+scheduleJob('* * * * *', async () => {
+  try {
+    await sweepCommands(io);
+  } catch (error) {
+    logger.error('Error sweeping command queue:', error);
+  }
+});
+
 // Reset monthly usage statistics on the first day of the month
-cron.schedule('0 0 1 * *', async () => {
+scheduleJob('0 0 1 * *', async () => {
   try {
     await User.updateMany(
       {},
@@ -77,7 +127,7 @@ cron.schedule('0 0 1 * *', async () => {
 });
 
 // Cleanup old alerts (keep only from last 90 days)
-cron.schedule('0 2 * * *', async () => {
+scheduleJob('0 2 * * *', async () => {
   try {
     const cutoffDate = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
     const result = await Alert.deleteMany({
@@ -92,7 +142,7 @@ cron.schedule('0 2 * * *', async () => {
 });
 
 // Database backup reminder (weekly)
-cron.schedule('0 9 * * 1', async () => {
+scheduleJob('0 9 * * 1', async () => {
   try {
     const userCount = await User.countDocuments({ isActive: true });
     const deviceCount = await Device.countDocuments({ status: 'active' });
@@ -111,7 +161,7 @@ cron.schedule('0 9 * * 1', async () => {
 });
 
 // Check for subscription expirations daily
-cron.schedule('0 3 * * *', async () => {
+scheduleJob('0 3 * * *', async () => {
   try {
     const expiringSubscriptions = await User.find({
       'subscription.status': 'active',
@@ -131,7 +181,7 @@ cron.schedule('0 3 * * *', async () => {
 });
 
 // System health check every 30 minutes
-cron.schedule('*/30 * * * *', async () => {
+scheduleJob('*/30 * * * *', async () => {
   try {
     const stats = {
       timestamp: new Date(),
@@ -154,7 +204,9 @@ cron.schedule('*/30 * * * *', async () => {
 });
 
 module.exports = {
-  startAllJobs: () => {
+  startAllJobs: (socketIo) => {
+    io = socketIo || null;
+    jobs.forEach(job => job.start());
     logger.info('All cron jobs started successfully');
   },
   
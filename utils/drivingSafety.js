@@ -0,0 +1,399 @@
+const DrivingPolicy = require('../models/DrivingPolicy');
+const DrivingEvent = require('../models/DrivingEvent');
+const Location = require('../models/Location');
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const ChildProfile = require('../models/ChildProfile');
+const logger = require('./logger');
+const { dispatchAlert } = require('./alerts');
+const { emitToHousehold } = require('./households');
+const { haversineDistance } = require('./geometry');
+const { isWithinWorkingHours } = require('./timezone');
+
+const MS_TO_KMH = 3.6;
+
+// Fixes less accurate than this are too vague to judge driving from
+const MAX_POINT_ACCURACY = 50; // in meters
+
+// Acceleration needs closely spaced fixes; implied speed a little less so
+const MAX_ACCELERATION_GAP = 5; // in seconds
+const MAX_IMPLIED_SPEED_GAP = 30; // in seconds
+
+// Driving fixes further apart than this belong to different trips
+const MAX_TRIP_GAP = 5 * 60 * 1000; // 5 minutes
+
+// Late-night driving within this of an earlier stretch extends it
+const LATE_NIGHT_MERGE_GAP = 30 * 60 * 1000; // 30 minutes
+
+// Most earlier fixes loaded as context for a report
+const MAX_CONTEXT_POINTS = 1000;
+
+// Events from points uploaded long after the fact are recorded but not alerted
+const MAX_ALERT_AGE = 30 * 60 * 1000; // 30 minutes
+
+// Most points attached to an event's segment
+const MAX_SEGMENT_POINTS = 50;
+
+// Score penalty per event per 100 km driven
+const SCORE_PENALTIES = {
+  speeding: 10,
+  harsh_acceleration: 5,
+  harsh_braking: 5,
+  late_night_driving: 3
+};
+
+// Speed of each point in km/h: what the device measured, otherwise implied by
+// the previous point if it's close enough in time. null when unknown.
+const withSpeeds = (points) => points.map((point, index) => {
+  let speed = null;
+  if (point.speed != null && point.speed >= 0) {
+    speed = point.speed * MS_TO_KMH;
+  } else if (index > 0) {
+    const previous = points[index - 1];
+    const seconds = (point.timestamp - previous.timestamp) / 1000;
+    if (seconds > 0 && seconds <= MAX_IMPLIED_SPEED_GAP) {
+      const distance = haversineDistance(previous.latitude, previous.longitude, point.latitude, point.longitude);
+      speed = distance / seconds * MS_TO_KMH;
+    }
+  }
+
+  return { ...point, kmh: speed };
+});
+
+const isUsable = (point) => point.kmh !== null && !(point.accuracy > MAX_POINT_ACCURACY);
+
+// Points around [first, last] (one either side), thinned to MAX_SEGMENT_POINTS
+const buildSegment = (points, first, last) => {
+  const slice = points.slice(Math.max(first - 1, 0), Math.min(last + 2, points.length));
+  const step = Math.ceil(slice.length / MAX_SEGMENT_POINTS);
+
+  return slice
+    .filter((point, index) => index % step === 0 || index === slice.length - 1)
+    .map(point => ({
+      latitude: point.latitude,
+      longitude: point.longitude,
+      speed: point.kmh !== null ? Math.round(point.kmh) : undefined,
+      timestamp: point.timestamp
+    }));
+};
+
+const maxSpeedOf = (points, first, last) => Math.round(
+  Math.max(...points.slice(first, last + 1).map(point => point.kmh || 0))
+);
+
+// Runs over the speed threshold lasting at least minDuration. Points before
+// `from` are context from earlier reports: a run may start there, so speeding
+// reported a point at a time adds up, but it has to reach a new point.
+const detectSpeeding = (points, policy, from) => {
+  const events = [];
+  const { threshold, minDuration } = policy.speeding;
+  let runStart = -1;
+
+  const closeRun = (end) => {
+    if (runStart === -1) return;
+    if (end >= from && points[end].timestamp - points[runStart].timestamp >= minDuration * 1000) {
+      events.push({
+        type: 'speeding',
+        first: runStart,
+        last: end,
+        maxSpeed: maxSpeedOf(points, runStart, end),
+        speedLimit: threshold
+      });
+    }
+    runStart = -1;
+  };
+
+  for (let i = 0; i < points.length; i++) {
+    const speeding = isUsable(points[i]) && points[i].kmh > threshold;
+    if (speeding && runStart === -1) runStart = i;
+    if (!speeding) closeRun(i - 1);
+  }
+  closeRun(points.length - 1);
+
+  return events;
+};
+
+// Speed changes between close consecutive fixes beyond the policy's limits.
+// Consecutive harsh readings of the same kind are one event.
+const detectHarshDriving = (points, policy, from) => {
+  const events = [];
+  const { accelerationThreshold, brakingThreshold } = policy.harshDriving;
+
+  for (let i = Math.max(from, 1); i < points.length; i++) {
+    const previous = points[i - 1];
+    const point = points[i];
+    const seconds = (point.timestamp - previous.timestamp) / 1000;
+
+    if (!isUsable(previous) || !isUsable(point) || seconds <= 0 || seconds > MAX_ACCELERATION_GAP) continue;
+    if (Math.max(previous.kmh, point.kmh) < policy.minDrivingSpeed) continue;
+
+    const acceleration = (point.kmh - previous.kmh) / MS_TO_KMH / seconds;
+    let type = null;
+    if (acceleration >= accelerationThreshold) type = 'harsh_acceleration';
+    if (acceleration <= -brakingThreshold) type = 'harsh_braking';
+    if (!type) continue;
+
+    const last = events[events.length - 1];
+    if (last && last.type === type && last.last === i - 1) {
+      last.last = i;
+      if (Math.abs(acceleration) > Math.abs(last.acceleration)) {
+        last.acceleration = Math.round(acceleration * 10) / 10;
+      }
+      last.maxSpeed = maxSpeedOf(points, last.first, i);
+    } else {
+      events.push({
+        type,
+        first: i - 1,
+        last: i,
+        acceleration: Math.round(acceleration * 10) / 10,
+        maxSpeed: maxSpeedOf(points, i - 1, i)
+      });
+    }
+  }
+
+  return events;
+};
+
+// Driving during the late-night window, as one event per report
+const detectLateNight = (points, policy, from, timeZone) => {
+  const window = { enabled: true, startTime: policy.lateNight.startTime, endTime: policy.lateNight.endTime };
+  let first = -1;
+  let last = -1;
+
+  for (let i = from; i < points.length; i++) {
+    const point = points[i];
+    if (isUsable(point) && point.kmh >= policy.minDrivingSpeed &&
+      isWithinWorkingHours(window, point.timestamp, timeZone)) {
+      if (first === -1) first = i;
+      last = i;
+    }
+  }
+
+  return first === -1
+    ? []
+    : [{ type: 'late_night_driving', first, last, maxSpeed: maxSpeedOf(points, first, last) }];
+};
+
+const describeDrivingEvent = (childName, event) => {
+  switch (event.type) {
+    case 'speeding':
+      return `${childName} was driving at ${event.maxSpeed} km/h (limit ${event.speedLimit} km/h)`;
+    case 'harsh_acceleration':
+      return `${childName} accelerated harshly (${event.acceleration} m/s²)`;
+    case 'harsh_braking':
+      return `${childName} braked harshly (${Math.abs(event.acceleration)} m/s²)`;
+    default:
+      return `${childName} is driving late at night`;
+  }
+};
+
+const DRIVING_SEVERITY = {
+  speeding: 'high',
+  harsh_acceleration: 'medium',
+  harsh_braking: 'medium',
+  late_night_driving: 'medium'
+};
+
+// Store a detected event and alert the household unless an alert of the same
+// kind went out within the policy's cooldown
+const recordDrivingEvent = async ({ io, device, policy, detected, points, childName }) => {
+  const startedAt = points[detected.first].timestamp;
+  const endedAt = points[detected.last].timestamp;
+  const segment = buildSegment(points, detected.first, detected.last);
+
+  // Driving continuing from an earlier report extends that event: late-night
+  // driving within the merge gap, and a speeding run overlapping it (runs
+  // start in the earlier report's points when speeding is ongoing)
+  if (detected.type === 'late_night_driving' || detected.type === 'speeding') {
+    const mergeGap = detected.type === 'late_night_driving' ? LATE_NIGHT_MERGE_GAP : 0;
+    const ongoing = await DrivingEvent.findOneAndUpdate(
+      {
+        deviceId: device.deviceId,
+        type: detected.type,
+        endedAt: { $gte: new Date(startedAt.getTime() - mergeGap), $lte: endedAt }
+      },
+      { $set: { endedAt }, $max: { maxSpeed: detected.maxSpeed } },
+      { new: true, sort: { endedAt: -1 } }
+    );
+    if (ongoing) return null;
+  }
+
+  const event = await DrivingEvent.create({
+    deviceId: device.deviceId,
+    parentId: device.parentId,
+    childProfileId: device.childProfileId,
+    type: detected.type,
+    startedAt,
+    endedAt,
+    maxSpeed: detected.maxSpeed,
+    speedLimit: detected.speedLimit,
+    acceleration: detected.acceleration,
+    segment
+  });
+
+  if (Date.now() - endedAt.getTime() > MAX_ALERT_AGE) return event;
+
+  const recentlyAlerted = await DrivingEvent.exists({
+    _id: { $ne: event._id },
+    deviceId: device.deviceId,
+    type: detected.type,
+    alertId: { $ne: null },
+    startedAt: { $gte: new Date(startedAt.getTime() - policy.alertCooldown * 60 * 1000) }
+  });
+
+  if (!recentlyAlerted) {
+    const alert = await Alert.create({
+      deviceId: device.deviceId,
+      parentId: device.parentId,
+      type: 'unsafe_driving',
+      message: describeDrivingEvent(childName, event),
+      severity: DRIVING_SEVERITY[detected.type],
+      data: {
+        drivingEventId: event._id,
+        drivingEvent: detected.type,
+        speed: detected.maxSpeed,
+        speedLimit: detected.speedLimit,
+        segment,
+        location: {
+          latitude: points[detected.last].latitude,
+          longitude: points[detected.last].longitude,
+          accuracy: points[detected.last].accuracy
+        }
+      }
+    });
+
+    event.alertId = alert._id;
+    await event.save();
+    await dispatchAlert(io, alert);
+  }
+
+  await emitToHousehold(io, device.parentId, 'driving-event', event);
+  return event;
+};
+
+// Check newly stored location points (sorted by timestamp) against the
+// device's driving policy. Resolves to the driving events recorded.
+const evaluateDriving = async ({ io, device, locations }) => {
+  if (locations.length === 0) return [];
+
+  const policy = await DrivingPolicy.findOne({ deviceId: device.deviceId, enabled: true });
+  if (!policy) return [];
+
+  // Earlier fixes give the first point a speed and acceleration, and let a
+  // speeding run started in an earlier report reach the minimum duration
+  const contextFrom = locations[0].timestamp.getTime() -
+    (policy.speeding.minDuration + MAX_IMPLIED_SPEED_GAP) * 1000;
+  const context = (await Location.find({
+    deviceId: device.deviceId,
+    timestamp: { $gte: new Date(contextFrom), $lt: locations[0].timestamp }
+  })
+  .sort({ timestamp: -1 })
+  .limit(MAX_CONTEXT_POINTS)
+  .select('latitude longitude accuracy speed timestamp')
+  .lean()).reverse();
+
+  const raw = locations.map(location => ({
+    latitude: location.latitude,
+    longitude: location.longitude,
+    accuracy: location.accuracy,
+    speed: location.speed,
+    timestamp: location.timestamp
+  }));
+  const from = context.length;
+  const points = withSpeeds([...context, ...raw]);
+
+  const owner = await User.findById(device.parentId).select('preferences.timezone');
+  const timeZone = owner && owner.preferences ? owner.preferences.timezone : undefined;
+
+  const detected = [
+    ...(policy.speeding.enabled ? detectSpeeding(points, policy, from) : []),
+    ...(policy.harshDriving.enabled ? detectHarshDriving(points, policy, from) : []),
+    ...(policy.lateNight.enabled ? detectLateNight(points, policy, from, timeZone) : [])
+  ];
+  if (detected.length === 0) return [];
+
+  const childProfile = device.childProfileId
+    ? await ChildProfile.findById(device.childProfileId).select('name')
+    : null;
+  const childName = childProfile ? childProfile.name : device.deviceName;
+
+  const events = [];
+  for (const entry of detected) {
+    try {
+      const event = await recordDrivingEvent({ io, device, policy, detected: entry, points, childName });
+      if (event) events.push(event);
+    } catch (error) {
+      logger.error('Driving event error:', error);
+    }
+  }
+
+  logger.info('Driving events', {
+    deviceId: device.deviceId,
+    events: events.map(event => event.type)
+  });
+
+  return events;
+};
+
+// Driving totals and events for a device over [start, end). Location points
+// are streamed so a busy week doesn't load into memory.
+const summarizeDriving = async (device, policy, start, end) => {
+  const totals = { drivingTime: 0, distance: 0, maxSpeed: 0 };
+
+  const cursor = Location.find({
+    deviceId: device.deviceId,
+    parentId: device.parentId,
+    timestamp: { $gte: start, $lt: end }
+  })
+  .select('latitude longitude accuracy speed timestamp')
+  .sort({ timestamp: 1 })
+  .lean()
+  .cursor();
+
+  let previous = null;
+  for (let location = await cursor.next(); location; location = await cursor.next()) {
+    const [point] = withSpeeds(previous ? [previous, location] : [location]).slice(-1);
+
+    if (previous && isUsable(point) && point.kmh >= policy.minDrivingSpeed &&
+      previous.kmh !== null && previous.kmh >= policy.minDrivingSpeed &&
+      point.timestamp - previous.timestamp <= MAX_TRIP_GAP) {
+      totals.drivingTime += (point.timestamp - previous.timestamp) / 1000;
+      totals.distance += haversineDistance(previous.latitude, previous.longitude, point.latitude, point.longitude);
+    }
+    if (isUsable(point)) {
+      totals.maxSpeed = Math.max(totals.maxSpeed, point.kmh);
+    }
+
+    previous = point;
+  }
+
+  const counts = await DrivingEvent.aggregate([
+    { $match: { deviceId: device.deviceId, parentId: device.parentId, startedAt: { $gte: start, $lt: end } } },
+    { $group: { _id: '$type', count: { $sum: 1 } } }
+  ]);
+
+  const events = Object.fromEntries(Object.keys(SCORE_PENALTIES).map(type => [type, 0]));
+  counts.forEach(({ _id, count }) => { events[_id] = count; });
+
+  // 100 is a clean week; penalties scale with events per 100 km driven
+  const distanceKm = totals.distance / 1000;
+  let score = null;
+  if (distanceKm >= 1) {
+    const penalty = Object.entries(events)
+      .reduce((sum, [type, count]) => sum + SCORE_PENALTIES[type] * count, 0) / Math.max(distanceKm / 100, 1);
+    score = Math.max(0, Math.round(100 - penalty));
+  }
+
+  return {
+    drivingTime: Math.round(totals.drivingTime),
+    distance: Math.round(totals.distance),
+    maxSpeed: Math.round(totals.maxSpeed),
+    events,
+    score
+  };
+};
+
+module.exports = {
+  evaluateDriving,
+  summarizeDriving
+};
@@ -0,0 +1,139 @@
+jest.mock('./logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('./households', () => ({ emitToHousehold: jest.fn().mockResolvedValue() }));
+jest.mock('./alerts', () => ({ dispatchAlert: jest.fn().mockResolvedValue() }));
+
+const mongoose = require('mongoose');
+const DrivingPolicy = require('../models/DrivingPolicy');
+const DrivingEvent = require('../models/DrivingEvent');
+const Location = require('../models/Location');
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const { evaluateDriving } = require('./drivingSafety');
+
+const device = {
+  deviceId: 'device-1',
+  parentId: new mongoose.Types.ObjectId(),
+  deviceName: 'Phone'
+};
+
+const policy = {
+  speeding: { enabled: true, threshold: 110, minDuration: 15 },
+  harshDriving: { enabled: false },
+  lateNight: { enabled: false },
+  minDrivingSpeed: 10,
+  alertCooldown: 30
+};
+
+const start = Date.now() - 60 * 1000;
+
+// A fix `seconds` into the drive at `kmh`
+const fix = (seconds, kmh) => ({
+  latitude: 52.37 + seconds * 0.0001,
+  longitude: 4.89,
+  accuracy: 5,
+  speed: kmh / 3.6,
+  timestamp: new Date(start + seconds * 1000)
+});
+
+// Stand-ins for the stored fixes and driving events
+let stored;
+let events;
+
+const query = (result) => {
+  const chain = {
+    sort: () => chain,
+    limit: () => chain,
+    select: () => chain,
+    lean: () => Promise.resolve(result)
+  };
+  return chain;
+};
+
+// Report fixes one request at a time, as /report does
+const report = async (...fixes) => {
+  const recorded = [];
+  for (const location of fixes) {
+    recorded.push(...await evaluateDriving({ io: null, device, locations: [location] }));
+    stored.push(location);
+  }
+  return recorded;
+};
+
+describe('evaluateDriving speeding', () => {
+  beforeEach(() => {
+    stored = [];
+    events = [];
+
+    jest.spyOn(DrivingPolicy, 'findOne').mockResolvedValue(policy);
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+    jest.spyOn(Location, 'find').mockImplementation(({ timestamp }) => query(
+      stored
+        .filter(point => point.timestamp >= timestamp.$gte && point.timestamp < timestamp.$lt)
+        .sort((a, b) => b.timestamp - a.timestamp)
+    ));
+    jest.spyOn(DrivingEvent, 'create').mockImplementation(async data => {
+      const event = { ...data, _id: new mongoose.Types.ObjectId(), save: jest.fn() };
+      events.push(event);
+      return event;
+    });
+    jest.spyOn(DrivingEvent, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const ongoing = events.find(event => event.type === filter.type &&
+        event.endedAt >= filter.endedAt.$gte && event.endedAt <= filter.endedAt.$lte);
+      if (!ongoing) return null;
+      ongoing.endedAt = update.$set.endedAt;
+      ongoing.maxSpeed = Math.max(ongoing.maxSpeed, update.$max.maxSpeed);
+      return ongoing;
+    });
+    jest.spyOn(DrivingEvent, 'exists').mockResolvedValue(null);
+    jest.spyOn(Alert, 'create').mockImplementation(async data => ({ ...data, _id: new mongoose.Types.ObjectId() }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('adds up speeding reported one point at a time', async () => {
+    const early = await report(fix(0, 130), fix(5, 130), fix(10, 135));
+    expect(early).toEqual([]);
+
+    const recorded = await report(fix(15, 140));
+
+    expect(recorded).toHaveLength(1);
+    expect(recorded[0]).toMatchObject({
+      type: 'speeding',
+      startedAt: fix(0).timestamp,
+      endedAt: fix(15).timestamp,
+      maxSpeed: 140,
+      speedLimit: 110
+    });
+    expect(Alert.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('extends the event while speeding goes on instead of recording it again', async () => {
+    await report(fix(0, 130), fix(5, 130), fix(10, 130), fix(15, 130));
+
+    const recorded = await report(fix(20, 150), fix(25, 130));
+
+    expect(recorded).toEqual([]);
+    expect(events).toHaveLength(1);
+    expect(events[0].endedAt).toEqual(fix(25).timestamp);
+    expect(events[0].maxSpeed).toBe(150);
+    expect(Alert.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not count speeding interrupted before the minimum duration', async () => {
+    const recorded = await report(fix(0, 130), fix(5, 130), fix(10, 90), fix(15, 130), fix(20, 130));
+
+    expect(recorded).toEqual([]);
+    expect(events).toHaveLength(0);
+  });
+
+  it('records speeding within a single batch', async () => {
+    const locations = [fix(0, 130), fix(5, 130), fix(10, 130), fix(15, 130), fix(20, 80)];
+
+    const recorded = await evaluateDriving({ io: null, device, locations });
+
+    expect(recorded).toHaveLength(1);
+    expect(recorded[0].endedAt).toEqual(fix(15).timestamp);
+  });
+});
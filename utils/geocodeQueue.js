@@ -0,0 +1,95 @@
+const Location = require('../models/Location');
+const Device = require('../models/Device');
+const logger = require('./logger');
+const { reverseGeocode } = require('./geocoding');
+
+// Geocoder lookups per run; runs are a minute apart and the geocoder spaces
+// requests to its provider's rate limit
+const GEOCODE_BATCH_SIZE = 45;
+
+const MAX_GEOCODE_ATTEMPTS = 3;
+
+// Claims older than this belong to a worker that died
+const CLAIM_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+
+// Reuse the address of an earlier point this close by instead of geocoding
+const REUSE_DISTANCE = 25; // in meters
+
+let running = false;
+
+// Claim the newest location waiting for an address
+const claimNext = () => Location.findOneAndUpdate(
+  { geocodeStatus: 'pending' },
+  {
+    geocodeStatus: 'processing',
+    geocodeClaimedAt: new Date(),
+    $inc: { geocodeAttempts: 1 }
+  },
+  { sort: { timestamp: -1 }, new: true }
+);
+
+// Fill in addresses for locations stored with geocodeStatus 'pending'.
+// Newest points go first since they are the ones parents look at. A failed
+// lookup ends the run so a struggling geocoder isn't hammered.
+// Resolves to { geocoded, reused, failed }.
+const processGeocodeQueue = async ({ limit = GEOCODE_BATCH_SIZE } = {}) => {
+  const stats = { geocoded: 0, reused: 0, failed: 0 };
+
+  // Overlapping runs would only compete for the same rate limit
+  if (running) return stats;
+  running = true;
+
+  try {
+    await Location.updateMany(
+      { geocodeStatus: 'processing', geocodeClaimedAt: { $lt: new Date(Date.now() - CLAIM_TIMEOUT) } },
+      { geocodeStatus: 'pending' }
+    );
+
+    let lookups = 0;
+    while (lookups < limit) {
+      const location = await claimNext();
+      if (!location) break;
+
+      const [nearby] = await Location.findNear(location.latitude, location.longitude, REUSE_DISTANCE, {
+        deviceId: location.deviceId,
+        geocodeStatus: 'done'
+      }, 1);
+
+      let address = nearby ? nearby.address : null;
+      if (address) {
+        stats.reused++;
+      } else {
+        lookups++;
+        address = await reverseGeocode(location.latitude, location.longitude);
+      }
+
+      if (!address) {
+        const status = location.geocodeAttempts >= MAX_GEOCODE_ATTEMPTS ? 'failed' : 'pending';
+        await Location.updateOne({ _id: location._id }, { geocodeStatus: status });
+        stats.failed++;
+        break;
+      }
+
+      await Location.updateOne({ _id: location._id }, { address, geocodeStatus: 'done' });
+      if (!nearby) stats.geocoded++;
+
+      // Keep the device's last known address current
+      await Device.updateOne(
+        { deviceId: location.deviceId, 'location.timestamp': location.timestamp },
+        { 'location.address': address.formattedAddress }
+      );
+    }
+  } finally {
+    running = false;
+  }
+
+  if (stats.geocoded + stats.reused + stats.failed > 0) {
+    logger.info('Geocode queue processed', stats);
+  }
+
+  return stats;
+};
+
+module.exports = {
+  processGeocodeQueue
+};
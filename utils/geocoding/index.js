@@ -0,0 +1,169 @@
+const GeocodeCache = require('../../models/GeocodeCache');
+const logger = require('../logger');
+const { createNominatimProvider, PUBLIC_URL } = require('./nominatim');
+const { createPhotonProvider } = require('./photon');
+const { createOfflineProvider } = require('./offline');
+const { createThrottle } = require('./throttle');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Found addresses rarely change; misses are retried sooner
+const CACHE_TTL = (parseInt(process.env.GEOCODER_CACHE_TTL_DAYS) || 30) * DAY;
+const NEGATIVE_CACHE_TTL = DAY;
+
+// Reverse lookups are cached per ~11 m cell (4 decimal places)
+const COORDINATE_PRECISION = 4;
+
+let geocoder = null;
+
+// Build the provider named by GEOCODER_PROVIDER (nominatim, photon or offline)
+const createProviderFromEnv = () => {
+  const {
+    GEOCODER_PROVIDER = 'nominatim',
+    GEOCODER_URL,
+    GEOCODER_USER_AGENT = 'watcher-backend',
+    GEOCODER_EMAIL,
+    GEOCODER_PLACES_FILE
+  } = process.env;
+
+  switch (GEOCODER_PROVIDER) {
+    case 'photon':
+      return createPhotonProvider({ url: GEOCODER_URL });
+    case 'offline':
+      return createOfflineProvider({ placesFile: GEOCODER_PLACES_FILE });
+    case 'nominatim':
+      return createNominatimProvider({
+        url: GEOCODER_URL || PUBLIC_URL,
+        userAgent: GEOCODER_USER_AGENT,
+        email: GEOCODER_EMAIL
+      });
+    default:
+      throw new Error(`Unknown geocoder provider: ${GEOCODER_PROVIDER}`);
+  }
+};
+
+// Use a provider ({ name, reverse, search }) for all geocoding. Requests are
+// spaced minInterval milliseconds apart; the public Nominatim instance allows
+// one per second, self-hosted and offline providers default to no limit.
+const setGeocoder = (provider, { minInterval } = {}) => {
+  const interval = minInterval != null
+    ? minInterval
+    : (provider.name === 'nominatim' ? 1000 : 0);
+
+  geocoder = { provider, throttle: createThrottle(interval) };
+  logger.info('Geocoder configured', { provider: provider.name, minInterval: interval });
+};
+
+const getGeocoder = () => {
+  if (!geocoder) {
+    const minInterval = process.env.GEOCODER_MIN_INTERVAL;
+    setGeocoder(createProviderFromEnv(), {
+      minInterval: minInterval != null ? parseInt(minInterval) : undefined
+    });
+  }
+  return geocoder;
+};
+
+// Look a key up in the cache, falling back to the provider. Provider errors
+// resolve to null and aren't cached; "not found" is cached for a day.
+const cachedLookup = async (key, lookup, label) => {
+  const { provider, throttle } = getGeocoder();
+  const cacheKey = `${provider.name}|${key}`;
+
+  try {
+    const cached = await GeocodeCache.lookup(cacheKey);
+    if (cached !== undefined) return cached;
+  } catch (cacheError) {
+    logger.warn('Geocode cache read failed:', cacheError);
+  }
+
+  let result;
+  try {
+    result = await throttle(() => lookup(provider));
+  } catch (error) {
+    logger.error(`${label} error:`, error);
+    return null;
+  }
+
+  try {
+    await GeocodeCache.store(cacheKey, provider.name, result, result ? CACHE_TTL : NEGATIVE_CACHE_TTL);
+  } catch (cacheError) {
+    logger.warn('Geocode cache write failed:', cacheError);
+  }
+
+  return result;
+};
+
+// Coordinates rounded to the cache's cells
+const roundCoordinates = (latitude, longitude) => ({
+  lat: Number(latitude.toFixed(COORDINATE_PRECISION)),
+  lon: Number(longitude.toFixed(COORDINATE_PRECISION))
+});
+
+// Reverse geocoding (coordinates to address)
+const reverseGeocode = async (latitude, longitude) => {
+  const { lat, lon } = roundCoordinates(latitude, longitude);
+
+  return cachedLookup(
+    `reverse|${lat},${lon}`,
+    provider => provider.reverse(lat, lon),
+    'Reverse geocoding'
+  );
+};
+
+// Reverse geocoding from the cache only, for request handlers that can't wait
+// for the provider. Resolves to null when the address isn't cached.
+const cachedReverseGeocode = async (latitude, longitude) => {
+  const { provider } = getGeocoder();
+  const { lat, lon } = roundCoordinates(latitude, longitude);
+
+  try {
+    const cached = await GeocodeCache.lookup(`${provider.name}|reverse|${lat},${lon}`);
+    return cached || null;
+  } catch (cacheError) {
+    logger.warn('Geocode cache read failed:', cacheError);
+    return null;
+  }
+};
+
+// Forward geocoding (address to coordinates). With { outline: true } the
+// result includes the outline of the place (a school grounds or park, say)
+// as `boundary` when the provider knows one.
+const forwardGeocode = async (address, options = {}) => {
+  const query = address.trim().replace(/\s+/g, ' ');
+
+  return cachedLookup(
+    `search|${options.outline ? 'outline' : 'point'}|${query.toLowerCase()}`,
+    provider => provider.search(query, options),
+    'Forward geocoding'
+  );
+};
+
+// Calculate distance between two points in kilometers
+const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const R = 6371; // Earth's radius in kilometers
+  const dLat = deg2rad(lat2 - lat1);
+  const dLon = deg2rad(lon2 - lon1);
+  
+  const a = 
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) * 
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a)); 
+  const distance = R * c;
+  
+  return distance;
+};
+
+const deg2rad = (deg) => {
+  return deg * (Math.PI/180);
+};
+
+module.exports = {
+  setGeocoder,
+  reverseGeocode,
+  cachedReverseGeocode,
+  forwardGeocode,
+  calculateDistance
+};
@@ -0,0 +1,179 @@
+jest.mock('../logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const GeocodeCache = require('../../models/GeocodeCache');
+const logger = require('../logger');
+const { setGeocoder, reverseGeocode, cachedReverseGeocode, forwardGeocode } = require('./index');
+const { createOfflineProvider } = require('./offline');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const address = { formattedAddress: 'Damrak 1, Amsterdam' };
+
+// A provider whose lookups are jest mocks
+const mockProvider = (name = 'mock') => ({
+  name,
+  reverse: jest.fn().mockResolvedValue(address),
+  search: jest.fn().mockResolvedValue({ latitude: 52.37, longitude: 4.89, address: 'Damrak 1, Amsterdam' })
+});
+
+describe('geocoding', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = mockProvider();
+    setGeocoder(provider, { minInterval: 0 });
+    jest.spyOn(GeocodeCache, 'lookup').mockResolvedValue(undefined);
+    jest.spyOn(GeocodeCache, 'store').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('answers from the cache without asking the provider', async () => {
+    GeocodeCache.lookup.mockResolvedValue(address);
+
+    await expect(reverseGeocode(52.37, 4.89)).resolves.toEqual(address);
+    expect(provider.reverse).not.toHaveBeenCalled();
+    expect(GeocodeCache.store).not.toHaveBeenCalled();
+  });
+
+  it('answers a cached "not found" without asking the provider', async () => {
+    GeocodeCache.lookup.mockResolvedValue(null);
+
+    await expect(reverseGeocode(52.37, 4.89)).resolves.toBeNull();
+    expect(provider.reverse).not.toHaveBeenCalled();
+  });
+
+  it('asks the provider on a miss and caches the answer', async () => {
+    await expect(reverseGeocode(52.370012, 4.889987)).resolves.toEqual(address);
+
+    // Coordinates are rounded to ~11 m cells
+    expect(provider.reverse).toHaveBeenCalledWith(52.37, 4.89);
+    expect(GeocodeCache.lookup).toHaveBeenCalledWith('mock|reverse|52.37,4.89');
+    const [key, name, result, ttl] = GeocodeCache.store.mock.calls[0];
+    expect([key, name, result]).toEqual(['mock|reverse|52.37,4.89', 'mock', address]);
+    expect(ttl).toBe(30 * DAY);
+  });
+
+  it('caches "not found" for a day only', async () => {
+    provider.search.mockResolvedValue(null);
+
+    await expect(forwardGeocode('  Nowhere   Street ')).resolves.toBeNull();
+
+    expect(provider.search).toHaveBeenCalledWith('Nowhere Street', {});
+    expect(GeocodeCache.store).toHaveBeenCalledWith('mock|search|point|nowhere street', 'mock', null, DAY);
+  });
+
+  it('caches outline searches separately', async () => {
+    await forwardGeocode('Damrak 1', { outline: true });
+
+    expect(GeocodeCache.lookup).toHaveBeenCalledWith('mock|search|outline|damrak 1');
+  });
+
+  it('does not cache provider errors', async () => {
+    provider.reverse.mockRejectedValue(new Error('Request failed with status code 503'));
+
+    await expect(reverseGeocode(52.37, 4.89)).resolves.toBeNull();
+    expect(GeocodeCache.store).not.toHaveBeenCalled();
+    expect(logger.error).toHaveBeenCalledWith('Reverse geocoding error:', expect.any(Error));
+  });
+
+  it('still geocodes when the cache is unavailable', async () => {
+    GeocodeCache.lookup.mockRejectedValue(new Error('not connected'));
+    GeocodeCache.store.mockRejectedValue(new Error('not connected'));
+
+    await expect(reverseGeocode(52.37, 4.89)).resolves.toEqual(address);
+    expect(logger.warn).toHaveBeenCalledTimes(2);
+  });
+
+  it('answers cache-only lookups without asking the provider', async () => {
+    GeocodeCache.lookup.mockResolvedValueOnce(address).mockResolvedValueOnce(undefined);
+
+    await expect(cachedReverseGeocode(52.370012, 4.889987)).resolves.toEqual(address);
+    await expect(cachedReverseGeocode(52.38, 4.9)).resolves.toBeNull();
+
+    expect(GeocodeCache.lookup).toHaveBeenCalledWith('mock|reverse|52.37,4.89');
+    expect(provider.reverse).not.toHaveBeenCalled();
+  });
+
+  it('uses the provider set with setGeocoder and keeps its cache entries apart', async () => {
+    const other = mockProvider('photon:http://photon.local');
+    setGeocoder(other, { minInterval: 0 });
+
+    await reverseGeocode(52.37, 4.89);
+
+    expect(other.reverse).toHaveBeenCalled();
+    expect(provider.reverse).not.toHaveBeenCalled();
+    expect(GeocodeCache.lookup).toHaveBeenCalledWith('photon:http://photon.local|reverse|52.37,4.89');
+  });
+
+  it('works with the offline provider', async () => {
+    setGeocoder(createOfflineProvider({
+      places: [{ name: 'School', latitude: 52.37, longitude: 4.89, city: 'Amsterdam' }]
+    }));
+
+    await expect(reverseGeocode(52.3701, 4.8901)).resolves.toMatchObject({ formattedAddress: 'School, Amsterdam' });
+    await expect(forwardGeocode('school')).resolves.toMatchObject({ latitude: 52.37, longitude: 4.89 });
+  });
+
+  it('throttles the public Nominatim instance to one request a second', () => {
+    logger.info.mockClear();
+    setGeocoder(mockProvider('nominatim'));
+    setGeocoder(mockProvider('offline'));
+
+    expect(logger.info.mock.calls.map(([, meta]) => meta)).toEqual([
+      { provider: 'nominatim', minInterval: 1000 },
+      { provider: 'offline', minInterval: 0 }
+    ]);
+  });
+});
+
+describe('geocoding provider from the environment', () => {
+  const env = process.env;
+
+  // A fresh copy of the module, configured from the given variables. It gets
+  // its own GeocodeCache model too, whose lookups answer from the cache.
+  const loadWith = (variables) => {
+    process.env = { ...env };
+    ['GEOCODER_PROVIDER', 'GEOCODER_URL', 'GEOCODER_MIN_INTERVAL'].forEach(name => delete process.env[name]);
+    Object.assign(process.env, variables);
+
+    let loaded;
+    jest.isolateModules(() => {
+      loaded = {
+        geocoding: require('./index'),
+        lookup: jest.spyOn(require('../../models/GeocodeCache'), 'lookup').mockResolvedValue(address)
+      };
+    });
+    return loaded;
+  };
+
+  afterEach(() => {
+    process.env = env;
+    jest.restoreAllMocks();
+  });
+
+  it('defaults to the public Nominatim instance', async () => {
+    const { geocoding, lookup } = loadWith({});
+
+    await geocoding.reverseGeocode(52.37, 4.89);
+
+    expect(lookup).toHaveBeenCalledWith('nominatim|reverse|52.37,4.89');
+  });
+
+  it('uses a self-hosted Photon instance', async () => {
+    const { geocoding, lookup } = loadWith({ GEOCODER_PROVIDER: 'photon', GEOCODER_URL: 'http://photon.local/' });
+
+    await geocoding.reverseGeocode(52.37, 4.89);
+
+    expect(lookup).toHaveBeenCalledWith('photon:http://photon.local/|reverse|52.37,4.89');
+  });
+
+  it('rejects unknown providers', async () => {
+    const { geocoding } = loadWith({ GEOCODER_PROVIDER: 'bing' });
+
+    await expect(geocoding.reverseGeocode(52.37, 4.89)).rejects.toThrow('Unknown geocoder provider: bing');
+  });
+});
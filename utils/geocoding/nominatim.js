@@ -0,0 +1,102 @@
+const axios = require('axios');
+const { polygonArea } = require('../geometry');
+
+const PUBLIC_URL = 'https://nominatim.openstreetmap.org';
+
+// Outer ring of the largest polygon in a GeoJSON geometry, as
+// { latitude, longitude } points without the closing point
+const outerRing = (geometry) => {
+  if (!geometry) return null;
+
+  let rings = null;
+  if (geometry.type === 'Polygon') {
+    rings = [geometry.coordinates[0]];
+  } else if (geometry.type === 'MultiPolygon') {
+    rings = geometry.coordinates.map(polygon => polygon[0]);
+  }
+  if (!rings) return null;
+
+  const toPoints = (ring) => {
+    const points = ring.map(([longitude, latitude]) => ({ latitude, longitude }));
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (first.latitude === last.latitude && first.longitude === last.longitude) {
+      points.pop();
+    }
+    return points;
+  };
+
+  return rings
+    .map(toPoints)
+    .filter(points => points.length >= 3)
+    .reduce((best, points) => (!best || polygonArea(points) > polygonArea(best) ? points : best), null);
+};
+
+// Nominatim geocoder, either the public OpenStreetMap instance or a
+// self-hosted one. The public instance's usage policy requires an identifying
+// User-Agent and at most one request per second.
+const createNominatimProvider = ({ url = PUBLIC_URL, userAgent, email, timeout = 5000 } = {}) => {
+  const client = axios.create({
+    baseURL: url.replace(/\/$/, ''),
+    timeout,
+    headers: userAgent ? { 'User-Agent': userAgent } : {}
+  });
+  const identity = email ? { email } : {};
+
+  return {
+    name: url === PUBLIC_URL ? 'nominatim' : `nominatim:${url}`,
+
+    reverse: async (latitude, longitude) => {
+      const response = await client.get('/reverse', {
+        params: {
+          lat: latitude,
+          lon: longitude,
+          format: 'json',
+          addressdetails: 1,
+          'accept-language': 'en',
+          ...identity
+        }
+      });
+
+      // Nominatim answers 200 with an error for places it can't resolve
+      const { address, error } = response.data;
+      if (error || !address) return null;
+
+      return {
+        street: address.road || '',
+        city: address.city || address.town || address.village || '',
+        state: address.state || '',
+        country: address.country || '',
+        postalCode: address.postcode || '',
+        formattedAddress: response.data.display_name || ''
+      };
+    },
+
+    search: async (query, options = {}) => {
+      const response = await client.get('/search', {
+        params: {
+          q: query,
+          format: 'json',
+          limit: 1,
+          ...(options.outline && { polygon_geojson: 1 }),
+          ...identity
+        }
+      });
+
+      if (!response.data || response.data.length === 0) return null;
+
+      const result = response.data[0];
+      return {
+        latitude: parseFloat(result.lat),
+        longitude: parseFloat(result.lon),
+        address: result.display_name,
+        boundary: options.outline ? outerRing(result.geojson) : undefined
+      };
+    }
+  };
+};
+
+module.exports = {
+  PUBLIC_URL,
+  createNominatimProvider
+};
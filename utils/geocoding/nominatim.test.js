@@ -0,0 +1,127 @@
+jest.mock('axios', () => ({ create: jest.fn() }));
+
+const axios = require('axios');
+const { PUBLIC_URL, createNominatimProvider } = require('./nominatim');
+
+describe('createNominatimProvider', () => {
+  let get;
+
+  beforeEach(() => {
+    get = jest.fn();
+    axios.create.mockReturnValue({ get });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('identifies itself to the public instance', () => {
+    const provider = createNominatimProvider({ userAgent: 'watcher-backend' });
+
+    expect(provider.name).toBe('nominatim');
+    expect(axios.create).toHaveBeenCalledWith(expect.objectContaining({
+      baseURL: PUBLIC_URL,
+      headers: { 'User-Agent': 'watcher-backend' }
+    }));
+    expect(createNominatimProvider({ url: 'http://nominatim.local/' }).name).toBe('nominatim:http://nominatim.local/');
+  });
+
+  describe('reverse', () => {
+    it('maps the address', async () => {
+      get.mockResolvedValue({
+        data: {
+          display_name: 'Damrak 1, Amsterdam, Netherlands',
+          address: { road: 'Damrak', city: 'Amsterdam', state: 'North Holland', country: 'Netherlands', postcode: '1012 LG' }
+        }
+      });
+
+      await expect(createNominatimProvider({ email: 'ops@example.com' }).reverse(52.37, 4.89)).resolves.toEqual({
+        street: 'Damrak',
+        city: 'Amsterdam',
+        state: 'North Holland',
+        country: 'Netherlands',
+        postalCode: '1012 LG',
+        formattedAddress: 'Damrak 1, Amsterdam, Netherlands'
+      });
+      expect(get).toHaveBeenCalledWith('/reverse', {
+        params: expect.objectContaining({ lat: 52.37, lon: 4.89, email: 'ops@example.com' })
+      });
+    });
+
+    it('falls back to towns and villages and leaves missing parts empty', async () => {
+      get.mockResolvedValue({ data: { address: { village: 'Durgerdam' } } });
+
+      await expect(createNominatimProvider().reverse(52.38, 4.99)).resolves.toEqual({
+        street: '',
+        city: 'Durgerdam',
+        state: '',
+        country: '',
+        postalCode: '',
+        formattedAddress: ''
+      });
+    });
+
+    it('returns null for places it cannot resolve', async () => {
+      get.mockResolvedValue({ data: { error: 'Unable to geocode' } });
+
+      await expect(createNominatimProvider().reverse(0, -160)).resolves.toBeNull();
+    });
+
+    it('passes HTTP errors on', async () => {
+      get.mockRejectedValue(new Error('Request failed with status code 429'));
+
+      await expect(createNominatimProvider().reverse(52.37, 4.89)).rejects.toThrow('status code 429');
+    });
+  });
+
+  describe('search', () => {
+    it('maps the first result', async () => {
+      get.mockResolvedValue({ data: [{ lat: '52.3731', lon: '4.8922', display_name: 'Dam, Amsterdam' }] });
+
+      await expect(createNominatimProvider().search('Dam')).resolves.toEqual({
+        latitude: 52.3731,
+        longitude: 4.8922,
+        address: 'Dam, Amsterdam',
+        boundary: undefined
+      });
+      expect(get.mock.calls[0][1].params).not.toHaveProperty('polygon_geojson');
+    });
+
+    it('returns null without results', async () => {
+      get.mockResolvedValue({ data: [] });
+
+      await expect(createNominatimProvider().search('Nowhere Street')).resolves.toBeNull();
+    });
+
+    it('includes the outer ring of the largest polygon as the boundary', async () => {
+      const square = (size) => [[[0, 0], [size, 0], [size, size], [0, size], [0, 0]]];
+      get.mockResolvedValue({
+        data: [{
+          lat: '0.0005',
+          lon: '0.0005',
+          display_name: 'Park',
+          geojson: { type: 'MultiPolygon', coordinates: [square(0.0001), square(0.001)] }
+        }]
+      });
+
+      const result = await createNominatimProvider().search('Park', { outline: true });
+
+      expect(get.mock.calls[0][1].params).toMatchObject({ polygon_geojson: 1 });
+      expect(result.boundary).toEqual([
+        { latitude: 0, longitude: 0 },
+        { latitude: 0, longitude: 0.001 },
+        { latitude: 0.001, longitude: 0.001 },
+        { latitude: 0.001, longitude: 0 }
+      ]);
+    });
+
+    it('has no boundary for places that are points', async () => {
+      get.mockResolvedValue({
+        data: [{ lat: '52.37', lon: '4.89', display_name: 'Bench', geojson: { type: 'Point', coordinates: [4.89, 52.37] } }]
+      });
+
+      await expect(createNominatimProvider().search('Bench', { outline: true }))
+        .resolves.toMatchObject({ boundary: null });
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const { haversineDistance } = require('../geometry');
+
+// Places further than this from every known place don't reverse geocode
+const DEFAULT_MATCH_RADIUS = 500; // in meters
+
+// Geocoder backed by a local JSON file of places, for tests and development
+// without network access. The file is an array of
+// { name, latitude, longitude, radius?, street?, city?, state?, country?, postalCode? }.
+const createOfflineProvider = ({ placesFile, places } = {}) => {
+  const known = places || (placesFile ? JSON.parse(fs.readFileSync(placesFile, 'utf8')) : []);
+
+  const toAddress = (place) => ({
+    street: place.street || '',
+    city: place.city || '',
+    state: place.state || '',
+    country: place.country || '',
+    postalCode: place.postalCode || '',
+    formattedAddress: [place.name, place.street, place.city, place.state, place.postalCode, place.country]
+      .filter(Boolean)
+      .join(', ')
+  });
+
+  return {
+    name: 'offline',
+
+    reverse: async (latitude, longitude) => {
+      let nearest = null;
+      let nearestDistance = Infinity;
+
+      known.forEach(place => {
+        const distance = haversineDistance(latitude, longitude, place.latitude, place.longitude);
+        if (distance <= (place.radius || DEFAULT_MATCH_RADIUS) && distance < nearestDistance) {
+          nearest = place;
+          nearestDistance = distance;
+        }
+      });
+
+      return nearest ? toAddress(nearest) : null;
+    },
+
+    search: async (query) => {
+      const needle = query.trim().toLowerCase();
+      const place = known.find(candidate =>
+        toAddress(candidate).formattedAddress.toLowerCase().includes(needle)
+      );
+
+      return place
+        ? { latitude: place.latitude, longitude: place.longitude, address: toAddress(place).formattedAddress }
+        : null;
+    }
+  };
+};
+
+module.exports = {
+  createOfflineProvider
+};
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createOfflineProvider } = require('./offline');
+
+const places = [
+  { name: 'Home', latitude: 52.37, longitude: 4.89, street: 'Damrak 1', city: 'Amsterdam' },
+  { name: 'School', latitude: 52.375, longitude: 4.89, radius: 100, city: 'Amsterdam' }
+];
+
+describe('createOfflineProvider', () => {
+  const provider = createOfflineProvider({ places });
+
+  it('reverse geocodes to the nearest place in range', async () => {
+    await expect(provider.reverse(52.3749, 4.89)).resolves.toEqual({
+      street: '',
+      city: 'Amsterdam',
+      state: '',
+      country: '',
+      postalCode: '',
+      formattedAddress: 'School, Amsterdam'
+    });
+    await expect(provider.reverse(52.3701, 4.89)).resolves.toMatchObject({ formattedAddress: 'Home, Damrak 1, Amsterdam' });
+  });
+
+  it('only matches places whose radius covers the point', async () => {
+    // 220 m from School (radius 100 m), 330 m from Home (default radius 500 m)
+    await expect(provider.reverse(52.373, 4.89)).resolves.toMatchObject({ formattedAddress: 'Home, Damrak 1, Amsterdam' });
+    await expect(provider.reverse(52.4, 4.89)).resolves.toBeNull();
+  });
+
+  it('searches formatted addresses case-insensitively', async () => {
+    await expect(provider.search(' damrak ')).resolves.toEqual({
+      latitude: 52.37,
+      longitude: 4.89,
+      address: 'Home, Damrak 1, Amsterdam'
+    });
+    await expect(provider.search('Rotterdam')).resolves.toBeNull();
+  });
+
+  it('reads places from a file', async () => {
+    const placesFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'places-')), 'places.json');
+    fs.writeFileSync(placesFile, JSON.stringify(places));
+
+    try {
+      await expect(createOfflineProvider({ placesFile }).search('School')).resolves.toMatchObject({ latitude: 52.375 });
+    } finally {
+      fs.rmSync(path.dirname(placesFile), { recursive: true });
+    }
+  });
+
+  it('knows no places without a file', async () => {
+    await expect(createOfflineProvider().reverse(52.37, 4.89)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,62 @@
+const axios = require('axios');
+
+// Build a one-line address from Photon's feature properties
+const formatAddress = (properties) => {
+  const street = [properties.housenumber, properties.street].filter(Boolean).join(' ');
+  return [properties.name, street, properties.city, properties.state, properties.postcode, properties.country]
+    .filter((part, index, parts) => part && parts.indexOf(part) === index)
+    .join(', ');
+};
+
+// Photon geocoder (https://github.com/komoot/photon), usually self-hosted.
+// Photon has no place outlines, so search results never include a boundary.
+const createPhotonProvider = ({ url, timeout = 5000 } = {}) => {
+  if (!url) {
+    throw new Error('Photon geocoder requires GEOCODER_URL');
+  }
+
+  const client = axios.create({ baseURL: url.replace(/\/$/, ''), timeout });
+
+  return {
+    name: `photon:${url}`,
+
+    reverse: async (latitude, longitude) => {
+      const response = await client.get('/reverse', {
+        params: { lat: latitude, lon: longitude, lang: 'en', limit: 1 }
+      });
+
+      const [feature] = response.data.features || [];
+      if (!feature) return null;
+
+      const { properties } = feature;
+      return {
+        street: properties.street || '',
+        city: properties.city || properties.town || properties.village || '',
+        state: properties.state || '',
+        country: properties.country || '',
+        postalCode: properties.postcode || '',
+        formattedAddress: formatAddress(properties)
+      };
+    },
+
+    search: async (query) => {
+      const response = await client.get('/api', {
+        params: { q: query, lang: 'en', limit: 1 }
+      });
+
+      const [feature] = response.data.features || [];
+      if (!feature) return null;
+
+      const [longitude, latitude] = feature.geometry.coordinates;
+      return {
+        latitude,
+        longitude,
+        address: formatAddress(feature.properties)
+      };
+    }
+  };
+};
+
+module.exports = {
+  createPhotonProvider
+};
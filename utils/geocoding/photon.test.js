@@ -0,0 +1,85 @@
+jest.mock('axios', () => ({ create: jest.fn() }));
+
+const axios = require('axios');
+const { createPhotonProvider } = require('./photon');
+
+describe('createPhotonProvider', () => {
+  let get;
+  let provider;
+
+  beforeEach(() => {
+    get = jest.fn();
+    axios.create.mockReturnValue({ get });
+    provider = createPhotonProvider({ url: 'http://photon.local/' });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('needs a URL', () => {
+    expect(() => createPhotonProvider()).toThrow('Photon geocoder requires GEOCODER_URL');
+  });
+
+  it('maps the first reverse result', async () => {
+    get.mockResolvedValue({
+      data: {
+        features: [{
+          properties: {
+            name: 'Damrak',
+            housenumber: '1',
+            street: 'Damrak',
+            city: 'Amsterdam',
+            postcode: '1012 LG',
+            country: 'Netherlands'
+          }
+        }]
+      }
+    });
+
+    await expect(provider.reverse(52.37, 4.89)).resolves.toEqual({
+      street: 'Damrak',
+      city: 'Amsterdam',
+      state: '',
+      country: 'Netherlands',
+      postalCode: '1012 LG',
+      formattedAddress: 'Damrak, 1 Damrak, Amsterdam, 1012 LG, Netherlands'
+    });
+  });
+
+  it('leaves missing address parts out', async () => {
+    get.mockResolvedValue({ data: { features: [{ properties: { town: 'Edam', country: 'Netherlands' } }] } });
+
+    await expect(provider.reverse(52.51, 5.05)).resolves.toEqual({
+      street: '',
+      city: 'Edam',
+      state: '',
+      country: 'Netherlands',
+      postalCode: '',
+      formattedAddress: 'Netherlands'
+    });
+  });
+
+  it('returns null without results', async () => {
+    get.mockResolvedValue({ data: { features: [] } });
+    await expect(provider.reverse(0, -160)).resolves.toBeNull();
+
+    get.mockResolvedValue({ data: {} });
+    await expect(provider.search('Nowhere Street')).resolves.toBeNull();
+  });
+
+  it('maps search coordinates from GeoJSON order', async () => {
+    get.mockResolvedValue({
+      data: { features: [{ geometry: { coordinates: [4.8922, 52.3731] }, properties: { name: 'Dam', city: 'Amsterdam' } }] }
+    });
+
+    await expect(provider.search('Dam')).resolves.toEqual({ latitude: 52.3731, longitude: 4.8922, address: 'Dam, Amsterdam' });
+    expect(get).toHaveBeenCalledWith('/api', { params: { q: 'Dam', lang: 'en', limit: 1 } });
+  });
+
+  it('passes HTTP errors on', async () => {
+    get.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    await expect(provider.search('Dam')).rejects.toThrow('ECONNREFUSED');
+  });
+});
@@ -0,0 +1,25 @@
+// Run async tasks one at a time with at least minInterval milliseconds between
+// their starts, in the order they were scheduled
+const createThrottle = (minInterval) => {
+  let queue = Promise.resolve();
+  let lastStart = 0;
+
+  return (task) => {
+    const run = queue.then(async () => {
+      const wait = lastStart + minInterval - Date.now();
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+      lastStart = Date.now();
+      return task();
+    });
+
+    // Keep the chain going whether or not this task fails
+    queue = run.catch(() => {});
+    return run;
+  };
+};
+
+module.exports = {
+  createThrottle
+};
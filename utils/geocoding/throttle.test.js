@@ -0,0 +1,59 @@
+const { createThrottle } = require('./throttle');
+
+describe('createThrottle', () => {
+  it('spaces task starts at least minInterval apart, in order', async () => {
+    const throttle = createThrottle(50);
+    const starts = [];
+    const task = (label) => () => {
+      starts.push({ label, at: Date.now() });
+      return label;
+    };
+
+    const results = await Promise.all([throttle(task('a')), throttle(task('b')), throttle(task('c'))]);
+
+    expect(results).toEqual(['a', 'b', 'c']);
+    expect(starts.map(start => start.label)).toEqual(['a', 'b', 'c']);
+    // Timers may fire a millisecond early
+    expect(starts[1].at - starts[0].at).toBeGreaterThanOrEqual(49);
+    expect(starts[2].at - starts[1].at).toBeGreaterThanOrEqual(49);
+  });
+
+  it('waits for a task to finish before starting the next', async () => {
+    const throttle = createThrottle(0);
+    const events = [];
+
+    await Promise.all([
+      throttle(async () => {
+        events.push('first started');
+        await new Promise(resolve => setTimeout(resolve, 20));
+        events.push('first finished');
+      }),
+      throttle(async () => events.push('second started'))
+    ]);
+
+    expect(events).toEqual(['first started', 'first finished', 'second started']);
+  });
+
+  it('keeps going after a task fails', async () => {
+    const throttle = createThrottle(0);
+
+    const failed = throttle(async () => {
+      throw new Error('HTTP 503');
+    });
+    const next = throttle(async () => 'ok');
+
+    await expect(failed).rejects.toThrow('HTTP 503');
+    await expect(next).resolves.toBe('ok');
+  });
+
+  it('does not wait when the interval has already passed', async () => {
+    const throttle = createThrottle(30);
+    await throttle(async () => {});
+    await new Promise(resolve => setTimeout(resolve, 40));
+
+    const before = Date.now();
+    await throttle(async () => {});
+
+    expect(Date.now() - before).toBeLessThan(20);
+  });
+});
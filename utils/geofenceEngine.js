@@ -0,0 +1,268 @@
+const Geofence = require('../models/Geofence');
+const GeofenceState = require('../models/GeofenceState');
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const ChildProfile = require('../models/ChildProfile');
+const logger = require('./logger');
+const { dispatchAlert } = require('./alerts');
+const { emitToHousehold } = require('./households');
+const { isWithinWorkingHours } = require('./timezone');
+
+// A fix has to be this far past the boundary (at least its reported accuracy)
+// before it counts as crossing it, so GPS jitter at the edge doesn't flap
+const MIN_HYSTERESIS = 10; // in meters
+const MAX_HYSTERESIS = 200; // in meters
+
+// Fixes less accurate than this never cause a transition
+const MAX_USABLE_ACCURACY = 1000; // in meters
+
+// Which setting controls notifications for each event
+const NOTIFY_SETTINGS = {
+  enter: 'notifyOnEntry',
+  exit: 'notifyOnExit',
+  dwell: 'notifyOnDwell'
+};
+
+// Distance past the boundary required to cross it
+const hysteresisMargin = (geofence, accuracy) => {
+  let margin = Math.min(Math.max(accuracy || 0, MIN_HYSTERESIS), MAX_HYSTERESIS);
+
+  // Never demand more than half the fence's size, or small fences could
+  // never be entered
+  const size = geofence.isPolygonShape() ? Math.sqrt(geofence.area) / 2 : geofence.radius;
+  if (size) {
+    margin = Math.min(margin, size / 2);
+  }
+
+  return margin;
+};
+
+// Work out which event (if any) a new fix causes for a fence
+const nextEvent = (state, geofence, distance, margin, timestamp, usable) => {
+  if (state.status === 'outside') {
+    return usable && distance < -margin ? 'enter' : null;
+  }
+
+  if (usable && distance > margin) {
+    return 'exit';
+  }
+
+  const dwellMs = geofence.settings.dwellTime * 60 * 1000;
+  if (!state.dwellNotifiedAt && state.enteredAt && timestamp - state.enteredAt >= dwellMs) {
+    return 'dwell';
+  }
+
+  return null;
+};
+
+const describeEvent = (childName, geofence, event) => {
+  switch (event) {
+    case 'enter':
+      return `${childName} arrived at ${geofence.name}`;
+    case 'exit':
+      return `${childName} left ${geofence.name}`;
+    default:
+      return `${childName} has been at ${geofence.name} for ${geofence.settings.dwellTime} minutes`;
+  }
+};
+
+// Record an event: update statistics, alert the household if the fence wants
+// it and it's within the fence's working hours, and emit it to the household
+const handleEvent = async ({ io, device, geofence, event, fix, childName, timeZone }) => {
+  await geofence.updateStatistics(event);
+
+  const wantsNotification = geofence.settings[NOTIFY_SETTINGS[event]];
+  const inWorkingHours = isWithinWorkingHours(geofence.settings.workingHours, fix.timestamp, timeZone);
+
+  let alert = null;
+  if (wantsNotification && inWorkingHours) {
+    alert = await Alert.create({
+      deviceId: device.deviceId,
+      parentId: device.parentId,
+      type: 'geofence_breach',
+      message: describeEvent(childName, geofence, event),
+      severity: geofence.settings.priority,
+      data: {
+        geofenceId: geofence._id,
+        geofenceName: geofence.name,
+        geofenceEvent: event,
+        dwellTime: event === 'dwell' ? geofence.settings.dwellTime : undefined,
+        location: {
+          latitude: fix.latitude,
+          longitude: fix.longitude,
+          accuracy: fix.accuracy
+        }
+      }
+    });
+
+    await dispatchAlert(io, alert);
+  }
+
+  await emitToHousehold(io, device.parentId, 'geofence-event', {
+    deviceId: device.deviceId,
+    geofenceId: geofence._id,
+    name: geofence.name,
+    event,
+    latitude: fix.latitude,
+    longitude: fix.longitude,
+    timestamp: fix.timestamp,
+    alertId: alert ? alert._id : null
+  });
+
+  return alert;
+};
+
+// Active fences a fix needs checking against: the ones whose indexed shape
+// contains it, plus the ones the device is currently inside (to catch exits
+// and dwells)
+const findCandidateFences = async (device, latitude, longitude) => {
+  const insideStates = await GeofenceState.find({
+    deviceId: device.deviceId,
+    status: 'inside'
+  }).select('geofenceId');
+
+  const [containing, inside] = await Promise.all([
+    Geofence.findIntersecting(latitude, longitude, {
+      deviceId: device.deviceId,
+      parentId: device.parentId
+    }),
+    insideStates.length > 0
+      ? Geofence.find({
+        _id: { $in: insideStates.map(state => state.geofenceId) },
+        parentId: device.parentId,
+        isActive: true
+      })
+      : []
+  ]);
+
+  const byId = new Map();
+  for (const geofence of [...containing, ...inside]) {
+    byId.set(geofence._id.toString(), geofence);
+  }
+  return [...byId.values()];
+};
+
+// Evaluate a location fix against the device's active geofences and fire
+// enter/exit/dwell events. A device with no state for a fence was outside it,
+// unless the fence was created or reshaped after the device's previous fix
+// (previousFixAt), in which case this fix only records where the device is.
+// Resolves to the events that fired.
+const evaluateGeofences = async ({ io, device, latitude, longitude, accuracy, timestamp, previousFixAt }) => {
+  const geofences = await findCandidateFences(device, latitude, longitude);
+  if (geofences.length === 0) return [];
+
+  const states = await GeofenceState.find({
+    deviceId: device.deviceId,
+    geofenceId: { $in: geofences.map(geofence => geofence._id) }
+  });
+  const stateByFence = new Map(states.map(state => [state.geofenceId.toString(), state]));
+
+  const usable = !(accuracy > MAX_USABLE_ACCURACY);
+  const transitions = [];
+
+  for (const geofence of geofences) {
+    const distance = geofence.distanceToBoundary(latitude, longitude);
+    if (distance === null) continue;
+
+    const state = stateByFence.get(geofence._id.toString());
+
+    if (!state) {
+      if (!usable) continue;
+
+      const drawnAt = geofence.boundaryUpdatedAt || geofence.createdAt;
+      const knownOutside = previousFixAt && drawnAt && drawnAt <= previousFixAt;
+      const margin = hysteresisMargin(geofence, accuracy);
+      const event = knownOutside ? nextEvent({ status: 'outside' }, geofence, distance, margin, timestamp, usable) : null;
+
+      // Without a known previous position, only record where the device is
+      if (!knownOutside || event) {
+        const inside = knownOutside ? true : distance <= 0;
+        try {
+          await GeofenceState.create({
+            deviceId: device.deviceId,
+            geofenceId: geofence._id,
+            parentId: device.parentId,
+            status: inside ? 'inside' : 'outside',
+            enteredAt: inside ? timestamp : undefined,
+            lastLocationAt: timestamp,
+            lastDistance: distance
+          });
+          if (event) {
+            transitions.push({ geofence, event });
+          }
+        } catch (error) {
+          // Another report created the state concurrently
+          if (error.code !== 11000) throw error;
+        }
+      }
+      continue;
+    }
+
+    // Ignore fixes older than the last one evaluated
+    if (timestamp <= state.lastLocationAt) continue;
+
+    const margin = hysteresisMargin(geofence, accuracy);
+    const event = nextEvent(state, geofence, distance, margin, timestamp, usable);
+
+    const update = { lastLocationAt: timestamp, lastDistance: distance };
+    if (event === 'enter') {
+      Object.assign(update, { status: 'inside', enteredAt: timestamp, dwellNotifiedAt: null });
+    } else if (event === 'exit') {
+      Object.assign(update, { status: 'outside', exitedAt: timestamp });
+    } else if (event === 'dwell') {
+      update.dwellNotifiedAt = timestamp;
+    }
+
+    // Only the report that moves the state forward fires the event
+    const claimed = await GeofenceState.findOneAndUpdate(
+      { _id: state._id, lastLocationAt: state.lastLocationAt },
+      update,
+      { new: true }
+    );
+
+    if (claimed && event) {
+      transitions.push({ geofence, event });
+    }
+  }
+
+  if (transitions.length === 0) return [];
+
+  // Working hours are in the household owner's time zone. That's the one
+  // they set in their preferences; profile.timezone is never filled in.
+  const owner = await User.findById(device.parentId).select('preferences.timezone');
+  const timeZone = owner && owner.preferences ? owner.preferences.timezone : undefined;
+
+  const childProfile = device.childProfileId
+    ? await ChildProfile.findById(device.childProfileId).select('name')
+    : null;
+  const childName = childProfile ? childProfile.name : device.deviceName;
+
+  const fix = { latitude, longitude, accuracy, timestamp };
+  const events = [];
+
+  for (const { geofence, event } of transitions) {
+    try {
+      const alert = await handleEvent({ io, device, geofence, event, fix, childName, timeZone });
+      events.push({
+        geofenceId: geofence._id,
+        name: geofence.name,
+        event,
+        alertId: alert ? alert._id : null
+      });
+    } catch (error) {
+      logger.error('Geofence event error:', error);
+    }
+  }
+
+  logger.info('Geofence events', {
+    deviceId: device.deviceId,
+    events: events.map(entry => `${entry.event}:${entry.geofenceId}`)
+  });
+
+  return events;
+};
+
+module.exports = {
+  evaluateGeofences,
+  hysteresisMargin
+};
@@ -0,0 +1,286 @@
+const EARTH_RADIUS = 6371000; // in meters
+
+const toRadians = (deg) => deg * (Math.PI / 180);
+
+// Longitude difference wrapped into [-180, 180), so shapes crossing the
+// antimeridian are handled
+const wrapLongitude = (deltaLon) => {
+  return ((deltaLon + 540) % 360) - 180;
+};
+
+// Great-circle distance between two points in meters
+const haversineDistance = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(wrapLongitude(lon2 - lon1));
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+
+  return EARTH_RADIUS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Shortest distance in meters from a point to the edges of a polygon, using
+// a local flat projection around the point (accurate at geofence scale)
+const distanceToPolygonEdge = (latitude, longitude, vertices) => {
+  const cosLat = Math.cos(toRadians(latitude));
+  const project = (vertex) => ({
+    x: toRadians(wrapLongitude(vertex.longitude - longitude)) * cosLat * EARTH_RADIUS,
+    y: toRadians(vertex.latitude - latitude) * EARTH_RADIUS
+  });
+
+  const points = vertices.map(project);
+  let min = Infinity;
+
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+
+    // Closest point on segment a-b to the origin (the projected point)
+    const t = lengthSquared === 0
+      ? 0
+      : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+
+    min = Math.min(min, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+
+  return min;
+};
+
+// Gnomonic projection centered on a point. Great circles project to straight
+// lines, so polygon edges (geodesics) stay straight and planar tests are
+// exact. Only valid for points less than 90 degrees from the center; returns
+// null for points on the far side.
+const gnomonicProjector = (centerLat, centerLon) => {
+  const phi0 = toRadians(centerLat);
+  const sinPhi0 = Math.sin(phi0);
+  const cosPhi0 = Math.cos(phi0);
+
+  return (latitude, longitude) => {
+    const phi = toRadians(latitude);
+    const dLambda = toRadians(wrapLongitude(longitude - centerLon));
+    const cosC = sinPhi0 * Math.sin(phi) + cosPhi0 * Math.cos(phi) * Math.cos(dLambda);
+
+    if (cosC <= 1e-9) return null;
+
+    return {
+      x: (Math.cos(phi) * Math.sin(dLambda)) / cosC,
+      y: (cosPhi0 * Math.sin(phi) - sinPhi0 * Math.cos(phi) * Math.cos(dLambda)) / cosC
+    };
+  };
+};
+
+// Center of a polygon's vertices, averaged on the unit sphere so it works
+// across the antimeridian
+const polygonCentroid = (vertices) => {
+  let x = 0;
+  let y = 0;
+  let z = 0;
+
+  vertices.forEach(vertex => {
+    const phi = toRadians(vertex.latitude);
+    const lambda = toRadians(vertex.longitude);
+    x += Math.cos(phi) * Math.cos(lambda);
+    y += Math.cos(phi) * Math.sin(lambda);
+    z += Math.sin(phi);
+  });
+
+  return {
+    latitude: Math.atan2(z, Math.hypot(x, y)) * (180 / Math.PI),
+    longitude: Math.atan2(y, x) * (180 / Math.PI)
+  };
+};
+
+// Check if a point lies inside a polygon whose edges are geodesics. Points
+// on the boundary count as inside.
+const pointInPolygon = (latitude, longitude, vertices) => {
+  const project = gnomonicProjector(latitude, longitude);
+  const points = vertices.map(vertex => project(vertex.latitude, vertex.longitude));
+
+  // A vertex on the far hemisphere means the point is nowhere near the fence
+  if (points.some(point => point === null)) return false;
+
+  // Cast a ray from the point (the projection origin) along +x
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+
+    if (Math.abs(a.x) < 1e-12 && Math.abs(a.y) < 1e-12) return true;
+
+    if ((a.y > 0) !== (b.y > 0)) {
+      const crossingX = a.x + (-a.y) * (b.x - a.x) / (b.y - a.y);
+      if (Math.abs(crossingX) < 1e-12) return true;
+      if (crossingX > 0) inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+// Area of a geodesic polygon in square meters (spherical excess)
+const polygonArea = (vertices) => {
+  let total = 0;
+
+  for (let i = 0; i < vertices.length; i++) {
+    const a = vertices[i];
+    const b = vertices[(i + 1) % vertices.length];
+    total += toRadians(wrapLongitude(b.longitude - a.longitude)) *
+      (2 + Math.sin(toRadians(a.latitude)) + Math.sin(toRadians(b.latitude)));
+  }
+
+  return Math.abs(total * EARTH_RADIUS * EARTH_RADIUS / 2);
+};
+
+// Perimeter of a polygon in meters
+const polygonPerimeter = (vertices) => {
+  let total = 0;
+
+  for (let i = 0; i < vertices.length; i++) {
+    const a = vertices[i];
+    const b = vertices[(i + 1) % vertices.length];
+    total += haversineDistance(a.latitude, a.longitude, b.latitude, b.longitude);
+  }
+
+  return total;
+};
+
+const orientation = (p, q, r) => {
+  const value = (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+  if (Math.abs(value) < 1e-15) return 0;
+  return value > 0 ? 1 : -1;
+};
+
+const onSegment = (p, q, r) => {
+  return Math.min(p.x, r.x) <= q.x && q.x <= Math.max(p.x, r.x) &&
+    Math.min(p.y, r.y) <= q.y && q.y <= Math.max(p.y, r.y);
+};
+
+const segmentsIntersect = (p1, p2, p3, p4) => {
+  const o1 = orientation(p1, p2, p3);
+  const o2 = orientation(p1, p2, p4);
+  const o3 = orientation(p3, p4, p1);
+  const o4 = orientation(p3, p4, p2);
+
+  if (o1 !== o2 && o3 !== o4) return true;
+
+  // Collinear overlaps
+  return (o1 === 0 && onSegment(p1, p3, p2)) ||
+    (o2 === 0 && onSegment(p1, p4, p2)) ||
+    (o3 === 0 && onSegment(p3, p1, p4)) ||
+    (o4 === 0 && onSegment(p3, p2, p4));
+};
+
+// Find a problem that makes a polygon unusable as a fence: repeated points,
+// a shape spanning more than a hemisphere, or edges that cross each other.
+// Returns a description of the problem, or null if the polygon is simple.
+const findPolygonProblem = (vertices) => {
+  for (let i = 0; i < vertices.length; i++) {
+    const a = vertices[i];
+    const b = vertices[(i + 1) % vertices.length];
+    if (a.latitude === b.latitude && wrapLongitude(a.longitude - b.longitude) === 0) {
+      return `Polygon points ${i + 1} and ${(i + 1) % vertices.length + 1} are the same`;
+    }
+  }
+
+  const centroid = polygonCentroid(vertices);
+  const project = gnomonicProjector(centroid.latitude, centroid.longitude);
+  const points = vertices.map(vertex => project(vertex.latitude, vertex.longitude));
+
+  if (points.some(point => point === null)) {
+    return 'Polygon is too large';
+  }
+
+  const count = points.length;
+  for (let i = 0; i < count; i++) {
+    for (let j = i + 1; j < count; j++) {
+      // Adjacent edges share a vertex and always "touch"
+      if (j === i + 1 || (i === 0 && j === count - 1)) continue;
+
+      if (segmentsIntersect(points[i], points[(i + 1) % count], points[j], points[(j + 1) % count])) {
+        return `Polygon edges ${i + 1} and ${j + 1} cross each other`;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Initial bearing (degrees clockwise from north) from one point to another
+const initialBearing = (lat1, lon1, lat2, lon2) => {
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const deltaLambda = toRadians(wrapLongitude(lon2 - lon1));
+
+  const theta = Math.atan2(
+    Math.sin(deltaLambda) * Math.cos(phi2),
+    Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda)
+  );
+
+  return (theta * (180 / Math.PI) + 360) % 360;
+};
+
+// Point at a distance (meters) and bearing (degrees) from a start point
+const destinationPoint = (latitude, longitude, distance, bearing) => {
+  const delta = distance / EARTH_RADIUS;
+  const theta = toRadians(bearing);
+  const phi1 = toRadians(latitude);
+  const lambda1 = toRadians(longitude);
+
+  const phi2 = Math.asin(
+    Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(theta)
+  );
+  const lambda2 = lambda1 + Math.atan2(
+    Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+    Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2)
+  );
+
+  return {
+    latitude: phi2 * (180 / Math.PI),
+    longitude: wrapLongitude(lambda2 * (180 / Math.PI))
+  };
+};
+
+// Regular polygon that fully contains a circle, for indexing circles as
+// GeoJSON (which has no circle type)
+const circleToPolygon = (latitude, longitude, radius, sides = 32) => {
+  // Circumradius, so the polygon's edges stay outside the circle
+  const circumradius = radius / Math.cos(Math.PI / sides);
+
+  return Array.from({ length: sides }, (value, index) =>
+    destinationPoint(latitude, longitude, circumradius, (360 / sides) * index)
+  );
+};
+
+// GeoJSON polygon from { latitude, longitude } vertices (ring closed)
+const toGeoJSONPolygon = (vertices) => {
+  const ring = vertices.map(vertex => [vertex.longitude, vertex.latitude]);
+  ring.push(ring[0]);
+
+  return {
+    type: 'Polygon',
+    coordinates: [ring]
+  };
+};
+
+module.exports = {
+  EARTH_RADIUS,
+  toRadians,
+  wrapLongitude,
+  haversineDistance,
+  distanceToPolygonEdge,
+  gnomonicProjector,
+  polygonCentroid,
+  pointInPolygon,
+  polygonArea,
+  polygonPerimeter,
+  findPolygonProblem,
+  initialBearing,
+  destinationPoint,
+  circleToPolygon,
+  toGeoJSONPolygon
+};
@@ -0,0 +1,148 @@
+const {
+  wrapLongitude,
+  haversineDistance,
+  distanceToPolygonEdge,
+  polygonCentroid,
+  pointInPolygon,
+  polygonArea,
+  polygonPerimeter,
+  findPolygonProblem,
+  initialBearing,
+  destinationPoint,
+  circleToPolygon,
+  toGeoJSONPolygon
+} = require('./geometry');
+
+const vertex = (latitude, longitude) => ({ latitude, longitude });
+
+// One degree square on the equator
+const square = [vertex(0, 0), vertex(0, 1), vertex(1, 1), vertex(1, 0)];
+
+// Two degrees wide, straddling the antimeridian
+const antimeridian = [vertex(-1, 179), vertex(-1, -179), vertex(1, -179), vertex(1, 179)];
+
+describe('wrapLongitude', () => {
+  it.each([
+    [0, 0],
+    [190, -170],
+    [-190, 170],
+    [359.8, -0.2],
+    [180, -180]
+  ])('wraps %d to %d', (delta, wrapped) => {
+    expect(wrapLongitude(delta)).toBeCloseTo(wrapped, 9);
+  });
+});
+
+describe('haversineDistance', () => {
+  it('measures London to Paris', () => {
+    expect(haversineDistance(51.5074, -0.1278, 48.8566, 2.3522)).toBeCloseTo(343556, 0);
+  });
+
+  it('takes the short way across the antimeridian', () => {
+    expect(haversineDistance(0, 179.9, 0, -179.9)).toBeCloseTo(22239, 0);
+  });
+});
+
+describe('pointInPolygon', () => {
+  it('tells points inside from points outside', () => {
+    expect(pointInPolygon(0.5, 0.5, square)).toBe(true);
+    expect(pointInPolygon(1.5, 0.5, square)).toBe(false);
+    expect(pointInPolygon(0.5, -0.5, square)).toBe(false);
+  });
+
+  it('counts points on the boundary as inside', () => {
+    expect(pointInPolygon(0, 0, square)).toBe(true);
+    expect(pointInPolygon(0.5, 0, square)).toBe(true);
+  });
+
+  it('handles polygons crossing the antimeridian', () => {
+    expect(pointInPolygon(0, 180, antimeridian)).toBe(true);
+    expect(pointInPolygon(0, -179.5, antimeridian)).toBe(true);
+    expect(pointInPolygon(0, 178.5, antimeridian)).toBe(false);
+    expect(pointInPolygon(0, 0, antimeridian)).toBe(false);
+  });
+});
+
+describe('polygon measurements', () => {
+  it('computes the area of a geodesic polygon', () => {
+    // R² · Δλ · (sin φ2 - sin φ1) for a latitude/longitude box
+    const exact = 6371000 * 6371000 * (Math.PI / 180) * Math.sin(Math.PI / 180);
+    expect(polygonArea(square) / exact).toBeCloseTo(1, 9);
+    expect(polygonArea([...square].reverse())).toBeCloseTo(polygonArea(square), 0);
+  });
+
+  it('measures polygons across the antimeridian like anywhere else', () => {
+    const sameShape = [vertex(-1, 0), vertex(-1, 2), vertex(1, 2), vertex(1, 0)];
+    expect(polygonArea(antimeridian)).toBeCloseTo(polygonArea(sameShape), 0);
+    expect(polygonPerimeter(antimeridian)).toBeCloseTo(polygonPerimeter(sameShape), 3);
+  });
+
+  it('finds the centroid across the antimeridian', () => {
+    const centroid = polygonCentroid(antimeridian);
+    expect(centroid.latitude).toBeCloseTo(0, 9);
+    expect(Math.abs(centroid.longitude)).toBeCloseTo(180, 9);
+  });
+
+  it('measures the distance to the nearest edge', () => {
+    expect(distanceToPolygonEdge(0.5, 0.5, square)).toBeCloseTo(55595, 0);
+    expect(distanceToPolygonEdge(0.5, -0.5, square)).toBeCloseTo(55595, 0);
+  });
+});
+
+describe('findPolygonProblem', () => {
+  it('accepts simple polygons', () => {
+    expect(findPolygonProblem(square)).toBeNull();
+    expect(findPolygonProblem(antimeridian)).toBeNull();
+  });
+
+  it('rejects repeated points', () => {
+    expect(findPolygonProblem([vertex(0, 0), vertex(0, 0), vertex(1, 0)]))
+      .toBe('Polygon points 1 and 2 are the same');
+    expect(findPolygonProblem([vertex(0, 180), vertex(1, 0), vertex(0, -180)]))
+      .toBe('Polygon points 3 and 1 are the same');
+  });
+
+  it('rejects edges that cross each other', () => {
+    expect(findPolygonProblem([vertex(0, 0), vertex(1, 1), vertex(1, 0), vertex(0, 1)]))
+      .toBe('Polygon edges 1 and 3 cross each other');
+  });
+
+  it('rejects polygons spanning more than a hemisphere', () => {
+    expect(findPolygonProblem([vertex(0, 0), vertex(0, 120), vertex(0, -120)]))
+      .toBe('Polygon is too large');
+  });
+});
+
+describe('bearings and destinations', () => {
+  it('gives the initial bearing', () => {
+    expect(initialBearing(0, 0, 1, 0)).toBeCloseTo(0, 9);
+    expect(initialBearing(0, 0, 0, 1)).toBeCloseTo(90, 9);
+    expect(initialBearing(0, 179.9, 0, -179.9)).toBeCloseTo(90, 9);
+    expect(initialBearing(1, 0, 0, 0)).toBeCloseTo(180, 9);
+  });
+
+  it('wraps destinations across the antimeridian', () => {
+    const destination = destinationPoint(0, 179.9, 22239, 90);
+    expect(destination.latitude).toBeCloseTo(0, 9);
+    expect(destination.longitude).toBeCloseTo(-179.9, 5);
+  });
+});
+
+describe('circleToPolygon', () => {
+  it('builds a polygon that contains the whole circle', () => {
+    const polygon = circleToPolygon(52, 5, 100);
+
+    expect(polygon).toHaveLength(32);
+    expect(distanceToPolygonEdge(52, 5, polygon)).toBeGreaterThan(99.9);
+    expect(findPolygonProblem(polygon)).toBeNull();
+  });
+});
+
+describe('toGeoJSONPolygon', () => {
+  it('uses [longitude, latitude] and closes the ring', () => {
+    expect(toGeoJSONPolygon(square.slice(0, 3))).toEqual({
+      type: 'Polygon',
+      coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]]
+    });
+  });
+});
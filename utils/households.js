@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const Household = require('../models/Household');
+const User = require('../models/User');
+const logger = require('./logger');
+
+// Work out which parent accounts' data a user may view and manage.
+// Every parent implicitly owns their own household, even before the
+// Household document exists.
+const getHouseholdAccess = async (user) => {
+  const userId = new mongoose.Types.ObjectId(user._id);
+  const households = await Household.findForMember(userId);
+
+  const access = {
+    households: [],
+    viewable: [],
+    manageable: []
+  };
+
+  const add = (householdId, parentId, role) => {
+    if (access.viewable.some(id => id.equals(parentId))) return;
+
+    access.households.push({ householdId, parentId, role });
+    access.viewable.push(parentId);
+    if (Household.MANAGER_ROLES.includes(role)) {
+      access.manageable.push(parentId);
+    }
+  };
+
+  if (user.role === 'parent') {
+    const own = households.find(household => household.ownerId.equals(userId));
+    add(own ? own._id : null, userId, 'owner');
+  }
+
+  households.forEach(household => {
+    const member = household.getMember(userId);
+    add(household._id, household.ownerId, member.role);
+  });
+
+  // Parent account to store new records under. Defaults to the user's own
+  // household; returns null if the user can't manage the requested one.
+  access.resolveParentId = (householdId) => {
+    if (!householdId) {
+      return access.manageable.find(id => id.equals(userId)) || access.manageable[0] || null;
+    }
+    const entry = access.households.find(
+      household => household.householdId && household.householdId.toString() === householdId.toString()
+    );
+    return entry && Household.MANAGER_ROLES.includes(entry.role) ? entry.parentId : null;
+  };
+
+  // Role the user holds in the household whose data is keyed by parentId
+  access.roleFor = (parentId) => {
+    const entry = access.households.find(household => household.parentId.equals(parentId));
+    return entry ? entry.role : null;
+  };
+
+  return access;
+};
+
+// Get the active members of the household whose data is keyed by parentId
+const getHouseholdMembers = async (parentId) => {
+  const household = await Household.findOne({ ownerId: parentId });
+  const roles = new Map();
+
+  if (household) {
+    household.members.forEach(member => roles.set(member.userId.toString(), member.role));
+  } else {
+    roles.set(parentId.toString(), 'owner');
+  }
+
+  const users = await User.find({
+    _id: { $in: Array.from(roles.keys()) },
+    isActive: true
+  }).select('name email preferences');
+
+  return users.map(user => ({
+    user,
+    role: roles.get(user._id.toString())
+  }));
+};
+
+// Emit a socket event to every member of a household
+const emitToHousehold = async (io, parentId, event, payload) => {
+  if (!io) return;
+
+  try {
+    const members = await getHouseholdMembers(parentId);
+    const rooms = members.map(member => member.user._id.toString());
+
+    if (rooms.length > 0) {
+      io.to(rooms).emit(event, payload);
+    }
+  } catch (error) {
+    logger.error('Household socket fan-out error:', error);
+  }
+};
+
+module.exports = {
+  getHouseholdAccess,
+  getHouseholdMembers,
+  emitToHousehold
+};
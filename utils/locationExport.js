@@ -0,0 +1,195 @@
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const escapeCsv = (value) => {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const EVENT_LABELS = {
+  enter: 'Entered',
+  exit: 'Left',
+  dwell: 'Stayed at'
+};
+
+// Flatten a location into the fields every format exports
+const exportFields = (location, geofenceNames) => {
+  const geofenceName = location.geofenceId
+    ? geofenceNames.get(location.geofenceId.toString())
+    : undefined;
+
+  return {
+    timestamp: location.timestamp.toISOString(),
+    latitude: location.latitude,
+    longitude: location.longitude,
+    accuracy: location.accuracy,
+    altitude: location.altitude,
+    speed: location.speed,
+    heading: location.heading,
+    source: location.source,
+    address: location.address ? location.address.formattedAddress : undefined,
+    geofenceEvent: location.geofenceEvent,
+    geofenceName,
+    geofenceDescription: location.geofenceEvent
+      ? `${EVENT_LABELS[location.geofenceEvent]} ${geofenceName || 'a deleted geofence'}`
+      : undefined
+  };
+};
+
+// Each format writes a header, one chunk per location and a footer.
+// `meta` is { title, from, to, generatedAt }.
+const FORMATS = {
+  gpx: {
+    contentType: 'application/gpx+xml',
+    extension: 'gpx',
+    header: (meta) => [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gpx version="1.1" creator="Watcher" xmlns="http://www.topografix.com/GPX/1/1"',
+      '  xmlns:watcher="https://watcher.app/xmlns/gpx/1">',
+      '  <metadata>',
+      `    <name>${escapeXml(meta.title)}</name>`,
+      `    <time>${meta.generatedAt.toISOString()}</time>`,
+      '  </metadata>',
+      '  <trk>',
+      `    <name>${escapeXml(meta.title)}</name>`,
+      '    <trkseg>',
+      ''
+    ].join('\n'),
+    point: (fields) => {
+      const lines = [`      <trkpt lat="${fields.latitude}" lon="${fields.longitude}">`];
+      if (fields.altitude != null) lines.push(`        <ele>${fields.altitude}</ele>`);
+      lines.push(`        <time>${fields.timestamp}</time>`);
+      if (fields.geofenceDescription) lines.push(`        <desc>${escapeXml(fields.geofenceDescription)}</desc>`);
+
+      const extensions = [];
+      if (fields.accuracy != null) extensions.push(`<watcher:accuracy>${fields.accuracy}</watcher:accuracy>`);
+      if (fields.speed != null) extensions.push(`<watcher:speed>${fields.speed}</watcher:speed>`);
+      if (fields.heading != null) extensions.push(`<watcher:heading>${fields.heading}</watcher:heading>`);
+      if (fields.source) extensions.push(`<watcher:source>${fields.source}</watcher:source>`);
+      if (fields.geofenceEvent) {
+        extensions.push(`<watcher:geofenceEvent>${fields.geofenceEvent}</watcher:geofenceEvent>`);
+        if (fields.geofenceName) extensions.push(`<watcher:geofence>${escapeXml(fields.geofenceName)}</watcher:geofence>`);
+      }
+      if (extensions.length > 0) {
+        lines.push(`        <extensions>${extensions.join('')}</extensions>`);
+      }
+
+      lines.push('      </trkpt>', '');
+      return lines.join('\n');
+    },
+    footer: () => '    </trkseg>\n  </trk>\n</gpx>\n'
+  },
+
+  kml: {
+    contentType: 'application/vnd.google-earth.kml+xml',
+    extension: 'kml',
+    header: (meta) => [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<kml xmlns="http://www.opengis.net/kml/2.2">',
+      '  <Document>',
+      `    <name>${escapeXml(meta.title)}</name>`,
+      `    <description>${meta.from.toISOString()} to ${meta.to.toISOString()}</description>`,
+      ''
+    ].join('\n'),
+    point: (fields) => {
+      const data = ['accuracy', 'speed', 'heading', 'source', 'address', 'geofenceEvent', 'geofenceName']
+        .filter(key => fields[key] != null)
+        .map(key => `<Data name="${key}"><value>${escapeXml(fields[key])}</value></Data>`);
+      const altitude = fields.altitude != null ? `,${fields.altitude}` : '';
+
+      return [
+        '    <Placemark>',
+        fields.geofenceDescription ? `      <name>${escapeXml(fields.geofenceDescription)}</name>` : null,
+        `      <TimeStamp><when>${fields.timestamp}</when></TimeStamp>`,
+        data.length > 0 ? `      <ExtendedData>${data.join('')}</ExtendedData>` : null,
+        `      <Point><coordinates>${fields.longitude},${fields.latitude}${altitude}</coordinates></Point>`,
+        '    </Placemark>',
+        ''
+      ].filter(line => line !== null).join('\n');
+    },
+    footer: () => '  </Document>\n</kml>\n'
+  },
+
+  geojson: {
+    contentType: 'application/geo+json',
+    extension: 'geojson',
+    header: (meta) => `{"type":"FeatureCollection","properties":${JSON.stringify({
+      name: meta.title,
+      from: meta.from,
+      to: meta.to
+    })},"features":[\n`,
+    point: (fields, index) => {
+      const { latitude, longitude, altitude, geofenceDescription, ...properties } = fields;
+      const coordinates = altitude != null ? [longitude, latitude, altitude] : [longitude, latitude];
+      const feature = {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates },
+        properties
+      };
+      return `${index > 0 ? ',\n' : ''}${JSON.stringify(feature)}`;
+    },
+    footer: () => '\n]}\n'
+  },
+
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    columns: ['timestamp', 'latitude', 'longitude', 'accuracy', 'altitude', 'speed', 'heading', 'source', 'address', 'geofenceEvent', 'geofenceName'],
+    header() {
+      return `${this.columns.join(',')}\r\n`;
+    },
+    point(fields) {
+      return `${this.columns.map(column => escapeCsv(fields[column])).join(',')}\r\n`;
+    },
+    footer: () => ''
+  }
+};
+
+const EXPORT_FORMATS = Object.keys(FORMATS);
+
+// Stream locations from a cursor to a writable in the given format, waiting
+// for the writable to drain so memory stays flat however long the range is.
+// Resolves to the number of locations written.
+const streamLocations = async ({ cursor, output, format, meta, geofenceNames }) => {
+  const writer = FORMATS[format];
+
+  // Resolves on drain, or on close if the client goes away mid-export
+  const waitForDrain = () => new Promise(resolve => {
+    const done = () => {
+      output.off('drain', done);
+      output.off('close', done);
+      resolve();
+    };
+    output.on('drain', done);
+    output.on('close', done);
+  });
+
+  const write = async (chunk) => {
+    if (chunk && !output.destroyed && !output.write(chunk)) {
+      await waitForDrain();
+    }
+  };
+
+  await write(writer.header(meta));
+
+  let count = 0;
+  for (let location = await cursor.next(); location; location = await cursor.next()) {
+    if (output.destroyed) break;
+    await write(writer.point(exportFields(location, geofenceNames), count));
+    count++;
+  }
+
+  await write(writer.footer(meta));
+  return count;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  FORMATS,
+  streamLocations
+};
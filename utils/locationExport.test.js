@@ -0,0 +1,139 @@
+const { Writable } = require('stream');
+const mongoose = require('mongoose');
+const { EXPORT_FORMATS, FORMATS, streamLocations } = require('./locationExport');
+
+const geofenceId = new mongoose.Types.ObjectId();
+const geofenceNames = new Map([[geofenceId.toString(), 'Mum & Dad\'s <house>']]);
+
+const meta = {
+  title: 'Tom\'s "phone" & tablet',
+  from: new Date('2024-07-01T00:00:00Z'),
+  to: new Date('2024-07-02T00:00:00Z'),
+  generatedAt: new Date('2024-07-02T08:00:00Z')
+};
+
+const locations = [
+  {
+    timestamp: new Date('2024-07-01T08:00:00Z'),
+    latitude: 52.37,
+    longitude: 4.89,
+    accuracy: 10,
+    altitude: 2,
+    source: 'gps',
+    address: { formattedAddress: 'Damrak 1, "Centrum", Amsterdam' }
+  },
+  {
+    timestamp: new Date('2024-07-01T08:05:00Z'),
+    latitude: 52.38,
+    longitude: 4.9,
+    accuracy: 15,
+    speed: 1.5,
+    geofenceEvent: 'enter',
+    geofenceId
+  }
+];
+
+// A cursor over a fixed list of documents
+const arrayCursor = (documents) => {
+  const remaining = [...documents];
+  return { next: async () => remaining.shift() || null };
+};
+
+// A writable that collects what was written. A small buffer makes the
+// export wait for 'drain' between chunks.
+const collector = () => {
+  const chunks = [];
+  const output = new Writable({
+    highWaterMark: 16,
+    write(chunk, encoding, callback) {
+      chunks.push(chunk.toString());
+      setImmediate(callback);
+    }
+  });
+  output.text = () => chunks.join('');
+  return output;
+};
+
+const exportAs = async (format, documents = locations) => {
+  const output = collector();
+  const count = await streamLocations({ cursor: arrayCursor(documents), output, format, meta, geofenceNames });
+  return { count, text: output.text() };
+};
+
+describe('streamLocations', () => {
+  it('offers every format', () => {
+    expect(EXPORT_FORMATS).toEqual(['gpx', 'kml', 'geojson', 'csv']);
+  });
+
+  it('escapes names and descriptions in GPX', async () => {
+    const { count, text } = await exportAs('gpx');
+
+    expect(count).toBe(2);
+    expect(text).toContain('<name>Tom&apos;s &quot;phone&quot; &amp; tablet</name>');
+    expect(text).toContain('<desc>Entered Mum &amp; Dad&apos;s &lt;house&gt;</desc>');
+    expect(text).toContain('<watcher:geofence>Mum &amp; Dad&apos;s &lt;house&gt;</watcher:geofence>');
+    expect(text).toContain('<trkpt lat="52.37" lon="4.89">');
+    expect(text).toContain('<ele>2</ele>');
+    expect(text.endsWith('</gpx>\n')).toBe(true);
+  });
+
+  it('escapes names and extended data in KML', async () => {
+    const { text } = await exportAs('kml');
+
+    expect(text).toContain('<name>Tom&apos;s &quot;phone&quot; &amp; tablet</name>');
+    expect(text).toContain('<Data name="address"><value>Damrak 1, &quot;Centrum&quot;, Amsterdam</value></Data>');
+    expect(text).toContain('<name>Entered Mum &amp; Dad&apos;s &lt;house&gt;</name>');
+    expect(text).toContain('<coordinates>4.89,52.37,2</coordinates>');
+    expect(text).toContain('<coordinates>4.9,52.38</coordinates>');
+  });
+
+  it('writes valid GeoJSON', async () => {
+    const { text } = await exportAs('geojson');
+    const collection = JSON.parse(text);
+
+    expect(collection.properties.name).toBe(meta.title);
+    expect(collection.features).toHaveLength(2);
+    expect(collection.features[0].geometry.coordinates).toEqual([4.89, 52.37, 2]);
+    expect(collection.features[1].properties).toMatchObject({
+      geofenceEvent: 'enter',
+      geofenceName: 'Mum & Dad\'s <house>'
+    });
+  });
+
+  it('writes valid GeoJSON without any locations', async () => {
+    const { count, text } = await exportAs('geojson', []);
+
+    expect(count).toBe(0);
+    expect(JSON.parse(text).features).toEqual([]);
+  });
+
+  it('quotes CSV fields with commas or quotes', async () => {
+    const { text } = await exportAs('csv');
+    const lines = text.split('\r\n');
+
+    expect(lines[0]).toBe(FORMATS.csv.columns.join(','));
+    expect(lines[1]).toBe('2024-07-01T08:00:00.000Z,52.37,4.89,10,2,,,gps,"Damrak 1, ""Centrum"", Amsterdam",,');
+    expect(lines[2]).toBe('2024-07-01T08:05:00.000Z,52.38,4.9,15,,1.5,,,,enter,Mum & Dad\'s <house>');
+    expect(lines[3]).toBe('');
+  });
+
+  it('names geofences that were deleted', async () => {
+    const { text } = await exportAs('gpx', [{ ...locations[1], geofenceId: new mongoose.Types.ObjectId() }]);
+
+    expect(text).toContain('<desc>Entered a deleted geofence</desc>');
+  });
+
+  it('stops when the client goes away', async () => {
+    const output = collector();
+    const cursor = arrayCursor(locations);
+    const next = cursor.next;
+    cursor.next = async () => {
+      output.destroy();
+      return next();
+    };
+
+    const count = await streamLocations({ cursor, output, format: 'csv', meta, geofenceNames });
+
+    expect(count).toBe(0);
+  });
+});
@@ -0,0 +1,228 @@
+const Location = require('../models/Location');
+const Device = require('../models/Device');
+const logger = require('./logger');
+const { emitToHousehold } = require('./households');
+const { evaluateGeofences } = require('./geofenceEngine');
+const { evaluateDriving } = require('./drivingSafety');
+const { emitToShares } = require('./locationShares');
+
+// Most points a device may upload in one batch
+const MAX_BATCH_SIZE = 500;
+
+// Device clocks drift; points further in the future than this are rejected
+const MAX_CLOCK_SKEW = 5 * 60 * 1000; // 5 minutes
+
+// Fields a device may report with each point
+const REPORT_FIELDS = [
+  'latitude',
+  'longitude',
+  'accuracy',
+  'altitude',
+  'speed',
+  'heading',
+  'source',
+  'batteryLevel',
+  'isCharging',
+  'networkType',
+  'signalStrength'
+];
+
+// Turn reported points into Location documents, rejecting ones with bad
+// timestamps or values and collapsing repeated sequence numbers. Without a
+// boot ID there is nothing to scope sequence numbers to, so they aren't kept.
+const buildLocations = async (device, points, bootId, receivedAt) => {
+  const locations = [];
+  const rejected = [];
+  const sequences = new Set();
+  let duplicates = 0;
+
+  for (const [index, point] of points.entries()) {
+    const timestamp = new Date(point.timestamp);
+    if (!point.timestamp || isNaN(timestamp) || timestamp.getTime() > receivedAt.getTime() + MAX_CLOCK_SKEW) {
+      rejected.push({ index, sequence: point.sequence, reason: 'invalid_timestamp' });
+      continue;
+    }
+
+    const sequence = bootId ? point.sequence : undefined;
+    if (sequence != null) {
+      if (sequences.has(sequence)) {
+        duplicates++;
+        continue;
+      }
+      sequences.add(sequence);
+    }
+
+    const data = {
+      deviceId: device.deviceId,
+      parentId: device.parentId,
+      timestamp,
+      receivedAt,
+      bootId,
+      sequence,
+      geocodeStatus: 'pending'
+    };
+    REPORT_FIELDS.forEach(field => {
+      if (point[field] !== undefined) data[field] = point[field];
+    });
+
+    const location = new Location(data);
+    try {
+      await location.validate();
+      locations.push(location);
+    } catch (error) {
+      rejected.push({ index, sequence: point.sequence, reason: 'invalid_location' });
+    }
+  }
+
+  return { locations, rejected, duplicates };
+};
+
+// Store a device's reported points. Points are deduplicated by sequence
+// number within the device's boot, keep the device's own timestamps and may
+// arrive in any order; the device's last known location only moves forward in
+// time. Addresses are filled in later by the geocode queue.
+// Resolves to { accepted, duplicates, rejected, acknowledged, latest, geofenceEvents }.
+const ingestLocations = async ({ io, device, points, bootId }) => {
+  const receivedAt = new Date();
+  const built = await buildLocations(device, points, bootId, receivedAt);
+  let { locations, duplicates } = built;
+
+  // Drop points already stored by an earlier (retried) upload
+  const sequences = locations.filter(location => location.sequence != null).map(location => location.sequence);
+  if (sequences.length > 0) {
+    const stored = new Set(await Location.find({
+      deviceId: device.deviceId,
+      bootId,
+      sequence: { $in: sequences }
+    }).distinct('sequence'));
+
+    duplicates += locations.filter(location => stored.has(location.sequence)).length;
+    locations = locations.filter(location => !stored.has(location.sequence));
+  }
+
+  let inserted = [];
+  if (locations.length > 0) {
+    try {
+      inserted = await Location.insertMany(locations, { ordered: false });
+    } catch (error) {
+      // A concurrent upload stored some of the same sequence numbers.
+      // Mongoose copies the driver's write errors into plain objects, which
+      // leaves the code on the nested err.
+      const isDuplicate = (writeError) =>
+        (writeError.code ?? (writeError.err && writeError.err.code)) === 11000;
+      if (!error.writeErrors || !error.writeErrors.every(isDuplicate)) {
+        throw error;
+      }
+      duplicates += error.writeErrors.length;
+      inserted = error.insertedDocs;
+    }
+  }
+
+  inserted.sort((a, b) => a.timestamp - b.timestamp);
+
+  const rejectedIndexes = new Set(built.rejected.map(entry => entry.index));
+  const result = {
+    accepted: inserted.length,
+    duplicates,
+    rejected: built.rejected,
+    acknowledged: points
+      .map(point => point.sequence)
+      .filter((sequence, index) => sequence != null && !rejectedIndexes.has(index)),
+    latest: null,
+    geofenceEvents: []
+  };
+
+  if (inserted.length === 0) return result;
+
+  // Only move the device's location forward, even if an older batch lands
+  // after a newer one
+  const newest = inserted[inserted.length - 1];
+  const previousFixAt = device.location ? device.location.timestamp : undefined;
+  const update = await Device.updateOne(
+    {
+      _id: device._id,
+      $or: [
+        { 'location.timestamp': null },
+        { 'location.timestamp': { $lt: newest.timestamp } }
+      ]
+    },
+    {
+      $set: {
+        location: {
+          latitude: newest.latitude,
+          longitude: newest.longitude,
+          accuracy: newest.accuracy,
+          timestamp: newest.timestamp
+        }
+      }
+    }
+  );
+  const isLatest = update.modifiedCount === 1;
+
+  // Points older than the device's previous fix come too late to change
+  // geofence state, which has already moved past them
+  let lastFixAt = previousFixAt;
+  for (const location of inserted) {
+    if (previousFixAt && location.timestamp <= previousFixAt) continue;
+
+    try {
+      const events = await evaluateGeofences({
+        io,
+        device,
+        latitude: location.latitude,
+        longitude: location.longitude,
+        accuracy: location.accuracy,
+        timestamp: location.timestamp,
+        previousFixAt: lastFixAt
+      });
+
+      if (events.length > 0) {
+        await Location.updateOne(
+          { _id: location._id },
+          { geofenceId: events[0].geofenceId, geofenceEvent: events[0].event }
+        );
+        result.geofenceEvents.push(...events);
+      }
+    } catch (geofenceError) {
+      logger.error('Geofence evaluation error:', geofenceError);
+    }
+
+    lastFixAt = location.timestamp;
+  }
+
+  try {
+    await evaluateDriving({ io, device, locations: inserted });
+  } catch (drivingError) {
+    logger.error('Driving evaluation error:', drivingError);
+  }
+
+  if (isLatest) {
+    result.latest = newest;
+
+    // Emit socket event to every household member, without holding up the
+    // device's response
+    emitToHousehold(io, device.parentId, 'location-update', {
+      deviceId: device.deviceId,
+      latitude: newest.latitude,
+      longitude: newest.longitude,
+      accuracy: newest.accuracy,
+      address: null,
+      timestamp: newest.timestamp
+    }).catch(emitError => logger.error('Location fan-out error:', emitError));
+
+    // And to anyone following the device through a share link
+    emitToShares(io, device.deviceId, {
+      latitude: newest.latitude,
+      longitude: newest.longitude,
+      accuracy: newest.accuracy,
+      timestamp: newest.timestamp
+    }).catch(emitError => logger.error('Location share fan-out error:', emitError));
+  }
+
+  return result;
+};
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  ingestLocations
+};
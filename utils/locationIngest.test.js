@@ -0,0 +1,123 @@
+jest.mock('./logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('./households', () => ({ emitToHousehold: jest.fn().mockResolvedValue() }));
+jest.mock('./geofenceEngine', () => ({ evaluateGeofences: jest.fn().mockResolvedValue([]) }));
+jest.mock('./drivingSafety', () => ({ evaluateDriving: jest.fn().mockResolvedValue() }));
+jest.mock('./locationShares', () => ({ emitToShares: jest.fn().mockResolvedValue() }));
+
+const mongoose = require('mongoose');
+const Location = require('../models/Location');
+const Device = require('../models/Device');
+const { ingestLocations } = require('./locationIngest');
+
+const device = {
+  _id: new mongoose.Types.ObjectId(),
+  deviceId: 'device-1',
+  parentId: new mongoose.Types.ObjectId()
+};
+
+const point = (sequence, minutesAgo) => ({
+  sequence,
+  latitude: 52.37,
+  longitude: 4.89,
+  accuracy: 10,
+  timestamp: new Date(Date.now() - minutesAgo * 60 * 1000).toISOString()
+});
+
+// Location.find(...).distinct('sequence') resolving to the given sequences
+const storedSequences = (sequences) => ({
+  distinct: jest.fn().mockResolvedValue(sequences)
+});
+
+// The error Mongoose throws from an unordered insertMany: the driver's write
+// errors are copied into plain objects, so their code is only on err
+const WRITE_ERROR_MESSAGES = {
+  11000: 'E11000 duplicate key error',
+  121: 'Document failed validation'
+};
+
+const bulkWriteError = (docs, failedIndexes, code = 11000) => {
+  const error = new Error(WRITE_ERROR_MESSAGES[code]);
+  error.code = code;
+  error.writeErrors = failedIndexes.map(index => ({ index, err: { index, code, errmsg: error.message } }));
+  error.insertedDocs = docs.filter((doc, index) => !failedIndexes.includes(index));
+  return error;
+};
+
+describe('ingestLocations', () => {
+  beforeEach(() => {
+    jest.spyOn(Device, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Location, 'find').mockReturnValue(storedSequences([]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores new points and acknowledges their sequence numbers', async () => {
+    jest.spyOn(Location, 'insertMany').mockImplementation(async docs => docs);
+
+    const result = await ingestLocations({ device, bootId: 'boot-1', points: [point(1, 2), point(2, 1)] });
+
+    expect(result.accepted).toBe(2);
+    expect(result.duplicates).toBe(0);
+    expect(result.acknowledged).toEqual([1, 2]);
+    expect(result.latest.sequence).toBe(2);
+  });
+
+  it('skips sequence numbers repeated in a batch or already stored', async () => {
+    Location.find.mockReturnValue(storedSequences([1]));
+    const insertMany = jest.spyOn(Location, 'insertMany').mockImplementation(async docs => docs);
+
+    const result = await ingestLocations({ device, bootId: 'boot-1', points: [point(1, 3), point(2, 2), point(2, 1)] });
+
+    expect(Location.find).toHaveBeenCalledWith(expect.objectContaining({ deviceId: 'device-1', bootId: 'boot-1' }));
+    expect(insertMany.mock.calls[0][0].map(doc => doc.sequence)).toEqual([2]);
+    expect(result.accepted).toBe(1);
+    expect(result.duplicates).toBe(2);
+    expect(result.acknowledged).toEqual([1, 2, 2]);
+  });
+
+  it('does not deduplicate by sequence number without a boot ID', async () => {
+    const insertMany = jest.spyOn(Location, 'insertMany').mockImplementation(async docs => docs);
+
+    const result = await ingestLocations({ device, points: [point(1, 2), point(1, 1)] });
+
+    expect(Location.find).not.toHaveBeenCalled();
+    expect(insertMany.mock.calls[0][0].map(doc => doc.sequence)).toEqual([undefined, undefined]);
+    expect(result.accepted).toBe(2);
+    expect(result.acknowledged).toEqual([1, 1]);
+  });
+
+  it('counts points a concurrent upload stored first as duplicates', async () => {
+    jest.spyOn(Location, 'insertMany').mockImplementation(async docs => {
+      throw bulkWriteError(docs, [1]);
+    });
+
+    const result = await ingestLocations({ device, bootId: 'boot-1', points: [point(1, 2), point(2, 1)] });
+
+    expect(result.accepted).toBe(1);
+    expect(result.duplicates).toBe(1);
+    expect(result.acknowledged).toEqual([1, 2]);
+    expect(result.latest.sequence).toBe(1);
+  });
+
+  it('rethrows write errors other than duplicates', async () => {
+    jest.spyOn(Location, 'insertMany').mockImplementation(async docs => {
+      throw bulkWriteError(docs, [1], 121);
+    });
+
+    await expect(ingestLocations({ device, bootId: 'boot-1', points: [point(1, 2), point(2, 1)] }))
+      .rejects.toMatchObject({ code: 121, message: 'Document failed validation' });
+  });
+
+  it('rejects points without a usable timestamp', async () => {
+    jest.spyOn(Location, 'insertMany').mockImplementation(async docs => docs);
+    const future = { ...point(3, 0), timestamp: new Date(Date.now() + 60 * 60 * 1000).toISOString() };
+
+    const result = await ingestLocations({ device, bootId: 'boot-1', points: [point(1, 1), future] });
+
+    expect(result.accepted).toBe(1);
+    expect(result.rejected).toEqual([{ index: 1, sequence: 3, reason: 'invalid_timestamp' }]);
+    expect(result.acknowledged).toEqual([1]);
+  });
+});
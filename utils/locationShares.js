@@ -0,0 +1,153 @@
+const LocationShare = require('../models/LocationShare');
+const LocationShareAccess = require('../models/LocationShareAccess');
+const GeofenceState = require('../models/GeofenceState');
+const Geofence = require('../models/Geofence');
+const ChildProfile = require('../models/ChildProfile');
+const Device = require('../models/Device');
+const logger = require('./logger');
+
+// Coarse shares round coordinates to two decimals (about a kilometer)
+const COARSE_PRECISION = 2;
+const COARSE_ACCURACY = 1000; // in meters
+
+// Socket.io room a share's viewers join
+const shareRoom = (shareId) => `share:${shareId}`;
+
+// Audit one use of a share link
+const recordShareAccess = async (share, type, { ipAddress, userAgent } = {}) => {
+  await LocationShareAccess.create({
+    shareId: share._id,
+    parentId: share.parentId,
+    deviceId: share.deviceId,
+    type,
+    ipAddress,
+    userAgent
+  });
+
+  await LocationShare.updateOne(
+    { _id: share._id },
+    { $inc: { accessCount: 1 }, lastAccessedAt: new Date() }
+  );
+};
+
+// Names of the active geofences the device is currently inside
+const getCurrentPlaces = async (deviceId) => {
+  const states = await GeofenceState.find({ deviceId, status: 'inside' }).select('geofenceId');
+  if (states.length === 0) return [];
+
+  const geofences = await Geofence.find({
+    _id: { $in: states.map(state => state.geofenceId) },
+    isActive: true
+  }).select('name');
+
+  return geofences.map(geofence => geofence.name);
+};
+
+// What a share's mode lets its viewer see of a location
+// ({ latitude, longitude, accuracy, timestamp, address })
+const presentLocation = (share, location, places) => {
+  if (!location || location.latitude == null) return null;
+
+  switch (share.mode) {
+    case 'geofence':
+      return { places, timestamp: location.timestamp };
+    case 'coarse': {
+      const factor = Math.pow(10, COARSE_PRECISION);
+      return {
+        latitude: Math.round(location.latitude * factor) / factor,
+        longitude: Math.round(location.longitude * factor) / factor,
+        accuracy: Math.max(location.accuracy || 0, COARSE_ACCURACY),
+        timestamp: location.timestamp
+      };
+    }
+    default:
+      return {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        accuracy: location.accuracy,
+        address: location.address,
+        timestamp: location.timestamp
+      };
+  }
+};
+
+// Public view of a share: who is being shared and their last known location
+const describeShare = async (share, device) => {
+  const childProfile = device.childProfileId
+    ? await ChildProfile.findById(device.childProfileId).select('name')
+    : null;
+  const places = share.mode === 'geofence' ? await getCurrentPlaces(device.deviceId) : undefined;
+
+  return {
+    name: childProfile ? childProfile.name : device.deviceName,
+    label: share.label,
+    mode: share.mode,
+    expiresAt: share.expiresAt,
+    location: presentLocation(share, device.location, places)
+  };
+};
+
+// Send a location update to everyone following the device through a share
+const emitToShares = async (io, deviceId, location) => {
+  if (!io) return;
+
+  const shares = await LocationShare.findActiveForDevice(deviceId);
+  if (shares.length === 0) return;
+
+  const places = shares.some(share => share.mode === 'geofence')
+    ? await getCurrentPlaces(deviceId)
+    : undefined;
+
+  shares.forEach(share => {
+    io.to(shareRoom(share._id)).emit('location-update', presentLocation(share, location, places));
+  });
+};
+
+// Disconnect a share's live viewers, telling them why
+const closeShareRoom = (io, shareId, reason) => {
+  if (!io) return;
+  io.to(shareRoom(shareId)).emit('share-ended', { reason });
+  io.in(shareRoom(shareId)).socketsLeave(shareRoom(shareId));
+};
+
+// Subscribe a socket to a share's live updates. The socket is removed again
+// when the share expires. Resolves to { share, device }, or null (without
+// subscribing) if the token doesn't match a working share of an active device.
+const joinShare = async (socket, token) => {
+  const share = await LocationShare.findActiveByToken(token);
+  if (!share) return null;
+
+  const device = await Device.findOne({
+    deviceId: share.deviceId,
+    parentId: share.parentId,
+    status: 'active'
+  });
+  if (!device) return null;
+
+  await recordShareAccess(share, 'live_subscribe', {
+    ipAddress: socket.handshake.address,
+    userAgent: socket.handshake.headers['user-agent']
+  });
+
+  const room = shareRoom(share._id);
+  socket.join(room);
+
+  const timer = setTimeout(() => {
+    socket.emit('share-ended', { reason: 'expired' });
+    socket.leave(room);
+  }, share.expiresAt.getTime() - Date.now());
+  socket.once('disconnect', () => clearTimeout(timer));
+
+  logger.info('Location share subscribed', { shareId: share._id, socketId: socket.id });
+  return { share, device };
+};
+
+module.exports = {
+  shareRoom,
+  recordShareAccess,
+  describeShare,
+  presentLocation,
+  emitToShares,
+  closeShareRoom,
+  joinShare
+};
@@ -0,0 +1,74 @@
+jest.mock('./logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const mongoose = require('mongoose');
+const LocationShare = require('../models/LocationShare');
+const LocationShareAccess = require('../models/LocationShareAccess');
+const Device = require('../models/Device');
+const { joinShare, shareRoom } = require('./locationShares');
+
+const makeSocket = () => ({
+  id: 'socket-1',
+  handshake: { address: '203.0.113.7', headers: { 'user-agent': 'Browser' } },
+  join: jest.fn(),
+  leave: jest.fn(),
+  emit: jest.fn(),
+  once: jest.fn()
+});
+
+describe('joinShare', () => {
+  const share = {
+    _id: new mongoose.Types.ObjectId(),
+    deviceId: 'device-1',
+    parentId: new mongoose.Types.ObjectId(),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(LocationShare, 'findActiveByToken').mockResolvedValue(share);
+    jest.spyOn(LocationShare, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(LocationShareAccess, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('subscribes to a working share and records the access', async () => {
+    const device = { deviceId: 'device-1', deviceName: 'Phone' };
+    jest.spyOn(Device, 'findOne').mockResolvedValue(device);
+    const socket = makeSocket();
+
+    await expect(joinShare(socket, 'token')).resolves.toEqual({ share, device });
+
+    expect(Device.findOne).toHaveBeenCalledWith({ deviceId: 'device-1', parentId: share.parentId, status: 'active' });
+    expect(socket.join).toHaveBeenCalledWith(shareRoom(share._id));
+    expect(LocationShareAccess.create).toHaveBeenCalledWith(expect.objectContaining({
+      shareId: share._id,
+      type: 'live_subscribe',
+      ipAddress: '203.0.113.7'
+    }));
+  });
+
+  it('does not subscribe to a share of a device that is no longer active', async () => {
+    jest.spyOn(Device, 'findOne').mockResolvedValue(null);
+    const socket = makeSocket();
+
+    await expect(joinShare(socket, 'token')).resolves.toBeNull();
+
+    expect(socket.join).not.toHaveBeenCalled();
+    expect(LocationShareAccess.create).not.toHaveBeenCalled();
+  });
+
+  it('does not subscribe with an unknown or expired token', async () => {
+    LocationShare.findActiveByToken.mockResolvedValue(null);
+    const findDevice = jest.spyOn(Device, 'findOne');
+    const socket = makeSocket();
+
+    await expect(joinShare(socket, 'token')).resolves.toBeNull();
+
+    expect(findDevice).not.toHaveBeenCalled();
+    expect(socket.join).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,85 @@
+const geoip = require('geoip-lite');
+const { calculateDistance } = require('./geocoding');
+
+// Faster than this between two logins means the same person could not have
+// made both (roughly airliner cruising speed)
+const MAX_TRAVEL_SPEED_KMH = 900;
+
+// Resolve an IP address to an approximate location using the offline GeoIP database
+const resolveIpLocation = (ip) => {
+  if (!ip) return null;
+
+  const geo = geoip.lookup(ip.replace(/^::ffff:/, ''));
+  if (!geo) return null;
+
+  return {
+    country: geo.country || undefined,
+    region: geo.region || undefined,
+    city: geo.city || undefined,
+    latitude: geo.ll ? geo.ll[0] : undefined,
+    longitude: geo.ll ? geo.ll[1] : undefined,
+    accuracyRadius: geo.area // in kilometers
+  };
+};
+
+// Compare a login location against recent login history
+const assessLogin = (history, location, timestamp = new Date()) => {
+  const assessment = { suspicious: false, reasons: [] };
+  if (!location || !location.country) return assessment;
+
+  const located = history.filter(entry => entry.location && entry.location.country);
+
+  // Nothing to compare against on the first located login
+  if (located.length === 0) return assessment;
+
+  const knownCountries = new Set(located.map(entry => entry.location.country));
+  if (!knownCountries.has(location.country)) {
+    assessment.reasons.push('new_country');
+  }
+
+  const previous = located[located.length - 1];
+  if (previous.location.latitude != null && location.latitude != null) {
+    const distance = calculateDistance(
+      previous.location.latitude,
+      previous.location.longitude,
+      location.latitude,
+      location.longitude
+    );
+
+    // Discount the GeoIP accuracy radius of both fixes before judging speed
+    const uncertainty = (previous.location.accuracyRadius || 0) + (location.accuracyRadius || 0);
+    const effectiveDistance = Math.max(distance - uncertainty, 0);
+    const hours = Math.max((timestamp - previous.timestamp) / (60 * 60 * 1000), 1 / 60);
+    const speed = effectiveDistance / hours;
+
+    if (speed > MAX_TRAVEL_SPEED_KMH) {
+      assessment.reasons.push('impossible_travel');
+      assessment.travel = {
+        from: {
+          country: previous.location.country,
+          region: previous.location.region,
+          city: previous.location.city,
+          timestamp: previous.timestamp
+        },
+        distanceKm: Math.round(distance),
+        hours: Math.round(hours * 100) / 100,
+        speedKmh: Math.round(speed)
+      };
+    }
+  }
+
+  assessment.suspicious = assessment.reasons.length > 0;
+  return assessment;
+};
+
+// Human readable place name for a resolved location
+const describeLocation = (location) => {
+  if (!location) return 'an unknown location';
+  return [location.city, location.region, location.country].filter(Boolean).join(', ');
+};
+
+module.exports = {
+  resolveIpLocation,
+  assessLogin,
+  describeLocation
+};
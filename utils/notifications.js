@@ -1,6 +1,14 @@
 const nodemailer = require('nodemailer');
 const logger = require('./logger');
 
+// Escape user-provided text (names etc.) before putting it in an email body
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 // Create email transporter
 const createTransporter = () => {
   return nodemailer.createTransporter({
@@ -114,6 +122,102 @@ const sendPasswordResetEmail = async (email, name, token) => {
   }
 };
 
+// Send account locked email
+const sendAccountLockedEmail = async (email, name, token, lockUntil) => {
+  try {
+    const transporter = createTransporter();
+    
+    const unlockUrl = `${process.env.CLIENT_URL}/unlock-account/${token}`;
+    
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: 'Your Watcher Account Has Been Locked',
+      html: `
+        <h2>Hello ${escapeHtml(name)},</h2>
+        <p>We locked your Watcher account after several failed sign-in attempts.</p>
+        <p>It will unlock automatically at ${lockUntil.toUTCString()}. If it was you, you can unlock it right away:</p>
+        <a href="${unlockUrl}" style="display: inline-block; padding: 12px 24px; background-color: #007bff; color: white; text-decoration: none; border-radius: 4px;">
+          Unlock Account
+        </a>
+        <p>Or copy and paste this URL in your browser:</p>
+        <p>${unlockUrl}</p>
+        <br>
+        <p>If you didn't try to sign in, someone may be guessing your password. We recommend resetting it.</p>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    logger.info('Account locked email sent successfully', { email });
+  } catch (error) {
+    logger.error('Error sending account locked email:', error);
+    throw error;
+  }
+};
+
+// Send household invitation email
+const sendHouseholdInvitationEmail = async (email, inviterName, householdName, role, token) => {
+  try {
+    const transporter = createTransporter();
+    
+    const invitationUrl = `${process.env.CLIENT_URL}/households/invitations/${token}`;
+    const roleName = role === 'co_parent' ? 'a co-parent' : 'a caregiver';
+    const inviter = escapeHtml(inviterName);
+    const household = escapeHtml(householdName);
+    
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: `${inviterName} invited you to ${householdName} on Watcher`,
+      html: `
+        <h2>Hello,</h2>
+        <p>${inviter} invited you to join ${household} on Watcher as ${roleName}.</p>
+        <p>Sign in or create a Watcher account with this email address, then accept the invitation:</p>
+        <a href="${invitationUrl}" style="display: inline-block; padding: 12px 24px; background-color: #007bff; color: white; text-decoration: none; border-radius: 4px;">
+          View Invitation
+        </a>
+        <p>Or copy and paste this URL in your browser:</p>
+        <p>${invitationUrl}</p>
+        <p>This invitation will expire in 7 days.</p>
+        <br>
+        <p>If you don't know ${inviter}, you can ignore this email.</p>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    logger.info('Household invitation email sent successfully', { email });
+  } catch (error) {
+    logger.error('Error sending household invitation email:', error);
+    throw error;
+  }
+};
+
+// Send child account link code email
+const sendChildLinkCodeEmail = async (email, childName, parentName, code) => {
+  try {
+    const transporter = createTransporter();
+    
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: `${parentName} invited you to Watcher`,
+      html: `
+        <h2>Hello ${escapeHtml(childName)},</h2>
+        <p>${escapeHtml(parentName)} set up Watcher for you.</p>
+        <p>Sign in to the Watcher app (or create an account) and enter this code to connect it:</p>
+        <p style="font-size: 24px; font-weight: bold; letter-spacing: 4px;">${code}</p>
+        <p>This code will expire in 7 days.</p>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    logger.info('Child link code email sent successfully', { email });
+  } catch (error) {
+    logger.error('Error sending child link code email:', error);
+    throw error;
+  }
+};
+
 // Send alert notification email
 const sendEmailNotification = async (userId, notification) => {
   try {
@@ -164,6 +268,9 @@ module.exports = {
   sendWelcomeEmail,
   sendVerificationEmail,
   sendPasswordResetEmail,
+  sendAccountLockedEmail,
+  sendHouseholdInvitationEmail,
+  sendChildLinkCodeEmail,
   sendEmailNotification,
   sendPushNotification,
   sendSMSNotification
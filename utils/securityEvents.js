@@ -0,0 +1,55 @@
+const SecurityEvent = require('../models/SecurityEvent');
+const logger = require('./logger');
+const { sendPushNotification, sendEmailNotification } = require('./notifications');
+
+// Record an account security event and tell the account holder about it
+const recordSecurityEvent = async (req, userId, { type, severity = 'high', message, sessionId, data }) => {
+  const event = await SecurityEvent.create({
+    userId,
+    type,
+    severity,
+    message,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    sessionId,
+    data
+  });
+
+  logger.warn('Security event recorded', {
+    eventId: event._id,
+    userId,
+    type,
+    severity
+  });
+
+  // Emit socket event for real-time updates
+  const io = req.app.get('io');
+  if (io) {
+    io.to(userId.toString()).emit('security-alert', event);
+  }
+
+  // Security events always notify, regardless of alert level preferences
+  try {
+    await sendPushNotification(userId, {
+      title: 'Security alert',
+      body: message,
+      data: { securityEventId: event._id.toString() }
+    });
+
+    if (severity === 'high' || severity === 'critical') {
+      await sendEmailNotification(userId, {
+        subject: 'Security alert on your Watcher account',
+        text: message,
+        html: `<h2>Security Alert</h2><p>${message}</p><p>If this wasn't you, change your password and sign out of all sessions.</p>`
+      });
+    }
+  } catch (notificationError) {
+    logger.error('Security event notification error:', notificationError);
+  }
+
+  return event;
+};
+
+module.exports = {
+  recordSecurityEvent
+};
@@ -0,0 +1,125 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+
+// Sessions outlive individual access tokens and are extended on refresh
+const SESSION_LIFETIME = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Hash a token before storing it
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate JWT access token bound to a session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '7d'
+  });
+};
+
+// Generate refresh token
+const generateRefreshToken = () => {
+  return crypto.randomBytes(40).toString('hex');
+};
+
+// Rough device classification from the User-Agent header
+const getDeviceType = (userAgent = '') => {
+  if (/ipad|tablet|kindle|silk/i.test(userAgent)) return 'tablet';
+  if (/mobi|android|iphone|ipod|okhttp|dart/i.test(userAgent)) return 'mobile';
+  if (/windows|macintosh|linux|cros/i.test(userAgent)) return 'desktop';
+  return 'unknown';
+};
+
+// Store a new refresh token in the session's family
+const issueRefreshToken = async (session, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const record = await RefreshToken.create({
+    userId: session.userId,
+    sessionId: session._id,
+    tokenHash: hashToken(refreshToken),
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    expiresAt: session.expiresAt
+  });
+
+  return { refreshToken, record };
+};
+
+// Create a session for a successful login and issue its tokens
+const createSession = async (user, req, options = {}) => {
+  const userAgent = req.get('User-Agent');
+  const { deviceId, deviceName, appVersion, osVersion, language, timezone } = req.body;
+
+  const session = new Session({
+    userId: user._id,
+    deviceId,
+    deviceName,
+    deviceType: getDeviceType(userAgent),
+    ipAddress: req.ip,
+    userAgent,
+    location: options.location,
+    expiresAt: new Date(Date.now() + SESSION_LIFETIME),
+    metadata: { appVersion, osVersion, language, timezone }
+  });
+
+  const token = generateAccessToken(user._id, session._id);
+  session.token = hashToken(token);
+  await session.save();
+
+  const { refreshToken } = await issueRefreshToken(session, req);
+
+  return { session, token, refreshToken };
+};
+
+// Exchange a refresh token for a new token pair. Each refresh token can be
+// used exactly once; presenting a consumed one revokes the whole family.
+// Resolves to { status: 'ok' | 'invalid' | 'reused', ... }.
+const rotateRefreshToken = async (presentedToken, req) => {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(presentedToken) });
+
+  if (!record || record.revokedAt || record.expiresAt <= new Date()) {
+    return { status: 'invalid' };
+  }
+
+  // Consume atomically so two concurrent refreshes can't both succeed
+  const consumed = record.usedAt ? null : await RefreshToken.consume(record._id);
+  if (!consumed) {
+    await RefreshToken.revokeFamily(record.sessionId, 'reuse');
+    const session = await Session.findById(record.sessionId);
+    if (session && session.isActive) {
+      await session.logout('security');
+    }
+    return { status: 'reused', record };
+  }
+
+  const session = await Session.findOne({
+    _id: record.sessionId,
+    isActive: true,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!session) {
+    return { status: 'invalid' };
+  }
+
+  const token = generateAccessToken(session.userId, session._id);
+  session.token = hashToken(token);
+  await session.refresh(SESSION_LIFETIME);
+
+  const { refreshToken, record: successor } = await issueRefreshToken(session, req);
+  consumed.replacedBy = successor._id;
+  await consumed.save();
+
+  return { status: 'ok', session, token, refreshToken };
+};
+
+module.exports = {
+  SESSION_LIFETIME,
+  hashToken,
+  generateAccessToken,
+  generateRefreshToken,
+  getDeviceType,
+  createSession,
+  rotateRefreshToken
+};
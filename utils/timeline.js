@@ -0,0 +1,204 @@
+const Geofence = require('../models/Geofence');
+const { haversineDistance, polygonCentroid } = require('./geometry');
+const { cachedReverseGeocode } = require('./geocoding');
+
+// A device that stays within this distance for at least MIN_STAY_DURATION is
+// stopped somewhere
+const STAY_RADIUS = 100; // in meters
+const MIN_STAY_DURATION = 5 * 60 * 1000; // 5 minutes
+
+// Fixes less accurate than this are too vague to place a device
+const MAX_POINT_ACCURACY = 200; // in meters
+
+// Speeds above this are GPS glitches rather than travel
+const MAX_PLAUSIBLE_SPEED = 70; // in m/s (~250 km/h)
+
+// Travel modes by average and top speed (m/s), checked in order
+const TRAVEL_MODES = [
+  { mode: 'walking', maxAverage: 2.2, maxTop: 4 },
+  { mode: 'cycling', maxAverage: 7, maxTop: 12 }
+];
+
+// Guess how a trip was made from its speeds
+const inferTravelMode = (averageSpeed, maxSpeed) => {
+  const match = TRAVEL_MODES.find(
+    entry => averageSpeed <= entry.maxAverage && maxSpeed <= entry.maxTop
+  );
+  return match ? match.mode : 'driving';
+};
+
+// Find runs of points that stay within STAY_RADIUS of where they started for
+// long enough. Returns [{ first, last }] index ranges into points.
+const findStayRanges = (points) => {
+  const ranges = [];
+  let i = 0;
+
+  while (i < points.length) {
+    let j = i + 1;
+    while (j < points.length &&
+      haversineDistance(points[i].latitude, points[i].longitude, points[j].latitude, points[j].longitude) <= STAY_RADIUS) {
+      j++;
+    }
+
+    if (points[j - 1].timestamp - points[i].timestamp >= MIN_STAY_DURATION) {
+      ranges.push({ first: i, last: j - 1 });
+      i = j;
+    } else {
+      i++;
+    }
+  }
+
+  return ranges;
+};
+
+const summarizeStay = (points, { first, last }) => {
+  const stayPoints = points.slice(first, last + 1);
+  const center = polygonCentroid(stayPoints);
+
+  return {
+    type: 'stay',
+    arrival: points[first].timestamp,
+    departure: points[last].timestamp,
+    duration: Math.round((points[last].timestamp - points[first].timestamp) / 1000),
+    latitude: center.latitude,
+    longitude: center.longitude,
+    pointCount: stayPoints.length,
+    addresses: stayPoints
+      .map(point => point.address && point.address.formattedAddress)
+      .filter(Boolean)
+  };
+};
+
+const summarizeTrip = (points, first, last) => {
+  const tripPoints = points.slice(first, last + 1);
+  let distance = 0;
+  let maxSpeed = 0;
+
+  for (let k = 1; k < tripPoints.length; k++) {
+    const from = tripPoints[k - 1];
+    const to = tripPoints[k];
+    const segment = haversineDistance(from.latitude, from.longitude, to.latitude, to.longitude);
+    const seconds = (to.timestamp - from.timestamp) / 1000;
+
+    distance += segment;
+
+    // Prefer the speed the device measured; fall back to the segment's
+    const speed = to.speed != null && to.speed >= 0
+      ? to.speed
+      : (seconds >= 1 ? segment / seconds : 0);
+    if (speed <= MAX_PLAUSIBLE_SPEED) {
+      maxSpeed = Math.max(maxSpeed, speed);
+    }
+  }
+
+  const duration = Math.round((points[last].timestamp - points[first].timestamp) / 1000);
+  const averageSpeed = duration > 0 ? distance / duration : 0;
+
+  return {
+    type: 'trip',
+    start: points[first].timestamp,
+    end: points[last].timestamp,
+    duration,
+    distance: Math.round(distance),
+    maxSpeed: Math.round(maxSpeed * 10) / 10,
+    averageSpeed: Math.round(averageSpeed * 10) / 10,
+    mode: inferTravelMode(averageSpeed, maxSpeed),
+    pointCount: tripPoints.length
+  };
+};
+
+// Split a track (points sorted by timestamp) into alternating stays and trips.
+// Consecutive stays at the same place with no real movement between them
+// (GPS drift broke them up) are merged.
+const buildTimeline = (track) => {
+  const points = track.filter(point => !(point.accuracy > MAX_POINT_ACCURACY));
+  if (points.length === 0) return [];
+
+  const ranges = [];
+  for (const range of findStayRanges(points)) {
+    const previous = ranges[ranges.length - 1];
+    if (previous) {
+      const gap = summarizeTrip(points, previous.last, range.first);
+      const a = summarizeStay(points, previous);
+      const b = summarizeStay(points, range);
+      if (gap.distance <= 2 * STAY_RADIUS &&
+        haversineDistance(a.latitude, a.longitude, b.latitude, b.longitude) <= STAY_RADIUS) {
+        previous.last = range.last;
+        continue;
+      }
+    }
+    ranges.push({ ...range });
+  }
+
+  const entries = [];
+  let cursor = 0;
+
+  ranges.forEach(range => {
+    if (range.first > cursor) {
+      entries.push(summarizeTrip(points, cursor, range.first));
+    }
+    entries.push(summarizeStay(points, range));
+    cursor = range.last;
+  });
+
+  if (cursor < points.length - 1) {
+    entries.push(summarizeTrip(points, cursor, points.length - 1));
+  }
+
+  return entries;
+};
+
+// Most frequent value in a list
+const mostCommon = (values) => {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  let best = null;
+  counts.forEach((count, value) => {
+    if (best === null || count > counts.get(best)) best = value;
+  });
+  return best;
+};
+
+// Name each stay after the device's geofence it falls in, otherwise the
+// address recorded with its points, otherwise a cached address. Geocoding
+// is rate limited, so points without an address are left to the geocode
+// queue rather than looked up while the request waits.
+const nameStays = async (entries, device) => {
+  for (const entry of entries) {
+    if (entry.type !== 'stay') continue;
+
+    const { addresses, latitude, longitude } = entry;
+    delete entry.addresses;
+
+    const candidates = await Geofence.findIntersecting(latitude, longitude, {
+      deviceId: device.deviceId,
+      parentId: device.parentId
+    });
+    const geofence = candidates.find(candidate => candidate.containsPoint(latitude, longitude));
+
+    if (geofence) {
+      entry.place = { name: geofence.name, source: 'geofence', geofenceId: geofence._id };
+      continue;
+    }
+
+    let address = mostCommon(addresses);
+    if (!address) {
+      const cached = await cachedReverseGeocode(latitude, longitude);
+      address = cached ? cached.formattedAddress : null;
+    }
+
+    entry.place = address
+      ? { name: address, source: 'address' }
+      : { name: `${latitude.toFixed(5)}, ${longitude.toFixed(5)}`, source: 'coordinates' };
+  }
+
+  return entries;
+};
+
+module.exports = {
+  STAY_RADIUS,
+  MIN_STAY_DURATION,
+  inferTravelMode,
+  buildTimeline,
+  nameStays
+};
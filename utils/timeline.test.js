@@ -0,0 +1,150 @@
+jest.mock('./logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('./geocoding', () => ({ cachedReverseGeocode: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Geofence = require('../models/Geofence');
+const { cachedReverseGeocode } = require('./geocoding');
+const { inferTravelMode, buildTimeline, nameStays } = require('./timeline');
+
+const start = Date.UTC(2024, 6, 1, 8, 0);
+
+// A fix `minutes` into the day; 0.001 degree of latitude is about 111 m
+const fix = (minutes, latitude, fields = {}) => ({
+  latitude,
+  longitude: 4.89,
+  accuracy: 10,
+  timestamp: new Date(start + minutes * 60 * 1000),
+  ...fields
+});
+
+// One fix a minute from `from` to `to` at the same place
+const stay = (from, to, latitude, fields) => {
+  const points = [];
+  for (let minutes = from; minutes <= to; minutes++) {
+    points.push(fix(minutes, latitude, fields));
+  }
+  return points;
+};
+
+describe('inferTravelMode', () => {
+  it.each([
+    [1.4, 3, 'walking'],
+    [5, 10, 'cycling'],
+    [5, 15, 'driving'],
+    [15, 25, 'driving']
+  ])('calls an average of %d m/s with a top speed of %d m/s %s', (averageSpeed, maxSpeed, mode) => {
+    expect(inferTravelMode(averageSpeed, maxSpeed)).toBe(mode);
+  });
+});
+
+describe('buildTimeline', () => {
+  it('splits a day into stays and the trips between them', () => {
+    const walk = [11, 12, 13, 14, 15, 16, 17, 18].map(minutes => fix(minutes, 52 + (minutes - 10) * 0.001));
+    const track = [...stay(0, 10, 52), ...walk, ...stay(19, 30, 52.009)];
+
+    const timeline = buildTimeline(track);
+
+    expect(timeline.map(entry => entry.type)).toEqual(['stay', 'trip', 'stay']);
+    expect(timeline[0]).toMatchObject({ arrival: fix(0).timestamp, departure: fix(10).timestamp, duration: 600 });
+    expect(timeline[1]).toMatchObject({ start: fix(10).timestamp, end: fix(19).timestamp, mode: 'walking' });
+    expect(timeline[1].distance).toBeCloseTo(1001, -1);
+    expect(timeline[2]).toMatchObject({ arrival: fix(19).timestamp, departure: fix(30).timestamp });
+    expect(timeline[2].latitude).toBeCloseTo(52.009, 6);
+  });
+
+  it('prefers the speed the device measured', () => {
+    const drive = [11, 12, 13].map(minutes => fix(minutes, 52 + (minutes - 10) * 0.01, { speed: 20 }));
+    const track = [...stay(0, 10, 52), ...drive, ...stay(14, 20, 52.04)];
+
+    const trip = buildTimeline(track)[1];
+
+    expect(trip.maxSpeed).toBe(20);
+    expect(trip.mode).toBe('driving');
+  });
+
+  it('merges stays that GPS drift broke up', () => {
+    const track = [...stay(0, 5, 52), fix(6, 52.0012), ...stay(7, 12, 52.0004)];
+
+    const timeline = buildTimeline(track);
+
+    expect(timeline).toHaveLength(1);
+    expect(timeline[0]).toMatchObject({ type: 'stay', arrival: fix(0).timestamp, departure: fix(12).timestamp });
+  });
+
+  it('does not count a short stop as a stay', () => {
+    const track = [...stay(0, 10, 52), ...stay(11, 13, 52.005), ...stay(14, 24, 52.01)];
+
+    expect(buildTimeline(track).map(entry => entry.type)).toEqual(['stay', 'trip', 'stay']);
+  });
+
+  it('ignores inaccurate fixes', () => {
+    const track = [...stay(0, 10, 52), fix(5, 52.05, { accuracy: 1500 })].sort((a, b) => a.timestamp - b.timestamp);
+
+    expect(buildTimeline(track)).toEqual([expect.objectContaining({ type: 'stay', pointCount: 11 })]);
+  });
+
+  it('returns nothing for an empty track', () => {
+    expect(buildTimeline([])).toEqual([]);
+  });
+});
+
+describe('nameStays', () => {
+  const device = { deviceId: 'device-1', parentId: new mongoose.Types.ObjectId() };
+
+  const stayAt = (latitude, addresses = []) => ({ type: 'stay', latitude, longitude: 4.89, addresses });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('names a stay after the geofence it is in', async () => {
+    const geofence = { _id: new mongoose.Types.ObjectId(), name: 'Home', containsPoint: () => true };
+    jest.spyOn(Geofence, 'findIntersecting').mockResolvedValue([geofence]);
+
+    const [entry] = await nameStays([stayAt(52, ['1 Main St'])], device);
+
+    expect(Geofence.findIntersecting).toHaveBeenCalledWith(52, 4.89, { deviceId: 'device-1', parentId: device.parentId });
+    expect(entry.place).toEqual({ name: 'Home', source: 'geofence', geofenceId: geofence._id });
+    expect(entry.addresses).toBeUndefined();
+  });
+
+  it('falls back to the address recorded most often', async () => {
+    const outside = { name: 'School', containsPoint: () => false };
+    jest.spyOn(Geofence, 'findIntersecting').mockResolvedValue([outside]);
+
+    const [entry] = await nameStays([stayAt(52, ['1 Main St', '3 Main St', '3 Main St'])], device);
+
+    expect(entry.place).toEqual({ name: '3 Main St', source: 'address' });
+    expect(cachedReverseGeocode).not.toHaveBeenCalled();
+  });
+
+  it('uses a cached address for stays without a recorded one', async () => {
+    jest.spyOn(Geofence, 'findIntersecting').mockResolvedValue([]);
+    cachedReverseGeocode.mockResolvedValue({ formattedAddress: '5 Side St' });
+
+    const [entry] = await nameStays([stayAt(52)], device);
+
+    expect(cachedReverseGeocode).toHaveBeenCalledWith(52, 4.89);
+    expect(entry.place).toEqual({ name: '5 Side St', source: 'address' });
+  });
+
+  it('falls back to coordinates when no address is known yet', async () => {
+    jest.spyOn(Geofence, 'findIntersecting').mockResolvedValue([]);
+    cachedReverseGeocode.mockResolvedValue(null);
+
+    const [entry] = await nameStays([stayAt(52.123456)], device);
+
+    expect(entry.place).toEqual({ name: '52.12346, 4.89000', source: 'coordinates' });
+  });
+
+  it('leaves trips alone', async () => {
+    const findIntersecting = jest.spyOn(Geofence, 'findIntersecting');
+    const trip = { type: 'trip', distance: 1000 };
+
+    await nameStays([trip], device);
+
+    expect(findIntersecting).not.toHaveBeenCalled();
+    expect(trip.place).toBeUndefined();
+  });
+});
@@ -0,0 +1,160 @@
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Check that a string is an IANA time zone name the runtime understands
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Day of week (0 = Sunday) and minutes since midnight of a date in a time zone
+const getLocalTime = (date, timeZone = 'UTC') => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(part => part.type === type).value;
+
+  return {
+    day: WEEKDAYS.indexOf(get('weekday')),
+    minutes: parseInt(get('hour')) * 60 + parseInt(get('minute'))
+  };
+};
+
+// Convert an HH:mm string to minutes since midnight
+const parseTimeOfDay = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Check if a date falls inside a working hours window ({ enabled, startTime,
+// endTime, days }) in the given time zone. Windows may cross midnight, in
+// which case the part after midnight belongs to the day the window started.
+const isWithinWorkingHours = (workingHours, date, timeZone) => {
+  if (!workingHours || !workingHours.enabled) return true;
+
+  const { day, minutes } = getLocalTime(date, timeZone);
+  const days = workingHours.days && workingHours.days.length > 0
+    ? workingHours.days
+    : [0, 1, 2, 3, 4, 5, 6];
+
+  if (!workingHours.startTime || !workingHours.endTime) {
+    return days.includes(day);
+  }
+
+  const start = parseTimeOfDay(workingHours.startTime);
+  const end = parseTimeOfDay(workingHours.endTime);
+
+  if (start <= end) {
+    return days.includes(day) && minutes >= start && minutes < end;
+  }
+
+  // Overnight window, e.g. 22:00-06:00
+  if (minutes >= start) {
+    return days.includes(day);
+  }
+  return minutes < end && days.includes((day + 6) % 7);
+};
+
+// Calendar date (YYYY-MM-DD) of a date in a time zone
+const getLocalDate = (date, timeZone = 'UTC') => {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+};
+
+// Milliseconds a time zone is ahead of UTC at a given instant
+const getTimeZoneOffset = (date, timeZone = 'UTC') => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parseInt(parts.find(part => part.type === type).value);
+  const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Shift a YYYY-MM-DD date by a number of days
+const addDays = (localDate, days) => {
+  const [year, month, day] = localDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+// UTC instant of a wall-clock time (minutes since midnight) on a YYYY-MM-DD
+// date in a time zone. Across a DST change, times that happen twice resolve to
+// the first one and times that are skipped move forward by the change (02:30
+// becomes 03:30), whichever side of UTC the zone is on.
+const getLocalInstant = (localDate, minutes, timeZone) => {
+  const [year, month, day] = localDate.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day) + minutes * 60 * 1000;
+
+  // The offsets a day either side cover both sides of a DST change
+  const candidates = [...new Set([
+    getTimeZoneOffset(new Date(wallClock - 24 * 60 * 60 * 1000), timeZone),
+    getTimeZoneOffset(new Date(wallClock + 24 * 60 * 60 * 1000), timeZone)
+  ])].map(offset => wallClock - offset);
+
+  const matching = candidates.filter(instant =>
+    getTimeZoneOffset(new Date(instant), timeZone) === wallClock - instant
+  );
+
+  return new Date(matching.length > 0 ? Math.min(...matching) : Math.max(...candidates));
+};
+
+// Start of local midnight for a YYYY-MM-DD date in a time zone
+const getLocalMidnight = (localDate, timeZone) => getLocalInstant(localDate, 0, timeZone);
+
+// UTC instants bounding a local calendar day ({ start, end }, end exclusive).
+// Days are 23 or 25 hours long across DST changes.
+const getLocalDayRange = (localDate, timeZone = 'UTC') => {
+  return {
+    start: getLocalMidnight(localDate, timeZone),
+    end: getLocalMidnight(addDays(localDate, 1), timeZone)
+  };
+};
+
+// UTC instants bounding the Monday-to-Sunday week containing a local date
+// ({ start, end, startDate }, end exclusive)
+const getLocalWeekRange = (localDate, timeZone = 'UTC') => {
+  const [year, month, day] = localDate.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const startDate = addDays(localDate, -((weekday + 6) % 7));
+
+  return {
+    start: getLocalDayRange(startDate, timeZone).start,
+    end: getLocalDayRange(addDays(startDate, 7), timeZone).start,
+    startDate
+  };
+};
+
+module.exports = {
+  isValidTimeZone,
+  getLocalTime,
+  getLocalDate,
+  getTimeZoneOffset,
+  getLocalInstant,
+  addDays,
+  getLocalDayRange,
+  getLocalWeekRange,
+  parseTimeOfDay,
+  isWithinWorkingHours
+};
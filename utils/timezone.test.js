@@ -0,0 +1,153 @@
+const {
+  isValidTimeZone,
+  getLocalTime,
+  getLocalDate,
+  getTimeZoneOffset,
+  getLocalInstant,
+  addDays,
+  getLocalDayRange,
+  getLocalWeekRange,
+  isWithinWorkingHours
+} = require('./timezone');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('isValidTimeZone', () => {
+  it('accepts IANA names and rejects anything else', () => {
+    expect(isValidTimeZone('Europe/Amsterdam')).toBe(true);
+    expect(isValidTimeZone('UTC')).toBe(true);
+    expect(isValidTimeZone('Bogus/Zone')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+    expect(isValidTimeZone(undefined)).toBe(false);
+  });
+});
+
+describe('local dates and times', () => {
+  it('gives the calendar date in the time zone', () => {
+    const instant = new Date('2024-03-30T23:30:00Z');
+    expect(getLocalDate(instant, 'Europe/Amsterdam')).toBe('2024-03-31');
+    expect(getLocalDate(instant, 'America/New_York')).toBe('2024-03-30');
+    expect(getLocalDate(instant)).toBe('2024-03-30');
+  });
+
+  it('gives the weekday and minutes since midnight', () => {
+    // 03:30 on Sunday, just after clocks went forward
+    expect(getLocalTime(new Date('2024-03-31T01:30:00Z'), 'Europe/Amsterdam')).toEqual({ day: 0, minutes: 210 });
+  });
+
+  it('gives the offset from UTC, including half hours and DST', () => {
+    expect(getTimeZoneOffset(new Date('2024-01-15T12:00:00Z'), 'Europe/Amsterdam')).toBe(HOUR);
+    expect(getTimeZoneOffset(new Date('2024-07-15T12:00:00Z'), 'Europe/Amsterdam')).toBe(2 * HOUR);
+    expect(getTimeZoneOffset(new Date('2024-07-15T12:00:00Z'), 'Asia/Kolkata')).toBe(5.5 * HOUR);
+    expect(getTimeZoneOffset(new Date('2024-07-15T12:00:00Z'), 'America/New_York')).toBe(-4 * HOUR);
+  });
+
+  it('shifts dates across month and year ends', () => {
+    expect(addDays('2024-02-28', 1)).toBe('2024-02-29');
+    expect(addDays('2024-12-31', 1)).toBe('2025-01-01');
+    expect(addDays('2024-03-01', -1)).toBe('2024-02-29');
+  });
+});
+
+describe('getLocalInstant', () => {
+  it('converts a wall-clock time in a time zone to UTC', () => {
+    expect(getLocalInstant('2024-07-01', 10 * 60, 'Europe/Amsterdam')).toEqual(new Date('2024-07-01T08:00:00Z'));
+    expect(getLocalInstant('2024-07-01', 10 * 60, 'Asia/Kolkata')).toEqual(new Date('2024-07-01T04:30:00Z'));
+    expect(getLocalInstant('2024-07-01', 10 * 60, 'America/New_York')).toEqual(new Date('2024-07-01T14:00:00Z'));
+  });
+
+  it('falls back to UTC for a missing or unknown time zone', () => {
+    expect(getLocalInstant('2024-07-01', 10 * 60)).toEqual(new Date('2024-07-01T10:00:00Z'));
+    expect(getLocalInstant('2024-07-01', 10 * 60, 'Bogus/Zone')).toEqual(new Date('2024-07-01T10:00:00Z'));
+  });
+
+  // 02:30 doesn't exist when clocks go forward; it becomes 03:30
+  it.each([
+    ['Europe/Amsterdam', '2024-03-31', '2024-03-31T01:30:00Z'],
+    ['America/New_York', '2024-03-10', '2024-03-10T07:30:00Z'],
+    ['Australia/Sydney', '2024-10-06', '2024-10-05T16:30:00Z']
+  ])('moves times skipped by DST forward in %s', (timeZone, date, expected) => {
+    expect(getLocalInstant(date, 2 * 60 + 30, timeZone)).toEqual(new Date(expected));
+  });
+
+  // 02:30 (01:30 in New York) happens twice when clocks go back
+  it.each([
+    ['Europe/Amsterdam', '2024-10-27', 2 * 60 + 30, '2024-10-27T00:30:00Z'],
+    ['America/New_York', '2024-11-03', 60 + 30, '2024-11-03T05:30:00Z'],
+    ['Australia/Sydney', '2024-04-07', 2 * 60 + 30, '2024-04-06T15:30:00Z']
+  ])('resolves times repeated by DST to the first one in %s', (timeZone, date, minutes, expected) => {
+    expect(getLocalInstant(date, minutes, timeZone)).toEqual(new Date(expected));
+  });
+
+  it('starts a day whose midnight is skipped at 01:00', () => {
+    expect(getLocalInstant('2022-09-11', 0, 'America/Santiago')).toEqual(new Date('2022-09-11T04:00:00Z'));
+  });
+});
+
+describe('getLocalDayRange', () => {
+  it('bounds an ordinary day by local midnights', () => {
+    expect(getLocalDayRange('2024-07-01', 'Europe/Amsterdam')).toEqual({
+      start: new Date('2024-06-30T22:00:00Z'),
+      end: new Date('2024-07-01T22:00:00Z')
+    });
+  });
+
+  it.each([
+    ['Europe/Amsterdam', '2024-03-31', 23],
+    ['Europe/Amsterdam', '2024-10-27', 25],
+    ['America/New_York', '2024-03-10', 23],
+    ['America/New_York', '2024-11-03', 25],
+    ['Australia/Sydney', '2024-10-06', 23],
+    ['Australia/Sydney', '2024-04-07', 25],
+    ['Asia/Kolkata', '2024-03-31', 24]
+  ])('gives %s on %s a %i hour day', (timeZone, date, hours) => {
+    const { start, end } = getLocalDayRange(date, timeZone);
+
+    expect(getLocalDate(start, timeZone)).toBe(date);
+    expect(getLocalTime(start, timeZone).minutes).toBe(0);
+    expect(end - start).toBe(hours * HOUR);
+  });
+});
+
+describe('getLocalWeekRange', () => {
+  it('runs from Monday to Monday, across a DST change', () => {
+    expect(getLocalWeekRange('2024-10-27', 'Europe/Amsterdam')).toEqual({
+      start: new Date('2024-10-20T22:00:00Z'),
+      end: new Date('2024-10-27T23:00:00Z'),
+      startDate: '2024-10-21'
+    });
+  });
+
+  it('starts on the day itself for a Monday', () => {
+    expect(getLocalWeekRange('2024-07-01').startDate).toBe('2024-07-01');
+  });
+});
+
+describe('isWithinWorkingHours', () => {
+  const weekdays = { enabled: true, startTime: '08:00', endTime: '16:00', days: [1, 2, 3, 4, 5] };
+  const overnight = { enabled: true, startTime: '22:00', endTime: '06:00', days: [5] };
+
+  it('allows everything when working hours are off', () => {
+    expect(isWithinWorkingHours({ enabled: false }, new Date(), 'UTC')).toBe(true);
+    expect(isWithinWorkingHours(undefined, new Date(), 'UTC')).toBe(true);
+  });
+
+  it('checks the window in the given time zone', () => {
+    // Monday 09:00 in Amsterdam, 07:00 UTC
+    const instant = new Date('2024-07-01T07:00:00Z');
+    expect(isWithinWorkingHours(weekdays, instant, 'Europe/Amsterdam')).toBe(true);
+    expect(isWithinWorkingHours(weekdays, instant, 'UTC')).toBe(false);
+  });
+
+  it('treats the end time as exclusive', () => {
+    expect(isWithinWorkingHours(weekdays, new Date('2024-07-01T15:59:00Z'), 'UTC')).toBe(true);
+    expect(isWithinWorkingHours(weekdays, new Date('2024-07-01T16:00:00Z'), 'UTC')).toBe(false);
+  });
+
+  it('counts the hours after midnight towards the day an overnight window started', () => {
+    expect(isWithinWorkingHours(overnight, new Date('2024-07-05T23:00:00Z'), 'UTC')).toBe(true);
+    expect(isWithinWorkingHours(overnight, new Date('2024-07-06T05:00:00Z'), 'UTC')).toBe(true);
+    expect(isWithinWorkingHours(overnight, new Date('2024-07-06T23:00:00Z'), 'UTC')).toBe(false);
+    expect(isWithinWorkingHours(overnight, new Date('2024-07-05T05:00:00Z'), 'UTC')).toBe(false);
+  });
+});
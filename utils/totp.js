@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+// compatible with Google Authenticator, Authy, 1Password and friends.
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD = 30; // seconds
+
+// Encode a buffer as RFC 4648 base32 (without padding)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Decode an RFC 4648 base32 string (padding and case are ignored)
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a new random shared secret (160 bits, as recommended by RFC 4226)
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+// Get the time step counter for a given time
+const getTimeStep = (time = Date.now()) => {
+  return Math.floor(time / 1000 / PERIOD);
+};
+
+// Generate the HOTP value for a counter (RFC 4226 dynamic truncation)
+const generateCode = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % Math.pow(10, DIGITS)).toString().padStart(DIGITS, '0');
+};
+
+// Verify a token, allowing for clock drift of `window` steps either side.
+// Returns the matching time step (to prevent replays) or null.
+const verifyToken = (secret, token, { window = 1, time = Date.now() } = {}) => {
+  if (!secret || !token || !/^\d{6}$/.test(String(token))) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(time);
+  const expected = Buffer.from(String(token));
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const candidate = Buffer.from(generateCode(secret, step));
+
+    if (crypto.timingSafeEqual(candidate, expected)) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// Build the otpauth:// provisioning URI used to render the enrollment QR code
+const buildOtpauthUri = (secret, accountName, issuer = 'Watcher') => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: DIGITS.toString(),
+    period: PERIOD.toString()
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  getTimeStep,
+  verifyToken,
+  buildOtpauthUri
+};
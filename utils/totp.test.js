@@ -0,0 +1,89 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  getTimeStep,
+  verifyToken,
+  buildOtpauthUri
+} = require('./totp');
+
+// The shared secret of the RFC 4226 and RFC 6238 (SHA-1) test vectors
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+  it.each([
+    ['f', 'MY'],
+    ['fo', 'MZXQ'],
+    ['foo', 'MZXW6'],
+    ['foob', 'MZXW6YQ'],
+    ['fooba', 'MZXW6YTB'],
+    ['foobar', 'MZXW6YTBOI']
+  ])('encodes %j as %s (RFC 4648)', (input, encoded) => {
+    expect(base32Encode(Buffer.from(input))).toBe(encoded);
+    expect(base32Decode(encoded).toString()).toBe(input);
+  });
+
+  it('ignores case, padding and whitespace when decoding', () => {
+    expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('MZXW1')).toThrow('Invalid base32 character');
+  });
+
+  it('generates 160-bit secrets', () => {
+    expect(base32Decode(generateSecret())).toHaveLength(20);
+  });
+});
+
+describe('generateCode', () => {
+  it('matches the RFC 4226 HOTP test vectors', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect([...Array(10).keys()].map(counter => generateCode(RFC_SECRET, counter))).toEqual([
+      '755224', '287082', '359152', '969429', '338314',
+      '254676', '287922', '162583', '399871', '520489'
+    ]);
+  });
+
+  // RFC 6238 lists 8-digit codes; these are their last 6 digits
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+  ])('matches the RFC 6238 TOTP test vector at %i s', (seconds, code) => {
+    expect(generateCode(RFC_SECRET, getTimeStep(seconds * 1000))).toBe(code);
+  });
+});
+
+describe('verifyToken', () => {
+  const time = 1111111111 * 1000;
+  const step = getTimeStep(time);
+
+  it('returns the matching time step', () => {
+    expect(verifyToken(RFC_SECRET, '050471', { time })).toBe(step);
+  });
+
+  it('allows one step of clock drift either side by default', () => {
+    expect(verifyToken(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { time })).toBe(step - 1);
+    expect(verifyToken(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { time })).toBe(step + 1);
+    expect(verifyToken(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { time })).toBeNull();
+  });
+
+  it('rejects malformed tokens and missing secrets', () => {
+    expect(verifyToken(RFC_SECRET, '05047', { time })).toBeNull();
+    expect(verifyToken(RFC_SECRET, 'abcdef', { time })).toBeNull();
+    expect(verifyToken(null, '050471', { time })).toBeNull();
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('builds a provisioning URI authenticator apps understand', () => {
+    expect(buildOtpauthUri('JBSWY3DPEHPK3PXP', 'parent@example.com')).toBe(
+      'otpauth://totp/Watcher:parent%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Watcher&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+});
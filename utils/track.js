@@ -0,0 +1,143 @@
+const { EARTH_RADIUS, toRadians, wrapLongitude } = require('./geometry');
+
+// Implied speed above which a fix is a GPS jump rather than movement
+const MAX_PLAUSIBLE_SPEED = 70; // in m/s (~250 km/h)
+
+// Project points onto a flat plane in meters around the first point. Good
+// enough for the few kilometers between neighbouring fixes.
+const projectToPlane = (points) => {
+  const origin = points[0];
+  const cosLat = Math.cos(toRadians(origin.latitude));
+
+  return points.map(point => ({
+    x: toRadians(wrapLongitude(point.longitude - origin.longitude)) * cosLat * EARTH_RADIUS,
+    y: toRadians(point.latitude - origin.latitude) * EARTH_RADIUS
+  }));
+};
+
+// Distance from p to the segment a-b in the plane
+const distanceToSegment = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+
+  let t = lengthSquared > 0 ? ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared : 0;
+  t = Math.max(0, Math.min(1, t));
+
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+// Douglas-Peucker simplification: keep the fewest points such that no dropped
+// point is more than tolerance meters from the simplified line
+const simplifyTrack = (points, tolerance) => {
+  if (points.length <= 2 || !(tolerance > 0)) return points;
+
+  const projected = projectToPlane(points);
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  // Iterative to avoid deep recursion on long tracks
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let farthest = -1;
+    let maxDistance = tolerance;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegment(projected[i], projected[first], projected[last]);
+      if (distance > maxDistance) {
+        farthest = i;
+        maxDistance = distance;
+      }
+    }
+
+    if (farthest !== -1) {
+      keep[farthest] = true;
+      stack.push([first, farthest], [farthest, last]);
+    }
+  }
+
+  return points.filter((point, index) => keep[index]);
+};
+
+// Whether b can be reached from a without exceeding maxSpeed, allowing for
+// both fixes' reported accuracy
+const isReachable = (a, b, maxSpeed) => {
+  const projected = projectToPlane([a, b]);
+  const distance = Math.hypot(projected[1].x, projected[1].y);
+  const uncertainty = (a.accuracy || 0) + (b.accuracy || 0);
+  const seconds = Math.max(Math.abs(new Date(b.timestamp) - new Date(a.timestamp)) / 1000, 1);
+
+  return Math.max(distance - uncertainty, 0) / seconds <= maxSpeed;
+};
+
+// Drop GPS jumps: fixes that need an impossible speed both to reach and to
+// leave, while their neighbours are consistent with each other. Points must
+// be sorted by timestamp.
+const removeOutliers = (points, maxSpeed = MAX_PLAUSIBLE_SPEED) => {
+  const kept = [];
+
+  points.forEach((point, index) => {
+    const previous = kept[kept.length - 1];
+    const next = points[index + 1];
+
+    if (!previous) {
+      // The first fix is only a jump if the next two agree with each other
+      const afterNext = points[index + 2];
+      if (next && afterNext && !isReachable(point, next, maxSpeed) && isReachable(next, afterNext, maxSpeed)) {
+        return;
+      }
+      kept.push(point);
+      return;
+    }
+
+    if (isReachable(previous, point, maxSpeed)) {
+      kept.push(point);
+      return;
+    }
+
+    // A real (if sudden) move is followed by fixes consistent with it
+    const isSpike = !next || (!isReachable(point, next, maxSpeed) && isReachable(previous, next, maxSpeed));
+    if (!isSpike) {
+      kept.push(point);
+    }
+  });
+
+  return kept;
+};
+
+// Encode points in Google's encoded polyline format
+// (https://developers.google.com/maps/documentation/utilities/polylinealgorithm)
+const encodePolyline = (points, precision = 5) => {
+  const factor = Math.pow(10, precision);
+  let previousLatitude = 0;
+  let previousLongitude = 0;
+  let encoded = '';
+
+  const encodeValue = (value) => {
+    let remaining = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (remaining >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+      remaining >>= 5;
+    }
+    return chunk + String.fromCharCode(remaining + 63);
+  };
+
+  points.forEach(point => {
+    const latitude = Math.round(point.latitude * factor);
+    const longitude = Math.round(point.longitude * factor);
+    encoded += encodeValue(latitude - previousLatitude) + encodeValue(longitude - previousLongitude);
+    previousLatitude = latitude;
+    previousLongitude = longitude;
+  });
+
+  return encoded;
+};
+
+module.exports = {
+  simplifyTrack,
+  removeOutliers,
+  encodePolyline
+};
@@ -0,0 +1,85 @@
+const { simplifyTrack, removeOutliers, encodePolyline } = require('./track');
+
+// Roughly 111 m per 0.001 degree of latitude
+const fix = (latitude, longitude, seconds, accuracy = 5) => ({
+  latitude,
+  longitude,
+  accuracy,
+  timestamp: new Date(Date.UTC(2024, 6, 1, 12, 0, seconds))
+});
+
+describe('encodePolyline', () => {
+  it('matches the reference string from Google\'s documentation', () => {
+    const points = [
+      { latitude: 38.5, longitude: -120.2 },
+      { latitude: 40.7, longitude: -120.95 },
+      { latitude: 43.252, longitude: -126.453 }
+    ];
+
+    expect(encodePolyline(points)).toBe('_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+  });
+
+  it('supports other precisions', () => {
+    expect(encodePolyline([{ latitude: 38.5, longitude: -120.2 }], 6)).toBe('_izlhA~rlgdF');
+  });
+
+  it('encodes an empty track as an empty string', () => {
+    expect(encodePolyline([])).toBe('');
+  });
+});
+
+describe('simplifyTrack', () => {
+  it('collapses a straight line to its ends', () => {
+    const line = [0, 1, 2, 3, 4].map(i => fix(52 + i * 0.001, 5, i * 10));
+
+    expect(simplifyTrack(line, 5)).toEqual([line[0], line[4]]);
+  });
+
+  it('keeps corners further from the line than the tolerance', () => {
+    const corner = [fix(52, 5, 0), fix(52.0005, 5, 10), fix(52.001, 5, 20), fix(52.001, 5.001, 30), fix(52.001, 5.002, 40)];
+
+    expect(simplifyTrack(corner, 5)).toEqual([corner[0], corner[2], corner[4]]);
+  });
+
+  it('drops wiggles within the tolerance', () => {
+    const wiggly = [fix(52, 5, 0), fix(52.001, 5.00002, 10), fix(52.002, 5, 20)];
+
+    expect(simplifyTrack(wiggly, 5)).toEqual([wiggly[0], wiggly[2]]);
+    expect(simplifyTrack(wiggly, 1)).toEqual(wiggly);
+  });
+
+  it('leaves tracks alone without a positive tolerance', () => {
+    const track = [fix(52, 5, 0), fix(52.001, 5.001, 10), fix(52.002, 5, 20)];
+
+    expect(simplifyTrack(track, 0)).toBe(track);
+    expect(simplifyTrack(track, undefined)).toBe(track);
+  });
+});
+
+describe('removeOutliers', () => {
+  it('drops a fix that jumps away and straight back', () => {
+    const track = [fix(52, 5, 0), fix(52.0003, 5, 10), fix(52.1, 5, 20), fix(52.0006, 5, 30), fix(52.0009, 5, 40)];
+
+    expect(removeOutliers(track)).toEqual([track[0], track[1], track[3], track[4]]);
+  });
+
+  it('keeps a sudden move that the following fixes confirm', () => {
+    // e.g. the first fix after a tunnel
+    const track = [fix(52, 5, 0), fix(52.0003, 5, 10), fix(52.1, 5, 20), fix(52.1003, 5, 30)];
+
+    expect(removeOutliers(track)).toEqual(track);
+  });
+
+  it('drops a first fix the rest of the track disagrees with', () => {
+    const track = [fix(52.1, 5, 0), fix(52, 5, 10), fix(52.0003, 5, 20)];
+
+    expect(removeOutliers(track)).toEqual([track[1], track[2]]);
+  });
+
+  it('allows for the reported accuracy of the fixes', () => {
+    // 1.1 km in 10 s, but both fixes are only accurate to 600 m
+    const track = [fix(52, 5, 0, 600), fix(52.01, 5, 10, 600), fix(52.0103, 5, 20, 600)];
+
+    expect(removeOutliers(track)).toEqual(track);
+  });
+});